@@ -0,0 +1,448 @@
+/**
+ * Reference Sync Server for Ace Assistant
+ * 
+ * A minimal Node HTTP server implementing the push/pull protocol used by
+ * SyncService.syncData and the device pairing exchange. It keeps change logs
+ * (one per account) in memory and is intended for local development and
+ * automated tests, not production use.
+ * 
+ * Devices authenticate with a bearer token. The first device to use an
+ * account creates it, and other devices are registered with the account
+ * when they claim a pairing offer from one of its devices.
+ * 
+ * Usage: node server/syncServer.js [port]
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+// Constants
+const DEFAULT_PORT = 4000;
+const SYNC_PATH = '/sync';
+const PAIRING_PATH = '/pairing';
+const HEALTH_PATH = '/health';
+const MAX_BODY_BYTES = 5 * 1024 * 1024; // 5 MB
+const MAX_CHANGES_PER_REQUEST = 500;
+const PAIRING_TTL = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Hash a device token for storage
+ * @param {string} token - Device token
+ * @returns {Buffer} Token hash
+ */
+function hashDeviceToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest();
+}
+
+/**
+ * Create an in-memory change store
+ * @param {Object} options - Store options
+ * @param {Function} options.now - Clock function (defaults to Date.now)
+ * @param {number} options.maxChangesPerRequest - Changes stored per request; the rest
+ *   are left unacknowledged for the client to resend
+ * @returns {Object} Change store
+ */
+function createSyncStore(options = {}) {
+  const now = options.now || Date.now;
+  const maxChangesPerRequest = options.maxChangesPerRequest || MAX_CHANGES_PER_REQUEST;
+  const changeLog = [];
+  const knownChangeIds = new Set();
+  const pairingOffers = new Map();
+  const accounts = new Map();
+  let lastTimestamp = 0;
+  
+  // Server timestamps are strictly increasing so that a client's
+  // lastSyncTimestamp never skips changes stored in the same millisecond
+  const nextTimestamp = () => {
+    lastTimestamp = Math.max(now(), lastTimestamp + 1);
+    return lastTimestamp;
+  };
+  
+  /**
+   * Check a device's token against the token registered for it with an
+   * account. The first device to use an account creates it
+   * @param {string} accountId - Account ID
+   * @param {string} deviceId - Device ID
+   * @param {string|null} token - Device token
+   * @returns {boolean} Whether the device is authenticated
+   */
+  const authenticate = (accountId, deviceId, token) => {
+    if (!token) {
+      return false;
+    }
+    
+    if (!accounts.has(accountId)) {
+      accounts.set(accountId, new Map([[deviceId, hashDeviceToken(token)]]));
+      return true;
+    }
+    
+    const tokenHash = accounts.get(accountId).get(deviceId);
+    
+    return !!tokenHash && crypto.timingSafeEqual(tokenHash, hashDeviceToken(token));
+  };
+  
+  /**
+   * Register a device with an account
+   * @param {string} accountId - Account ID
+   * @param {string} deviceId - Device ID
+   * @param {string} token - Device token
+   * @returns {boolean} False if the device is registered with another token
+   */
+  const registerDevice = (accountId, deviceId, token) => {
+    const devices = accounts.get(accountId) || new Map();
+    const tokenHash = devices.get(deviceId);
+    
+    if (tokenHash && !crypto.timingSafeEqual(tokenHash, hashDeviceToken(token))) {
+      return false;
+    }
+    
+    devices.set(deviceId, hashDeviceToken(token));
+    accounts.set(accountId, devices);
+    
+    return true;
+  };
+  
+  /**
+   * Store pushed changes and return changes from other devices. The device
+   * must be authenticated first
+   * @param {Object} payload - Sync request payload
+   * @returns {Object} Sync response
+   */
+  const sync = (payload) => {
+    const { deviceId, accountId, lastSyncTimestamp = 0, changes = [] } = payload;
+    const receivedAt = nextTimestamp();
+    const acknowledged = [];
+    
+    // Store incoming changes, ignoring ones already received (client retries).
+    // Each stored or known change is acknowledged so the client can drop it
+    // from its queue
+    for (const change of changes.slice(0, maxChangesPerRequest)) {
+      if (!knownChangeIds.has(change.id)) {
+        knownChangeIds.add(change.id);
+        changeLog.push({
+          accountId,
+          serverTimestamp: receivedAt,
+          change: { ...change, deviceId }
+        });
+      }
+      
+      acknowledged.push(change.id);
+    }
+    
+    // Collect changes from the account's other devices since the client's last sync
+    const remoteChanges = changeLog
+      .filter(entry =>
+        entry.accountId === accountId &&
+        entry.serverTimestamp > lastSyncTimestamp &&
+        entry.change.deviceId !== deviceId
+      )
+      .map(entry => entry.change);
+    
+    return {
+      success: true,
+      timestamp: receivedAt,
+      acknowledged,
+      changes: remoteChanges
+    };
+  };
+  
+  /**
+   * Get a pairing offer that has not expired
+   * @param {string} codeHash - Scrypt hash of the pairing code
+   * @returns {Object|null} Pairing offer
+   */
+  const getPairingOffer = (codeHash) => {
+    const offer = pairingOffers.get(codeHash);
+    
+    if (!offer || offer.expiresAt <= now()) {
+      pairingOffers.delete(codeHash);
+      return null;
+    }
+    
+    return offer;
+  };
+  
+  /**
+   * Handle a pairing request. The offering device stores its sealed offer
+   * under a scrypt hash of the pairing code, the other device claims it with
+   * the same hash, and the offering device polls for the claim. The offer is
+   * sealed with a separate key derived from the code, which the server could
+   * only recover by brute-forcing the code through scrypt before the offer
+   * expires
+   * 
+   * Only an authenticated device of the account can make an offer, and
+   * claiming it registers the claiming device with the account
+   * @param {string} step - Pairing step (offer, claim or status)
+   * @param {Object} payload - Request payload
+   * @param {string|null} token - Token of the requesting device
+   * @returns {Object} Response with statusCode and body
+   */
+  const pair = (step, payload, token = null) => {
+    const { codeHash } = payload;
+    
+    if (step === 'offer') {
+      if (!authenticate(payload.accountId, payload.deviceId, token)) {
+        return { statusCode: 401, body: { success: false, error: 'Device is not registered with this account' } };
+      }
+      
+      const expiresAt = now() + PAIRING_TTL;
+      pairingOffers.set(codeHash, {
+        accountId: payload.accountId,
+        sealedOffer: payload.sealedOffer,
+        expiresAt,
+        claimedBy: null
+      });
+      return { statusCode: 200, body: { success: true, expiresAt } };
+    }
+    
+    const offer = getPairingOffer(codeHash);
+    
+    if (!offer) {
+      return { statusCode: 404, body: { success: false, error: 'Pairing code not found or expired' } };
+    }
+    
+    if (step === 'claim') {
+      if (offer.claimedBy) {
+        return { statusCode: 409, body: { success: false, error: 'Pairing code already used' } };
+      }
+      
+      if (!token || !registerDevice(offer.accountId, payload.device.deviceId, token)) {
+        return { statusCode: 401, body: { success: false, error: 'Device could not be registered with this account' } };
+      }
+      
+      offer.claimedBy = payload.device;
+      return { statusCode: 200, body: { success: true, sealedOffer: offer.sealedOffer } };
+    }
+    
+    return {
+      statusCode: 200,
+      body: { success: true, claimed: !!offer.claimedBy, device: offer.claimedBy }
+    };
+  };
+  
+  return {
+    authenticate,
+    sync,
+    pair,
+    getChanges: () => changeLog.map(entry => entry.change),
+    reset: () => {
+      changeLog.length = 0;
+      knownChangeIds.clear();
+      pairingOffers.clear();
+      accounts.clear();
+    }
+  };
+}
+
+/**
+ * Validate a sync request payload
+ * @param {Object} payload - Parsed request body
+ * @returns {string|null} Error message or null if valid
+ */
+function validateSyncPayload(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return 'Request body must be a JSON object';
+  }
+  
+  if (!payload.deviceId || typeof payload.deviceId !== 'string') {
+    return 'deviceId is required';
+  }
+  
+  if (!payload.accountId || typeof payload.accountId !== 'string') {
+    return 'accountId is required';
+  }
+  
+  if (payload.lastSyncTimestamp !== undefined && typeof payload.lastSyncTimestamp !== 'number') {
+    return 'lastSyncTimestamp must be a number';
+  }
+  
+  if (payload.changes !== undefined && !Array.isArray(payload.changes)) {
+    return 'changes must be an array';
+  }
+  
+  for (const change of payload.changes || []) {
+    if (!change || !change.id || !change.entityType || !change.entityId || !change.action) {
+      return 'Each change requires id, entityType, entityId and action';
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Validate a pairing request payload
+ * @param {string} step - Pairing step
+ * @param {Object} payload - Parsed request body
+ * @returns {string|null} Error message or null if valid
+ */
+function validatePairingPayload(step, payload) {
+  if (!['offer', 'claim', 'status'].includes(step)) {
+    return 'Unknown pairing step';
+  }
+  
+  if (!payload || typeof payload.codeHash !== 'string' || !payload.codeHash) {
+    return 'codeHash is required';
+  }
+  
+  if (step === 'offer' && (!payload.accountId || !payload.deviceId)) {
+    return 'accountId and deviceId are required';
+  }
+  
+  if (step === 'offer' && typeof payload.sealedOffer !== 'string') {
+    return 'sealedOffer is required';
+  }
+  
+  if (step === 'claim' && (!payload.device || !payload.device.deviceId)) {
+    return 'device is required';
+  }
+  
+  return null;
+}
+
+/**
+ * Get the bearer token of a request
+ * @param {http.IncomingMessage} req - Request object
+ * @returns {string|null} Token
+ */
+function getBearerToken(req) {
+  const match = /^Bearer (\S+)$/.exec(req.headers.authorization || '');
+  
+  return match ? match[1] : null;
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response object
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request object
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    
+    req.on('data', chunk => {
+      size += chunk.length;
+      
+      if (size > MAX_BODY_BYTES) {
+        const error = new Error('Request body too large');
+        error.statusCode = 413;
+        reject(error);
+        req.destroy();
+        return;
+      }
+      
+      chunks.push(chunk);
+    });
+    
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        const parseError = new Error('Request body is not valid JSON');
+        parseError.statusCode = 400;
+        reject(parseError);
+      }
+    });
+    
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Create the reference sync HTTP server
+ * @param {Object} options - Server options
+ * @param {Object} options.store - Change store (defaults to a new in-memory store)
+ * @returns {http.Server} HTTP server (not yet listening)
+ */
+function createSyncServer(options = {}) {
+  const store = options.store || createSyncStore(options);
+  
+  const server = http.createServer(async (req, res) => {
+    try {
+      if (req.method === 'GET' && req.url === HEALTH_PATH) {
+        sendJson(res, 200, { success: true });
+        return;
+      }
+      
+      const isPairingRequest = req.url.startsWith(`${PAIRING_PATH}/`);
+      
+      if (req.url !== SYNC_PATH && !isPairingRequest) {
+        sendJson(res, 404, { success: false, error: 'Not found' });
+        return;
+      }
+      
+      if (req.method !== 'POST') {
+        sendJson(res, 405, { success: false, error: 'Method not allowed' });
+        return;
+      }
+      
+      const payload = await readJsonBody(req);
+      const token = getBearerToken(req);
+      
+      if (isPairingRequest) {
+        const step = req.url.slice(PAIRING_PATH.length + 1);
+        const pairingError = validatePairingPayload(step, payload);
+        
+        if (pairingError) {
+          sendJson(res, 400, { success: false, error: pairingError });
+          return;
+        }
+        
+        const { statusCode, body } = store.pair(step, payload, token);
+        sendJson(res, statusCode, body);
+        return;
+      }
+      
+      const validationError = validateSyncPayload(payload);
+      
+      if (validationError) {
+        sendJson(res, 400, { success: false, error: validationError });
+        return;
+      }
+      
+      if (!store.authenticate(payload.accountId, payload.deviceId, token)) {
+        sendJson(res, 401, { success: false, error: 'Device is not registered with this account' });
+        return;
+      }
+      
+      sendJson(res, 200, store.sync(payload));
+    } catch (error) {
+      sendJson(res, error.statusCode || 500, { success: false, error: error.message });
+    }
+  });
+  
+  server.store = store;
+  
+  return server;
+}
+
+// Start the server when run directly
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.PORT || DEFAULT_PORT, 10);
+  
+  createSyncServer().listen(port, () => {
+    console.log(`Ace sync server listening on http://localhost:${port}${SYNC_PATH}`);
+  });
+}
+
+module.exports = {
+  createSyncServer,
+  createSyncStore,
+  validateSyncPayload,
+  validatePairingPayload,
+  DEFAULT_PORT,
+  SYNC_PATH,
+  PAIRING_PATH,
+  MAX_CHANGES_PER_REQUEST
+};
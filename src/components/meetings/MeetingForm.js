@@ -114,7 +114,7 @@ const MeetingForm = ({
   const handleAddParticipant = useCallback((participant) => {
     if (!participant.trim()) return;
     
-    setParticipants(prev => [...prev, participant]);
+    setParticipants(prev => [...prev, { email: participant.trim() }]);
   }, []);
   
   // Handle remove participant
@@ -181,11 +181,13 @@ const MeetingItem = ({
   const participants = useMemo(() => {
     if (!meeting.participants || meeting.participants.length === 0) return '';
     
+    const firstParticipant = meeting.participants[0].name || meeting.participants[0].email;
+    
     if (meeting.participants.length === 1) {
-      return meeting.participants[0];
+      return firstParticipant;
     }
     
-    return `${meeting.participants[0]} ${t('meetings.and_others', { count: meeting.participants.length - 1 })}`;
+    return `${firstParticipant} ${t('meetings.and_others', { count: meeting.participants.length - 1 })}`;
   }, [meeting.participants, t]);
   
   // Determine if meeting has attachments
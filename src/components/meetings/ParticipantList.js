@@ -1,7 +1,8 @@
 /**
  * ParticipantList Component for Ace Assistant
  * 
- * This component displays and manages a list of meeting participants.
+ * This component displays and manages a list of meeting participants,
+ * with each participant's answer to the invitation.
  * It supports both English and Chinese languages.
  */
 
@@ -17,6 +18,14 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import useLocalization from '../../hooks/useLocalization';
 
+// Icon, color and label of each RSVP status
+const RSVP_DISPLAY = {
+  'needs-action': { icon: 'time-outline', color: '#8E8E93', label: 'meetings.rsvp.needs_action' },
+  accepted: { icon: 'checkmark-circle', color: '#34C759', label: 'meetings.rsvp.accepted' },
+  declined: { icon: 'close-circle-outline', color: '#FF3B30', label: 'meetings.rsvp.declined' },
+  tentative: { icon: 'help-circle', color: '#FF9500', label: 'meetings.rsvp.tentative' }
+};
+
 /**
  * ParticipantList component
  * @param {Object} props - Component props
@@ -48,18 +57,31 @@ const ParticipantList = ({
   }, [onRemove]);
   
   // Render participant item
-  const renderParticipantItem = useCallback(({ item, index }) => (
-    <View style={styles.participantItem}>
-      <Ionicons name="person-outline" size={16} color="#8E8E93" />
-      <Text style={styles.participantName}>{item}</Text>
-      <TouchableOpacity
-        style={styles.participantRemoveButton}
-        onPress={() => handleRemoveParticipant(index)}
-      >
-        <Ionicons name="close-circle" size={20} color="#FF3B30" />
-      </TouchableOpacity>
-    </View>
-  ), [handleRemoveParticipant]);
+  const renderParticipantItem = useCallback(({ item, index }) => {
+    const rsvp = RSVP_DISPLAY[item.rsvp] || RSVP_DISPLAY['needs-action'];
+    
+    return (
+      <View style={styles.participantItem}>
+        <Ionicons name={item.role === 'organizer' ? 'star-outline' : 'person-outline'} size={16} color="#8E8E93" />
+        <View style={styles.participantDetails}>
+          <Text style={styles.participantName}>{item.name || item.email}</Text>
+          {item.role === 'optional' ? (
+            <Text style={styles.participantRole}>{t('meetings.participant_roles.optional')}</Text>
+          ) : null}
+        </View>
+        <View style={styles.rsvpBadge}>
+          <Ionicons name={rsvp.icon} size={16} color={rsvp.color} />
+          <Text style={[styles.rsvpText, { color: rsvp.color }]}>{t(rsvp.label)}</Text>
+        </View>
+        <TouchableOpacity
+          style={styles.participantRemoveButton}
+          onPress={() => handleRemoveParticipant(index)}
+        >
+          <Ionicons name="close-circle" size={20} color="#FF3B30" />
+        </TouchableOpacity>
+      </View>
+    );
+  }, [handleRemoveParticipant, t]);
   
   // Render empty state
   const renderEmptyState = useCallback(() => (
@@ -133,12 +155,27 @@ const styles = StyleSheet.create({
     paddingVertical: 8,
     margin: 4
   },
-  participantName: {
+  participantDetails: {
     flex: 1,
-    fontSize: 14,
-    color: '#000000',
     marginLeft: 8
   },
+  participantName: {
+    fontSize: 14,
+    color: '#000000'
+  },
+  participantRole: {
+    fontSize: 12,
+    color: '#8E8E93'
+  },
+  rsvpBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 8
+  },
+  rsvpText: {
+    fontSize: 12,
+    marginLeft: 4
+  },
   participantRemoveButton: {
     padding: 2
   },
@@ -0,0 +1,169 @@
+/**
+ * ReminderDetail Component for Ace Assistant
+ * 
+ * This component displays a reminder with its due date or the place it
+ * waits for, and when each of its notifications will be delivered, including
+ * notifications held back by quiet hours, "do not disturb" or the work-hours
+ * profile.
+ * It supports both English and Chinese languages.
+ */
+
+import React, { useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import useLocalization from '../../hooks/useLocalization';
+import { format } from 'date-fns';
+import { zhCN, enUS } from 'date-fns/locale';
+
+/**
+ * ReminderDetail component
+ * @param {Object} props - Component props
+ * @returns {JSX.Element} Rendered component
+ */
+const ReminderDetail = ({
+  reminder,
+  style
+}) => {
+  // Get localization
+  const { t, language } = useLocalization();
+  
+  // Date formatting locale and pattern
+  const dateLocale = useMemo(() => language === 'zh' ? zhCN : enUS, [language]);
+  const datePattern = language === 'zh' ? 'MM月dd日 HH:mm' : 'EEE, MMM d, h:mm a';
+  
+  // Scheduled notifications, the next one first
+  const deliveries = useMemo(() => {
+    return [...(reminder.deliveries || [])]
+      .sort((a, b) => new Date(a.deliverAt) - new Date(b.deliverAt));
+  }, [reminder.deliveries]);
+  
+  // Describe when a notification is delivered and why it was held back
+  const describeDelivery = (delivery) => {
+    const deliverAt = format(new Date(delivery.deliverAt), datePattern, { locale: dateLocale });
+    
+    if (!delivery.heldBy) {
+      return t('reminders.detail.delivers_at', { time: deliverAt });
+    }
+    
+    return t(`reminders.detail.held.${delivery.heldBy}`, {
+      time: deliverAt,
+      alertTime: format(new Date(delivery.alertTime), datePattern, { locale: dateLocale })
+    });
+  };
+  
+  // Render reminder detail
+  return (
+    <View style={[styles.container, style]}>
+      <Text
+        style={[
+          styles.title,
+          reminder.completed && styles.completedTitle
+        ]}
+      >
+        {reminder.title}
+      </Text>
+      
+      {reminder.description ? (
+        <Text style={styles.description}>
+          {reminder.description}
+        </Text>
+      ) : null}
+      
+      {reminder.dueDate ? (
+        <View style={styles.row}>
+          <Ionicons name="calendar-outline" size={16} color="#8E8E93" />
+          <Text style={styles.rowText}>
+            {format(new Date(reminder.dueDate), datePattern, { locale: dateLocale })}
+          </Text>
+        </View>
+      ) : null}
+      
+      {reminder.locationTrigger ? (
+        <View style={styles.row}>
+          <Ionicons name="location-outline" size={16} color="#8E8E93" />
+          <Text style={styles.rowText}>
+            {t(`reminders.detail.location.${reminder.locationTrigger.event}`, {
+              place: reminder.locationTrigger.place.name
+            })}
+          </Text>
+        </View>
+      ) : null}
+      
+      <Text style={styles.sectionTitle}>
+        {t('reminders.detail.notifications')}
+      </Text>
+      
+      {deliveries.length > 0 ? deliveries.map(delivery => (
+        <View key={delivery.notificationId} style={styles.row}>
+          <Ionicons
+            name={delivery.heldBy ? 'moon-outline' : 'notifications-outline'}
+            size={16}
+            color={delivery.heldBy ? '#5856D6' : '#8E8E93'}
+          />
+          <Text style={[styles.rowText, delivery.heldBy && styles.heldText]}>
+            {describeDelivery(delivery)}
+          </Text>
+        </View>
+      )) : (
+        <Text style={styles.emptyText}>
+          {t('reminders.detail.no_notifications')}
+        </Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingVertical: 16,
+    paddingHorizontal: 16,
+    backgroundColor: '#FFFFFF'
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#000000',
+    marginBottom: 8
+  },
+  completedTitle: {
+    textDecorationLine: 'line-through',
+    color: '#8E8E93'
+  },
+  description: {
+    fontSize: 14,
+    color: '#3C3C43',
+    marginBottom: 12
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#8E8E93',
+    textTransform: 'uppercase',
+    marginTop: 16,
+    marginBottom: 8
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8
+  },
+  rowText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#3C3C43',
+    marginLeft: 8
+  },
+  heldText: {
+    color: '#5856D6'
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#8E8E93'
+  }
+});
+
+export default ReminderDetail;
@@ -0,0 +1,391 @@
+/**
+ * ConflictResolutionSheet Component for Ace Assistant
+ * 
+ * This component lists sync conflicts between devices with a per-field diff
+ * and lets the user keep either version or pick field values by hand.
+ * It supports tasks, emails, meetings and reminders.
+ */
+
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Modal
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { CONFLICT_RESOLUTIONS } from '../../services/sync/SyncService';
+import useLocalization from '../../hooks/useLocalization';
+
+// Display settings per entity type
+const ENTITY_DISPLAY = {
+  task: {
+    icon: 'checkbox-outline',
+    titleField: 'title',
+    dateFields: ['dueDate']
+  },
+  email: {
+    icon: 'mail-outline',
+    titleField: 'subject',
+    dateFields: ['scheduledDate']
+  },
+  meeting: {
+    icon: 'people-outline',
+    titleField: 'title',
+    dateFields: ['startTime', 'endTime']
+  },
+  reminder: {
+    icon: 'alarm-outline',
+    titleField: 'title',
+    dateFields: ['dueDate']
+  }
+};
+
+/**
+ * Format a field value for display
+ * @param {*} value - Field value
+ * @param {string} field - Field name
+ * @param {Object} display - Entity display settings
+ * @param {Function} t - Translation function
+ * @returns {string} Display value
+ */
+const formatFieldValue = (value, field, display, t) => {
+  if (value === null || value === undefined || value === '') {
+    return '—';
+  }
+  
+  if (display.dateFields.includes(field)) {
+    return new Date(value).toLocaleString();
+  }
+  
+  if (typeof value === 'boolean') {
+    return value ? t('common.yes') : t('common.no');
+  }
+  
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return '—';
+    }
+    
+    return value
+      .map(item => (typeof item === 'object' ? item.title || item.name || item.email || JSON.stringify(item) : String(item)))
+      .join(', ');
+  }
+  
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  
+  return String(value);
+};
+
+/**
+ * ConflictResolutionSheet component
+ * @param {Object} props - Component props
+ * @returns {JSX.Element} Rendered component
+ */
+const ConflictResolutionSheet = ({
+  visible = false,
+  conflicts = [],
+  onResolve,
+  onClose
+}) => {
+  // Get localization
+  const { t } = useLocalization();
+  
+  // Field choices per conflict ({ [conflictId]: { [field]: 'local' | 'remote' } })
+  const [selections, setSelections] = useState({});
+  
+  // Handle field choice
+  const handleSelectField = useCallback((conflictId, field, side) => {
+    setSelections(prev => ({
+      ...prev,
+      [conflictId]: {
+        ...prev[conflictId],
+        [field]: side
+      }
+    }));
+  }, []);
+  
+  // Handle resolution
+  const handleResolve = useCallback(async (conflict, resolution) => {
+    let mergedData = null;
+    
+    if (resolution === CONFLICT_RESOLUTIONS.MERGE) {
+      const choices = selections[conflict.id] || {};
+      mergedData = {};
+      
+      for (const field of conflict.fields) {
+        const side = choices[field] || CONFLICT_RESOLUTIONS.LOCAL;
+        mergedData[field] = side === CONFLICT_RESOLUTIONS.REMOTE
+          ? conflict.remote[field]
+          : conflict.local[field];
+      }
+    }
+    
+    await onResolve(conflict.id, resolution, mergedData);
+    
+    setSelections(prev => {
+      const next = { ...prev };
+      delete next[conflict.id];
+      return next;
+    });
+  }, [selections, onResolve]);
+  
+  // Render a field choice
+  const renderFieldOption = (conflict, field, side, display) => {
+    const version = side === CONFLICT_RESOLUTIONS.REMOTE ? conflict.remote : conflict.local;
+    const selectedSide = (selections[conflict.id] || {})[field] || CONFLICT_RESOLUTIONS.LOCAL;
+    const isSelected = selectedSide === side;
+    
+    return (
+      <TouchableOpacity
+        style={[styles.fieldOption, isSelected && styles.fieldOptionSelected]}
+        onPress={() => handleSelectField(conflict.id, field, side)}
+      >
+        <Ionicons
+          name={isSelected ? 'radio-button-on' : 'radio-button-off'}
+          size={18}
+          color={isSelected ? '#007AFF' : '#8E8E93'}
+        />
+        <View style={styles.fieldOptionText}>
+          <Text style={styles.fieldOptionLabel}>
+            {side === CONFLICT_RESOLUTIONS.REMOTE ? t('sync.conflicts.other_device') : t('sync.conflicts.this_device')}
+          </Text>
+          <Text style={styles.fieldOptionValue}>
+            {formatFieldValue(version[field], field, display, t)}
+          </Text>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+  
+  // Render a conflict
+  const renderConflict = (conflict) => {
+    const display = ENTITY_DISPLAY[conflict.entityType] || ENTITY_DISPLAY.task;
+    const version = conflict.local || conflict.remote || {};
+    const isDeleteConflict = conflict.fields.length === 0;
+    
+    return (
+      <View key={conflict.id} style={styles.conflictCard}>
+        <View style={styles.conflictHeader}>
+          <Ionicons name={display.icon} size={20} color="#007AFF" />
+          <View style={styles.conflictHeaderText}>
+            <Text style={styles.conflictTitle} numberOfLines={1}>
+              {version[display.titleField] || t(`sync.conflicts.entity.${conflict.entityType}`)}
+            </Text>
+            <Text style={styles.conflictSubtitle}>
+              {t(`sync.conflicts.entity.${conflict.entityType}`)} · {new Date(conflict.detectedAt).toLocaleString()}
+            </Text>
+          </View>
+        </View>
+        
+        {isDeleteConflict ? (
+          <Text style={styles.deleteText}>
+            {conflict.local
+              ? t('sync.conflicts.deleted_on_other_device')
+              : t('sync.conflicts.deleted_on_this_device')
+            }
+          </Text>
+        ) : (
+          conflict.fields.map(field => (
+            <View key={field} style={styles.fieldRow}>
+              <Text style={styles.fieldName}>{t(`sync.conflicts.fields.${field}`)}</Text>
+              {renderFieldOption(conflict, field, CONFLICT_RESOLUTIONS.LOCAL, display)}
+              {renderFieldOption(conflict, field, CONFLICT_RESOLUTIONS.REMOTE, display)}
+            </View>
+          ))
+        )}
+        
+        <View style={styles.actionsRow}>
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => handleResolve(conflict, CONFLICT_RESOLUTIONS.LOCAL)}
+          >
+            <Text style={styles.actionButtonText}>{t('sync.conflicts.keep_mine')}</Text>
+          </TouchableOpacity>
+          
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => handleResolve(conflict, CONFLICT_RESOLUTIONS.REMOTE)}
+          >
+            <Text style={styles.actionButtonText}>{t('sync.conflicts.keep_theirs')}</Text>
+          </TouchableOpacity>
+          
+          {!isDeleteConflict && (
+            <TouchableOpacity
+              style={[styles.actionButton, styles.primaryActionButton]}
+              onPress={() => handleResolve(conflict, CONFLICT_RESOLUTIONS.MERGE)}
+            >
+              <Text style={[styles.actionButtonText, styles.primaryActionButtonText]}>
+                {t('sync.conflicts.apply_selection')}
+              </Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    );
+  };
+  
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.headerTitle}>{t('sync.conflicts.title')}</Text>
+          <TouchableOpacity onPress={onClose}>
+            <Ionicons name="close" size={24} color="#8E8E93" />
+          </TouchableOpacity>
+        </View>
+        
+        {conflicts.length === 0 ? (
+          <View style={styles.emptyContainer}>
+            <Ionicons name="checkmark-circle-outline" size={48} color="#34C759" />
+            <Text style={styles.emptyText}>{t('sync.conflicts.none')}</Text>
+          </View>
+        ) : (
+          <ScrollView contentContainerStyle={styles.list}>
+            <Text style={styles.description}>{t('sync.conflicts.description')}</Text>
+            {conflicts.map(renderConflict)}
+          </ScrollView>
+        )}
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F2F2F7'
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E5EA',
+    backgroundColor: '#FFFFFF'
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#000000'
+  },
+  list: {
+    padding: 16
+  },
+  description: {
+    fontSize: 14,
+    color: '#8E8E93',
+    marginBottom: 12
+  },
+  conflictCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12
+  },
+  conflictHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8
+  },
+  conflictHeaderText: {
+    flex: 1,
+    marginLeft: 8
+  },
+  conflictTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#000000'
+  },
+  conflictSubtitle: {
+    fontSize: 12,
+    color: '#8E8E93',
+    marginTop: 2
+  },
+  deleteText: {
+    fontSize: 14,
+    color: '#FF9500',
+    marginVertical: 8
+  },
+  fieldRow: {
+    marginTop: 8
+  },
+  fieldName: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#3C3C43',
+    marginBottom: 4
+  },
+  fieldOption: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    padding: 8,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#E5E5EA',
+    marginBottom: 4
+  },
+  fieldOptionSelected: {
+    borderColor: '#007AFF',
+    backgroundColor: '#EAF3FF'
+  },
+  fieldOptionText: {
+    flex: 1,
+    marginLeft: 8
+  },
+  fieldOptionLabel: {
+    fontSize: 12,
+    color: '#8E8E93'
+  },
+  fieldOptionValue: {
+    fontSize: 14,
+    color: '#000000',
+    marginTop: 2
+  },
+  actionsRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 12
+  },
+  actionButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 6,
+    backgroundColor: '#F2F2F7',
+    marginLeft: 8
+  },
+  actionButtonText: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#007AFF'
+  },
+  primaryActionButton: {
+    backgroundColor: '#007AFF'
+  },
+  primaryActionButtonText: {
+    color: '#FFFFFF'
+  },
+  emptyContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 32
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#8E8E93',
+    marginTop: 12
+  }
+});
+
+export default ConflictResolutionSheet;
@@ -5,7 +5,7 @@
  * controls for managing sync operations.
  */
 
-import React, { useCallback } from 'react';
+import React, { useState, useCallback } from 'react';
 import { 
   View, 
   Text, 
@@ -14,6 +14,7 @@ import {
   ActivityIndicator
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import ConflictResolutionSheet from './ConflictResolutionSheet';
 import useSync from '../../hooks/useSync';
 import useLocalization from '../../hooks/useLocalization';
 
@@ -34,14 +35,22 @@ const SyncStatusBar = ({
     syncEnabled,
     lastSyncTimestamp,
     pendingChangesCount,
+    conflicts,
+    conflictsCount,
+    nextRetryAt,
+    isDegraded,
     error,
     forceSync,
     toggleSync,
+    resolveConflict,
     getLastSyncTime
   } = useSync();
   
   const { t } = useLocalization();
   
+  // State
+  const [showConflicts, setShowConflicts] = useState(false);
+  
   // Handle sync button press
   const handleSyncPress = useCallback(() => {
     if (isSyncing) return;
@@ -53,6 +62,26 @@ const SyncStatusBar = ({
     toggleSync();
   }, [toggleSync]);
   
+  // Handle conflict badge press
+  const handleConflictsPress = useCallback(() => {
+    setShowConflicts(true);
+  }, []);
+  
+  // Handle conflict sheet close
+  const handleConflictsClose = useCallback(() => {
+    setShowConflicts(false);
+  }, []);
+  
+  // Render conflict resolution sheet
+  const renderConflictSheet = () => (
+    <ConflictResolutionSheet
+      visible={showConflicts}
+      conflicts={conflicts}
+      onResolve={resolveConflict}
+      onClose={handleConflictsClose}
+    />
+  );
+  
   // Render compact version
   if (compact) {
     return (
@@ -72,11 +101,21 @@ const SyncStatusBar = ({
           </TouchableOpacity>
         )}
         
-        {pendingChangesCount > 0 && (
+        {conflictsCount > 0 ? (
+          <TouchableOpacity
+            style={[styles.compactBadge, styles.conflictBadge]}
+            onPress={handleConflictsPress}
+            testID="conflict-badge"
+          >
+            <Text style={styles.compactBadgeText}>!</Text>
+          </TouchableOpacity>
+        ) : pendingChangesCount > 0 && (
           <View style={styles.compactBadge}>
             <Text style={styles.compactBadgeText}>{pendingChangesCount}</Text>
           </View>
         )}
+        
+        {renderConflictSheet()}
       </View>
     );
   }
@@ -103,9 +142,11 @@ const SyncStatusBar = ({
               ? t('sync.status.syncing')
               : !isOnline 
                 ? t('sync.status.offline')
-                : syncEnabled 
-                  ? t('sync.status.enabled')
-                  : t('sync.status.disabled')
+                : isDegraded
+                  ? t('sync.status.degraded')
+                  : syncEnabled 
+                    ? t('sync.status.enabled')
+                    : t('sync.status.disabled')
             }
           </Text>
           
@@ -124,9 +165,28 @@ const SyncStatusBar = ({
               {error}
             </Text>
           )}
+          
+          {nextRetryAt && !isSyncing && (
+            <Text style={styles.pendingText}>
+              {t('sync.next_retry', { time: new Date(nextRetryAt).toLocaleTimeString() })}
+            </Text>
+          )}
         </View>
       </View>
       
+      {conflictsCount > 0 && (
+        <TouchableOpacity
+          style={styles.conflictButton}
+          onPress={handleConflictsPress}
+          testID="conflict-badge"
+        >
+          <Ionicons name="warning-outline" size={16} color="#FFFFFF" />
+          <Text style={styles.conflictButtonText}>
+            {t('sync.conflicts.count', { count: conflictsCount })}
+          </Text>
+        </TouchableOpacity>
+      )}
+      
       {showControls && (
         <View style={styles.controlsSection}>
           <TouchableOpacity
@@ -155,6 +215,8 @@ const SyncStatusBar = ({
           </TouchableOpacity>
         </View>
       )}
+      
+      {renderConflictSheet()}
     </View>
   );
 };
@@ -206,6 +268,21 @@ const styles = StyleSheet.create({
     color: '#FF3B30',
     marginTop: 2
   },
+  conflictButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FF9500',
+    borderRadius: 14,
+    paddingHorizontal: 10,
+    height: 28,
+    marginRight: 8
+  },
+  conflictButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#FFFFFF',
+    marginLeft: 4
+  },
   controlsSection: {
     flexDirection: 'row',
     alignItems: 'center'
@@ -254,6 +331,9 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     paddingHorizontal: 4
   },
+  conflictBadge: {
+    backgroundColor: '#FF9500'
+  },
   compactBadgeText: {
     fontSize: 10,
     fontWeight: '600',
@@ -11,6 +11,218 @@ import useEmail from '../../hooks/useEmail';
 import useMeetings from '../../hooks/useMeetings';
 import useReminders from '../../hooks/useReminders';
 import useLocalization from '../../hooks/useLocalization';
+import searchService from '../../services/search/SearchService';
+import { parseDateTime, stripDateTime } from '../../services/voice/dateTimeParser';
+
+// Start time of meetings and reminders given only a day, such as "tomorrow"
+const DEFAULT_START_HOUR = 9;
+
+// Default meeting length and reminder lead time
+const DEFAULT_MEETING_DURATION = 60 * 60 * 1000;
+const DEFAULT_REMINDER_DELAY = 60 * 60 * 1000;
+
+// Search constants
+const SEARCH_RESULT_LIMIT = 10;
+const SEARCH_READ_BACK_COUNT = 3;
+
+// How long follow-up commands like "open the second one" refer to the last results
+const SEARCH_FOLLOW_UP_TTL = 5 * 60 * 1000;
+
+const SEARCH_TYPE_WORDS_EN = {
+  task: /\btasks?\b/g,
+  email: /\b(?:e-?mails?|mails?|messages?)\b/g,
+  meeting: /\b(?:meetings?|calls?)\b/g,
+  reminder: /\breminders?\b/g
+};
+
+const SEARCH_TYPE_WORDS_ZH = {
+  task: /任务/g,
+  email: /邮件/g,
+  meeting: /会议|会/g,
+  reminder: /提醒/g
+};
+
+const SEARCH_STOPWORDS_EN = [
+  'a', 'an', 'the', 'my', 'me', 'i', 'all', 'any', 'some', 'about', 'regarding', 'on', 'for', 'of', 'in',
+  'called', 'named', 'titled', 'that', 'which', 'is', 'are', 'was', 'were', 'what', 'where', 'please', 'ace',
+  'to', 'and', 'did', 'do', 'have', 'had', 'from', 'with', 'by'
+];
+
+const SEARCH_PARTICLES_ZH = /关于|有关|相关|一下|所有|那个|那封|那场|那条|在哪里|在哪儿|在哪|请|帮我|我的|我|吗|呢|的/g;
+
+const ORDINALS_EN = {
+  first: 1,
+  second: 2,
+  third: 3,
+  fourth: 4,
+  fifth: 5,
+  sixth: 6,
+  seventh: 7,
+  eighth: 8,
+  ninth: 9,
+  tenth: 10
+};
+
+const NUMERALS_ZH = {
+  一: 1,
+  二: 2,
+  两: 2,
+  三: 3,
+  四: 4,
+  五: 5,
+  六: 6,
+  七: 7,
+  八: 8,
+  九: 9,
+  十: 10
+};
+
+const FOLLOW_UP_ACTIONS = {
+  open: 'open',
+  read: 'open',
+  show: 'open',
+  start: 'start',
+  join: 'start',
+  complete: 'complete',
+  finish: 'complete',
+  delete: 'delete',
+  remove: 'delete',
+  打开: 'open',
+  查看: 'open',
+  看看: 'open',
+  看一下: 'open',
+  开始: 'start',
+  加入: 'start',
+  完成: 'complete',
+  删除: 'delete',
+  删掉: 'delete'
+};
+
+// Words choosing how long to snooze a reminder for, as keys of the
+// reminder actions. Without them a snooze lasts 10 minutes.
+const SNOOZE_WORDS_EN = [
+  [/\btomorrow\b/i, 'SNOOZE_TOMORROW'],
+  [/\b(?:an?|one|1) hour\b/i, 'SNOOZE_1_HOUR']
+];
+
+const SNOOZE_WORDS_ZH = [
+  [/明天/, 'SNOOZE_TOMORROW'],
+  [/(?:一|1)(?:个)?小时/, 'SNOOZE_1_HOUR']
+];
+
+// Phrases setting a reminder off at a saved place ("when I leave the
+// office", "到家时"), with the place name and the location event
+const LOCATION_PHRASES_EN = [
+  [/\b(?:when|once|as soon as) i (?:leave|get out of|exit)\s+(?:the |my )?(.+?)(?=\s*,|\s+remind\b|$)/i, 'leave'],
+  [/\b(?:when|once|as soon as) i (?:arrive (?:at|in)|get (?:back )?to|reach|am at)\s+(?:the |my )?(.+?)(?=\s*,|\s+remind\b|$)/i, 'arrive'],
+  [/\b(?:when|once|as soon as) i (?:get|arrive|am|come) (?:back )?(home)\b/i, 'arrive']
+];
+
+const LOCATION_PHRASES_ZH = [
+  [/(?:当我|等我|我)?(?:离开|走出)(.+?)的?(?:时候|时|以后|后)/, 'leave'],
+  [/(?:当我|等我|我)?(?:到达|回到|到了|到)(.+?)的?(?:时候|时|以后|后)/, 'arrive']
+];
+
+const FOLLOW_UP_RESPONSES = {
+  open: 'voice.search.opened',
+  start: 'voice.search.started',
+  complete: 'voice.search.completed',
+  delete: 'voice.search.deleted'
+};
+
+/**
+ * Format a date as a local YYYY-MM-DD day for search filters
+ * @param {Date} date - Date
+ * @returns {string} Day
+ */
+function formatSearchDay(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Get the days covered by a spoken date phrase
+ * @param {string} phrase - Date phrase (today, last week, 上个月, ...)
+ * @param {Date} now - Current time
+ * @returns {Object|null} First and last day, or null if not a known phrase
+ */
+function getSearchDateRange(phrase, now = new Date()) {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const addDays = days => new Date(today.getFullYear(), today.getMonth(), today.getDate() + days);
+  const monday = -((today.getDay() + 6) % 7);
+  const month = months => ({
+    start: new Date(today.getFullYear(), today.getMonth() + months, 1),
+    end: new Date(today.getFullYear(), today.getMonth() + months + 1, 0)
+  });
+  
+  switch (phrase) {
+    case 'today':
+    case '今天':
+      return { start: today, end: today };
+    case 'tomorrow':
+    case '明天':
+      return { start: addDays(1), end: addDays(1) };
+    case 'yesterday':
+    case '昨天':
+      return { start: addDays(-1), end: addDays(-1) };
+    case 'this week':
+    case '本周':
+    case '这周':
+      return { start: addDays(monday), end: addDays(monday + 6) };
+    case 'next week':
+    case '下周':
+      return { start: addDays(monday + 7), end: addDays(monday + 13) };
+    case 'last week':
+    case '上周':
+      return { start: addDays(monday - 7), end: addDays(monday - 1) };
+    case 'this month':
+    case '本月':
+    case '这个月':
+      return month(0);
+    case 'next month':
+    case '下个月':
+      return month(1);
+    case 'last month':
+    case '上个月':
+      return month(-1);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Quote a search filter value if it contains spaces
+ * @param {string} value - Filter value
+ * @returns {string} Filter value for a search query
+ */
+function quoteSearchValue(value) {
+  return /\s/.test(value) ? `"${value}"` : value;
+}
+
+/**
+ * Get the start time of a parsed date, using the default start hour for
+ * whole days
+ * @param {Object} dateTime - Result of parseDateTime()
+ * @returns {Date} Start time
+ */
+function getStartTime(dateTime) {
+  const start = new Date(dateTime.start);
+  
+  if (dateTime.allDay) {
+    start.setHours(DEFAULT_START_HOUR, 0, 0, 0);
+  }
+  
+  return start;
+}
+
+/**
+ * Get the display title of a search result
+ * @param {Object} result - Search result
+ * @returns {string} Title
+ */
+function getSearchResultTitle(result) {
+  return result.entityType === 'email' ? result.item.subject : result.item.title;
+}
 
 /**
  * Process and execute voice commands for organization features
@@ -196,6 +408,18 @@ class VoiceCommandProcessor {
     
     // Reminder command patterns for English
     this.reminderCommandsEN = {
+      // Checked before "remind me", which creates a reminder
+      snooze: [
+        /\bsnooze\b/i,
+        /remind me again/i
+      ],
+      save_place: [
+        /\b(?:save|remember) (?:this|my current|the current) (?:place|location) as\b/i
+      ],
+      list_places: [
+        /\b(?:list|show)(?: all)?(?: my)?(?: saved)? places\b/i,
+        /\bwhat are my (?:saved )?places\b/i
+      ],
       create: [
         /create (a )?reminder/i,
         /remind me/i,
@@ -210,7 +434,8 @@ class VoiceCommandProcessor {
       complete: [
         /complete reminder/i,
         /mark reminder (as )?complete/i,
-        /finish reminder/i
+        /finish reminder/i,
+        /mark (?:it|this) (?:as )?(?:done|complete)/i
       ],
       delete: [
         /delete reminder/i,
@@ -226,6 +451,19 @@ class VoiceCommandProcessor {
     
     // Reminder command patterns for Chinese
     this.reminderCommandsZH = {
+      snooze: [
+        /稍后提醒/,
+        /再提醒我/,
+        /推迟提醒/,
+        /延后提醒/
+      ],
+      save_place: [
+        /把(?:这里|这个地方|当前位置)(?:保存|存|记)为/,
+        /(?:保存|记住)(?:这里|这个地方|当前位置)为/
+      ],
+      list_places: [
+        /(?:我的|保存的|列出|显示)(?:所有)?地点/
+      ],
       create: [
         /创建提醒/,
         /提醒我/,
@@ -239,7 +477,8 @@ class VoiceCommandProcessor {
       ],
       complete: [
         /完成提醒/,
-        /标记提醒完成/
+        /标记提醒完成/,
+        /标记为已?完成/
       ],
       delete: [
         /删除提醒/,
@@ -253,6 +492,32 @@ class VoiceCommandProcessor {
       ]
     };
     
+    // Search command patterns for English
+    this.searchCommandsEN = [
+      /^(?:ask ace,? )?(?:please )?(?:can you |could you )?(?:find|search(?: for)?|look for|look up)\b/i,
+      /^where(?: is|'s| are)\b/i
+    ];
+    
+    // Search command patterns for Chinese
+    this.searchCommandsZH = [
+      /^(?:请|帮我|麻烦)?(?:找一下|找找|查找|搜索|搜一下|查一下|找)/,
+      /在哪/
+    ];
+    
+    // Follow-up patterns acting on the last search results
+    this.followUpCommandsEN = [
+      /^(open|read|show|start|join|complete|finish|delete|remove)(?: me)? the (first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth|last|\d+(?:st|nd|rd|th)) (?:one|result|item)\b/i,
+      /^(open|read|show|start|join|complete|finish|delete|remove) (?:number|result|item|#) ?(\d+)\b/i
+    ];
+    
+    this.followUpCommandsZH = [
+      /^(?:请|帮我)?(打开|查看|看看|看一下|开始|加入|完成|删除|删掉)?第([一二两三四五六七八九十]|\d+)(?:个|条|项|封|场)/,
+      /^(?:请|帮我)?(打开|查看|看看|看一下|开始|加入|完成|删除|删掉)?(最后)一(?:个|条|项|封|场)/
+    ];
+    
+    // Results of the last search, for follow-up commands
+    this.lastSearch = null;
+    
     // Bind methods
     this.processCommand = this.processCommand.bind(this);
     this.extractEntityDetails = this.extractEntityDetails.bind(this);
@@ -261,6 +526,11 @@ class VoiceCommandProcessor {
     this.executeEmailCommand = this.executeEmailCommand.bind(this);
     this.executeMeetingCommand = this.executeMeetingCommand.bind(this);
     this.executeReminderCommand = this.executeReminderCommand.bind(this);
+    this.matchFollowUp = this.matchFollowUp.bind(this);
+    this.extractSearchDetails = this.extractSearchDetails.bind(this);
+    this.buildSearchQuery = this.buildSearchQuery.bind(this);
+    this.executeSearchCommand = this.executeSearchCommand.bind(this);
+    this.executeFollowUpCommand = this.executeFollowUpCommand.bind(this);
   }
   
   /**
@@ -283,6 +553,23 @@ class VoiceCommandProcessor {
       let action = null;
       let entityDetails = null;
       
+      // Check follow-ups to the last search ("open the second one")
+      const followUp = this.matchFollowUp(normalizedCommand, language);
+      
+      if (followUp) {
+        return await this.executeFollowUpCommand(followUp, services, t, language);
+      }
+      
+      // Check search commands before the entity commands, so "find the
+      // meeting with Lisa" is a search rather than a meeting command
+      const searchCommands = language === 'zh' ? this.searchCommandsZH : this.searchCommandsEN;
+      
+      if (searchCommands.some(pattern => pattern.test(normalizedCommand))) {
+        entityDetails = this.extractSearchDetails(normalizedCommand, language);
+        
+        return await this.executeSearchCommand(entityDetails, t, language);
+      }
+      
       // Check task commands
       const taskCommands = language === 'zh' ? this.taskCommandsZH : this.taskCommandsEN;
       const taskMatch = this.matchCommand(normalizedCommand, taskCommands);
@@ -443,32 +730,63 @@ class VoiceCommandProcessor {
       }
     }
     
-    // Extract date/time for meetings and reminders
-    if ((entityType === 'meeting' || entityType === 'reminder') && 
+    // Extract date/time for tasks, meetings and reminders, and keep it out
+    // of the title ("team sync for tomorrow" is "team sync")
+    if ((entityType === 'task' || entityType === 'meeting' || entityType === 'reminder') && 
         (action === 'create' || action === 'update')) {
-      let dateTimeMatch = null;
+      const dateTime = parseDateTime(command, { language });
       
-      if (language === 'en') {
-        // Various English date/time patterns
-        dateTimeMatch = command.match(/(?:on|at|for) (today|tomorrow|monday|tuesday|wednesday|thursday|friday|saturday|sunday)/i) ||
-                       command.match(/(?:on|at|for) (\d{1,2}(?:st|nd|rd|th)? (?:of )?(?:january|february|march|april|may|june|july|august|september|october|november|december))/i) ||
-                       command.match(/(?:on|at|for) (\d{1,2}\/\d{1,2}(?:\/\d{2,4})?)/i) ||
-                       command.match(/(?:at) (\d{1,2}(?::\d{2})? ?(?:am|pm)?)/i);
-      } else {
-        // Various Chinese date/time patterns
-        dateTimeMatch = command.match(/(今天|明天|周一|周二|周三|周四|周五|周六|周日)/) ||
-                       command.match(/(\d{1,2}月\d{1,2}日)/) ||
-                       command.match(/(\d{1,2}点\d{0,2}分)/);
+      if (dateTime) {
+        details.dateTime = dateTime;
+      
+        if (details.title) {
+          details.title = stripDateTime(details.title, parseDateTime(details.title, { language }));
+        }
+      }
+    }
+    
+    // Extract the place a reminder waits for, and keep it out of the title
+    // ("buy milk when I leave the office" is "buy milk")
+    if (entityType === 'reminder' && action === 'create') {
+      const locationPhrases = language === 'zh' ? LOCATION_PHRASES_ZH : LOCATION_PHRASES_EN;
+      
+      for (const [pattern, event] of locationPhrases) {
+        const locationMatch = command.match(pattern);
+        
+        if (locationMatch) {
+          details.location = { place: locationMatch[1].replace(/[.,!?。，！？]+$/, '').trim(), event };
+          
+          if (details.title) {
+            details.title = details.title.replace(pattern, '').replace(/^[,，\s]+|[,，\s]+$/g, '');
+          }
+          
+          break;
+        }
       }
+    }
+    
+    // Extract the name to save a place under
+    if (action === 'save_place') {
+      const nameMatch = language === 'zh' ?
+        command.match(/为["']?([^"']+)["']?$/) :
+        command.match(/ as ["']?([^"']+)["']?$/i);
       
-      if (dateTimeMatch && dateTimeMatch[1]) {
-        details.dateTime = dateTimeMatch[1].trim();
+      if (nameMatch && nameMatch[1]) {
+        details.placeName = nameMatch[1].replace(/[.!?。！？]+$/, '').trim();
       }
     }
     
+    // Extract how long to snooze for
+    if (action === 'snooze') {
+      const snoozeWords = language === 'zh' ? SNOOZE_WORDS_ZH : SNOOZE_WORDS_EN;
+      const snoozeMatch = snoozeWords.find(([pattern]) => pattern.test(command));
+      
+      details.snooze = snoozeMatch ? snoozeMatch[1] : 'SNOOZE_10_MINUTES';
+    }
+    
     // Extract ID for update, delete, complete actions
     if (action === 'update' || action === 'delete' || action === 'complete' || 
-        action === 'read' || action === 'start' || action === 'cancel') {
+        action === 'read' || action === 'start' || action === 'cancel' || action === 'snooze') {
       let idMatch = null;
       
       if (language === 'en') {
@@ -485,6 +803,345 @@ class VoiceCommandProcessor {
     return details;
   }
   
+  /**
+   * Match a follow-up command to the last search results
+   * @param {string} command - The command text
+   * @param {string} language - The language of the command
+   * @returns {Object|null} Follow-up action and result position (1-based), or null
+   */
+  matchFollowUp(command, language) {
+    if (!this.lastSearch || Date.now() - this.lastSearch.searchedAt > SEARCH_FOLLOW_UP_TTL) {
+      return null;
+    }
+    
+    const patterns = language === 'zh' ? this.followUpCommandsZH : this.followUpCommandsEN;
+    
+    for (const pattern of patterns) {
+      const match = command.match(pattern);
+      
+      if (!match) {
+        continue;
+      }
+      
+      const action = FOLLOW_UP_ACTIONS[match[1] || '打开'];
+      const position = match[2];
+      let index;
+      
+      if (position === 'last' || position === '最后') {
+        index = this.lastSearch.results.length;
+      } else if (ORDINALS_EN[position]) {
+        index = ORDINALS_EN[position];
+      } else if (NUMERALS_ZH[position]) {
+        index = NUMERALS_ZH[position];
+      } else {
+        index = parseInt(position, 10);
+      }
+      
+      return { action, index };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Extract keywords, person, entity types and date range from a search command
+   * @param {string} command - The command text
+   * @param {string} language - The language of the command
+   * @param {Date} now - Current time, for relative dates
+   * @returns {Object} Search details
+   */
+  extractSearchDetails(command, language, now = new Date()) {
+    const details = {
+      keywords: [],
+      person: null,
+      types: [],
+      dateRange: null
+    };
+    
+    let text = command;
+    
+    if (language === 'en') {
+      text = text
+        .replace(this.searchCommandsEN[0], ' ')
+        .replace(this.searchCommandsEN[1], ' ');
+      
+      // Date range
+      const dateMatch = text.match(/\b(today|tomorrow|yesterday|(?:this|next|last) (?:week|month))\b/);
+      
+      if (dateMatch) {
+        details.dateRange = getSearchDateRange(dateMatch[1], now);
+        text = text.replace(dateMatch[0], ' ');
+      }
+      
+      // Person, up to two words ("from lisa", "with wang wei")
+      const personMatch = text.match(
+        /\b(from|with|by) ([a-z][\w.@'-]*(?: (?!(?:about|regarding|on|for|in|and|the|that|which|to)\b)[a-z][\w.@'-]*)?)/
+      );
+      
+      if (personMatch) {
+        details.person = {
+          name: personMatch[2],
+          role: personMatch[1] === 'from' ? 'from' : 'participant'
+        };
+        text = text.replace(personMatch[0], ' ');
+      }
+      
+      // Entity types
+      for (const [type, pattern] of Object.entries(SEARCH_TYPE_WORDS_EN)) {
+        if (text.match(pattern)) {
+          details.types.push(type);
+          text = text.replace(pattern, ' ');
+        }
+      }
+      
+      details.keywords = (text.match(/[\p{L}\p{N}][\p{L}\p{N}'.-]*/gu) || [])
+        .filter(word => !SEARCH_STOPWORDS_EN.includes(word));
+    } else {
+      text = text
+        .replace(this.searchCommandsZH[0], ' ')
+        .replace(/在哪(?:里|儿)?/, ' ');
+      
+      // Date range
+      const dateMatch = text.match(/(今天|明天|昨天|本周|这周|下周|上周|本月|这个月|下个月|上个月)/);
+      
+      if (dateMatch) {
+        details.dateRange = getSearchDateRange(dateMatch[1], now);
+        text = text.replace(dateMatch[0], ' ');
+      }
+      
+      // Person ("来自王伟的", "Lisa发的", "跟王伟的")
+      const fromMatch = text.match(/(?:来自|从)\s*([a-z][\w.@'-]*|[一-龥]{2,3}?)\s*(?=的|发|关于|有关|\s|$)/) ||
+                       text.match(/([a-z][\w.@'-]*|[一-龥]{2,3}?)\s*(?:发来|发给我|发)的/);
+      const withMatch = text.match(/(?:和|跟|与)\s*([a-z][\w.@'-]*|[一-龥]{2,3}?)\s*(?=的|开|关于|有关|\s|$)/);
+      
+      if (fromMatch) {
+        details.person = { name: fromMatch[1], role: 'from' };
+        text = text.replace(fromMatch[0], ' ');
+      } else if (withMatch) {
+        details.person = { name: withMatch[1], role: 'participant' };
+        text = text.replace(withMatch[0], ' ');
+      }
+      
+      // Entity types
+      for (const [type, pattern] of Object.entries(SEARCH_TYPE_WORDS_ZH)) {
+        if (text.match(pattern)) {
+          details.types.push(type);
+          text = text.replace(pattern, ' ');
+        }
+      }
+      
+      details.keywords = text
+        .replace(SEARCH_PARTICLES_ZH, ' ')
+        .split(/[\s,，。？?！!]+/)
+        .filter(Boolean);
+    }
+    
+    return details;
+  }
+  
+  /**
+   * Build a search query from search details
+   * @param {Object} details - Search details
+   * @returns {string} Search query with field filters
+   */
+  buildSearchQuery(details) {
+    const parts = [...details.keywords];
+    
+    if (details.person) {
+      // A sender is matched exactly; anyone else by name anywhere in the record
+      parts.push(details.person.role === 'from' ?
+        `from:${quoteSearchValue(details.person.name)}` :
+        details.person.name);
+    }
+    
+    if (details.dateRange) {
+      parts.push(`due:${formatSearchDay(details.dateRange.start)}..${formatSearchDay(details.dateRange.end)}`);
+    }
+    
+    for (const type of details.types) {
+      parts.push(`type:${type}`);
+    }
+    
+    return parts.join(' ');
+  }
+  
+  /**
+   * Execute a search command across tasks, emails, meetings and reminders
+   * @param {Object} details - The search details
+   * @param {Function} t - Translation function
+   * @param {string} language - The language of the command
+   * @returns {Object} Execution result
+   */
+  async executeSearchCommand(details, t, language) {
+    try {
+      const query = this.buildSearchQuery(details);
+      
+      if (!query) {
+        return {
+          success: false,
+          commandType: 'search',
+          action: 'search',
+          response: t('voice.search.query_required'),
+          error: 'Search query required'
+        };
+      }
+      
+      await searchService.initialize();
+      const results = searchService.search(query, { limit: SEARCH_RESULT_LIMIT });
+      
+      this.lastSearch = {
+        query,
+        results: results.map(result => ({ entityType: result.entityType, id: result.id })),
+        searchedAt: Date.now()
+      };
+      
+      if (results.length === 0) {
+        return {
+          success: true,
+          commandType: 'search',
+          action: 'search',
+          data: [],
+          response: t('voice.search.no_results')
+        };
+      }
+      
+      // Read back the top results
+      const readBack = results.slice(0, SEARCH_READ_BACK_COUNT).map((result, index) =>
+        t('voice.search.result', {
+          position: index + 1,
+          type: t(`voice.search.types.${result.entityType}`),
+          title: getSearchResultTitle(result)
+        })
+      );
+      
+      return {
+        success: true,
+        commandType: 'search',
+        action: 'search',
+        data: results,
+        response: t('voice.search.found', {
+          count: results.length,
+          results: readBack.join(language === 'zh' ? '；' : '; ')
+        })
+      };
+    } catch (error) {
+      console.error('Error executing search command:', error);
+      return {
+        success: false,
+        commandType: 'search',
+        action: 'search',
+        error: error.message,
+        response: t('voice.search.error')
+      };
+    }
+  }
+  
+  /**
+   * Execute a follow-up command on one of the last search results
+   * @param {Object} followUp - Follow-up action and result position (1-based)
+   * @param {Object} services - The service hooks (tasks, email, meetings, reminders)
+   * @param {Function} t - Translation function
+   * @param {string} language - The language of the command
+   * @returns {Object} Execution result
+   */
+  async executeFollowUpCommand(followUp, services, t, language) {
+    const { action, index } = followUp;
+    
+    try {
+      const target = this.lastSearch.results[index - 1];
+      
+      if (!target) {
+        return {
+          success: false,
+          commandType: 'search',
+          action,
+          response: t('voice.search.no_such_result', { position: index }),
+          error: 'Search result not found'
+        };
+      }
+      
+      const { entityType, id } = target;
+      let item = null;
+      
+      switch (entityType) {
+        case 'task':
+          item = await services.tasks.getTaskById(id);
+          break;
+        case 'email':
+          item = await services.email.getEmailById(id);
+          break;
+        case 'meeting':
+          item = await services.meetings.getMeetingById(id);
+          break;
+        case 'reminder':
+          item = await services.reminders.getReminderById(id);
+          break;
+        default:
+          break;
+      }
+      
+      if (!item) {
+        return {
+          success: false,
+          commandType: entityType,
+          action,
+          response: t(`voice.${entityType}.not_found`),
+          error: 'Search result no longer exists'
+        };
+      }
+      
+      const title = entityType === 'email' ? item.subject : item.title;
+      let data = item;
+      
+      if (action === 'start' && entityType === 'meeting') {
+        data = await services.meetings.startMeeting(id);
+      } else if (action === 'complete' && entityType === 'task') {
+        data = await services.tasks.changeTaskStatus(id, 'completed');
+      } else if (action === 'complete' && entityType === 'reminder') {
+        data = item.completed ? item : await services.reminders.toggleReminderCompletion(id);
+      } else if (action === 'delete') {
+        if (entityType === 'task') {
+          await services.tasks.deleteTask(id);
+        } else if (entityType === 'email') {
+          await services.email.deleteEmail(id);
+        } else if (entityType === 'meeting') {
+          await services.meetings.deleteMeeting(id);
+        } else {
+          await services.reminders.deleteReminder(id);
+        }
+        
+        // Later positions refer to the same results as before
+        this.lastSearch.results[index - 1] = null;
+        data = { id };
+      } else if (action !== 'open') {
+        return {
+          success: false,
+          commandType: entityType,
+          action,
+          response: t(`voice.${entityType}.action_not_supported`),
+          error: `${entityType} action not supported`
+        };
+      }
+      
+      return {
+        success: true,
+        commandType: entityType,
+        action,
+        data,
+        response: t(FOLLOW_UP_RESPONSES[action], { title })
+      };
+    } catch (error) {
+      console.error('Error executing follow-up command:', error);
+      return {
+        success: false,
+        commandType: 'search',
+        action,
+        error: error.message,
+        response: t('voice.search.error')
+      };
+    }
+  }
+  
   /**
    * Execute a task command
    * @param {string} action - The action to perform
@@ -512,6 +1169,10 @@ class VoiceCommandProcessor {
             title: details.title,
             priority: details.priority || 'medium',
             status: 'pending',
+            // A task due on a day is due by the end of it
+            dueDate: details.dateTime ?
+              (details.dateTime.allDay ? new Date(details.dateTime.end.getTime() - 1) : details.dateTime.start).toISOString() :
+              null,
             language
           });
           
@@ -661,6 +1322,12 @@ class VoiceCommandProcessor {
             updateData.priority = details.priority;
           }
           
+          if (details.dateTime) {
+            updateData.dueDate = (details.dateTime.allDay ?
+              new Date(details.dateTime.end.getTime() - 1) :
+              details.dateTime.start).toISOString();
+          }
+          
           const updatedTask = await taskService.updateTask(taskToUpdate.id, updateData);
           
           return {
@@ -919,32 +1586,12 @@ class VoiceCommandProcessor {
           }
           
           // Create a default meeting time if not specified
-          let startTime = new Date();
+          const startTime = details.dateTime ? getStartTime(details.dateTime) : new Date();
           
-          if (details.dateTime) {
-            // Simple parsing for demo purposes
-            // In a real app, use a more robust date parsing library
-            if (details.dateTime.toLowerCase() === 'tomorrow') {
-              startTime.setDate(startTime.getDate() + 1);
-            } else if (details.dateTime.toLowerCase().includes('monday')) {
-              startTime.setDate(startTime.getDate() + (8 - startTime.getDay()) % 7);
-            } else if (details.dateTime.toLowerCase().includes('tuesday')) {
-              startTime.setDate(startTime.getDate() + (9 - startTime.getDay()) % 7);
-            } else if (details.dateTime.toLowerCase().includes('wednesday')) {
-              startTime.setDate(startTime.getDate() + (10 - startTime.getDay()) % 7);
-            } else if (details.dateTime.toLowerCase().includes('thursday')) {
-              startTime.setDate(startTime.getDate() + (11 - startTime.getDay()) % 7);
-            } else if (details.dateTime.toLowerCase().includes('friday')) {
-              startTime.setDate(startTime.getDate() + (12 - startTime.getDay()) % 7);
-            } else if (details.dateTime.toLowerCase().includes('saturday')) {
-              startTime.setDate(startTime.getDate() + (13 - startTime.getDay()) % 7);
-            } else if (details.dateTime.toLowerCase().includes('sunday')) {
-              startTime.setDate(startTime.getDate() + (14 - startTime.getDay()) % 7);
-            }
-          }
-          
-          // Set end time to 1 hour after start time
-          const endTime = new Date(startTime.getTime() + 60 * 60 * 1000);
+          // Use the spoken end time or length, or else one hour
+          const endTime = details.dateTime && !details.dateTime.allDay ?
+            details.dateTime.end :
+            new Date(startTime.getTime() + DEFAULT_MEETING_DURATION);
           
           const newMeeting = await meetingService.createMeeting({
             title: details.title,
@@ -1100,31 +1747,24 @@ class VoiceCommandProcessor {
           }
           
           if (details.dateTime) {
-            // Simple parsing for demo purposes
-            let startTime = new Date(meetingToUpdate.startTime);
+            const previousStart = new Date(meetingToUpdate.startTime);
+            const duration = meetingToUpdate.endTime ?
+              new Date(meetingToUpdate.endTime) - previousStart :
+              DEFAULT_MEETING_DURATION;
+            
+            // Moving to another day keeps the meeting's time of day
+            const startTime = new Date(details.dateTime.start);
             
-            if (details.dateTime.toLowerCase() === 'tomorrow') {
-              startTime.setDate(startTime.getDate() + 1);
-            } else if (details.dateTime.toLowerCase().includes('monday')) {
-              startTime.setDate(startTime.getDate() + (8 - startTime.getDay()) % 7);
-            } else if (details.dateTime.toLowerCase().includes('tuesday')) {
-              startTime.setDate(startTime.getDate() + (9 - startTime.getDay()) % 7);
-            } else if (details.dateTime.toLowerCase().includes('wednesday')) {
-              startTime.setDate(startTime.getDate() + (10 - startTime.getDay()) % 7);
-            } else if (details.dateTime.toLowerCase().includes('thursday')) {
-              startTime.setDate(startTime.getDate() + (11 - startTime.getDay()) % 7);
-            } else if (details.dateTime.toLowerCase().includes('friday')) {
-              startTime.setDate(startTime.getDate() + (12 - startTime.getDay()) % 7);
-            } else if (details.dateTime.toLowerCase().includes('saturday')) {
-              startTime.setDate(startTime.getDate() + (13 - startTime.getDay()) % 7);
-            } else if (details.dateTime.toLowerCase().includes('sunday')) {
-              startTime.setDate(startTime.getDate() + (14 - startTime.getDay()) % 7);
+            if (details.dateTime.allDay) {
+              startTime.setHours(previousStart.getHours(), previousStart.getMinutes(), 0, 0);
             }
             
-            updateData.startTime = startTime.toISOString();
+            // Keep the meeting's length unless a new end time or length was given
+            const endTime = details.dateTime.endSpecified ?
+              details.dateTime.end :
+              new Date(startTime.getTime() + duration);
             
-            // Set end time to 1 hour after start time
-            const endTime = new Date(startTime.getTime() + 60 * 60 * 1000);
+            updateData.startTime = startTime.toISOString();
             updateData.endTime = endTime.toISOString();
           }
           
@@ -1182,36 +1822,35 @@ class VoiceCommandProcessor {
             };
           }
           
-          // Create a default reminder time if not specified
-          let reminderTime = new Date();
-          reminderTime.setHours(reminderTime.getHours() + 1);
+          // Reminders at a place wait for one of the saved places
+          const place = details.location ? reminderService.findPlace(details.location.place) : null;
+          
+          if (details.location && !place) {
+            return {
+              success: false,
+              commandType: 'reminder',
+              action,
+              response: t('voice.reminder.place_not_found', { place: details.location.place }),
+              error: 'Place not found'
+            };
+          }
+          
+          // Create a default reminder time if not specified, unless the
+          // reminder waits for a place
+          let reminderTime = null;
           
           if (details.dateTime) {
-            // Simple parsing for demo purposes
-            if (details.dateTime.toLowerCase() === 'tomorrow') {
-              reminderTime.setDate(reminderTime.getDate() + 1);
-            } else if (details.dateTime.toLowerCase().includes('monday')) {
-              reminderTime.setDate(reminderTime.getDate() + (8 - reminderTime.getDay()) % 7);
-            } else if (details.dateTime.toLowerCase().includes('tuesday')) {
-              reminderTime.setDate(reminderTime.getDate() + (9 - reminderTime.getDay()) % 7);
-            } else if (details.dateTime.toLowerCase().includes('wednesday')) {
-              reminderTime.setDate(reminderTime.getDate() + (10 - reminderTime.getDay()) % 7);
-            } else if (details.dateTime.toLowerCase().includes('thursday')) {
-              reminderTime.setDate(reminderTime.getDate() + (11 - reminderTime.getDay()) % 7);
-            } else if (details.dateTime.toLowerCase().includes('friday')) {
-              reminderTime.setDate(reminderTime.getDate() + (12 - reminderTime.getDay()) % 7);
-            } else if (details.dateTime.toLowerCase().includes('saturday')) {
-              reminderTime.setDate(reminderTime.getDate() + (13 - reminderTime.getDay()) % 7);
-            } else if (details.dateTime.toLowerCase().includes('sunday')) {
-              reminderTime.setDate(reminderTime.getDate() + (14 - reminderTime.getDay()) % 7);
-            }
+            reminderTime = getStartTime(details.dateTime);
+          } else if (!place) {
+            reminderTime = new Date(Date.now() + DEFAULT_REMINDER_DELAY);
           }
           
           const newReminder = await reminderService.createReminder({
             title: details.title,
-            reminderTime: reminderTime.toISOString(),
+            dueDate: reminderTime ? reminderTime.toISOString() : null,
             priority: details.priority || 'medium',
             status: 'pending',
+            locationTrigger: place ? { placeId: place.id, event: details.location.event } : null,
             language
           });
           
@@ -1220,7 +1859,54 @@ class VoiceCommandProcessor {
             commandType: 'reminder',
             action,
             data: newReminder,
-            response: t('voice.reminder.created', { title: details.title })
+            response: place ?
+              t(`voice.reminder.created_${details.location.event}`, { title: details.title, place: place.name }) :
+              t('voice.reminder.created', { title: details.title })
+          };
+        
+        case 'save_place':
+          if (!details.placeName) {
+            return {
+              success: false,
+              commandType: 'reminder',
+              action,
+              response: t('voice.reminder.place_name_required'),
+              error: 'Place name required'
+            };
+          }
+          
+          const savedPlace = await reminderService.saveCurrentLocation(details.placeName);
+          
+          if (!savedPlace) {
+            return {
+              success: false,
+              commandType: 'reminder',
+              action,
+              response: t('voice.reminder.location_unavailable'),
+              error: 'Current location unavailable'
+            };
+          }
+          
+          return {
+            success: true,
+            commandType: 'reminder',
+            action,
+            data: savedPlace,
+            response: t('voice.reminder.place_saved', { place: savedPlace.name })
+          };
+        
+        case 'list_places':
+          const places = reminderService.getPlaces();
+          
+          return {
+            success: true,
+            commandType: 'reminder',
+            action,
+            data: places,
+            response: t('voice.reminder.places_listed', {
+              count: places.length,
+              places: places.map(p => p.name).join(language === 'zh' ? '、' : ', ')
+            })
           };
           
         case 'list':
@@ -1235,7 +1921,8 @@ class VoiceCommandProcessor {
           };
           
         case 'complete':
-          if (!details.id && !details.title) {
+          // Without an ID or title, "mark it done" is about the last notification
+          if (!details.id && !details.title && !reminderService.getLastTriggeredReminder()) {
             return {
               success: false,
               commandType: 'reminder',
@@ -1255,6 +1942,8 @@ class VoiceCommandProcessor {
             reminderToComplete = reminders.find(reminder => 
               reminder.title.toLowerCase().includes(details.title.toLowerCase())
             );
+          } else {
+            reminderToComplete = reminderService.getLastTriggeredReminder();
           }
           
           if (!reminderToComplete) {
@@ -1267,9 +1956,10 @@ class VoiceCommandProcessor {
             };
           }
           
-          const completedReminder = await reminderService.updateReminder(reminderToComplete.id, {
-            status: 'completed'
-          });
+          const completedReminder = await reminderService.performReminderAction(
+            reminderToComplete.id,
+            reminderService.actions.COMPLETE
+          );
           
           return {
             success: true,
@@ -1278,6 +1968,42 @@ class VoiceCommandProcessor {
             data: completedReminder,
             response: t('voice.reminder.completed', { title: completedReminder.title })
           };
+        
+        case 'snooze':
+          // "Snooze" is about the reminder that notified last unless given its ID
+          const reminderToSnooze = details.id ?
+            await reminderService.getReminderById(details.id) :
+            reminderService.getLastTriggeredReminder();
+          
+          if (!reminderToSnooze) {
+            return {
+              success: false,
+              commandType: 'reminder',
+              action,
+              response: t('voice.reminder.not_found'),
+              error: 'Reminder not found'
+            };
+          }
+          
+          const snoozedReminder = await reminderService.performReminderAction(
+            reminderToSnooze.id,
+            reminderService.actions[details.snooze]
+          );
+          
+          return {
+            success: true,
+            commandType: 'reminder',
+            action,
+            data: snoozedReminder,
+            response: t('voice.reminder.snoozed', {
+              title: snoozedReminder.title,
+              time: new Date(snoozedReminder.snoozedUntil).toLocaleString(language === 'zh' ? 'zh-CN' : 'en-US', {
+                weekday: 'short',
+                hour: 'numeric',
+                minute: '2-digit'
+              })
+            })
+          };
           
         case 'delete':
           if (!details.id && !details.title) {
@@ -1362,28 +2088,7 @@ class VoiceCommandProcessor {
           }
           
           if (details.dateTime) {
-            // Simple parsing for demo purposes
-            let reminderTime = new Date();
-            
-            if (details.dateTime.toLowerCase() === 'tomorrow') {
-              reminderTime.setDate(reminderTime.getDate() + 1);
-            } else if (details.dateTime.toLowerCase().includes('monday')) {
-              reminderTime.setDate(reminderTime.getDate() + (8 - reminderTime.getDay()) % 7);
-            } else if (details.dateTime.toLowerCase().includes('tuesday')) {
-              reminderTime.setDate(reminderTime.getDate() + (9 - reminderTime.getDay()) % 7);
-            } else if (details.dateTime.toLowerCase().includes('wednesday')) {
-              reminderTime.setDate(reminderTime.getDate() + (10 - reminderTime.getDay()) % 7);
-            } else if (details.dateTime.toLowerCase().includes('thursday')) {
-              reminderTime.setDate(reminderTime.getDate() + (11 - reminderTime.getDay()) % 7);
-            } else if (details.dateTime.toLowerCase().includes('friday')) {
-              reminderTime.setDate(reminderTime.getDate() + (12 - reminderTime.getDay()) % 7);
-            } else if (details.dateTime.toLowerCase().includes('saturday')) {
-              reminderTime.setDate(reminderTime.getDate() + (13 - reminderTime.getDay()) % 7);
-            } else if (details.dateTime.toLowerCase().includes('sunday')) {
-              reminderTime.setDate(reminderTime.getDate() + (14 - reminderTime.getDay()) % 7);
-            }
-            
-            updateData.reminderTime = reminderTime.toISOString();
+            updateData.dueDate = getStartTime(details.dateTime).toISOString();
           }
           
           const updatedReminder = await reminderService.updateReminder(reminderToUpdate.id, updateData);
@@ -5,11 +5,32 @@
  * functionality throughout the application.
  */
 
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
 import { AppState } from 'react-native';
 import appCore from '../AppCore';
+import taskService from '../../services/organization/TaskService';
+import reminderService from '../../services/reminders/ReminderService';
 import useLocalization from '../../hooks/useLocalization';
 
+// How often scheduled work is brought up to date while the app is open
+const SCHEDULE_REFRESH_INTERVAL = 15 * 60 * 1000;
+
+/**
+ * Bring scheduled work up to date: create the instances of recurring tasks
+ * that came due, and schedule the next notifications of recurring reminders
+ * that fired in the background. Services that are not initialized yet do
+ * this when they are.
+ */
+const refreshSchedules = () => {
+  if (taskService.isInitialized()) {
+    taskService.generateScheduledInstances();
+  }
+  
+  if (reminderService.isInitialized()) {
+    reminderService.refreshRecurringNotifications();
+  }
+};
+
 // Create context
 const AceContext = createContext(null);
 
@@ -38,6 +59,9 @@ export const AceProvider = ({ children }) => {
   const [lastResponse, setLastResponse] = useState(null);
   const [error, setError] = useState(null);
   
+  // Refs
+  const appStateRef = useRef(AppState.currentState);
+  
   // Get localization utilities
   const { language, setLanguage } = useLocalization();
   
@@ -78,6 +102,27 @@ export const AceProvider = ({ children }) => {
     };
   }, []);
   
+  // Keep scheduled work up to date while the app is open and when it
+  // returns to the foreground. This runs once for the app, not per screen.
+  useEffect(() => {
+    const interval = setInterval(refreshSchedules, SCHEDULE_REFRESH_INTERVAL);
+    
+    const handleAppStateChange = (nextAppState) => {
+      if (appStateRef.current.match(/inactive|background/) && nextAppState === 'active') {
+        refreshSchedules();
+      }
+      
+      appStateRef.current = nextAppState;
+    };
+    
+    const subscription = AppState.addEventListener('change', handleAppStateChange);
+    
+    return () => {
+      clearInterval(interval);
+      subscription.remove();
+    };
+  }, []);
+  
   // Update core language when UI language changes
   useEffect(() => {
     if (initialized) {
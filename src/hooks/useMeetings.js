@@ -11,8 +11,13 @@ import * as Haptics from 'expo-haptics';
 import meetingService, { 
   MEETING_STATUSES, 
   MEETING_PRIORITIES, 
-  MEETING_CONTEXTS 
+  MEETING_CONTEXTS,
+  MEETING_EDIT_SCOPES,
+  PARTICIPANT_ROLES,
+  RSVP_STATUSES
 } from '../services/organization/MeetingService';
+import calendarSyncService from '../services/sync/CalendarSyncService';
+import icalendarService from '../services/icalendar/ICalendarService';
 import { useAce } from '../core/providers/AceProvider';
 import useLocalization from './useLocalization';
 
@@ -93,6 +98,12 @@ const useMeetings = (options = {}) => {
         // Set language
         meetingService.setLanguage(language);
         
+        // Keep meetings in step with the device calendar
+        await calendarSyncService.initialize();
+        
+        // Apply answers to invitations as they arrive
+        await icalendarService.initialize();
+        
         // Load meetings
         refreshMeetings();
         
@@ -162,12 +173,12 @@ const useMeetings = (options = {}) => {
   }, [language, refreshMeetings, enableHapticFeedback]);
   
   // Update a meeting
-  const updateMeeting = useCallback(async (id, meetingData) => {
+  const updateMeeting = useCallback(async (id, meetingData, options = {}) => {
     try {
       setLoading(true);
       setError(null);
       
-      const meeting = await meetingService.updateMeeting(id, meetingData);
+      const meeting = await meetingService.updateMeeting(id, meetingData, options);
       
       // Refresh meetings
       refreshMeetings();
@@ -189,12 +200,12 @@ const useMeetings = (options = {}) => {
   }, [refreshMeetings, enableHapticFeedback]);
   
   // Delete a meeting
-  const deleteMeeting = useCallback(async (id) => {
+  const deleteMeeting = useCallback(async (id, options = {}) => {
     try {
       setLoading(true);
       setError(null);
       
-      const success = await meetingService.deleteMeeting(id);
+      const success = await meetingService.deleteMeeting(id, options);
       
       // Refresh meetings
       refreshMeetings();
@@ -335,6 +346,76 @@ const useMeetings = (options = {}) => {
     }
   }, [refreshMeetings, enableHapticFeedback]);
   
+  // Sync meetings with the device calendar now
+  const syncCalendar = useCallback(async () => {
+    try {
+      const result = await calendarSyncService.syncCalendar();
+      
+      // Refresh meetings, which may have been imported or changed
+      refreshMeetings();
+      
+      return result;
+    } catch (err) {
+      console.error('Error syncing calendar:', err);
+      setError(err.message);
+      return null;
+    }
+  }, [refreshMeetings]);
+  
+  // Export meetings to an .ics file to share or attach to an email
+  const exportMeetingsToFile = useCallback(async (ids, exportOptions = {}) => {
+    try {
+      return await icalendarService.exportMeetingsToFile(ids, exportOptions);
+    } catch (err) {
+      console.error('Error exporting meetings:', err);
+      setError(err.message);
+      return null;
+    }
+  }, []);
+  
+  // Email invitations to a meeting's participants
+  const sendInvitations = useCallback(async (id, invitationOptions = {}) => {
+    try {
+      return await icalendarService.sendInvitations(id, invitationOptions);
+    } catch (err) {
+      console.error('Error sending invitations:', err);
+      setError(err.message);
+      return null;
+    }
+  }, []);
+  
+  // Import the meetings, tasks and reminders of an .ics file
+  const importCalendarFile = useCallback(async (uri, importOptions = {}) => {
+    try {
+      const result = await icalendarService.importFile(uri, importOptions);
+      
+      // Refresh meetings, which may have been imported or changed
+      refreshMeetings();
+      
+      return result;
+    } catch (err) {
+      console.error('Error importing calendar file:', err);
+      setError(err.message);
+      return null;
+    }
+  }, [refreshMeetings]);
+  
+  // Turn calendar sync on or off, or change its calendars
+  const setCalendarSyncSettings = useCallback(async (settings) => {
+    try {
+      const calendarSyncSettings = await calendarSyncService.setSettings(settings);
+      
+      // Refresh meetings, which are synced when sync is turned on
+      refreshMeetings();
+      
+      return calendarSyncSettings;
+    } catch (err) {
+      console.error('Error setting calendar sync settings:', err);
+      setError(err.message);
+      return null;
+    }
+  }, [refreshMeetings]);
+  
   // Update filters
   const updateFilters = useCallback((newFilters) => {
     setFilters(prevFilters => {
@@ -359,6 +440,9 @@ const useMeetings = (options = {}) => {
   // Clean up resources
   const cleanup = useCallback(async () => {
     try {
+      await calendarSyncService.cleanup();
+      await icalendarService.cleanup();
+      
       const success = await meetingService.cleanup();
       
       if (success) {
@@ -456,6 +540,9 @@ const useMeetings = (options = {}) => {
     statuses: MEETING_STATUSES,
     priorities: MEETING_PRIORITIES,
     contexts: MEETING_CONTEXTS,
+    editScopes: MEETING_EDIT_SCOPES,
+    participantRoles: PARTICIPANT_ROLES,
+    rsvpStatuses: RSVP_STATUSES,
     
     // Core functions
     initialize,
@@ -468,6 +555,13 @@ const useMeetings = (options = {}) => {
     removeParticipant,
     addAttachment,
     removeAttachment,
+    syncCalendar,
+    setCalendarSyncSettings,
+    getCalendarSyncSettings: calendarSyncService.getSettings,
+    getCalendarSyncStatus: calendarSyncService.getSyncStatus,
+    exportMeetingsToFile,
+    importCalendarFile,
+    sendInvitations,
     updateFilters,
     resetFilters,
     cleanup,
@@ -11,7 +11,10 @@ import * as Haptics from 'expo-haptics';
 import reminderService, { 
   REMINDER_CATEGORIES, 
   REMINDER_PRIORITIES, 
-  REMINDER_CONTEXTS 
+  REMINDER_CONTEXTS,
+  REMINDER_ACTIONS,
+  DELIVERY_HOLDS,
+  LOCATION_EVENTS
 } from '../services/reminders/ReminderService';
 import { useAce } from '../core/providers/AceProvider';
 import useLocalization from './useLocalization';
@@ -276,6 +279,119 @@ const useReminders = (options = {}) => {
     }
   }, [refreshReminders, enableHapticFeedback]);
   
+  // Skip one occurrence of a recurring reminder
+  const skipOccurrence = useCallback(async (id, occurrenceDate) => {
+    try {
+      const updatedReminder = await reminderService.skipOccurrence(id, occurrenceDate);
+      
+      // Refresh reminders
+      refreshReminders();
+      
+      return updatedReminder;
+    } catch (err) {
+      console.error('Error skipping reminder occurrence:', err);
+      setError(err.message);
+      return null;
+    }
+  }, [refreshReminders]);
+  
+  // Move one occurrence of a recurring reminder to another date
+  const moveOccurrence = useCallback(async (id, occurrenceDate, date) => {
+    try {
+      const updatedReminder = await reminderService.moveOccurrence(id, occurrenceDate, date);
+      
+      // Refresh reminders
+      refreshReminders();
+      
+      return updatedReminder;
+    } catch (err) {
+      console.error('Error moving reminder occurrence:', err);
+      setError(err.message);
+      return null;
+    }
+  }, [refreshReminders]);
+  
+  // Snooze or complete a reminder, as from its notification's actions
+  const performReminderAction = useCallback(async (id, action) => {
+    try {
+      const updatedReminder = await reminderService.performReminderAction(id, action);
+      
+      // Refresh reminders
+      refreshReminders();
+      
+      return updatedReminder;
+    } catch (err) {
+      console.error('Error performing reminder action:', err);
+      setError(err.message);
+      return null;
+    }
+  }, [refreshReminders]);
+  
+  // Change quiet hours, "do not disturb" windows and the work-hours profile
+  const setDeliverySettings = useCallback(async (settings) => {
+    try {
+      const deliverySettings = await reminderService.setDeliverySettings(settings);
+      
+      // Refresh reminders, whose delivery times may have moved
+      refreshReminders();
+      
+      return deliverySettings;
+    } catch (err) {
+      console.error('Error setting reminder delivery settings:', err);
+      setError(err.message);
+      return null;
+    }
+  }, [refreshReminders]);
+  
+  // Save a place that location-based reminders can fire at
+  const createPlace = useCallback(async (placeData) => {
+    try {
+      return await reminderService.createPlace(placeData);
+    } catch (err) {
+      console.error('Error creating place:', err);
+      setError(err.message);
+      return null;
+    }
+  }, []);
+  
+  // Save the device's current position as a place
+  const saveCurrentLocation = useCallback(async (name, placeData) => {
+    try {
+      return await reminderService.saveCurrentLocation(name, placeData);
+    } catch (err) {
+      console.error('Error saving current location:', err);
+      setError(err.message);
+      return null;
+    }
+  }, []);
+  
+  // Update a saved place
+  const updatePlace = useCallback(async (id, placeData) => {
+    try {
+      const place = await reminderService.updatePlace(id, placeData);
+      
+      // Refresh reminders, which move with their place
+      refreshReminders();
+      
+      return place;
+    } catch (err) {
+      console.error('Error updating place:', err);
+      setError(err.message);
+      return null;
+    }
+  }, [refreshReminders]);
+  
+  // Delete a saved place
+  const deletePlace = useCallback(async (id) => {
+    try {
+      return await reminderService.deletePlace(id);
+    } catch (err) {
+      console.error('Error deleting place:', err);
+      setError(err.message);
+      return false;
+    }
+  }, []);
+  
   // Update filters
   const updateFilters = useCallback((newFilters) => {
     setFilters(prevFilters => {
@@ -349,7 +465,7 @@ const useReminders = (options = {}) => {
   const getUpcomingReminders = useCallback((count = 5) => {
     const now = new Date();
     return reminders
-      .filter(r => !r.completed && r.active && new Date(r.dueDate) > now)
+      .filter(r => !r.completed && r.active && r.dueDate && new Date(r.dueDate) > now)
       .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate))
       .slice(0, count);
   }, [reminders]);
@@ -357,7 +473,7 @@ const useReminders = (options = {}) => {
   const getOverdueReminders = useCallback(() => {
     const now = new Date();
     return reminders
-      .filter(r => !r.completed && r.active && new Date(r.dueDate) < now)
+      .filter(r => !r.completed && r.active && r.dueDate && new Date(r.dueDate) < now)
       .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
   }, [reminders]);
   
@@ -386,6 +502,9 @@ const useReminders = (options = {}) => {
     categories: REMINDER_CATEGORIES,
     priorities: REMINDER_PRIORITIES,
     contexts: REMINDER_CONTEXTS,
+    actions: REMINDER_ACTIONS,
+    deliveryHolds: DELIVERY_HOLDS,
+    locationEvents: LOCATION_EVENTS,
     
     // Core functions
     initialize,
@@ -395,6 +514,16 @@ const useReminders = (options = {}) => {
     deleteReminder,
     toggleReminderCompletion,
     toggleReminderActive,
+    skipOccurrence,
+    moveOccurrence,
+    getOccurrences: reminderService.getOccurrences,
+    performReminderAction,
+    setDeliverySettings,
+    getDeliverySettings: reminderService.getDeliverySettings,
+    createPlace,
+    saveCurrentLocation,
+    updatePlace,
+    deletePlace,
     updateFilters,
     resetFilters,
     cleanup,
@@ -406,6 +535,10 @@ const useReminders = (options = {}) => {
     getRemindersByContext,
     getRemindersByPriority,
     getReminderById: reminderService.getReminderById,
+    getLastTriggeredReminder: reminderService.getLastTriggeredReminder,
+    getPlaces: reminderService.getPlaces,
+    getPlaceById: reminderService.getPlaceById,
+    findPlace: reminderService.findPlace,
     
     // Status checks
     isInitialized: () => initialized,
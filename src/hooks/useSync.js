@@ -35,6 +35,11 @@ const useSync = (options = {}) => {
   const [syncEnabled, setSyncEnabled] = useState(false);
   const [lastSyncTimestamp, setLastSyncTimestamp] = useState(0);
   const [pendingChangesCount, setPendingChangesCount] = useState(0);
+  const [conflicts, setConflicts] = useState([]);
+  const [consecutiveFailures, setConsecutiveFailures] = useState(0);
+  const [nextRetryAt, setNextRetryAt] = useState(null);
+  const [isDegraded, setIsDegraded] = useState(false);
+  const [devices, setDevices] = useState([]);
   const [error, setError] = useState(null);
   
   // Refs
@@ -58,6 +63,11 @@ const useSync = (options = {}) => {
         setSyncEnabled(status.syncEnabled);
         setLastSyncTimestamp(status.lastSyncTimestamp);
         setPendingChangesCount(status.pendingChangesCount);
+        setConflicts(syncService.getConflicts());
+        setConsecutiveFailures(status.consecutiveFailures);
+        setNextRetryAt(status.nextRetryAt);
+        setIsDegraded(status.degraded);
+        setDevices(syncService.getDevices());
         
         return true;
       } else {
@@ -197,6 +207,86 @@ const useSync = (options = {}) => {
     }
   }, [initialized, initialize]);
   
+  // Resolve a sync conflict
+  const resolveConflict = useCallback(async (conflictId, resolution, mergedData = null) => {
+    try {
+      setError(null);
+      
+      const resolvedVersion = await syncService.resolveConflict(conflictId, resolution, mergedData);
+      
+      // Provide haptic feedback
+      if (enableHapticFeedback) {
+        Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      }
+      
+      return resolvedVersion;
+    } catch (err) {
+      console.error('Error resolving conflict:', err);
+      setError(err.message);
+      return null;
+    }
+  }, [enableHapticFeedback]);
+  
+  // Start pairing a new device
+  const startPairing = useCallback(async (deviceName = null) => {
+    try {
+      setError(null);
+      return await syncService.startPairing(deviceName);
+    } catch (err) {
+      console.error('Error starting pairing:', err);
+      setError(err.message);
+      return null;
+    }
+  }, []);
+  
+  // Check whether the other device has confirmed the pairing code
+  const checkPairing = useCallback(async (code) => {
+    try {
+      const device = await syncService.checkPairing(code);
+      
+      if (device && enableHapticFeedback) {
+        Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      }
+      
+      return device;
+    } catch (err) {
+      console.error('Error checking pairing:', err);
+      setError(err.message);
+      return null;
+    }
+  }, [enableHapticFeedback]);
+  
+  // Confirm a pairing code or QR payload from another device
+  const confirmPairing = useCallback(async (input, deviceName = null) => {
+    try {
+      setError(null);
+      
+      const trustedDevices = await syncService.confirmPairing(input, deviceName);
+      
+      // Provide haptic feedback
+      if (enableHapticFeedback) {
+        Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      }
+      
+      return trustedDevices;
+    } catch (err) {
+      console.error('Error confirming pairing:', err);
+      setError(err.message);
+      return null;
+    }
+  }, [enableHapticFeedback]);
+  
+  // Revoke a trusted device
+  const revokeDevice = useCallback(async (deviceId) => {
+    const success = await syncService.revokeDevice(deviceId);
+    
+    if (!success) {
+      setError('Failed to revoke device');
+    }
+    
+    return success;
+  }, []);
+  
   // Reset sync
   const resetSync = useCallback(async () => {
     try {
@@ -206,6 +296,7 @@ const useSync = (options = {}) => {
         // Update state
         setLastSyncTimestamp(0);
         setPendingChangesCount(0);
+        setConflicts([]);
         
         // Provide haptic feedback
         if (enableHapticFeedback) {
@@ -233,32 +324,50 @@ const useSync = (options = {}) => {
           setSyncEnabled(event.syncEnabled);
         }
         break;
-        
+      
       case 'sync':
         setIsSyncing(false);
+        setConsecutiveFailures(event.consecutiveFailures || 0);
+        setNextRetryAt(event.nextRetryAt || null);
+        setIsDegraded(!!event.degraded);
         if (event.success) {
           setLastSyncTimestamp(event.timestamp);
-          setPendingChangesCount(0);
+          setPendingChangesCount(syncService.getSyncStatus().pendingChangesCount);
         } else if (event.error) {
           setError(event.error);
         }
         break;
-        
+      
       case 'connectivity':
         setIsOnline(event.isOnline);
         break;
-        
+      
       case 'change':
+      case 'overflow':
         // Update pending changes count
         const status = syncService.getSyncStatus();
         setPendingChangesCount(status.pendingChangesCount);
         break;
-        
+      
+      case 'devices':
+        setDevices(event.devices);
+        break;
+      
+      case 'conflict':
+      case 'conflict_resolved':
+        setConflicts(syncService.getConflicts());
+        break;
+      
       case 'reset':
         setLastSyncTimestamp(0);
         setPendingChangesCount(0);
+        setConflicts([]);
+        setConsecutiveFailures(0);
+        setNextRetryAt(null);
+        setIsDegraded(false);
+        setDevices([]);
         break;
-        
+      
       default:
         break;
     }
@@ -319,12 +428,23 @@ const useSync = (options = {}) => {
     syncEnabled,
     lastSyncTimestamp,
     pendingChangesCount,
+    conflicts,
+    conflictsCount: conflicts.length,
+    consecutiveFailures,
+    nextRetryAt,
+    isDegraded,
+    devices,
     error,
     initialize,
     startSync,
     stopSync,
     forceSync,
     trackChange,
+    resolveConflict,
+    startPairing,
+    checkPairing,
+    confirmPairing,
+    revokeDevice,
     resetSync,
     // Helper functions
     getLastSyncTime: () => {
@@ -11,7 +11,8 @@ import * as Haptics from 'expo-haptics';
 import taskService, { 
   TASK_STATUSES, 
   TASK_PRIORITIES, 
-  TASK_CONTEXTS 
+  TASK_CONTEXTS,
+  TASK_RECURRENCE_MODES
 } from '../services/organization/TaskService';
 import { useAce } from '../core/providers/AceProvider';
 import useLocalization from './useLocalization';
@@ -409,6 +410,7 @@ const useTasks = (options = {}) => {
     statuses: TASK_STATUSES,
     priorities: TASK_PRIORITIES,
     contexts: TASK_CONTEXTS,
+    recurrenceModes: TASK_RECURRENCE_MODES,
     
     // Core functions
     initialize,
@@ -431,6 +433,7 @@ const useTasks = (options = {}) => {
     getTasksByContext,
     getTasksByPriority,
     getTaskById: taskService.getTaskById,
+    getTaskHistory: taskService.getTaskHistory,
     
     // Status checks
     isInitialized: () => initialized,
@@ -136,7 +136,13 @@ const useVoiceCommandIntegration = () => {
           t('voice.examples.reminder.create'),
           t('voice.examples.reminder.list'),
           t('voice.examples.reminder.complete'),
-          t('voice.examples.reminder.delete')
+          t('voice.examples.reminder.delete'),
+          t('voice.examples.reminder.location')
+        ],
+        search: [
+          t('voice.examples.search.find'),
+          t('voice.examples.search.person'),
+          t('voice.examples.search.follow_up')
         ]
       };
     }
@@ -0,0 +1,131 @@
+/**
+ * Change Bus for Ace Assistant
+ * 
+ * The change bus carries typed domain events published by the organization
+ * services (tasks, emails, meetings, reminders) whenever one of their records
+ * is created, changed or removed. Other modules, such as sync, subscribe to
+ * the bus instead of wrapping the services' methods.
+ */
+
+// Constants
+const DOMAIN_EVENTS = {
+  TASK_CREATED: 'task.created',
+  TASK_UPDATED: 'task.updated',
+  TASK_DELETED: 'task.deleted',
+  EMAIL_CREATED: 'email.created',
+  EMAIL_UPDATED: 'email.updated',
+  EMAIL_DELETED: 'email.deleted',
+  EMAIL_SENT: 'email.sent',
+  MEETING_CREATED: 'meeting.created',
+  MEETING_UPDATED: 'meeting.updated',
+  MEETING_DELETED: 'meeting.deleted',
+  MEETING_STARTED: 'meeting.started',
+  REMINDER_CREATED: 'reminder.created',
+  REMINDER_UPDATED: 'reminder.updated',
+  REMINDER_DELETED: 'reminder.deleted'
+};
+
+// Where a change came from. Remote changes were made on another device and
+// applied here, so they must not be sent back to the sync server. Calendar
+// changes were read from the device calendar and must not be written back.
+const EVENT_ORIGINS = {
+  LOCAL: 'local',
+  REMOTE: 'remote',
+  CALENDAR: 'calendar'
+};
+
+// Sync change action for each event verb
+const EVENT_ACTIONS = {
+  created: 'create',
+  updated: 'update',
+  deleted: 'delete',
+  sent: 'send',
+  started: 'start'
+};
+
+/**
+ * Class representing the Change Bus
+ */
+class ChangeBus {
+  constructor() {
+    // Initialize properties
+    this.listeners = [];
+    this.sequence = 0;
+    
+    // Bind methods
+    this.subscribe = this.subscribe.bind(this);
+    this.publish = this.publish.bind(this);
+    this.clear = this.clear.bind(this);
+  }
+  
+  /**
+   * Subscribe to domain events
+   * @param {Function} listener - Listener called with each event
+   * @param {Array<string>} types - Event types to receive (defaults to all)
+   * @returns {Function} Function to unsubscribe
+   */
+  subscribe(listener, types = null) {
+    const subscription = { listener, types };
+    this.listeners.push(subscription);
+    
+    return () => {
+      this.listeners = this.listeners.filter(s => s !== subscription);
+    };
+  }
+  
+  /**
+   * Publish a domain event
+   * @param {string} type - Event type (see DOMAIN_EVENTS)
+   * @param {string} entityId - ID of the changed record
+   * @param {Object} data - Record after the change (null for deletes)
+   * @param {Object} options - Event options (origin)
+   * @returns {Promise<Object>} Published event
+   */
+  async publish(type, entityId, data = null, options = {}) {
+    const [entityType, verb] = type.split('.');
+    
+    if (!EVENT_ACTIONS[verb]) {
+      throw new Error(`Unknown domain event type: ${type}`);
+    }
+    
+    const event = {
+      sequence: ++this.sequence,
+      type,
+      entityType,
+      action: EVENT_ACTIONS[verb],
+      entityId,
+      data,
+      origin: options.origin || EVENT_ORIGINS.LOCAL,
+      occurredAt: new Date().toISOString()
+    };
+    
+    // Listeners run in order; a failing listener must not fail the change
+    // that was already saved by the publishing service
+    for (const { listener, types } of [...this.listeners]) {
+      if (types && !types.includes(type)) {
+        continue;
+      }
+      
+      try {
+        await listener(event);
+      } catch (error) {
+        console.error(`Error handling domain event ${type}:`, error);
+      }
+    }
+    
+    return event;
+  }
+  
+  /**
+   * Remove all listeners
+   */
+  clear() {
+    this.listeners = [];
+  }
+}
+
+// Create a singleton instance
+const changeBus = new ChangeBus();
+
+export default changeBus;
+export { ChangeBus, DOMAIN_EVENTS, EVENT_ORIGINS };
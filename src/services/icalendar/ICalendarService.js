@@ -0,0 +1,985 @@
+/**
+ * iCalendar Service for Ace Assistant
+ * 
+ * This service exports meetings as iCalendar (.ics) data and imports
+ * iCalendar files and email attachments. Events become meetings, with their
+ * organizer, attendees, agenda, recurrence and changed occurrences; to-dos
+ * become tasks, or reminders when asked. Alarms become the alerts of the
+ * meeting's, task's or reminder's reminder.
+ * 
+ * Meetings keep the time zone their times were given in and are written
+ * back in it. Events imported again by their UID update the meeting they
+ * were imported into.
+ * 
+ * Invitations are sent by email as iTIP REQUESTs (RFC 5546). Participants
+ * answer with a REPLY, which sets their RSVP status when the email arrives
+ * or the reply is attached to it later.
+ */
+
+import * as FileSystem from 'expo-file-system';
+import meetingService, { PARTICIPANT_ROLES, RSVP_STATUSES, getOccurrenceId } from '../organization/MeetingService';
+import taskService from '../organization/TaskService';
+import emailService, { EMAIL_STATUSES } from '../organization/EmailService';
+import reminderService from '../reminders/ReminderService';
+import changeBus, { DOMAIN_EVENTS, EVENT_ORIGINS } from '../events/ChangeBus';
+import { formatRRule, normalizeRecurrence } from '../recurrence/recurrenceRules';
+import {
+  ICALENDAR_PRODUCT_ID,
+  ICALENDAR_MIME_TYPE,
+  ICALENDAR_METHODS,
+  escapeText,
+  parseICalendar,
+  formatICalendar,
+  createComponent,
+  getProperty,
+  getProperties,
+  getText,
+  readTimeZones,
+  readDateTime,
+  readDateTimes,
+  formatDateTime,
+  parseDuration,
+  formatDuration,
+  buildVTimezone
+} from './icalendar';
+import { isKnownTimeZone } from './timeZones';
+
+// Constants
+const ICALENDAR_UID_DOMAIN = 'ace-assistant';
+
+// What imported to-dos become
+const ICALENDAR_TODO_TARGETS = {
+  TASKS: 'tasks',
+  REMINDERS: 'reminders'
+};
+
+// Heading of the agenda in event descriptions, by language
+const AGENDA_HEADINGS = {
+  en: 'Agenda:',
+  zh: '议程：'
+};
+
+// Subject of invitation emails, followed by the meeting title, by language
+const INVITATION_SUBJECTS = {
+  en: 'Invitation: ',
+  zh: '会议邀请：'
+};
+
+// iCalendar attendee roles by participant role
+const ATTENDEE_ROLES = {
+  [PARTICIPANT_ROLES.REQUIRED]: 'REQ-PARTICIPANT',
+  [PARTICIPANT_ROLES.OPTIONAL]: 'OPT-PARTICIPANT',
+  [PARTICIPANT_ROLES.ORGANIZER]: 'CHAIR'
+};
+
+// iCalendar participation statuses by RSVP status
+const PARTICIPATION_STATUSES = {
+  [RSVP_STATUSES.NEEDS_ACTION]: 'NEEDS-ACTION',
+  [RSVP_STATUSES.ACCEPTED]: 'ACCEPTED',
+  [RSVP_STATUSES.DECLINED]: 'DECLINED',
+  [RSVP_STATUSES.TENTATIVE]: 'TENTATIVE'
+};
+
+// iCalendar priorities (1 highest to 9 lowest) by Ace priority
+const PRIORITY_VALUES = {
+  high: 1,
+  medium: 5,
+  low: 9
+};
+
+const TASK_STATUS_VALUES = {
+  todo: 'NEEDS-ACTION',
+  in_progress: 'IN-PROCESS',
+  completed: 'COMPLETED'
+};
+
+/**
+ * Get the text of an agenda item, given as a string or as an object with a title
+ * @param {string|Object} item - Agenda item
+ * @returns {string} Item text
+ */
+function getAgendaItemText(item) {
+  return typeof item === 'string' ? item : [item.title, item.description].filter(Boolean).join(': ');
+}
+
+/**
+ * Write a meeting's description with its agenda after it
+ * @param {Object} meeting - Meeting
+ * @returns {string} Event description
+ */
+function formatDescription(meeting) {
+  const agenda = (meeting.agenda || []).map(getAgendaItemText).filter(Boolean);
+  
+  if (agenda.length === 0) {
+    return meeting.description || '';
+  }
+  
+  const heading = AGENDA_HEADINGS[meeting.language] || AGENDA_HEADINGS.en;
+  const agendaText = [heading, ...agenda.map(item => `- ${item}`)].join('\n');
+  
+  return meeting.description ? `${meeting.description}\n\n${agendaText}` : agendaText;
+}
+
+/**
+ * Split an event description into the description and the agenda after it
+ * @param {string} text - Event description
+ * @returns {Object} Description and agenda items
+ */
+function parseDescription(text) {
+  const lines = String(text || '').split('\n');
+  const headingIndex = lines.findIndex(line => Object.values(AGENDA_HEADINGS).includes(line.trim()));
+  
+  if (headingIndex === -1 || !lines.slice(headingIndex + 1).every(line => !line.trim() || /^\s*-\s/.test(line))) {
+    return { description: String(text || '').trim(), agenda: [] };
+  }
+  
+  return {
+    description: lines.slice(0, headingIndex).join('\n').trim(),
+    agenda: lines.slice(headingIndex + 1)
+      .filter(line => line.trim())
+      .map(line => line.replace(/^\s*-\s/, '').trim())
+  };
+}
+
+/**
+ * Get the email address of a CAL-ADDRESS value such as 'mailto:li@example.com'
+ * @param {string} value - Calendar address
+ * @returns {string} Email address
+ */
+function getEmailAddress(value) {
+  return String(value).replace(/^mailto:/i, '').trim().toLowerCase();
+}
+
+/**
+ * Get the email address of the sender of an email, which may be an address,
+ * a 'Name <address>' string or a person with an email
+ * @param {string|Object} from - Sender
+ * @returns {string} Email address
+ */
+function getSenderAddress(from) {
+  const value = from && typeof from === 'object' ? from.email : from || '';
+  const match = String(value).match(/<([^>]+)>/);
+  
+  return getEmailAddress(match ? match[1] : value);
+}
+
+/**
+ * Check whether an email attachment holds iCalendar data. Its type may
+ * carry the scheduling method, as in 'text/calendar; method=REQUEST'.
+ * @param {Object} attachment - Email attachment
+ * @returns {boolean} Whether the attachment is iCalendar data
+ */
+function isCalendarAttachment(attachment) {
+  return String(attachment.type || '').split(';')[0].trim() === ICALENDAR_MIME_TYPE || /\.ics$/i.test(attachment.name);
+}
+
+/**
+ * Read a participant from an ATTENDEE property
+ * @param {Object} attendee - ATTENDEE property
+ * @returns {Object} Participant email, name, role and RSVP status
+ */
+function readAttendee(attendee) {
+  const findKey = (values, value) => Object.keys(values).find(key => values[key] === value);
+  
+  return {
+    email: getEmailAddress(attendee.value),
+    name: attendee.params.CN || '',
+    role: findKey(ATTENDEE_ROLES, attendee.params.ROLE) || PARTICIPANT_ROLES.REQUIRED,
+    rsvp: findKey(PARTICIPATION_STATUSES, attendee.params.PARTSTAT) || RSVP_STATUSES.NEEDS_ACTION
+  };
+}
+
+/**
+ * Get the Ace priority of an iCalendar priority
+ * @param {string|null} value - iCalendar priority (0 for none)
+ * @returns {string|undefined} Ace priority
+ */
+function readPriority(value) {
+  const priority = parseInt(value, 10);
+  
+  if (!priority) {
+    return undefined;
+  }
+  
+  return priority < 5 ? 'high' : priority === 5 ? 'medium' : 'low';
+}
+
+/**
+ * Get the alerts of a component's alarms that go off before it starts
+ * @param {Object} component - Event or to-do
+ * @returns {Array<number>} Minutes before the start or due date
+ */
+function readAlerts(component) {
+  return component.components
+    .filter(alarm => alarm.name === 'VALARM')
+    .map(alarm => getProperty(alarm, 'TRIGGER'))
+    .filter(trigger => trigger && trigger.params.VALUE !== 'DATE-TIME' && trigger.params.RELATED !== 'END')
+    .map(trigger => -Math.round(parseDuration(trigger.value) / 60000))
+    .filter(offset => offset >= 0);
+}
+
+/**
+ * Create the alarms of a reminder's alerts
+ * @param {Object|null} reminder - Reminder
+ * @param {string} title - Alarm text
+ * @returns {Array<Object>} VALARM components
+ */
+function createAlarms(reminder, title) {
+  return (reminder && reminder.alerts ? reminder.alerts : []).map(alert => createComponent('VALARM', [
+    ['ACTION', 'DISPLAY'],
+    ['DESCRIPTION', escapeText(title)],
+    ['TRIGGER', formatDuration(-alert.offset * 60000)]
+  ]));
+}
+
+/**
+ * Class representing the iCalendar Service
+ */
+class ICalendarService {
+  constructor() {
+    // Initialize properties
+    this.initialized = false;
+    this.changeBusListener = null;
+    this.initializedAt = null;
+    this.handledAttachmentIds = new Set();
+    
+    // Bind methods
+    this.initialize = this.initialize.bind(this);
+    this.handleDomainEvent = this.handleDomainEvent.bind(this);
+    this.exportMeetings = this.exportMeetings.bind(this);
+    this.exportMeetingsToFile = this.exportMeetingsToFile.bind(this);
+    this.createMeetingEvents = this.createMeetingEvents.bind(this);
+    this.createEventComponent = this.createEventComponent.bind(this);
+    this.getMeetingUid = this.getMeetingUid.bind(this);
+    this.findMeetingByUid = this.findMeetingByUid.bind(this);
+    this.importICalendar = this.importICalendar.bind(this);
+    this.importFile = this.importFile.bind(this);
+    this.importEmailAttachments = this.importEmailAttachments.bind(this);
+    this.readEvent = this.readEvent.bind(this);
+    this.importEvent = this.importEvent.bind(this);
+    this.importTodo = this.importTodo.bind(this);
+    this.setReminderAlerts = this.setReminderAlerts.bind(this);
+    this.sendInvitations = this.sendInvitations.bind(this);
+    this.applyReply = this.applyReply.bind(this);
+    this.cleanup = this.cleanup.bind(this);
+  }
+  
+  /**
+   * Initialize the iCalendar Service
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    try {
+      if (this.initialized) {
+        return true;
+      }
+      
+      // Answers to invitations arrive as emails, or are attached to them later
+      this.changeBusListener = changeBus.subscribe(this.handleDomainEvent, [
+        DOMAIN_EVENTS.EMAIL_CREATED,
+        DOMAIN_EVENTS.EMAIL_UPDATED
+      ]);
+      this.initializedAt = new Date().toISOString();
+      
+      this.initialized = true;
+      return true;
+    } catch (error) {
+      console.error('Error initializing iCalendar Service:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Apply the invitation replies attached to received emails. Each
+   * attachment is applied once: when the email is created, or when it is
+   * added to the email later. Emails synced from another device are skipped,
+   * as their attachments are files on that device and were applied there.
+   * @param {Object} event - Domain event
+   * @returns {Promise<void>}
+   */
+  async handleDomainEvent(event) {
+    const email = event.data;
+    
+    if (!email || event.origin === EVENT_ORIGINS.REMOTE || email.status !== EMAIL_STATUSES.RECEIVED) {
+      return;
+    }
+    
+    // Attachments added before the service started were applied when they were added
+    const attachments = email.attachments.filter(attachment => isCalendarAttachment(attachment) && (
+      event.type === DOMAIN_EVENTS.EMAIL_CREATED ||
+      (attachment.addedAt >= this.initializedAt && !this.handledAttachmentIds.has(attachment.id))
+    ));
+    
+    if (attachments.length === 0) {
+      return;
+    }
+    
+    attachments.forEach(attachment => this.handledAttachmentIds.add(attachment.id));
+    
+    await this.importEmailAttachments(event.entityId, {
+      repliesOnly: true,
+      attachmentIds: attachments.map(attachment => attachment.id)
+    });
+  }
+  
+  /**
+   * Export meetings as iCalendar data
+   * @param {Array<string>} ids - Meeting IDs
+   * @param {Object} options - Options
+   * @param {string} options.method - Scheduling method (ICALENDAR_METHODS, defaults to PUBLISH)
+   * @returns {string} iCalendar data
+   */
+  exportMeetings(ids, options = {}) {
+    try {
+      const meetings = ids.map(id => {
+        const meeting = meetingService.getMeetingById(id);
+        
+        if (!meeting) {
+          throw new Error(`Meeting with ID ${id} not found`);
+        }
+        
+        return meeting;
+      });
+      
+      // Each time zone used is defined once, from the year of its first meeting
+      const timeZones = {};
+      
+      meetings.forEach(meeting => {
+        if (meeting.timeZone && isKnownTimeZone(meeting.timeZone) && !timeZones[meeting.timeZone]) {
+          timeZones[meeting.timeZone] = buildVTimezone(meeting.timeZone, new Date(meeting.startTime).getUTCFullYear());
+        }
+      });
+      
+      const calendar = createComponent('VCALENDAR', [
+        ['PRODID', ICALENDAR_PRODUCT_ID],
+        ['VERSION', '2.0'],
+        ['CALSCALE', 'GREGORIAN'],
+        ['METHOD', options.method || ICALENDAR_METHODS.PUBLISH]
+      ], [
+        ...Object.values(timeZones),
+        ...meetings.flatMap(this.createMeetingEvents)
+      ]);
+      
+      return formatICalendar(calendar);
+    } catch (error) {
+      console.error('Error exporting meetings:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Export meetings to an .ics file, to share or attach to an email
+   * @param {Array<string>} ids - Meeting IDs
+   * @param {Object} options - Options (method, fileName)
+   * @returns {Promise<Object>} Attachment with the file's name, URI, type and size
+   */
+  async exportMeetingsToFile(ids, options = {}) {
+    try {
+      const content = this.exportMeetings(ids, options);
+      const name = options.fileName || (ids.length === 1 ? 'invite.ics' : 'meetings.ics');
+      const uri = `${FileSystem.cacheDirectory}${Date.now()}-${name}`;
+      
+      await FileSystem.writeAsStringAsync(uri, content);
+      
+      return {
+        name,
+        uri,
+        type: ICALENDAR_MIME_TYPE,
+        size: content.length
+      };
+    } catch (error) {
+      console.error('Error exporting meetings to file:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the UID of a meeting's events
+   * @param {Object} meeting - Meeting
+   * @returns {string} UID
+   */
+  getMeetingUid(meeting) {
+    return meeting.icalUid || `${meeting.id}@${ICALENDAR_UID_DOMAIN}`;
+  }
+  
+  /**
+   * Find the meeting events with a UID were imported into or exported from
+   * @param {string} uid - UID
+   * @returns {Object|null} Meeting
+   */
+  findMeetingByUid(uid) {
+    const meeting = meetingService.getMeetings().find(m => m.icalUid === uid);
+    
+    if (meeting) {
+      return meeting;
+    }
+    
+    const suffix = `@${ICALENDAR_UID_DOMAIN}`;
+    return uid.endsWith(suffix) ? meetingService.getMeetingById(uid.slice(0, -suffix.length)) : null;
+  }
+  
+  /**
+   * Create the events of a meeting: the meeting itself, and for a series
+   * each changed occurrence
+   * @param {Object} meeting - Meeting
+   * @returns {Array<Object>} VEVENT components
+   */
+  createMeetingEvents(meeting) {
+    const reminder = meeting.reminderId ? reminderService.getReminderById(meeting.reminderId) : null;
+    const event = this.createEventComponent(meeting, reminder);
+    
+    if (!meeting.recurrence) {
+      return [event];
+    }
+    
+    const exceptions = meeting.recurrenceExceptions || [];
+    const skipped = exceptions.filter(exception => exception.skipped);
+    
+    skipped.forEach(exception => {
+      const { value, params } = formatDateTime(exception.occurrenceDate, meeting.timeZone);
+      event.properties.push({ name: 'EXDATE', params, value });
+    });
+    
+    // Moved and changed occurrences are events of their own
+    const changedDates = new Set([
+      ...exceptions.filter(exception => !exception.skipped).map(exception => exception.occurrenceDate),
+      ...Object.keys(meeting.occurrences || {})
+    ]);
+    
+    const overrides = [...changedDates]
+      .filter(occurrenceDate => !skipped.some(exception => exception.occurrenceDate === occurrenceDate))
+      .map(occurrenceDate => meetingService.getMeetingById(getOccurrenceId(meeting.id, occurrenceDate)))
+      .filter(Boolean)
+      .map(occurrence => this.createEventComponent(occurrence, null, occurrence.occurrenceDate));
+    
+    return [event, ...overrides];
+  }
+  
+  /**
+   * Create the event of a meeting or of one of its occurrences
+   * @param {Object} meeting - Meeting or occurrence
+   * @param {Object|null} reminder - Meeting reminder, whose alerts become alarms
+   * @param {string|null} occurrenceDate - Original start time of an occurrence
+   * @returns {Object} VEVENT component
+   */
+  createEventComponent(meeting, reminder = null, occurrenceDate = null) {
+    const series = occurrenceDate ? meetingService.getMeetingById(meeting.seriesId) : meeting;
+    const timeZone = series.timeZone;
+    const date = value => formatDateTime(value, timeZone);
+    const property = (name, value) => [name, value.value, value.params];
+    const stamp = formatDateTime(series.updatedAt || new Date()).value;
+    
+    const properties = [
+      ['UID', this.getMeetingUid(series)],
+      ['DTSTAMP', stamp],
+      occurrenceDate ? property('RECURRENCE-ID', date(occurrenceDate)) : [],
+      property('DTSTART', date(meeting.startTime)),
+      meeting.endTime ? property('DTEND', date(meeting.endTime)) : [],
+      ['SUMMARY', escapeText(meeting.title)],
+      ['DESCRIPTION', escapeText(formatDescription(meeting))],
+      ['LOCATION', escapeText(meeting.location || '')],
+      ['URL', meeting.meetUrl || meeting.meetingLink || ''],
+      ['STATUS', meeting.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'],
+      ['PRIORITY', PRIORITY_VALUES[meeting.priority]],
+      !occurrenceDate && series.recurrence ? ['RRULE', formatRRule(series.recurrence)] : [],
+      series.organizer ? ['ORGANIZER', `mailto:${series.organizer}`] : [],
+      ...(meeting.participants || []).map(participant => ['ATTENDEE', `mailto:${participant.email}`, {
+        CN: participant.name,
+        ROLE: ATTENDEE_ROLES[participant.role],
+        PARTSTAT: PARTICIPATION_STATUSES[participant.rsvp],
+        RSVP: participant.role === PARTICIPANT_ROLES.ORGANIZER ? null : 'TRUE'
+      }])
+    ].filter(entry => entry.length > 0);
+    
+    return createComponent('VEVENT', properties, createAlarms(reminder, meeting.title));
+  }
+  
+  /**
+   * Import iCalendar data
+   * @param {string} text - iCalendar data
+   * @param {Object} options - Options
+   * @param {string} options.todos - What to-dos become (ICALENDAR_TODO_TARGETS, defaults to tasks)
+   * @param {boolean} options.repliesOnly - Only apply answers to invitations
+   * @param {string} options.sender - Email address the data came from; replies only
+   *   change the RSVP status of this attendee
+   * @returns {Promise<Object>} Imported meetings, tasks and reminders, replies applied, and the items skipped with why
+   */
+  async importICalendar(text, options = {}) {
+    try {
+      const result = { meetings: [], tasks: [], reminders: [], replies: [], skipped: [] };
+      
+      for (const calendar of parseICalendar(text)) {
+        const timeZones = readTimeZones(calendar);
+        const method = getText(calendar, 'METHOD');
+        const events = calendar.components.filter(component => component.name === 'VEVENT');
+        
+        // Replies answer invitations and do not describe events to import
+        if (method === ICALENDAR_METHODS.REPLY) {
+          for (const event of events) {
+            try {
+              const { replies, skipped } = await this.applyReply(event, timeZones, options.sender);
+              result.replies.push(...replies);
+              result.skipped.push(...skipped);
+            } catch (error) {
+              console.warn('Error applying invitation reply:', error);
+              result.skipped.push({ uid: getText(event, 'UID'), error: error.message });
+            }
+          }
+          
+          continue;
+        }
+        
+        if (options.repliesOnly) {
+          continue;
+        }
+        
+        // Changed occurrences are imported with their series
+        const overrides = {};
+        
+        events.filter(event => getProperty(event, 'RECURRENCE-ID')).forEach(event => {
+          const uid = getText(event, 'UID');
+          overrides[uid] = [...(overrides[uid] || []), event];
+        });
+        
+        for (const event of events.filter(e => !getProperty(e, 'RECURRENCE-ID'))) {
+          const uid = getText(event, 'UID');
+          
+          try {
+            const meetingData = this.readEvent(event, overrides[uid] || [], timeZones);
+            
+            if (method === ICALENDAR_METHODS.CANCEL) {
+              meetingData.status = 'cancelled';
+            }
+            
+            result.meetings.push(await this.importEvent(meetingData, readAlerts(event)));
+          } catch (error) {
+            console.warn('Error importing event:', error);
+            result.skipped.push({ uid, error: error.message });
+          }
+        }
+        
+        for (const todo of calendar.components.filter(component => component.name === 'VTODO')) {
+          try {
+            const item = await this.importTodo(todo, timeZones, options.todos);
+            result[options.todos === ICALENDAR_TODO_TARGETS.REMINDERS ? 'reminders' : 'tasks'].push(item);
+          } catch (error) {
+            console.warn('Error importing to-do:', error);
+            result.skipped.push({ uid: getText(todo, 'UID'), error: error.message });
+          }
+        }
+      }
+      
+      console.log(`Imported ${result.meetings.length} meetings, ${result.tasks.length} tasks and ${result.reminders.length} reminders`);
+      
+      return result;
+    } catch (error) {
+      console.error('Error importing iCalendar data:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Import an .ics file
+   * @param {string} uri - File URI
+   * @param {Object} options - Import options (todos, repliesOnly)
+   * @returns {Promise<Object>} Imported meetings, tasks and reminders, replies applied, and the items skipped
+   */
+  async importFile(uri, options = {}) {
+    try {
+      const text = await FileSystem.readAsStringAsync(uri);
+      return await this.importICalendar(text, options);
+    } catch (error) {
+      console.error('Error importing iCalendar file:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Import the iCalendar attachments of an email, such as invitations and
+   * their replies
+   * @param {string} emailId - Email ID
+   * @param {Object} options - Import options (todos, repliesOnly)
+   * @param {Array<string>} options.attachmentIds - Only import these attachments
+   * @returns {Promise<Object>} Imported meetings, tasks and reminders, replies applied, and the items skipped
+   */
+  async importEmailAttachments(emailId, options = {}) {
+    try {
+      const email = emailService.getEmailById(emailId);
+      
+      if (!email) {
+        throw new Error(`Email with ID ${emailId} not found`);
+      }
+      
+      const result = { meetings: [], tasks: [], reminders: [], replies: [], skipped: [] };
+      const attachments = email.attachments.filter(attachment => isCalendarAttachment(attachment) &&
+        (!options.attachmentIds || options.attachmentIds.includes(attachment.id)));
+      
+      // Replies in an email can only answer for its sender
+      const { attachmentIds, ...fileOptions } = options;
+      const importOptions = { ...fileOptions, sender: getSenderAddress(email.from) };
+      
+      for (const attachment of attachments) {
+        const imported = await this.importFile(attachment.uri, importOptions);
+        
+        Object.keys(result).forEach(key => {
+          result[key].push(...imported[key]);
+        });
+      }
+      
+      return result;
+    } catch (error) {
+      console.error('Error importing email attachments:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Read the meeting of an event and its changed occurrences
+   * @param {Object} event - VEVENT component
+   * @param {Array<Object>} overrides - VEVENT components of changed occurrences
+   * @param {Object} timeZones - Time zones defined in the calendar, by TZID
+   * @returns {Object} Meeting data
+   */
+  readEvent(event, overrides, timeZones) {
+    const dtstart = getProperty(event, 'DTSTART');
+    
+    if (!dtstart) {
+      throw new Error('Event start time is required');
+    }
+    
+    const start = readDateTime(dtstart, timeZones);
+    const getEnd = (component, startTime, dateOnly) => {
+      const dtend = getProperty(component, 'DTEND');
+      const duration = getProperty(component, 'DURATION');
+      
+      if (dtend) {
+        return readDateTime(dtend, timeZones).date;
+      }
+      
+      if (duration) {
+        return new Date(new Date(startTime).getTime() + parseDuration(duration.value)).toISOString();
+      }
+      
+      // An event on a date lasts the day
+      return dateOnly ? new Date(new Date(startTime).getTime() + 24 * 60 * 60 * 1000).toISOString() : null;
+    };
+    
+    const rrule = getProperty(event, 'RRULE');
+    const { description, agenda } = parseDescription(getText(event, 'DESCRIPTION'));
+    const organizerProperty = getProperty(event, 'ORGANIZER');
+    const organizer = organizerProperty ? getEmailAddress(organizerProperty.value) : null;
+    const title = getText(event, 'SUMMARY') || 'Untitled event';
+    const location = getText(event, 'LOCATION') || '';
+    
+    const meetingData = {
+      icalUid: getText(event, 'UID'),
+      title,
+      description,
+      agenda,
+      location,
+      startTime: start.date,
+      endTime: getEnd(event, start.date, start.dateOnly),
+      timeZone: start.timeZone,
+      recurrence: rrule ? normalizeRecurrence(rrule.value) : null,
+      recurrenceExceptions: [],
+      occurrences: {},
+      // The organizer stays a participant, so their answer is kept
+      participants: getProperties(event, 'ATTENDEE')
+        .map(readAttendee)
+        .filter(participant => participant.email)
+        .map(participant => participant.email === organizer
+          ? { ...participant, role: PARTICIPANT_ROLES.ORGANIZER }
+          : participant),
+      meetUrl: getText(event, 'URL') || null,
+      status: getText(event, 'STATUS') === 'CANCELLED' ? 'cancelled' : undefined,
+      priority: readPriority(getText(event, 'PRIORITY'))
+    };
+    
+    if (organizer) {
+      meetingData.organizer = organizer;
+    }
+    
+    if (!meetingData.recurrence) {
+      return meetingData;
+    }
+    
+    getProperties(event, 'EXDATE').forEach(exdate => {
+      readDateTimes(exdate, timeZones).forEach(occurrenceDate => {
+        meetingData.recurrenceExceptions.push({ occurrenceDate, skipped: true });
+      });
+    });
+    
+    overrides.forEach(override => {
+      const occurrenceDate = readDateTime(getProperty(override, 'RECURRENCE-ID'), timeZones).date;
+      
+      if (getText(override, 'STATUS') === 'CANCELLED') {
+        meetingData.recurrenceExceptions.push({ occurrenceDate, skipped: true });
+        return;
+      }
+      
+      const overrideStart = readDateTime(getProperty(override, 'DTSTART'), timeZones);
+      const changes = {};
+      
+      if (overrideStart.date !== occurrenceDate) {
+        meetingData.recurrenceExceptions.push({ occurrenceDate, date: overrideStart.date });
+      }
+      
+      const overrideDescription = parseDescription(getText(override, 'DESCRIPTION'));
+      const overrideEnd = getEnd(override, overrideStart.date, overrideStart.dateOnly);
+      const overrideTitle = getText(override, 'SUMMARY');
+      const overrideLocation = getText(override, 'LOCATION');
+      
+      if (overrideTitle !== null && overrideTitle !== title) {
+        changes.title = overrideTitle;
+      }
+      
+      if (overrideLocation !== null && overrideLocation !== location) {
+        changes.location = overrideLocation;
+      }
+      
+      if (overrideDescription.description !== description) {
+        changes.description = overrideDescription.description;
+      }
+      
+      // Moved occurrences keep their own end time, as they do when moved in Ace
+      if (overrideEnd && (overrideStart.date !== occurrenceDate || !meetingData.endTime ||
+          new Date(overrideEnd) - new Date(overrideStart.date) !== new Date(meetingData.endTime) - new Date(meetingData.startTime))) {
+        changes.endTime = overrideEnd;
+      }
+      
+      if (Object.keys(changes).length > 0) {
+        meetingData.occurrences[occurrenceDate] = changes;
+      }
+    });
+    
+    return meetingData;
+  }
+  
+  /**
+   * Import a meeting read from an event, updating the meeting imported
+   * from an earlier copy of the event
+   * @param {Object} meetingData - Meeting data
+   * @param {Array<number>} alerts - Alerts in minutes before the start
+   * @returns {Promise<Object>} Meeting
+   */
+  async importEvent(meetingData, alerts) {
+    const existing = this.findMeetingByUid(meetingData.icalUid);
+    const data = { ...meetingData };
+    
+    Object.keys(data).forEach(field => {
+      if (data[field] === undefined) {
+        delete data[field];
+      }
+    });
+    
+    // Events exported by Ace keep the meeting's own ID as their UID
+    if (existing && !existing.icalUid) {
+      delete data.icalUid;
+    }
+    
+    const meeting = existing
+      ? await meetingService.updateMeeting(existing.id, data)
+      : await meetingService.createMeeting(data);
+    
+    if (alerts.length > 0 && meeting.reminderId) {
+      await this.setReminderAlerts(meeting.reminderId, alerts);
+    }
+    
+    return meetingService.getMeetingById(meeting.id);
+  }
+  
+  /**
+   * Import a to-do as a task, or as a reminder
+   * @param {Object} todo - VTODO component
+   * @param {Object} timeZones - Time zones defined in the calendar, by TZID
+   * @param {string} target - What the to-do becomes (ICALENDAR_TODO_TARGETS)
+   * @returns {Promise<Object>} Task or reminder
+   */
+  async importTodo(todo, timeZones, target = ICALENDAR_TODO_TARGETS.TASKS) {
+    const due = getProperty(todo, 'DUE') || getProperty(todo, 'DTSTART');
+    const rrule = getProperty(todo, 'RRULE');
+    const status = Object.keys(TASK_STATUS_VALUES).find(key => TASK_STATUS_VALUES[key] === getText(todo, 'STATUS'));
+    const alerts = readAlerts(todo);
+    
+    const itemData = {
+      title: getText(todo, 'SUMMARY') || 'Untitled to-do',
+      description: getText(todo, 'DESCRIPTION') || '',
+      dueDate: due ? readDateTime(due, timeZones).date : null,
+      priority: readPriority(getText(todo, 'PRIORITY')),
+      recurrence: rrule ? normalizeRecurrence(rrule.value) : null
+    };
+    
+    Object.keys(itemData).forEach(field => {
+      if (itemData[field] === undefined) {
+        delete itemData[field];
+      }
+    });
+    
+    if (target === ICALENDAR_TODO_TARGETS.REMINDERS) {
+      if (!itemData.dueDate) {
+        throw new Error('Reminder due date is required');
+      }
+      
+      if (status === 'completed') {
+        throw new Error('To-do is already completed');
+      }
+      
+      return await reminderService.createReminder({
+        ...itemData,
+        ...(alerts.length > 0 ? { alerts } : {})
+      });
+    }
+    
+    const task = await taskService.createTask({ ...itemData, status });
+    
+    if (alerts.length > 0 && task.reminderId) {
+      await this.setReminderAlerts(task.reminderId, alerts);
+    }
+    
+    return task;
+  }
+  
+  /**
+   * Give a reminder the alerts of imported alarms
+   * @param {string} reminderId - Reminder ID
+   * @param {Array<number>} alerts - Alerts in minutes before the due date
+   * @returns {Promise<boolean>} Success status
+   */
+  async setReminderAlerts(reminderId, alerts) {
+    try {
+      await reminderService.updateReminder(reminderId, { alerts });
+      return true;
+    } catch (error) {
+      console.warn('Error setting imported reminder alerts:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Send invitations to a meeting's participants as an email with an
+   * iCalendar REQUEST attached. Their answers come back as REPLY emails.
+   * @param {string} id - Meeting ID
+   * @param {Object} options - Options
+   * @param {Array<string>} options.emails - Participants to invite (defaults to all but the organizer)
+   * @returns {Promise<Object>} Sent email
+   */
+  async sendInvitations(id, options = {}) {
+    try {
+      const meeting = meetingService.getMeetingById(id);
+      
+      if (!meeting) {
+        throw new Error(`Meeting with ID ${id} not found`);
+      }
+      
+      const recipients = meeting.participants
+        .filter(participant => participant.role !== PARTICIPANT_ROLES.ORGANIZER)
+        .map(participant => participant.email)
+        .filter(email => !options.emails || options.emails.map(e => e.toLowerCase()).includes(email));
+      
+      if (recipients.length === 0) {
+        throw new Error(`Meeting ${id} has no participants to invite`);
+      }
+      
+      // A series is sent whole, with its changed occurrences
+      const file = await this.exportMeetingsToFile([meeting.seriesId || meeting.id], {
+        method: ICALENDAR_METHODS.REQUEST,
+        fileName: 'invite.ics'
+      });
+      
+      const email = await emailService.createEmail({
+        subject: `${INVITATION_SUBJECTS[meeting.language] || INVITATION_SUBJECTS.en}${meeting.title}`,
+        body: formatDescription(meeting),
+        to: recipients,
+        from: meeting.organizer,
+        context: meeting.context,
+        language: meeting.language
+      });
+      
+      await emailService.addAttachment(email.id, {
+        ...file,
+        type: `${ICALENDAR_MIME_TYPE}; method=${ICALENDAR_METHODS.REQUEST}`
+      });
+      
+      return await emailService.sendEmail(email.id);
+    } catch (error) {
+      console.error('Error sending meeting invitations:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Apply a participant's answer to an invitation to the meeting it was sent
+   * for. Attendees who are not participants of the meeting are skipped.
+   * @param {Object} event - VEVENT component of a REPLY
+   * @param {Object} timeZones - Time zones defined in the calendar, by TZID
+   * @param {string} sender - Email address the reply came from; other attendees are ignored
+   * @returns {Promise<Object>} Meeting or occurrence ID, email and RSVP status of each answer
+   *   applied, and the attendees skipped with why
+   */
+  async applyReply(event, timeZones, sender = null) {
+    const uid = getText(event, 'UID');
+    const meeting = uid ? this.findMeetingByUid(uid) : null;
+    
+    if (!meeting) {
+      throw new Error(`No meeting was sent with UID ${uid}`);
+    }
+    
+    // A reply for one occurrence answers that occurrence only
+    const recurrenceId = getProperty(event, 'RECURRENCE-ID');
+    const id = recurrenceId ? getOccurrenceId(meeting.id, readDateTime(recurrenceId, timeZones).date) : meeting.id;
+    const replies = [];
+    const skipped = [];
+    const attendees = getProperties(event, 'ATTENDEE')
+      .map(readAttendee)
+      .filter(attendee => !sender || attendee.email === sender);
+    
+    if (sender && attendees.length === 0) {
+      skipped.push({ uid, error: `Reply has no answer from ${sender}` });
+    }
+    
+    for (const { email, rsvp } of attendees) {
+      if (!meeting.participants.some(participant => participant.email === email)) {
+        skipped.push({ uid, error: `${email} is not a participant of meeting ${meeting.id}` });
+        continue;
+      }
+      
+      await meetingService.setParticipantRsvp(id, email, rsvp);
+      replies.push({ meetingId: id, email, rsvp });
+    }
+    
+    return { replies, skipped };
+  }
+  
+  /**
+   * Clean up resources
+   * @returns {Promise<boolean>} Success status
+   */
+  async cleanup() {
+    try {
+      if (this.changeBusListener) {
+        this.changeBusListener();
+        this.changeBusListener = null;
+      }
+      
+      this.handledAttachmentIds.clear();
+      this.initialized = false;
+      return true;
+    } catch (error) {
+      console.error('Error cleaning up iCalendar Service:', error);
+      return false;
+    }
+  }
+}
+
+// Create a singleton instance
+const icalendarService = new ICalendarService();
+
+// Export constants and service
+export {
+  ICALENDAR_METHODS,
+  ICALENDAR_TODO_TARGETS,
+  formatDescription,
+  parseDescription
+};
+
+export default icalendarService;
@@ -0,0 +1,571 @@
+/**
+ * iCalendar for Ace Assistant
+ * 
+ * Reads and writes iCalendar data (RFC 5545), the format of .ics files and
+ * calendar invitations. Data is read into components, each with its name,
+ * properties and nested components:
+ *   { name: 'VEVENT', properties: [{ name: 'SUMMARY', params: {}, value: 'Review' }], components: [] }
+ * 
+ * Dates are read into instants together with the time zone they were given
+ * in, so they can be written back in the same time zone.
+ */
+
+import {
+  isKnownTimeZone,
+  toWallClock,
+  fromWallClock,
+  getTimeZoneOffset,
+  parseUtcOffset,
+  formatUtcOffset,
+  getObservanceOffset,
+  getOffsetChanges
+} from './timeZones';
+import { parseRRule } from '../recurrence/recurrenceRules';
+
+// Constants
+const ICALENDAR_PRODUCT_ID = '-//Ace Assistant//Ace//EN';
+const ICALENDAR_MIME_TYPE = 'text/calendar';
+
+// Scheduling methods (iTIP, RFC 5546)
+const ICALENDAR_METHODS = {
+  PUBLISH: 'PUBLISH',
+  REQUEST: 'REQUEST',
+  REPLY: 'REPLY',
+  CANCEL: 'CANCEL'
+};
+
+// Content lines are folded at 75 octets
+const MAX_LINE_OCTETS = 75;
+
+// Weekday codes by Date.getUTCDay() index
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const DATE_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+const DURATION_PATTERN = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+
+/**
+ * Unescape a TEXT value
+ * @param {string} value - Escaped text
+ * @returns {string} Text
+ */
+function unescapeText(value) {
+  return String(value).replace(/\\([\\;,nN])/g, (match, character) =>
+    (character === 'n' || character === 'N' ? '\n' : character));
+}
+
+/**
+ * Escape a TEXT value
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Parse a content line such as 'DTSTART;TZID=Europe/Berlin:20261020T140000'
+ * @param {string} line - Unfolded content line
+ * @returns {Object} Property name, parameters and value
+ */
+function parseContentLine(line) {
+  let index = 0;
+  let inQuotes = false;
+  const segments = [];
+  let segmentStart = 0;
+  
+  // The value starts at the first colon outside a quoted parameter value
+  for (; index < line.length; index++) {
+    const character = line[index];
+    
+    if (character === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (character === ';' || character === ':')) {
+      segments.push(line.slice(segmentStart, index));
+      segmentStart = index + 1;
+      
+      if (character === ':') {
+        break;
+      }
+    }
+  }
+  
+  if (index >= line.length) {
+    throw new Error(`Invalid iCalendar line: ${line}`);
+  }
+  
+  const [name, ...paramSegments] = segments;
+  const params = {};
+  
+  paramSegments.forEach(segment => {
+    const separator = segment.indexOf('=');
+    const paramName = segment.slice(0, separator).trim().toUpperCase();
+    const paramValue = segment.slice(separator + 1).trim();
+    
+    params[paramName] = paramValue.replace(/^"(.*)"$/, '$1');
+  });
+  
+  return {
+    name: name.trim().toUpperCase(),
+    params,
+    value: line.slice(index + 1)
+  };
+}
+
+/**
+ * Parse iCalendar data
+ * @param {string} text - iCalendar data
+ * @returns {Array<Object>} Calendar components (VCALENDAR)
+ */
+function parseICalendar(text) {
+  const lines = String(text)
+    .replace(/\r\n|\r/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim());
+  
+  const calendars = [];
+  const stack = [];
+  
+  lines.forEach(line => {
+    const property = parseContentLine(line);
+    const current = stack[stack.length - 1];
+    
+    if (property.name === 'BEGIN') {
+      const component = { name: property.value.trim().toUpperCase(), properties: [], components: [] };
+      
+      if (current) {
+        current.components.push(component);
+      } else {
+        calendars.push(component);
+      }
+      
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (!current || current.name !== property.value.trim().toUpperCase()) {
+        throw new Error(`Invalid iCalendar data: unexpected END:${property.value}`);
+      }
+      
+      stack.pop();
+    } else if (current) {
+      current.properties.push(property);
+    }
+  });
+  
+  if (stack.length > 0) {
+    throw new Error(`Invalid iCalendar data: ${stack[stack.length - 1].name} is not closed`);
+  }
+  
+  const vcalendars = calendars.filter(component => component.name === 'VCALENDAR');
+  
+  if (vcalendars.length === 0) {
+    throw new Error('Invalid iCalendar data: no VCALENDAR');
+  }
+  
+  return vcalendars;
+}
+
+/**
+ * Get the length of a character in UTF-8 octets
+ * @param {string} character - Character (one code point)
+ * @returns {number} Octets
+ */
+function getOctetLength(character) {
+  const codePoint = character.codePointAt(0);
+  
+  if (codePoint < 0x80) {
+    return 1;
+  }
+  
+  if (codePoint < 0x800) {
+    return 2;
+  }
+  
+  return codePoint < 0x10000 ? 3 : 4;
+}
+
+/**
+ * Fold a content line into lines of at most 75 octets, without splitting
+ * a character
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+  
+  for (const character of line) {
+    // Continuation lines start with a space
+    const limit = lines.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    const length = getOctetLength(character);
+    
+    if (octets + length > limit) {
+      lines.push(current);
+      current = '';
+      octets = 0;
+    }
+    
+    current += character;
+    octets += length;
+  }
+  
+  lines.push(current);
+  
+  return lines.join('\r\n ');
+}
+
+/**
+ * Format a property as a content line
+ * @param {Object} property - Property name, parameters and value
+ * @returns {string} Folded content line
+ */
+function formatContentLine(property) {
+  const params = Object.entries(property.params || {})
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => {
+      const text = String(value);
+      return `;${name}=${/[;:,]/.test(text) ? `"${text}"` : text}`;
+    })
+    .join('');
+  
+  return foldLine(`${property.name}${params}:${property.value}`);
+}
+
+/**
+ * Format a component as iCalendar data
+ * @param {Object} component - Component
+ * @returns {string} iCalendar data
+ */
+function formatICalendar(component) {
+  const lines = [];
+  
+  const addComponent = current => {
+    lines.push(`BEGIN:${current.name}`);
+    current.properties.forEach(property => lines.push(formatContentLine(property)));
+    current.components.forEach(addComponent);
+    lines.push(`END:${current.name}`);
+  };
+  
+  addComponent(component);
+  
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Create a component
+ * @param {string} name - Component name
+ * @param {Array<Array>} properties - Name, value and parameters of each property, skipping empty values
+ * @param {Array<Object>} components - Nested components
+ * @returns {Object} Component
+ */
+function createComponent(name, properties = [], components = []) {
+  return {
+    name,
+    properties: properties
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([propertyName, value, params = {}]) => ({ name: propertyName, params, value: String(value) })),
+    components
+  };
+}
+
+/**
+ * Get the first property of a component with a name
+ * @param {Object} component - Component
+ * @param {string} name - Property name
+ * @returns {Object|undefined} Property
+ */
+function getProperty(component, name) {
+  return component.properties.find(property => property.name === name);
+}
+
+/**
+ * Get the properties of a component with a name
+ * @param {Object} component - Component
+ * @param {string} name - Property name
+ * @returns {Array<Object>} Properties
+ */
+function getProperties(component, name) {
+  return component.properties.filter(property => property.name === name);
+}
+
+/**
+ * Get the text of a component's property
+ * @param {Object} component - Component
+ * @param {string} name - Property name
+ * @returns {string|null} Unescaped text, or null if the property is missing
+ */
+function getText(component, name) {
+  const property = getProperty(component, name);
+  return property ? unescapeText(property.value) : null;
+}
+
+/**
+ * Read the time zones defined in a calendar
+ * @param {Object} calendar - Calendar component
+ * @returns {Object} Observances and IANA location of each time zone, by TZID
+ */
+function readTimeZones(calendar) {
+  const timeZones = {};
+  
+  calendar.components.filter(component => component.name === 'VTIMEZONE').forEach(vtimezone => {
+    const tzid = getText(vtimezone, 'TZID');
+    
+    if (!tzid) {
+      return;
+    }
+    
+    timeZones[tzid] = {
+      location: getText(vtimezone, 'X-LIC-LOCATION'),
+      observances: vtimezone.components
+        .filter(component => component.name === 'STANDARD' || component.name === 'DAYLIGHT')
+        .map(observance => {
+          const rrule = getProperty(observance, 'RRULE');
+          
+          return {
+            start: parseWallClock(getProperty(observance, 'DTSTART').value),
+            rule: rrule ? parseRRule(rrule.value) : null,
+            offsetFrom: parseUtcOffset(getProperty(observance, 'TZOFFSETFROM').value),
+            offsetTo: parseUtcOffset(getProperty(observance, 'TZOFFSETTO').value)
+          };
+        })
+    };
+  });
+  
+  return timeZones;
+}
+
+/**
+ * Parse a DATE or DATE-TIME value into a wall-clock time
+ * @param {string} value - Value such as '20261020' or '20261020T140000Z'
+ * @returns {Object} Wall-clock time, with whether it is in UTC and whether it is a date only
+ */
+function parseWallClock(value) {
+  const match = String(value).trim().match(DATE_PATTERN);
+  
+  if (!match) {
+    throw new Error(`Invalid iCalendar date: ${value}`);
+  }
+  
+  const [, year, month, day, hour, minute, second, utc] = match;
+  
+  return {
+    year: parseInt(year, 10),
+    month: parseInt(month, 10),
+    day: parseInt(day, 10),
+    hour: hour ? parseInt(hour, 10) : 0,
+    minute: minute ? parseInt(minute, 10) : 0,
+    second: second ? parseInt(second, 10) : 0,
+    utc: Boolean(utc),
+    dateOnly: !hour
+  };
+}
+
+/**
+ * Resolve the time zone of a TZID to an IANA time zone where possible
+ * @param {string} tzid - TZID parameter
+ * @param {Object} timeZones - Time zones defined in the calendar, by TZID
+ * @returns {string|null} IANA time zone, or null if the TZID is not one
+ */
+function resolveTimeZone(tzid, timeZones = {}) {
+  if (!tzid) {
+    return null;
+  }
+  
+  // Some calendar apps prefix global time zone IDs with a slash
+  const name = tzid.replace(/^\//, '');
+  
+  if (isKnownTimeZone(name)) {
+    return name;
+  }
+  
+  const definition = timeZones[tzid];
+  
+  return definition && isKnownTimeZone(definition.location) ? definition.location : null;
+}
+
+/**
+ * Read a DATE or DATE-TIME property. Times in an unknown time zone are read
+ * with the offsets of its VTIMEZONE; times without a time zone are read in
+ * the device's time zone.
+ * @param {Object} property - Property such as DTSTART
+ * @param {Object} timeZones - Time zones defined in the calendar, by TZID
+ * @returns {Object} Instant as an ISO string, its IANA time zone (or null) and whether it is a date only
+ */
+function readDateTime(property, timeZones = {}) {
+  const wallClock = parseWallClock(property.value.split(',')[0]);
+  const tzid = property.params.TZID;
+  const timeZone = wallClock.utc ? null : resolveTimeZone(tzid, timeZones);
+  let date;
+  
+  if (wallClock.dateOnly) {
+    date = new Date(wallClock.year, wallClock.month - 1, wallClock.day);
+  } else if (wallClock.utc) {
+    date = new Date(Date.UTC(wallClock.year, wallClock.month - 1, wallClock.day, wallClock.hour, wallClock.minute, wallClock.second));
+  } else if (timeZone) {
+    date = fromWallClock(wallClock, timeZone);
+  } else if (tzid && timeZones[tzid]) {
+    const offset = getObservanceOffset(timeZones[tzid].observances, wallClock);
+    date = new Date(Date.UTC(wallClock.year, wallClock.month - 1, wallClock.day, wallClock.hour, wallClock.minute - offset, wallClock.second));
+  } else {
+    date = new Date(wallClock.year, wallClock.month - 1, wallClock.day, wallClock.hour, wallClock.minute, wallClock.second);
+  }
+  
+  return {
+    date: date.toISOString(),
+    timeZone,
+    dateOnly: wallClock.dateOnly
+  };
+}
+
+/**
+ * Read each date of a property listing several, such as EXDATE
+ * @param {Object} property - Property
+ * @param {Object} timeZones - Time zones defined in the calendar, by TZID
+ * @returns {Array<string>} Instants as ISO strings
+ */
+function readDateTimes(property, timeZones = {}) {
+  return property.value.split(',').map(value => readDateTime({ ...property, value }, timeZones).date);
+}
+
+/**
+ * Format an instant as a DATE-TIME value, as a wall-clock time in a time
+ * zone or else in UTC
+ * @param {Date|string} date - Instant
+ * @param {string|null} timeZone - IANA time zone
+ * @returns {Object} Value and parameters
+ */
+function formatDateTime(date, timeZone = null) {
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  
+  if (timeZone && isKnownTimeZone(timeZone)) {
+    const wallClock = toWallClock(date, timeZone);
+    
+    return {
+      value: `${pad(wallClock.year, 4)}${pad(wallClock.month)}${pad(wallClock.day)}T${pad(wallClock.hour)}${pad(wallClock.minute)}${pad(wallClock.second)}`,
+      params: { TZID: timeZone }
+    };
+  }
+  
+  return {
+    value: new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, ''),
+    params: {}
+  };
+}
+
+/**
+ * Parse a DURATION value such as '-PT15M' or 'P1D'
+ * @param {string} value - Duration
+ * @returns {number} Milliseconds, negative before the start
+ */
+function parseDuration(value) {
+  const match = String(value).trim().match(DURATION_PATTERN);
+  
+  if (!match) {
+    throw new Error(`Invalid iCalendar duration: ${value}`);
+  }
+  
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || 0);
+  const milliseconds = ((((parseInt(weeks, 10) * 7 + parseInt(days, 10)) * 24 + parseInt(hours, 10)) * 60 +
+    parseInt(minutes, 10)) * 60 + parseInt(seconds, 10)) * 1000;
+  
+  return sign === '-' ? -milliseconds : milliseconds;
+}
+
+/**
+ * Format a DURATION value
+ * @param {number} milliseconds - Milliseconds, negative before the start
+ * @returns {string} Duration
+ */
+function formatDuration(milliseconds) {
+  const totalMinutes = Math.round(Math.abs(milliseconds) / 60000);
+  const days = Math.floor(totalMinutes / (24 * 60));
+  const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
+  const minutes = totalMinutes % 60;
+  let time = '';
+  
+  if (hours) {
+    time += `${hours}H`;
+  }
+  
+  if (minutes || (!days && !hours)) {
+    time += `${minutes}M`;
+  }
+  
+  return `${milliseconds < 0 ? '-' : ''}P${days ? `${days}D` : ''}${time ? `T${time}` : ''}`;
+}
+
+/**
+ * Build the VTIMEZONE definition of an IANA time zone from its offset
+ * changes in a year. Zones that change every year get yearly rules.
+ * @param {string} timeZone - IANA time zone
+ * @param {number} year - Year
+ * @returns {Object} VTIMEZONE component
+ */
+function buildVTimezone(timeZone, year) {
+  const changes = getOffsetChanges(timeZone, year);
+  const pad = value => String(value).padStart(2, '0');
+  
+  // A zone without changes has a single standard observance
+  if (changes.length === 0) {
+    const offset = formatUtcOffset(getTimeZoneOffset(timeZone, Date.UTC(year, 0, 1)));
+    
+    return createComponent('VTIMEZONE', [
+      ['TZID', timeZone],
+      ['X-LIC-LOCATION', timeZone]
+    ], [
+      createComponent('STANDARD', [
+        ['DTSTART', '19700101T000000'],
+        ['TZOFFSETFROM', offset],
+        ['TZOFFSETTO', offset]
+      ])
+    ]);
+  }
+  
+  const observances = changes.map(change => {
+    // Observances start at the wall-clock time before the change
+    const local = new Date(change.time + change.offsetFrom * 60000);
+    const month = local.getUTCMonth() + 1;
+    const day = local.getUTCDate();
+    const lastDay = new Date(Date.UTC(local.getUTCFullYear(), month, 0)).getUTCDate();
+    const nth = day + 7 > lastDay ? -1 : Math.ceil(day / 7);
+    const weekday = WEEKDAY_CODES[local.getUTCDay()];
+    
+    return createComponent(change.offsetTo > change.offsetFrom ? 'DAYLIGHT' : 'STANDARD', [
+      ['DTSTART', `${local.getUTCFullYear()}${pad(month)}${pad(day)}T${pad(local.getUTCHours())}${pad(local.getUTCMinutes())}00`],
+      ['RRULE', `FREQ=YEARLY;BYMONTH=${month};BYDAY=${nth}${weekday}`],
+      ['TZOFFSETFROM', formatUtcOffset(change.offsetFrom)],
+      ['TZOFFSETTO', formatUtcOffset(change.offsetTo)]
+    ]);
+  });
+  
+  return createComponent('VTIMEZONE', [
+    ['TZID', timeZone],
+    ['X-LIC-LOCATION', timeZone]
+  ], observances);
+}
+
+export {
+  ICALENDAR_PRODUCT_ID,
+  ICALENDAR_MIME_TYPE,
+  ICALENDAR_METHODS,
+  unescapeText,
+  escapeText,
+  parseContentLine,
+  parseICalendar,
+  formatICalendar,
+  createComponent,
+  getProperty,
+  getProperties,
+  getText,
+  readTimeZones,
+  readDateTime,
+  readDateTimes,
+  formatDateTime,
+  parseDuration,
+  formatDuration,
+  buildVTimezone
+};
@@ -0,0 +1,288 @@
+/**
+ * Time zones for Ace Assistant
+ * 
+ * Converts between instants and wall-clock times in named time zones for
+ * iCalendar import and export. IANA time zones ('Europe/Berlin') are looked
+ * up with Intl; other time zone IDs, such as the Windows names some calendar
+ * apps write, are resolved from the VTIMEZONE definitions sent with them.
+ * 
+ * Wall-clock times are plain objects with the year, month (1-12), day, hour,
+ * minute and second as read on a clock in the time zone.
+ */
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Weekday codes by Date.getUTCDay() index
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const formatters = {};
+
+/**
+ * Get a formatter showing wall-clock times in a time zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getFormatter(timeZone) {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+  }
+  
+  return formatters[timeZone];
+}
+
+/**
+ * Check whether a time zone is a known IANA time zone
+ * @param {string} timeZone - Time zone ID
+ * @returns {boolean} Whether the time zone is known
+ */
+function isKnownTimeZone(timeZone) {
+  if (!timeZone) {
+    return false;
+  }
+  
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock time of an instant in a time zone
+ * @param {Date|string} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} Wall-clock time
+ */
+function toWallClock(date, timeZone) {
+  const parts = {};
+  
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+  
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+/**
+ * Get the milliseconds of a wall-clock time as if it were UTC
+ * @param {Object} wallClock - Wall-clock time
+ * @returns {number} Milliseconds
+ */
+function wallClockToMillis(wallClock) {
+  return Date.UTC(wallClock.year, wallClock.month - 1, wallClock.day,
+    wallClock.hour || 0, wallClock.minute || 0, wallClock.second || 0);
+}
+
+/**
+ * Get the offset of a time zone from UTC at an instant
+ * @param {string} timeZone - IANA time zone
+ * @param {Date|string} date - Instant
+ * @returns {number} Offset in minutes, positive east of UTC
+ */
+function getTimeZoneOffset(timeZone, date) {
+  const time = new Date(date).getTime();
+  const wallTime = wallClockToMillis(toWallClock(time, timeZone));
+  
+  return Math.round((wallTime - Math.floor(time / 1000) * 1000) / MINUTE);
+}
+
+/**
+ * Get the instant of a wall-clock time in a time zone. Times skipped by a
+ * daylight saving change are moved forward by the change.
+ * @param {Object} wallClock - Wall-clock time
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+function fromWallClock(wallClock, timeZone) {
+  const wallTime = wallClockToMillis(wallClock);
+  let time = wallTime - getTimeZoneOffset(timeZone, wallTime) * MINUTE;
+  
+  // The offset at the first guess may differ from the offset at the result
+  time = wallTime - getTimeZoneOffset(timeZone, time) * MINUTE;
+  
+  return new Date(time);
+}
+
+/**
+ * Parse a UTC offset such as '+0100' or '-0530'
+ * @param {string} value - UTC offset
+ * @returns {number} Offset in minutes
+ */
+function parseUtcOffset(value) {
+  const match = String(value).trim().match(/^([+-])(\d{2})(\d{2})(\d{2})?$/);
+  
+  if (!match) {
+    throw new Error(`Invalid UTC offset: ${value}`);
+  }
+  
+  const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Format a UTC offset such as '+0100' or '-0530'
+ * @param {number} offset - Offset in minutes
+ * @returns {string} UTC offset
+ */
+function formatUtcOffset(offset) {
+  const minutes = Math.abs(offset);
+  const pad = value => String(value).padStart(2, '0');
+  
+  return `${offset < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+}
+
+/**
+ * Get the day of the month of the nth weekday of a month
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} weekday - Weekday index (0 for Sunday)
+ * @param {number} nth - Position in the month, negative from the end
+ * @returns {number} Day of the month
+ */
+function getNthWeekday(year, month, weekday, nth) {
+  if (nth > 0) {
+    const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    return 1 + ((weekday - first + 7) % 7) + (nth - 1) * 7;
+  }
+  
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const last = new Date(Date.UTC(year, month - 1, lastDay)).getUTCDay();
+  
+  return lastDay - ((last - weekday + 7) % 7) + (nth + 1) * 7;
+}
+
+/**
+ * Get the latest onset of a VTIMEZONE observance at or before a wall-clock
+ * time. Yearly rules on the nth weekday of a month, which time zones use,
+ * are followed; other observances start once, at their DTSTART.
+ * @param {Object} observance - Observance start, yearly rule and offset
+ * @param {number} wallTime - Wall-clock milliseconds as if UTC
+ * @returns {number|null} Onset in wall-clock milliseconds, or null if none
+ */
+function getLatestOnset(observance, wallTime) {
+  const start = wallClockToMillis(observance.start);
+  
+  if (start > wallTime) {
+    return null;
+  }
+  
+  const rule = observance.rule;
+  
+  if (!rule || rule.frequency !== 'yearly' || !rule.byMonth || !rule.byDay || rule.byDay.length !== 1) {
+    return start;
+  }
+  
+  const [, nth, code] = rule.byDay[0].match(/^([+-]?\d)?([A-Z]{2})$/);
+  const year = new Date(wallTime).getUTCFullYear();
+  
+  for (const onsetYear of [year, year - 1]) {
+    const day = getNthWeekday(onsetYear, rule.byMonth[0], WEEKDAY_CODES.indexOf(code), parseInt(nth || '1', 10));
+    const onset = wallClockToMillis({ ...observance.start, year: onsetYear, month: rule.byMonth[0], day });
+    
+    if (onset <= wallTime && onset >= start && (!rule.until || onset <= new Date(rule.until).getTime())) {
+      return onset;
+    }
+  }
+  
+  return start;
+}
+
+/**
+ * Get the offset of a time zone defined by VTIMEZONE observances at a
+ * wall-clock time
+ * @param {Array<Object>} observances - Observances with their start, yearly rule, and offsets from and to
+ * @param {Object} wallClock - Wall-clock time
+ * @returns {number} Offset in minutes
+ */
+function getObservanceOffset(observances, wallClock) {
+  const wallTime = wallClockToMillis(wallClock);
+  let latest = null;
+  
+  observances.forEach(observance => {
+    const onset = getLatestOnset(observance, wallTime);
+    
+    if (onset !== null && (!latest || onset > latest.onset)) {
+      latest = { onset, offset: observance.offsetTo };
+    }
+  });
+  
+  if (latest) {
+    return latest.offset;
+  }
+  
+  // Before the first observance the offset it changes from applies
+  const first = [...observances].sort((a, b) => wallClockToMillis(a.start) - wallClockToMillis(b.start))[0];
+  return first ? first.offsetFrom : 0;
+}
+
+/**
+ * Get the offset changes of an IANA time zone in a year
+ * @param {string} timeZone - IANA time zone
+ * @param {number} year - Year
+ * @returns {Array<Object>} Instants of each change, with the offsets before and after
+ */
+function getOffsetChanges(timeZone, year) {
+  const changes = [];
+  const end = Date.UTC(year + 1, 0, 1);
+  let time = Date.UTC(year, 0, 1);
+  let offset = getTimeZoneOffset(timeZone, time);
+  
+  while (time < end) {
+    const next = Math.min(time + DAY, end);
+    const nextOffset = getTimeZoneOffset(timeZone, next);
+    
+    if (nextOffset !== offset) {
+      // Narrow the change down to the minute
+      let low = time;
+      let high = next;
+      
+      while (high - low > MINUTE) {
+        const middle = low + Math.floor((high - low) / 2 / MINUTE) * MINUTE;
+        
+        if (getTimeZoneOffset(timeZone, middle) === offset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      
+      changes.push({ time: high, offsetFrom: offset, offsetTo: nextOffset });
+      offset = nextOffset;
+    }
+    
+    time = next;
+  }
+  
+  return changes;
+}
+
+export {
+  isKnownTimeZone,
+  toWallClock,
+  fromWallClock,
+  wallClockToMillis,
+  getTimeZoneOffset,
+  parseUtcOffset,
+  formatUtcOffset,
+  getNthWeekday,
+  getObservanceOffset,
+  getOffsetChanges
+};
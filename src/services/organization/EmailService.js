@@ -5,9 +5,10 @@
  * and support for both English and Chinese languages.
  */
 
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import createRepository from '../storage/Repository';
 import { v4 as uuidv4 } from 'uuid';
 import reminderService from '../reminders/ReminderService';
+import changeBus, { DOMAIN_EVENTS, EVENT_ORIGINS } from '../events/ChangeBus';
 import appConfig from '../../constants/appConfig';
 
 // Constants
@@ -32,6 +33,28 @@ const EMAIL_CONTEXTS = {
   FAMILY: 'family'
 };
 
+// Schema migrations for saved emails, run by the repository at initialize()
+const EMAIL_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Fill in fields missing from emails saved by early versions',
+    up: email => ({
+      ...email,
+      body: email.body || '',
+      to: email.to || [],
+      cc: email.cc || [],
+      bcc: email.bcc || [],
+      from: email.from || '',
+      status: email.status || EMAIL_STATUSES.DRAFT,
+      priority: email.priority || EMAIL_PRIORITIES.MEDIUM,
+      context: email.context || EMAIL_CONTEXTS.WORK,
+      attachments: email.attachments || [],
+      tags: email.tags || [],
+      reminderId: email.reminderId || null
+    })
+  }
+];
+
 /**
  * Class representing the Email Service
  */
@@ -40,6 +63,10 @@ class EmailService {
     // Initialize properties
     this.initialized = false;
     this.emails = [];
+    this.repository = createRepository('emails', {
+      storageKey: EMAIL_STORAGE_KEY,
+      indexes: ['status', 'from', 'createdAt']
+    });
     this.currentLanguage = appConfig.defaultLanguage;
     this.superhuman = null;
     
@@ -53,7 +80,8 @@ class EmailService {
     // Bind methods
     this.initialize = this.initialize.bind(this);
     this.loadEmails = this.loadEmails.bind(this);
-    this.saveEmails = this.saveEmails.bind(this);
+    this.saveEmail = this.saveEmail.bind(this);
+    this.removeStoredEmail = this.removeStoredEmail.bind(this);
     this.createEmail = this.createEmail.bind(this);
     this.updateEmail = this.updateEmail.bind(this);
     this.deleteEmail = this.deleteEmail.bind(this);
@@ -63,6 +91,7 @@ class EmailService {
     this.sendEmail = this.sendEmail.bind(this);
     this.addAttachment = this.addAttachment.bind(this);
     this.removeAttachment = this.removeAttachment.bind(this);
+    this.applyRemoteChange = this.applyRemoteChange.bind(this);
     this.setCallbacks = this.setCallbacks.bind(this);
     this.setLanguage = this.setLanguage.bind(this);
     this.cleanup = this.cleanup.bind(this);
@@ -76,6 +105,9 @@ class EmailService {
     try {
       console.log('Initializing Email Service...');
       
+      // Upgrade saved emails to the current schema
+      await this.repository.migrate(EMAIL_MIGRATIONS);
+      
       // Load saved emails
       await this.loadEmails();
       
@@ -119,14 +151,8 @@ class EmailService {
    */
   async loadEmails() {
     try {
-      const emailsJson = await AsyncStorage.getItem(EMAIL_STORAGE_KEY);
-      
-      if (emailsJson) {
-        this.emails = JSON.parse(emailsJson);
-        console.log(`Loaded ${this.emails.length} emails`);
-      } else {
-        this.emails = [];
-      }
+      this.emails = await this.repository.getAll();
+      console.log(`Loaded ${this.emails.length} emails`);
       
       return true;
     } catch (error) {
@@ -137,15 +163,29 @@ class EmailService {
   }
   
   /**
-   * Save emails to storage
+   * Save an email to storage
+   * @param {Object} email - Email to save
    * @returns {Promise<boolean>} Success status
    */
-  async saveEmails() {
+  async saveEmail(email) {
     try {
-      await AsyncStorage.setItem(EMAIL_STORAGE_KEY, JSON.stringify(this.emails));
-      return true;
+      return await this.repository.put(email);
+    } catch (error) {
+      console.error('Error saving email:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Remove an email from storage
+   * @param {string} id - Email ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeStoredEmail(id) {
+    try {
+      return await this.repository.remove(id);
     } catch (error) {
-      console.error('Error saving emails:', error);
+      console.error('Error removing stored email:', error);
       return false;
     }
   }
@@ -208,14 +248,17 @@ class EmailService {
       // Add to emails array
       this.emails.push(email);
       
-      // Save emails
-      await this.saveEmails();
+      // Save email
+      await this.saveEmail(email);
       
       // Call callback
       if (this.onEmailAdded) {
         this.onEmailAdded(email);
       }
       
+      // Publish domain event
+      await changeBus.publish(DOMAIN_EVENTS.EMAIL_CREATED, email.id, email);
+      
       console.log('Email created:', email.id);
       
       return email;
@@ -295,8 +338,8 @@ class EmailService {
       // Update emails array
       this.emails[emailIndex] = updatedEmail;
       
-      // Save emails
-      await this.saveEmails();
+      // Save email
+      await this.saveEmail(updatedEmail);
       
       // Call callback
       if (this.onEmailUpdated) {
@@ -308,6 +351,9 @@ class EmailService {
         this.onEmailStatusChanged(updatedEmail, email.status);
       }
       
+      // Publish domain event
+      await changeBus.publish(DOMAIN_EVENTS.EMAIL_UPDATED, id, updatedEmail);
+      
       console.log('Email updated:', updatedEmail.id);
       
       return updatedEmail;
@@ -346,14 +392,17 @@ class EmailService {
       // Remove from emails array
       this.emails.splice(emailIndex, 1);
       
-      // Save emails
-      await this.saveEmails();
+      // Remove stored email
+      await this.removeStoredEmail(id);
       
       // Call callback
       if (this.onEmailDeleted) {
         this.onEmailDeleted(email);
       }
       
+      // Publish domain event
+      await changeBus.publish(DOMAIN_EVENTS.EMAIL_DELETED, id);
+      
       console.log('Email deleted:', id);
       
       return true;
@@ -539,6 +588,9 @@ class EmailService {
         }
       }
       
+      // Publish domain event
+      await changeBus.publish(DOMAIN_EVENTS.EMAIL_SENT, id, sentEmail);
+      
       return sentEmail;
     } catch (error) {
       console.error('Error sending email:', error);
@@ -626,6 +678,80 @@ class EmailService {
     }
   }
   
+  /**
+   * Apply an email change made on another device. The email is stored as
+   * received; it is not sent again and linked reminders are synced
+   * separately.
+   * @param {string} action - Action (create, update, delete, send)
+   * @param {string} id - Email ID
+   * @param {Object} data - Email data after the change
+   * @returns {Promise<boolean>} Success status
+   */
+  async applyRemoteChange(action, id, data) {
+    try {
+      const emailIndex = this.emails.findIndex(e => e.id === id);
+      const options = { origin: EVENT_ORIGINS.REMOTE };
+      
+      if (action === 'delete') {
+        if (emailIndex === -1) {
+          return true;
+        }
+        
+        const email = this.emails[emailIndex];
+        this.emails.splice(emailIndex, 1);
+        await this.removeStoredEmail(id);
+        
+        if (this.onEmailDeleted) {
+          this.onEmailDeleted(email);
+        }
+        
+        await changeBus.publish(DOMAIN_EVENTS.EMAIL_DELETED, id, null, options);
+        return true;
+      }
+      
+      if (!data) {
+        throw new Error(`Remote email ${action} for ${id} has no data`);
+      }
+      
+      const email = { ...data, id };
+      
+      if (action === 'send') {
+        email.status = EMAIL_STATUSES.SENT;
+      }
+      
+      if (emailIndex === -1) {
+        this.emails.push(email);
+        await this.saveEmail(email);
+        
+        if (this.onEmailAdded) {
+          this.onEmailAdded(email);
+        }
+      } else {
+        const previousEmail = this.emails[emailIndex];
+        this.emails[emailIndex] = email;
+        await this.saveEmail(email);
+        
+        if (this.onEmailUpdated) {
+          this.onEmailUpdated(email);
+        }
+        
+        if (email.status !== previousEmail.status && this.onEmailStatusChanged) {
+          this.onEmailStatusChanged(email, previousEmail.status);
+        }
+      }
+      
+      const type = action === 'send' ? DOMAIN_EVENTS.EMAIL_SENT :
+        emailIndex === -1 ? DOMAIN_EVENTS.EMAIL_CREATED : DOMAIN_EVENTS.EMAIL_UPDATED;
+      
+      await changeBus.publish(type, id, email, options);
+      
+      return true;
+    } catch (error) {
+      console.error(`Error applying remote email ${action}:`, error);
+      return false;
+    }
+  }
+  
   /**
    * Set callbacks
    * @param {Object} callbacks - Callback functions
@@ -694,7 +820,8 @@ const emailService = new EmailService();
 export {
   EMAIL_STATUSES,
   EMAIL_PRIORITIES,
-  EMAIL_CONTEXTS
+  EMAIL_CONTEXTS,
+  EMAIL_MIGRATIONS
 };
 
 export default emailService;
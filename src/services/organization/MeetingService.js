@@ -5,9 +5,17 @@
  * and support for both English and Chinese languages.
  */
 
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import createRepository from '../storage/Repository';
 import { v4 as uuidv4 } from 'uuid';
 import reminderService from '../reminders/ReminderService';
+import changeBus, { DOMAIN_EVENTS, EVENT_ORIGINS } from '../events/ChangeBus';
+import {
+  normalizeRecurrence,
+  iterateOccurrences,
+  getOccurrences,
+  getNextOccurrence,
+  setOccurrenceException
+} from '../recurrence/recurrenceRules';
 import appConfig from '../../constants/appConfig';
 
 // Constants
@@ -31,6 +39,266 @@ const MEETING_CONTEXTS = {
   FAMILY: 'family'
 };
 
+// What a participant is invited as
+const PARTICIPANT_ROLES = {
+  REQUIRED: 'required',
+  OPTIONAL: 'optional',
+  ORGANIZER: 'organizer'
+};
+
+// A participant's answer to the invitation
+const RSVP_STATUSES = {
+  NEEDS_ACTION: 'needs-action',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  TENTATIVE: 'tentative'
+};
+
+// Which occurrences of a recurring meeting an edit applies to
+const MEETING_EDIT_SCOPES = {
+  THIS: 'this',
+  FOLLOWING: 'following',
+  SERIES: 'series'
+};
+
+// Fields that belong to a series and cannot differ between its occurrences
+const SERIES_FIELDS = ['id', 'recurrence', 'recurrenceExceptions', 'occurrences', 'seriesId', 'occurrenceDate', 'createdAt', 'updatedAt', 'reminderId'];
+
+// Fields a meeting imported from the calendar takes from its event, which
+// cannot be changed in Ace
+const CALENDAR_FIELDS = ['title', 'description', 'location', 'startTime', 'endTime', 'recurrence', 'recurrenceExceptions', 'occurrences'];
+
+// Fields an occurrence of a series imported from the calendar takes from its event
+const OCCURRENCE_CALENDAR_FIELDS = CALENDAR_FIELDS.filter(field => !SERIES_FIELDS.includes(field));
+
+// Upcoming occurrences of a series get their own reminder this many days ahead
+const OCCURRENCE_REMINDER_DAYS = 7;
+
+// Occurrence IDs are the series ID and the occurrence's original start time
+const OCCURRENCE_ID_SEPARATOR = '_';
+
+// Schema migrations for saved meetings, run by the repository at initialize()
+const MEETING_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Fill in fields missing from meetings saved by early versions',
+    up: meeting => ({
+      ...meeting,
+      description: meeting.description || '',
+      location: meeting.location || '',
+      participants: meeting.participants || [],
+      organizer: meeting.organizer || '',
+      status: meeting.status || MEETING_STATUSES.SCHEDULED,
+      priority: meeting.priority || MEETING_PRIORITIES.MEDIUM,
+      context: meeting.context || MEETING_CONTEXTS.WORK,
+      attachments: meeting.attachments || [],
+      agenda: meeting.agenda || [],
+      notes: meeting.notes || '',
+      reminderId: meeting.reminderId || null
+    })
+  },
+  {
+    version: 2,
+    description: 'Add isOnline and meetingLink, taken from the Google Meet URL',
+    up: meeting => ({
+      ...meeting,
+      isOnline: typeof meeting.isOnline === 'boolean' ? meeting.isOnline : Boolean(meeting.meetUrl || meeting.meetingLink),
+      meetingLink: meeting.meetingLink || meeting.meetUrl || ''
+    })
+  },
+  {
+    version: 3,
+    description: 'Add recurrence with per-occurrence exceptions and changes',
+    up: meeting => ({
+      ...meeting,
+      recurrence: meeting.recurrence || null,
+      recurrenceExceptions: meeting.recurrenceExceptions || [],
+      occurrences: meeting.occurrences || {}
+    })
+  },
+  {
+    version: 4,
+    description: 'Mark meetings imported from the calendar as read-only',
+    up: meeting => ({
+      ...meeting,
+      readOnly: meeting.readOnly === true,
+      importedFrom: meeting.importedFrom || null
+    })
+  },
+  {
+    version: 5,
+    description: 'Keep the time zone and iCalendar UID of meetings',
+    up: meeting => ({
+      ...meeting,
+      timeZone: meeting.timeZone || null,
+      icalUid: meeting.icalUid || null
+    })
+  },
+  {
+    version: 6,
+    description: 'Store participants with a name, role and RSVP status instead of an email',
+    up: meeting => ({
+      ...meeting,
+      participants: repairParticipants(meeting.participants || [])
+    })
+  }
+];
+
+/**
+ * Get a participant with a name, role and RSVP status. Participants given
+ * as an email address are required and have not answered yet.
+ * @param {string|Object} participant - Participant email or participant
+ * @returns {Object} Participant
+ */
+function normalizeParticipant(participant) {
+  const data = typeof participant === 'string' ? { email: participant } : participant || {};
+  const email = String(data.email || '').trim().toLowerCase();
+  const role = data.role || PARTICIPANT_ROLES.REQUIRED;
+  const rsvp = data.rsvp || RSVP_STATUSES.NEEDS_ACTION;
+  
+  if (!email) {
+    throw new Error('Participant email is required');
+  }
+  
+  if (!Object.values(PARTICIPANT_ROLES).includes(role)) {
+    throw new Error(`Invalid participant role: ${role}`);
+  }
+  
+  if (!Object.values(RSVP_STATUSES).includes(rsvp)) {
+    throw new Error(`Invalid RSVP status: ${rsvp}`);
+  }
+  
+  return {
+    email,
+    name: data.name || '',
+    role,
+    rsvp
+  };
+}
+
+/**
+ * Get valid participants from participants saved by earlier versions, which
+ * were not checked. Participants without an email are dropped, unknown roles
+ * and RSVP statuses fall back to the defaults, and an email listed twice is
+ * kept once.
+ * @param {Array<string|Object>} participants - Saved participants
+ * @returns {Array<Object>} Participants
+ */
+function repairParticipants(participants) {
+  return participants
+    .map(participant => typeof participant === 'string' ? { email: participant } : participant || {})
+    .filter(participant => String(participant.email || '').trim())
+    .map(participant => normalizeParticipant({
+      ...participant,
+      role: Object.values(PARTICIPANT_ROLES).includes(participant.role) ? participant.role : undefined,
+      rsvp: Object.values(RSVP_STATUSES).includes(participant.rsvp) ? participant.rsvp : undefined
+    }))
+    .filter((participant, index, all) => all.findIndex(p => p.email === participant.email) === index);
+}
+
+/**
+ * Find a participant of a meeting by email
+ * @param {Array<Object>} participants - Participants
+ * @param {string|Object} participant - Participant email or participant
+ * @returns {number} Index of the participant, or -1 if not invited
+ */
+function findParticipantIndex(participants, participant) {
+  const email = String(typeof participant === 'string' ? participant : participant.email || '').trim().toLowerCase();
+  return participants.findIndex(p => p.email === email);
+}
+
+/**
+ * Get the ID of an occurrence of a recurring meeting
+ * @param {string} seriesId - ID of the series
+ * @param {string} occurrenceDate - Original start time of the occurrence
+ * @returns {string} Occurrence ID
+ */
+function getOccurrenceId(seriesId, occurrenceDate) {
+  return `${seriesId}${OCCURRENCE_ID_SEPARATOR}${new Date(occurrenceDate).toISOString()}`;
+}
+
+/**
+ * Split an occurrence ID into the series ID and the occurrence's start time
+ * @param {string} id - Occurrence ID
+ * @returns {Object|null} Series ID and occurrence date, or null for other IDs
+ */
+function parseOccurrenceId(id) {
+  const separatorIndex = String(id).lastIndexOf(OCCURRENCE_ID_SEPARATOR);
+  
+  if (separatorIndex === -1) {
+    return null;
+  }
+  
+  const occurrenceDate = new Date(id.substring(separatorIndex + 1));
+  
+  if (isNaN(occurrenceDate.getTime())) {
+    return null;
+  }
+  
+  return {
+    seriesId: id.substring(0, separatorIndex),
+    occurrenceDate: occurrenceDate.toISOString()
+  };
+}
+
+/**
+ * Get the ID of the reminder for an occurrence. It follows from the
+ * occurrence, so devices creating the same reminder create the same one.
+ * @param {string} occurrenceId - Occurrence ID
+ * @returns {string} Reminder ID
+ */
+function getOccurrenceReminderId(occurrenceId) {
+  return `reminder-${occurrenceId}`;
+}
+
+/**
+ * Move an ISO date by a number of milliseconds
+ * @param {string} date - ISO date
+ * @param {number} shift - Milliseconds to move by
+ * @returns {string} Moved ISO date
+ */
+function shiftDate(date, shift) {
+  return new Date(new Date(date).getTime() + shift).toISOString();
+}
+
+/**
+ * Find a field from the calendar that an update to a meeting imported from
+ * the calendar would change. Changes to single occurrences, such as their
+ * notes, status or RSVPs, are allowed as long as they keep the calendar fields.
+ * @param {Object} meeting - Meeting imported from the calendar
+ * @param {Object} meetingData - Updated meeting data
+ * @returns {string|null} Changed calendar field
+ */
+function findCalendarFieldChange(meeting, meetingData) {
+  const field = CALENDAR_FIELDS.find(f => f !== 'recurrenceExceptions' && f !== 'occurrences' && meetingData[f] !== undefined);
+  
+  if (field) {
+    return field;
+  }
+  
+  if (meetingData.recurrenceExceptions !== undefined &&
+      JSON.stringify(meetingData.recurrenceExceptions) !== JSON.stringify(meeting.recurrenceExceptions || [])) {
+    return 'recurrenceExceptions';
+  }
+  
+  if (meetingData.occurrences !== undefined) {
+    const previous = meeting.occurrences || {};
+    const dates = new Set([...Object.keys(previous), ...Object.keys(meetingData.occurrences)]);
+    
+    for (const date of dates) {
+      const before = previous[date] || {};
+      const after = meetingData.occurrences[date] || {};
+      const occurrenceField = OCCURRENCE_CALENDAR_FIELDS.find(f => JSON.stringify(before[f]) !== JSON.stringify(after[f]));
+      
+      if (occurrenceField) {
+        return occurrenceField;
+      }
+    }
+  }
+  
+  return null;
+}
+
 /**
  * Class representing the Meeting Service
  */
@@ -39,6 +307,10 @@ class MeetingService {
     // Initialize properties
     this.initialized = false;
     this.meetings = [];
+    this.repository = createRepository('meetings', {
+      storageKey: MEETING_STORAGE_KEY,
+      indexes: ['status', 'startTime']
+    });
     this.currentLanguage = appConfig.defaultLanguage;
     this.googleMeet = null;
     
@@ -52,18 +324,31 @@ class MeetingService {
     // Bind methods
     this.initialize = this.initialize.bind(this);
     this.loadMeetings = this.loadMeetings.bind(this);
-    this.saveMeetings = this.saveMeetings.bind(this);
+    this.saveMeeting = this.saveMeeting.bind(this);
+    this.removeStoredMeeting = this.removeStoredMeeting.bind(this);
     this.createMeeting = this.createMeeting.bind(this);
     this.updateMeeting = this.updateMeeting.bind(this);
     this.deleteMeeting = this.deleteMeeting.bind(this);
     this.getMeetings = this.getMeetings.bind(this);
+    this.findMeetings = this.findMeetings.bind(this);
+    this.filterMeetings = this.filterMeetings.bind(this);
     this.getMeetingById = this.getMeetingById.bind(this);
     this.changeMeetingStatus = this.changeMeetingStatus.bind(this);
     this.startMeeting = this.startMeeting.bind(this);
     this.addParticipant = this.addParticipant.bind(this);
     this.removeParticipant = this.removeParticipant.bind(this);
+    this.setParticipantRsvp = this.setParticipantRsvp.bind(this);
     this.addAttachment = this.addAttachment.bind(this);
     this.removeAttachment = this.removeAttachment.bind(this);
+    this.getOccurrenceTarget = this.getOccurrenceTarget.bind(this);
+    this.buildOccurrence = this.buildOccurrence.bind(this);
+    this.expandSeries = this.expandSeries.bind(this);
+    this.updateOccurrence = this.updateOccurrence.bind(this);
+    this.splitSeries = this.splitSeries.bind(this);
+    this.getSeriesChanges = this.getSeriesChanges.bind(this);
+    this.getSeriesEnd = this.getSeriesEnd.bind(this);
+    this.syncOccurrenceReminders = this.syncOccurrenceReminders.bind(this);
+    this.applyRemoteChange = this.applyRemoteChange.bind(this);
     this.setCallbacks = this.setCallbacks.bind(this);
     this.setLanguage = this.setLanguage.bind(this);
     this.cleanup = this.cleanup.bind(this);
@@ -77,9 +362,17 @@ class MeetingService {
     try {
       console.log('Initializing Meeting Service...');
       
+      // Upgrade saved meetings to the current schema
+      await this.repository.migrate(MEETING_MIGRATIONS);
+      
       // Load saved meetings
       await this.loadMeetings();
       
+      // Create reminders for the coming occurrences of recurring meetings
+      for (const meeting of this.meetings.filter(m => m.recurrence)) {
+        await this.syncOccurrenceReminders(meeting);
+      }
+      
       // Initialize Google Meet integration (mock for now)
       this.googleMeet = {
         isConnected: false,
@@ -128,14 +421,8 @@ class MeetingService {
    */
   async loadMeetings() {
     try {
-      const meetingsJson = await AsyncStorage.getItem(MEETING_STORAGE_KEY);
-      
-      if (meetingsJson) {
-        this.meetings = JSON.parse(meetingsJson);
-        console.log(`Loaded ${this.meetings.length} meetings`);
-      } else {
-        this.meetings = [];
-      }
+      this.meetings = await this.repository.getAll();
+      console.log(`Loaded ${this.meetings.length} meetings`);
       
       return true;
     } catch (error) {
@@ -146,15 +433,29 @@ class MeetingService {
   }
   
   /**
-   * Save meetings to storage
+   * Save a meeting to storage
+   * @param {Object} meeting - Meeting to save
    * @returns {Promise<boolean>} Success status
    */
-  async saveMeetings() {
+  async saveMeeting(meeting) {
     try {
-      await AsyncStorage.setItem(MEETING_STORAGE_KEY, JSON.stringify(this.meetings));
-      return true;
+      return await this.repository.put(meeting);
     } catch (error) {
-      console.error('Error saving meetings:', error);
+      console.error('Error saving meeting:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Remove a meeting from storage
+   * @param {string} id - Meeting ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeStoredMeeting(id) {
+    try {
+      return await this.repository.remove(id);
+    } catch (error) {
+      console.error('Error removing stored meeting:', error);
       return false;
     }
   }
@@ -162,9 +463,11 @@ class MeetingService {
   /**
    * Create a new meeting
    * @param {Object} meetingData - Meeting data
+   * @param {Object} options - Options
+   * @param {string} options.origin - Where the meeting came from (EVENT_ORIGINS)
    * @returns {Promise<Object>} Created meeting
    */
-  async createMeeting(meetingData) {
+  async createMeeting(meetingData, options = {}) {
     try {
       // Validate required fields
       if (!meetingData.title) {
@@ -175,6 +478,8 @@ class MeetingService {
         throw new Error('Meeting start time is required');
       }
       
+      const recurrence = normalizeRecurrence(meetingData.recurrence);
+      
       // Create meeting object
       const meeting = {
         id: uuidv4(),
@@ -183,21 +488,45 @@ class MeetingService {
         location: meetingData.location || '',
         startTime: new Date(meetingData.startTime).toISOString(),
         endTime: meetingData.endTime ? new Date(meetingData.endTime).toISOString() : null,
-        participants: meetingData.participants || [],
+        participants: (meetingData.participants || []).map(normalizeParticipant),
         organizer: meetingData.organizer || 'user@example.com',
         status: meetingData.status || MEETING_STATUSES.SCHEDULED,
         priority: meetingData.priority || MEETING_PRIORITIES.MEDIUM,
         context: meetingData.context || MEETING_CONTEXTS.WORK,
         meetUrl: meetingData.meetUrl || null,
+        isOnline: typeof meetingData.isOnline === 'boolean' ? meetingData.isOnline : Boolean(meetingData.meetUrl),
+        meetingLink: meetingData.meetingLink || meetingData.meetUrl || '',
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
         attachments: meetingData.attachments || [],
         notes: meetingData.notes || '',
         agenda: meetingData.agenda || [],
         reminderId: null,
-        language: meetingData.language || this.currentLanguage
+        language: meetingData.language || this.currentLanguage,
+        recurrence,
+        recurrenceExceptions: recurrence ? meetingData.recurrenceExceptions || [] : [],
+        occurrences: recurrence ? meetingData.occurrences || {} : {},
+        readOnly: meetingData.readOnly === true,
+        importedFrom: meetingData.importedFrom || null,
+        timeZone: meetingData.timeZone || null,
+        icalUid: meetingData.icalUid || null
       };
       
+      // A series starts with the first occurrence of its rule
+      if (recurrence) {
+        const first = getNextOccurrence(recurrence, meeting.startTime);
+        
+        if (!first) {
+          throw new Error('Meeting recurrence has no occurrences');
+        }
+        
+        if (meeting.endTime) {
+          meeting.endTime = shiftDate(meeting.endTime, new Date(first.occurrenceDate) - new Date(meeting.startTime));
+        }
+        
+        meeting.startTime = first.occurrenceDate;
+      }
+      
       // Create Google Meet meeting if requested
       if (meetingData.createGoogleMeet && this.googleMeet && this.googleMeet.isConnected) {
         try {
@@ -205,7 +534,7 @@ class MeetingService {
             title: meeting.title,
             startTime: meeting.startTime,
             endTime: meeting.endTime,
-            participants: meeting.participants
+            participants: meeting.participants.map(participant => participant.email)
           });
           
           if (result.success) {
@@ -217,21 +546,23 @@ class MeetingService {
         }
       }
       
-      // Create reminder
+      // Create reminder, or one per occurrence for a series
       try {
-        const reminder = await reminderService.createReminder({
-          title: `Meeting: ${meeting.title}`,
-          description: meeting.description,
-          dueDate: meeting.startTime,
-          category: 'meeting',
-          priority: meeting.priority,
-          context: meeting.context,
-          relatedItemId: meeting.id,
-          relatedItemType: 'meeting',
-          language: meeting.language
-        });
+        if (!meeting.recurrence) {
+          const reminder = await reminderService.createReminder({
+            title: `Meeting: ${meeting.title}`,
+            description: meeting.description,
+            dueDate: meeting.startTime,
+            category: 'meeting',
+            priority: meeting.priority,
+            context: meeting.context,
+            relatedItemId: meeting.id,
+            relatedItemType: 'meeting',
+            language: meeting.language
+          });
         
-        meeting.reminderId = reminder.id;
+          meeting.reminderId = reminder.id;
+        }
       } catch (reminderError) {
         console.warn('Error creating reminder for meeting:', reminderError);
         // Continue without reminder
@@ -240,14 +571,21 @@ class MeetingService {
       // Add to meetings array
       this.meetings.push(meeting);
       
-      // Save meetings
-      await this.saveMeetings();
+      // Save meeting
+      await this.saveMeeting(meeting);
+      
+      if (meeting.recurrence) {
+        await this.syncOccurrenceReminders(meeting);
+      }
       
       // Call callback
       if (this.onMeetingAdded) {
         this.onMeetingAdded(meeting);
       }
       
+      // Publish domain event
+      await changeBus.publish(DOMAIN_EVENTS.MEETING_CREATED, meeting.id, meeting, { origin: options.origin });
+      
       console.log('Meeting created:', meeting.id);
       
       return meeting;
@@ -258,13 +596,36 @@ class MeetingService {
   }
   
   /**
-   * Update an existing meeting
-   * @param {string} id - Meeting ID
+   * Update an existing meeting. Edits to an occurrence of a recurring meeting
+   * apply to that occurrence only unless another scope is given.
+   * @param {string} id - Meeting or occurrence ID
    * @param {Object} meetingData - Updated meeting data
-   * @returns {Promise<Object>} Updated meeting
+   * @param {Object} options - Options
+   * @param {string} options.scope - Occurrences to change (MEETING_EDIT_SCOPES)
+   * @param {string} options.origin - Where the change came from (EVENT_ORIGINS)
+   * @returns {Promise<Object>} Updated meeting or occurrence
    */
-  async updateMeeting(id, meetingData) {
+  async updateMeeting(id, meetingData, options = {}) {
     try {
+      if (meetingData.participants) {
+        meetingData = { ...meetingData, participants: meetingData.participants.map(normalizeParticipant) };
+      }
+      
+      const target = this.getOccurrenceTarget(id);
+      
+      if (target) {
+        switch (options.scope || MEETING_EDIT_SCOPES.THIS) {
+          case MEETING_EDIT_SCOPES.THIS:
+            return await this.updateOccurrence(target, meetingData, options);
+          case MEETING_EDIT_SCOPES.FOLLOWING:
+            return await this.splitSeries(target, meetingData, options);
+          case MEETING_EDIT_SCOPES.SERIES:
+            return await this.updateMeeting(target.series.id, this.getSeriesChanges(target, meetingData), options);
+          default:
+            throw new Error(`Invalid edit scope: ${options.scope}`);
+        }
+      }
+      
       // Find meeting
       const meetingIndex = this.meetings.findIndex(m => m.id === id);
       
@@ -274,6 +635,15 @@ class MeetingService {
       
       const meeting = this.meetings[meetingIndex];
       
+      // Meetings imported from the calendar are edited there
+      if (meeting.readOnly && options.origin !== EVENT_ORIGINS.CALENDAR) {
+        const calendarField = findCalendarFieldChange(meeting, meetingData);
+        
+        if (calendarField) {
+          throw new Error(`Meeting ${id} is read-only: its ${calendarField} comes from the calendar`);
+        }
+      }
+      
       // Update fields
       const updatedMeeting = {
         ...meeting,
@@ -290,8 +660,42 @@ class MeetingService {
         updatedMeeting.endTime = new Date(meetingData.endTime).toISOString();
       }
       
-      // Update reminder if start time changed
-      if (meeting.reminderId && meetingData.startTime) {
+      if (meetingData.recurrence !== undefined) {
+        updatedMeeting.recurrence = normalizeRecurrence(meetingData.recurrence);
+        
+        // A new rule starts without the old rule's exceptions unless given
+        updatedMeeting.recurrenceExceptions = updatedMeeting.recurrence ? meetingData.recurrenceExceptions || [] : [];
+        updatedMeeting.occurrences = updatedMeeting.recurrence ? meetingData.occurrences || {} : {};
+      } else if (meeting.recurrence && meetingData.startTime && updatedMeeting.startTime !== meeting.startTime) {
+        // Moving a series moves its changed occurrences with it
+        const shift = new Date(updatedMeeting.startTime) - new Date(meeting.startTime);
+        
+        updatedMeeting.recurrenceExceptions = (meetingData.recurrenceExceptions || meeting.recurrenceExceptions).map(exception => ({
+          ...exception,
+          occurrenceDate: shiftDate(exception.occurrenceDate, shift),
+          ...(exception.date ? { date: shiftDate(exception.date, shift) } : {})
+        }));
+        updatedMeeting.occurrences = {};
+        
+        Object.entries(meetingData.occurrences || meeting.occurrences).forEach(([occurrenceDate, changes]) => {
+          updatedMeeting.occurrences[shiftDate(occurrenceDate, shift)] = {
+            ...changes,
+            ...(changes.endTime ? { endTime: shiftDate(changes.endTime, shift) } : {})
+          };
+        });
+      }
+      
+      // A series has a reminder per occurrence instead of its own
+      if (meeting.reminderId && updatedMeeting.recurrence) {
+        try {
+          await reminderService.deleteReminder(meeting.reminderId);
+        } catch (reminderError) {
+          console.warn('Error deleting reminder for meeting:', reminderError);
+        }
+        
+        updatedMeeting.reminderId = null;
+      } else if (meeting.reminderId && meetingData.startTime) {
+        // Update reminder if start time changed
         try {
           await reminderService.updateReminder(meeting.reminderId, {
             title: `Meeting: ${updatedMeeting.title}`,
@@ -309,8 +713,8 @@ class MeetingService {
       // Update meetings array
       this.meetings[meetingIndex] = updatedMeeting;
       
-      // Save meetings
-      await this.saveMeetings();
+      // Save meeting
+      await this.saveMeeting(updatedMeeting);
       
       // Call callback
       if (this.onMeetingUpdated) {
@@ -322,8 +726,15 @@ class MeetingService {
         this.onMeetingStatusChanged(updatedMeeting, meeting.status);
       }
       
+      // Publish domain event
+      await changeBus.publish(DOMAIN_EVENTS.MEETING_UPDATED, id, updatedMeeting, { origin: options.origin });
+      
       console.log('Meeting updated:', updatedMeeting.id);
       
+      if (meeting.recurrence || updatedMeeting.recurrence) {
+        await this.syncOccurrenceReminders(updatedMeeting);
+      }
+      
       return updatedMeeting;
     } catch (error) {
       console.error('Error updating meeting:', error);
@@ -332,12 +743,46 @@ class MeetingService {
   }
   
   /**
-   * Delete a meeting
-   * @param {string} id - Meeting ID
+   * Delete a meeting. Deleting an occurrence of a recurring meeting deletes
+   * that occurrence only unless another scope is given.
+   * @param {string} id - Meeting or occurrence ID
+   * @param {Object} options - Options
+   * @param {string} options.scope - Occurrences to delete (MEETING_EDIT_SCOPES)
+   * @param {string} options.origin - Where the change came from (EVENT_ORIGINS)
    * @returns {Promise<boolean>} Success status
    */
-  async deleteMeeting(id) {
+  async deleteMeeting(id, options = {}) {
     try {
+      const target = this.getOccurrenceTarget(id);
+      
+      if (target) {
+        const { series, occurrenceDate } = target;
+        const scope = options.scope || MEETING_EDIT_SCOPES.THIS;
+        
+        if (scope === MEETING_EDIT_SCOPES.THIS) {
+          const occurrences = { ...series.occurrences };
+          delete occurrences[occurrenceDate];
+          
+          await this.updateMeeting(series.id, {
+            recurrenceExceptions: setOccurrenceException(series.recurrenceExceptions, occurrenceDate, null),
+            occurrences
+          }, options);
+          return true;
+        }
+        
+        // Deleting from the first occurrence on deletes the whole series
+        if (scope === MEETING_EDIT_SCOPES.SERIES || occurrenceDate === series.startTime) {
+          return await this.deleteMeeting(series.id, options);
+        }
+        
+        if (scope !== MEETING_EDIT_SCOPES.FOLLOWING) {
+          throw new Error(`Invalid edit scope: ${options.scope}`);
+        }
+        
+        await this.updateMeeting(series.id, this.getSeriesEnd(series, occurrenceDate), options);
+        return true;
+      }
+      
       // Find meeting
       const meetingIndex = this.meetings.findIndex(m => m.id === id);
       
@@ -347,6 +792,10 @@ class MeetingService {
       
       const meeting = this.meetings[meetingIndex];
       
+      if (meeting.readOnly && options.origin !== EVENT_ORIGINS.CALENDAR) {
+        throw new Error(`Meeting ${id} is read-only: it is deleted in the calendar`);
+      }
+      
       // Delete associated reminder if exists
       if (meeting.reminderId) {
         try {
@@ -357,17 +806,31 @@ class MeetingService {
         }
       }
       
+      // Delete the reminders of a series' occurrences
+      if (meeting.recurrence) {
+        const prefix = `${meeting.id}${OCCURRENCE_ID_SEPARATOR}`;
+        
+        for (const reminder of reminderService.getReminders({ category: 'meeting' })) {
+          if (String(reminder.relatedItemId).startsWith(prefix)) {
+            await reminderService.deleteReminder(reminder.id);
+          }
+        }
+      }
+      
       // Remove from meetings array
       this.meetings.splice(meetingIndex, 1);
       
-      // Save meetings
-      await this.saveMeetings();
+      // Remove stored meeting
+      await this.removeStoredMeeting(id);
       
       // Call callback
       if (this.onMeetingDeleted) {
         this.onMeetingDeleted(meeting);
       }
       
+      // Publish domain event
+      await changeBus.publish(DOMAIN_EVENTS.MEETING_DELETED, id, null, { origin: options.origin });
+      
       console.log('Meeting deleted:', id);
       
       return true;
@@ -383,8 +846,56 @@ class MeetingService {
    * @returns {Array} Filtered meetings
    */
   getMeetings(filters = {}) {
+    return this.filterMeetings(this.meetings, filters);
+  }
+  
+  /**
+   * Find stored meetings, matching status and date range through the
+   * storage indexes
+   * @param {Object} filters - Filter criteria, as for getMeetings
+   * @returns {Promise<Array>} Filtered meetings
+   */
+  async findMeetings(filters = {}) {
     try {
-      let filteredMeetings = [...this.meetings];
+      const where = {};
+      const range = {};
+      
+      if (filters.startDate || filters.endDate) {
+        // Series that started before the range can still have occurrences in
+        // it, and an occurrence can have its own status, so only the end of
+        // the range is matched in storage
+        if (filters.endDate) {
+          range.startTime = { to: new Date(filters.endDate).toISOString() };
+        }
+      } else if (filters.status) {
+        where.status = filters.status;
+      }
+      
+      return this.filterMeetings(await this.repository.find(where, range), filters);
+    } catch (error) {
+      console.error('Error finding meetings:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Filter meetings, listing the occurrences of recurring meetings for
+   * date-range queries, and sort them
+   * @param {Array} meetings - Meetings to filter
+   * @param {Object} filters - Filter criteria
+   * @returns {Array} Filtered meetings
+   */
+  filterMeetings(meetings, filters = {}) {
+    try {
+      let filteredMeetings = [...meetings];
+      
+      // Date-range queries list the occurrences of recurring meetings
+      if (filters.startDate || filters.endDate) {
+        filteredMeetings = filteredMeetings.flatMap(m => (m.recurrence ? this.expandSeries(m, {
+          startDate: filters.startDate,
+          endDate: filters.endDate
+        }) : [m]));
+      }
       
       // Apply filters
       if (filters.status) {
@@ -410,7 +921,7 @@ class MeetingService {
       
       if (filters.participant) {
         filteredMeetings = filteredMeetings.filter(m => 
-          m.participants.some(p => p.toLowerCase().includes(filters.participant.toLowerCase()))
+          m.participants.some(p => `${p.name} ${p.email}`.toLowerCase().includes(filters.participant.toLowerCase()))
         );
       }
       
@@ -469,7 +980,28 @@ class MeetingService {
    */
   getMeetingById(id) {
     try {
-      return this.meetings.find(m => m.id === id) || null;
+      const meeting = this.meetings.find(m => m.id === id);
+      
+      if (meeting) {
+        return meeting;
+      }
+      
+      // Occurrences of recurring meetings are built from their series
+      const target = this.getOccurrenceTarget(id);
+      
+      if (!target) {
+        return null;
+      }
+      
+      const occurrence = getNextOccurrence(target.series.recurrence, target.series.startTime, {
+        exceptions: target.series.recurrenceExceptions,
+        after: target.occurrenceDate,
+        inclusive: true
+      });
+      
+      return occurrence && occurrence.occurrenceDate === target.occurrenceDate
+        ? this.buildOccurrence(target.series, occurrence)
+        : null;
     } catch (error) {
       console.error('Error getting meeting by ID:', error);
       return null;
@@ -532,7 +1064,7 @@ class MeetingService {
             title: meeting.title,
             startTime: meeting.startTime,
             endTime: meeting.endTime,
-            participants: meeting.participants
+            participants: meeting.participants.map(participant => participant.email)
           });
           
           if (result.success) {
@@ -562,6 +1094,9 @@ class MeetingService {
         this.onMeetingStarted(updatedMeeting);
       }
       
+      // Publish domain event
+      await changeBus.publish(DOMAIN_EVENTS.MEETING_STARTED, id, updatedMeeting);
+      
       return updatedMeeting;
     } catch (error) {
       console.error('Error starting meeting:', error);
@@ -572,7 +1107,7 @@ class MeetingService {
   /**
    * Add participant to meeting
    * @param {string} id - Meeting ID
-   * @param {string} participant - Participant email
+   * @param {string|Object} participant - Participant email, or participant with an email, name and role
    * @returns {Promise<Object>} Updated meeting
    */
   async addParticipant(id, participant) {
@@ -584,14 +1119,16 @@ class MeetingService {
         throw new Error(`Meeting with ID ${id} not found`);
       }
       
+      const newParticipant = normalizeParticipant(participant);
+      
       // Check if participant already exists
-      if (meeting.participants.includes(participant)) {
+      if (findParticipantIndex(meeting.participants, newParticipant) !== -1) {
         return meeting;
       }
       
       // Update meeting
       const updatedMeeting = await this.updateMeeting(id, {
-        participants: [...meeting.participants, participant]
+        participants: [...meeting.participants, newParticipant]
       });
       
       return updatedMeeting;
@@ -604,7 +1141,7 @@ class MeetingService {
   /**
    * Remove participant from meeting
    * @param {string} id - Meeting ID
-   * @param {string} participant - Participant email
+   * @param {string|Object} participant - Participant email or participant
    * @returns {Promise<Object>} Updated meeting
    */
   async removeParticipant(id, participant) {
@@ -617,7 +1154,7 @@ class MeetingService {
       }
       
       // Check if participant exists
-      const participantIndex = meeting.participants.indexOf(participant);
+      const participantIndex = findParticipantIndex(meeting.participants, participant);
       
       if (participantIndex === -1) {
         return meeting;
@@ -638,6 +1175,43 @@ class MeetingService {
     }
   }
   
+  /**
+   * Record a participant's answer to the invitation. An answer for one
+   * occurrence of a series applies to that occurrence only.
+   * @param {string} id - Meeting or occurrence ID
+   * @param {string} email - Participant email
+   * @param {string} rsvp - RSVP status (RSVP_STATUSES)
+   * @param {Object} options - Options (origin)
+   * @returns {Promise<Object>} Updated meeting or occurrence
+   */
+  async setParticipantRsvp(id, email, rsvp, options = {}) {
+    try {
+      const meeting = this.getMeetingById(id);
+      
+      if (!meeting) {
+        throw new Error(`Meeting with ID ${id} not found`);
+      }
+      
+      const participantIndex = findParticipantIndex(meeting.participants, email);
+      
+      if (participantIndex === -1) {
+        throw new Error(`${email} is not a participant of meeting ${id}`);
+      }
+      
+      if (meeting.participants[participantIndex].rsvp === rsvp) {
+        return meeting;
+      }
+      
+      const updatedParticipants = [...meeting.participants];
+      updatedParticipants[participantIndex] = { ...updatedParticipants[participantIndex], rsvp };
+      
+      return await this.updateMeeting(id, { participants: updatedParticipants }, options);
+    } catch (error) {
+      console.error('Error setting participant RSVP:', error);
+      throw error;
+    }
+  }
+  
   /**
    * Add attachment to meeting
    * @param {string} id - Meeting ID
@@ -718,6 +1292,387 @@ class MeetingService {
     }
   }
   
+  /**
+   * Find the series and original start time of an occurrence ID
+   * @param {string} id - Meeting or occurrence ID
+   * @returns {Object|null} Series and occurrence date, or null if the ID is not an occurrence
+   */
+  getOccurrenceTarget(id) {
+    if (this.meetings.some(m => m.id === id)) {
+      return null;
+    }
+    
+    const parsed = parseOccurrenceId(id);
+    const series = parsed ? this.meetings.find(m => m.id === parsed.seriesId && m.recurrence) : null;
+    
+    if (!series) {
+      return null;
+    }
+    
+    return { series, occurrenceDate: parsed.occurrenceDate };
+  }
+  
+  /**
+   * Build an occurrence of a recurring meeting from its series and changes.
+   * Each occurrence has its own status and notes.
+   * @param {Object} series - Recurring meeting
+   * @param {Object} occurrence - Occurrence from the recurrence rules
+   * @returns {Object} Occurrence
+   */
+  buildOccurrence(series, occurrence) {
+    const changes = series.occurrences[occurrence.occurrenceDate] || {};
+    const id = getOccurrenceId(series.id, occurrence.occurrenceDate);
+    const reminderId = getOccurrenceReminderId(id);
+    const duration = series.endTime ? new Date(series.endTime) - new Date(series.startTime) : null;
+    
+    const meeting = {
+      ...series,
+      status: series.status === MEETING_STATUSES.CANCELLED ? MEETING_STATUSES.CANCELLED : MEETING_STATUSES.SCHEDULED,
+      notes: '',
+      ...changes,
+      id,
+      seriesId: series.id,
+      occurrenceDate: occurrence.occurrenceDate,
+      startTime: occurrence.date,
+      endTime: changes.endTime || (duration === null ? null : shiftDate(occurrence.date, duration)),
+      reminderId: reminderService.getReminderById(reminderId) ? reminderId : null
+    };
+    
+    delete meeting.recurrenceExceptions;
+    delete meeting.occurrences;
+    
+    return meeting;
+  }
+  
+  /**
+   * Get the occurrences of a recurring meeting in a date range
+   * @param {Object} series - Recurring meeting
+   * @param {Object} range - Date range
+   * @param {string} range.startDate - Earliest start time
+   * @param {string} range.endDate - Latest start time
+   * @returns {Array} Occurrences
+   */
+  expandSeries(series, range = {}) {
+    return getOccurrences(series.recurrence, series.startTime, {
+      exceptions: series.recurrenceExceptions,
+      startDate: range.startDate,
+      endDate: range.endDate
+    }).map(occurrence => this.buildOccurrence(series, occurrence));
+  }
+  
+  /**
+   * Change one occurrence of a recurring meeting
+   * @param {Object} target - Series and occurrence date
+   * @param {Object} meetingData - Changes to the occurrence
+   * @param {Object} options - Options (origin)
+   * @returns {Promise<Object>} Updated occurrence
+   */
+  async updateOccurrence(target, meetingData, options = {}) {
+    const { series, occurrenceDate } = target;
+    const id = getOccurrenceId(series.id, occurrenceDate);
+    const occurrence = this.getMeetingById(id);
+    
+    if (!occurrence) {
+      throw new Error(`Meeting with ID ${id} not found`);
+    }
+    
+    const changes = { ...series.occurrences[occurrenceDate] };
+    let recurrenceExceptions = series.recurrenceExceptions;
+    
+    Object.keys(meetingData)
+      .filter(field => !SERIES_FIELDS.includes(field) && field !== 'startTime')
+      .forEach(field => {
+        changes[field] = meetingData[field];
+      });
+    
+    // A new start time moves the occurrence, keeping its length
+    if (meetingData.startTime) {
+      recurrenceExceptions = setOccurrenceException(recurrenceExceptions, occurrenceDate, meetingData.startTime);
+      
+      if (!meetingData.endTime && occurrence.endTime) {
+        changes.endTime = shiftDate(occurrence.endTime, new Date(meetingData.startTime) - new Date(occurrence.startTime));
+      }
+    }
+    
+    if (changes.endTime) {
+      changes.endTime = new Date(changes.endTime).toISOString();
+    }
+    
+    await this.updateMeeting(series.id, {
+      recurrenceExceptions,
+      occurrences: { ...series.occurrences, [occurrenceDate]: changes }
+    }, options);
+    
+    const updatedOccurrence = this.getMeetingById(id);
+    
+    // Call status change callback if status changed
+    if (meetingData.status && meetingData.status !== occurrence.status && this.onMeetingStatusChanged) {
+      this.onMeetingStatusChanged(updatedOccurrence, occurrence.status);
+    }
+    
+    return updatedOccurrence;
+  }
+  
+  /**
+   * Get the changes that end a series before an occurrence, keeping the
+   * exceptions and changes of the occurrences before it
+   * @param {Object} series - Recurring meeting
+   * @param {string} occurrenceDate - Original start time of the first occurrence to drop
+   * @returns {Object} Series changes
+   */
+  getSeriesEnd(series, occurrenceDate) {
+    const splitTime = new Date(occurrenceDate).getTime();
+    const occurrences = {};
+    
+    Object.entries(series.occurrences).forEach(([date, changes]) => {
+      if (new Date(date).getTime() < splitTime) {
+        occurrences[date] = changes;
+      }
+    });
+    
+    return {
+      recurrence: { ...series.recurrence, count: null, until: new Date(splitTime - 1).toISOString() },
+      recurrenceExceptions: series.recurrenceExceptions.filter(exception => new Date(exception.occurrenceDate).getTime() < splitTime),
+      occurrences
+    };
+  }
+  
+  /**
+   * Change an occurrence of a recurring meeting and the ones after it, by
+   * ending the series before it and starting a new series with the changes
+   * @param {Object} target - Series and occurrence date
+   * @param {Object} meetingData - Changes to the occurrences
+   * @param {Object} options - Options (origin)
+   * @returns {Promise<Object>} First occurrence of the new series
+   */
+  async splitSeries(target, meetingData, options = {}) {
+    const { series, occurrenceDate } = target;
+    const splitTime = new Date(occurrenceDate).getTime();
+    
+    // Changing from the first occurrence on changes the whole series
+    if (occurrenceDate === series.startTime) {
+      await this.updateMeeting(series.id, this.getSeriesChanges(target, meetingData), options);
+      return this.getMeetingById(getOccurrenceId(series.id, this.getMeetingById(series.id).startTime));
+    }
+    
+    const changes = this.getSeriesChanges(target, meetingData);
+    const startTime = meetingData.startTime ? new Date(meetingData.startTime).toISOString() : occurrenceDate;
+    const shift = new Date(startTime) - splitTime;
+    let recurrence = series.recurrence;
+    
+    // A count covers both series
+    if (series.recurrence.count) {
+      let previousCount = 0;
+      
+      for (const date of iterateOccurrences(series.recurrence, series.startTime)) {
+        if (date.getTime() >= splitTime) {
+          break;
+        }
+        
+        previousCount += 1;
+      }
+      
+      recurrence = { ...series.recurrence, count: series.recurrence.count - previousCount };
+    }
+    
+    // The new series takes over the exceptions and changes from the split on
+    const occurrences = {};
+    
+    Object.entries(series.occurrences).forEach(([date, occurrenceChanges]) => {
+      if (new Date(date).getTime() >= splitTime) {
+        occurrences[shiftDate(date, shift)] = occurrenceChanges;
+      }
+    });
+    
+    const recurrenceExceptions = series.recurrenceExceptions
+      .filter(exception => new Date(exception.occurrenceDate).getTime() >= splitTime)
+      .map(exception => ({
+        ...exception,
+        occurrenceDate: shiftDate(exception.occurrenceDate, shift),
+        ...(exception.date ? { date: shiftDate(exception.date, shift) } : {})
+      }));
+    
+    await this.updateMeeting(series.id, this.getSeriesEnd(series, occurrenceDate), options);
+    
+    const seriesData = { ...series };
+    SERIES_FIELDS.forEach(field => delete seriesData[field]);
+    
+    const newSeries = await this.createMeeting({
+      ...seriesData,
+      ...changes,
+      startTime,
+      endTime: series.endTime ? shiftDate(startTime, new Date(changes.endTime || series.endTime) - new Date(changes.startTime || series.startTime)) : null,
+      recurrence: meetingData.recurrence !== undefined ? meetingData.recurrence : recurrence,
+      recurrenceExceptions: meetingData.recurrence !== undefined ? [] : recurrenceExceptions,
+      occurrences: meetingData.recurrence !== undefined ? {} : occurrences
+    }, options);
+    
+    return newSeries.recurrence
+      ? this.getMeetingById(getOccurrenceId(newSeries.id, newSeries.startTime))
+      : newSeries;
+  }
+  
+  /**
+   * Turn changes made to an occurrence into changes to its whole series.
+   * A new start time moves every occurrence by the same amount.
+   * @param {Object} target - Series and occurrence date
+   * @param {Object} meetingData - Changes made to the occurrence
+   * @returns {Object} Series changes
+   */
+  getSeriesChanges(target, meetingData) {
+    const { series, occurrenceDate } = target;
+    const changes = { ...meetingData };
+    
+    if (meetingData.startTime) {
+      const shift = new Date(meetingData.startTime) - new Date(occurrenceDate);
+      changes.startTime = shiftDate(series.startTime, shift);
+      
+      if (meetingData.endTime) {
+        changes.endTime = shiftDate(changes.startTime, new Date(meetingData.endTime) - new Date(meetingData.startTime));
+      } else if (series.endTime) {
+        changes.endTime = shiftDate(series.endTime, shift);
+      }
+    } else if (meetingData.endTime) {
+      changes.endTime = shiftDate(series.startTime, new Date(meetingData.endTime) - new Date(occurrenceDate));
+    }
+    
+    return changes;
+  }
+  
+  /**
+   * Keep one reminder for each occurrence of a recurring meeting in the
+   * coming days, removing the reminders of occurrences that no longer happen
+   * @param {Object} series - Recurring meeting
+   * @param {Date} now - Current time
+   * @returns {Promise<boolean>} Success status
+   */
+  async syncOccurrenceReminders(series, now = new Date()) {
+    try {
+      const horizon = new Date(now.getTime() + OCCURRENCE_REMINDER_DAYS * 24 * 60 * 60 * 1000);
+      const occurrences = series.recurrence && this.meetings.some(m => m.id === series.id)
+        ? this.expandSeries(series, { startDate: now, endDate: horizon })
+          .filter(occurrence => occurrence.status !== MEETING_STATUSES.CANCELLED)
+        : [];
+      const reminderIds = occurrences.map(occurrence => getOccurrenceReminderId(occurrence.id));
+      const prefix = `${series.id}${OCCURRENCE_ID_SEPARATOR}`;
+      
+      // Remove reminders of upcoming occurrences that were moved, skipped or cancelled
+      const staleReminders = (await reminderService.findReminders({ category: 'meeting', startDate: now }))
+        .filter(reminder => String(reminder.relatedItemId).startsWith(prefix) && !reminderIds.includes(reminder.id));
+      
+      for (const reminder of staleReminders) {
+        await reminderService.deleteReminder(reminder.id);
+      }
+      
+      for (const occurrence of occurrences) {
+        const reminderId = getOccurrenceReminderId(occurrence.id);
+        const reminder = reminderService.getReminderById(reminderId);
+        const reminderData = {
+          title: `Meeting: ${occurrence.title}`,
+          description: occurrence.description,
+          dueDate: occurrence.startTime,
+          priority: occurrence.priority,
+          context: occurrence.context
+        };
+        
+        // Every device creates the reminders of upcoming occurrences, so their
+        // ID and creation time follow from the series
+        if (!reminder) {
+          await reminderService.createReminder({
+            ...reminderData,
+            id: reminderId,
+            createdAt: series.createdAt,
+            category: 'meeting',
+            relatedItemId: occurrence.id,
+            relatedItemType: 'meeting',
+            language: occurrence.language
+          });
+        } else if (reminder.dueDate !== reminderData.dueDate || reminder.title !== reminderData.title) {
+          await reminderService.updateReminder(reminderId, reminderData);
+        }
+      }
+      
+      return true;
+    } catch (error) {
+      console.warn('Error syncing reminders for recurring meeting:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Apply a meeting change made on another device. The meeting is stored as
+   * received; it is not started here and linked reminders are synced
+   * separately.
+   * @param {string} action - Action (create, update, delete, start)
+   * @param {string} id - Meeting ID
+   * @param {Object} data - Meeting data after the change
+   * @returns {Promise<boolean>} Success status
+   */
+  async applyRemoteChange(action, id, data) {
+    try {
+      const meetingIndex = this.meetings.findIndex(m => m.id === id);
+      const options = { origin: EVENT_ORIGINS.REMOTE };
+      
+      if (action === 'delete') {
+        if (meetingIndex === -1) {
+          return true;
+        }
+        
+        const meeting = this.meetings[meetingIndex];
+        this.meetings.splice(meetingIndex, 1);
+        await this.removeStoredMeeting(id);
+        
+        if (this.onMeetingDeleted) {
+          this.onMeetingDeleted(meeting);
+        }
+        
+        await changeBus.publish(DOMAIN_EVENTS.MEETING_DELETED, id, null, options);
+        return true;
+      }
+      
+      if (!data) {
+        throw new Error(`Remote meeting ${action} for ${id} has no data`);
+      }
+      
+      const meeting = { ...data, id };
+      
+      if (action === 'start') {
+        meeting.status = MEETING_STATUSES.IN_PROGRESS;
+      }
+      
+      if (meetingIndex === -1) {
+        this.meetings.push(meeting);
+        await this.saveMeeting(meeting);
+        
+        if (this.onMeetingAdded) {
+          this.onMeetingAdded(meeting);
+        }
+      } else {
+        const previousMeeting = this.meetings[meetingIndex];
+        this.meetings[meetingIndex] = meeting;
+        await this.saveMeeting(meeting);
+        
+        if (this.onMeetingUpdated) {
+          this.onMeetingUpdated(meeting);
+        }
+        
+        if (meeting.status !== previousMeeting.status && this.onMeetingStatusChanged) {
+          this.onMeetingStatusChanged(meeting, previousMeeting.status);
+        }
+      }
+      
+      const type = action === 'start' ? DOMAIN_EVENTS.MEETING_STARTED :
+        meetingIndex === -1 ? DOMAIN_EVENTS.MEETING_CREATED : DOMAIN_EVENTS.MEETING_UPDATED;
+      
+      await changeBus.publish(type, id, meeting, options);
+      
+      return true;
+    } catch (error) {
+      console.error(`Error applying remote meeting ${action}:`, error);
+      return false;
+    }
+  }
+  
   /**
    * Set callbacks
    * @param {Object} callbacks - Callback functions
@@ -786,7 +1741,13 @@ const meetingService = new MeetingService();
 export {
   MEETING_STATUSES,
   MEETING_PRIORITIES,
-  MEETING_CONTEXTS
+  MEETING_CONTEXTS,
+  MEETING_EDIT_SCOPES,
+  MEETING_MIGRATIONS,
+  PARTICIPANT_ROLES,
+  RSVP_STATUSES,
+  getOccurrenceId,
+  normalizeParticipant
 };
 
 export default meetingService;
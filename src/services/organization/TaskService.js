@@ -5,9 +5,15 @@
  * and support for both English and Chinese languages.
  */
 
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import createRepository from '../storage/Repository';
 import { v4 as uuidv4 } from 'uuid';
 import reminderService from '../reminders/ReminderService';
+import changeBus, { DOMAIN_EVENTS, EVENT_ORIGINS } from '../events/ChangeBus';
+import {
+  normalizeRecurrence,
+  getNextOccurrence,
+  addRecurrenceInterval
+} from '../recurrence/recurrenceRules';
 import appConfig from '../../constants/appConfig';
 
 // Constants
@@ -30,6 +36,51 @@ const TASK_CONTEXTS = {
   FAMILY: 'family'
 };
 
+// How the next instance of a recurring task is created
+const TASK_RECURRENCE_MODES = {
+  SCHEDULE: 'schedule', // On the rule's dates, completed or not
+  COMPLETION: 'completion' // One interval after the previous instance is completed
+};
+
+// Most instances created at once for a schedule that fell behind
+const MAX_SCHEDULED_INSTANCES = 50;
+
+// Schema migrations for saved tasks, run by the repository at initialize()
+const TASK_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Fill in fields missing from tasks saved by early versions',
+    up: task => ({
+      ...task,
+      description: task.description || '',
+      status: task.status || TASK_STATUSES.TODO,
+      priority: task.priority || TASK_PRIORITIES.MEDIUM,
+      context: task.context || TASK_CONTEXTS.WORK,
+      subtasks: task.subtasks || [],
+      tags: task.tags || [],
+      attachments: task.attachments || [],
+      notes: task.notes || '',
+      reminderId: task.reminderId || null
+    })
+  },
+  {
+    version: 2,
+    description: 'Add recurrence, series and completion fields',
+    up: task => ({
+      ...task,
+      recurrence: task.recurrence || null,
+      recurrenceMode: task.recurrenceMode || null,
+      seriesId: task.seriesId || null,
+      seriesStart: task.seriesStart || null,
+      occurrenceDate: task.occurrenceDate || null,
+      instanceNumber: task.instanceNumber || null,
+      previousInstanceId: task.previousInstanceId || null,
+      nextInstanceId: task.nextInstanceId || null,
+      completedAt: task.completedAt || (task.status === TASK_STATUSES.COMPLETED ? task.updatedAt || null : null)
+    })
+  }
+];
+
 /**
  * Class representing the Task Service
  */
@@ -38,6 +89,12 @@ class TaskService {
     // Initialize properties
     this.initialized = false;
     this.tasks = [];
+    this.scheduledInstancesPromise = null;
+    this.creatingTaskIds = new Set();
+    this.repository = createRepository('tasks', {
+      storageKey: TASK_STORAGE_KEY,
+      indexes: ['status', 'priority', 'dueDate']
+    });
     this.currentLanguage = appConfig.defaultLanguage;
     
     // Callbacks
@@ -49,7 +106,8 @@ class TaskService {
     // Bind methods
     this.initialize = this.initialize.bind(this);
     this.loadTasks = this.loadTasks.bind(this);
-    this.saveTasks = this.saveTasks.bind(this);
+    this.saveTask = this.saveTask.bind(this);
+    this.removeStoredTask = this.removeStoredTask.bind(this);
     this.createTask = this.createTask.bind(this);
     this.updateTask = this.updateTask.bind(this);
     this.deleteTask = this.deleteTask.bind(this);
@@ -59,6 +117,12 @@ class TaskService {
     this.addSubtask = this.addSubtask.bind(this);
     this.updateSubtask = this.updateSubtask.bind(this);
     this.deleteSubtask = this.deleteSubtask.bind(this);
+    this.getRecurrenceFields = this.getRecurrenceFields.bind(this);
+    this.createNextInstance = this.createNextInstance.bind(this);
+    this.generateScheduledInstances = this.generateScheduledInstances.bind(this);
+    this.createScheduledInstances = this.createScheduledInstances.bind(this);
+    this.getTaskHistory = this.getTaskHistory.bind(this);
+    this.applyRemoteChange = this.applyRemoteChange.bind(this);
     this.setCallbacks = this.setCallbacks.bind(this);
     this.cleanup = this.cleanup.bind(this);
   }
@@ -71,9 +135,15 @@ class TaskService {
     try {
       console.log('Initializing Task Service...');
       
+      // Upgrade saved tasks to the current schema
+      await this.repository.migrate(TASK_MIGRATIONS);
+      
       // Load saved tasks
       await this.loadTasks();
       
+      // Catch up on recurring tasks that came due while the app was closed
+      await this.generateScheduledInstances();
+      
       // Set initialization flag
       this.initialized = true;
       console.log('Task Service initialized successfully');
@@ -91,14 +161,8 @@ class TaskService {
    */
   async loadTasks() {
     try {
-      const tasksJson = await AsyncStorage.getItem(TASK_STORAGE_KEY);
-      
-      if (tasksJson) {
-        this.tasks = JSON.parse(tasksJson);
-        console.log(`Loaded ${this.tasks.length} tasks`);
-      } else {
-        this.tasks = [];
-      }
+      this.tasks = await this.repository.getAll();
+      console.log(`Loaded ${this.tasks.length} tasks`);
       
       return true;
     } catch (error) {
@@ -109,15 +173,29 @@ class TaskService {
   }
   
   /**
-   * Save tasks to storage
+   * Save a task to storage
+   * @param {Object} task - Task to save
    * @returns {Promise<boolean>} Success status
    */
-  async saveTasks() {
+  async saveTask(task) {
     try {
-      await AsyncStorage.setItem(TASK_STORAGE_KEY, JSON.stringify(this.tasks));
-      return true;
+      return await this.repository.put(task);
     } catch (error) {
-      console.error('Error saving tasks:', error);
+      console.error('Error saving task:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Remove a task from storage
+   * @param {string} id - Task ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeStoredTask(id) {
+    try {
+      return await this.repository.remove(id);
+    } catch (error) {
+      console.error('Error removing stored task:', error);
       return false;
     }
   }
@@ -128,35 +206,59 @@ class TaskService {
    * @returns {Promise<Object>} Created task
    */
   async createTask(taskData) {
+    let reservedId = null;
+    
     try {
       // Validate required fields
       if (!taskData.title) {
         throw new Error('Task title is required');
       }
       
+      // Tasks with a given ID, such as the instances of a series, may be
+      // created twice side by side. The ID is reserved before anything is
+      // awaited, so the second call fails before creating a reminder.
+      const id = taskData.id || uuidv4();
+      
+      if (this.getTaskById(id) || this.creatingTaskIds.has(id)) {
+        throw new Error(`Task with ID ${id} already exists`);
+      }
+      
+      this.creatingTaskIds.add(id);
+      reservedId = id;
+      
       // Create task object
       const task = {
-        id: uuidv4(),
+        id,
         title: taskData.title,
         description: taskData.description || '',
         status: taskData.status || TASK_STATUSES.TODO,
         priority: taskData.priority || TASK_PRIORITIES.MEDIUM,
         context: taskData.context || TASK_CONTEXTS.WORK,
         dueDate: taskData.dueDate ? new Date(taskData.dueDate).toISOString() : null,
-        createdAt: new Date().toISOString(),
+        createdAt: taskData.createdAt ? new Date(taskData.createdAt).toISOString() : new Date().toISOString(),
         updatedAt: new Date().toISOString(),
         subtasks: taskData.subtasks || [],
         tags: taskData.tags || [],
         attachments: taskData.attachments || [],
         notes: taskData.notes || '',
-        reminderId: null,
-        language: taskData.language || this.currentLanguage
+        reminderId: taskData.reminderId || null,
+        language: taskData.language || this.currentLanguage,
+        completedAt: taskData.status === TASK_STATUSES.COMPLETED ? new Date().toISOString() : null,
+        previousInstanceId: taskData.previousInstanceId || null,
+        nextInstanceId: null
       };
       
+      Object.assign(task, this.getRecurrenceFields(task, taskData));
+      
       // Create reminder if due date is provided
-      if (task.dueDate && taskData.createReminder !== false) {
+      if (task.dueDate && !task.reminderId && taskData.createReminder !== false) {
         try {
-          const reminder = await reminderService.createReminder({
+          // Tasks with a given ID may be created on every device, so their
+          // reminder's ID and creation time follow from the task
+          const reminderId = taskData.id ? `reminder-${task.id}` : undefined;
+          const reminder = (reminderId && reminderService.getReminderById(reminderId)) || await reminderService.createReminder({
+            id: reminderId,
+            createdAt: task.createdAt,
             title: task.title,
             description: task.description,
             dueDate: task.dueDate,
@@ -178,20 +280,27 @@ class TaskService {
       // Add to tasks array
       this.tasks.push(task);
       
-      // Save tasks
-      await this.saveTasks();
+      // Save task
+      await this.saveTask(task);
       
       // Call callback
       if (this.onTaskAdded) {
         this.onTaskAdded(task);
       }
       
+      // Publish domain event
+      await changeBus.publish(DOMAIN_EVENTS.TASK_CREATED, task.id, task);
+      
       console.log('Task created:', task.id);
       
       return task;
     } catch (error) {
       console.error('Error creating task:', error);
       throw error;
+    } finally {
+      if (reservedId) {
+        this.creatingTaskIds.delete(reservedId);
+      }
     }
   }
   
@@ -224,6 +333,24 @@ class TaskService {
         updatedTask.dueDate = new Date(taskData.dueDate).toISOString();
       }
       
+      // A new rule or due date restarts the schedule from the due date
+      if (taskData.recurrence !== undefined || taskData.recurrenceMode !== undefined ||
+          (taskData.dueDate && updatedTask.recurrence)) {
+        Object.assign(updatedTask, this.getRecurrenceFields(
+          { ...updatedTask, seriesStart: null, occurrenceDate: null },
+          { recurrence: updatedTask.recurrence, recurrenceMode: updatedTask.recurrenceMode }
+        ));
+      }
+      
+      // Track when the task was completed
+      const isCompleting = taskData.status === TASK_STATUSES.COMPLETED && task.status !== TASK_STATUSES.COMPLETED;
+      
+      if (isCompleting) {
+        updatedTask.completedAt = new Date().toISOString();
+      } else if (taskData.status && taskData.status !== TASK_STATUSES.COMPLETED) {
+        updatedTask.completedAt = null;
+      }
+      
       // Update reminder if due date changed or task completed
       if (task.reminderId && (taskData.dueDate || taskData.status === TASK_STATUSES.COMPLETED)) {
         try {
@@ -273,8 +400,8 @@ class TaskService {
       // Update tasks array
       this.tasks[taskIndex] = updatedTask;
       
-      // Save tasks
-      await this.saveTasks();
+      // Save task
+      await this.saveTask(updatedTask);
       
       // Call callback
       if (this.onTaskUpdated) {
@@ -286,8 +413,17 @@ class TaskService {
         this.onTaskStatusChanged(updatedTask, task.status);
       }
       
+      // Publish domain event
+      await changeBus.publish(DOMAIN_EVENTS.TASK_UPDATED, id, updatedTask);
+      
       console.log('Task updated:', updatedTask.id);
       
+      // Completing a recurring task creates its next instance
+      if (isCompleting && updatedTask.recurrence && !updatedTask.nextInstanceId) {
+        await this.createNextInstance(updatedTask);
+        return this.getTaskById(id);
+      }
+      
       return updatedTask;
     } catch (error) {
       console.error('Error updating task:', error);
@@ -324,14 +460,17 @@ class TaskService {
       // Remove from tasks array
       this.tasks.splice(taskIndex, 1);
       
-      // Save tasks
-      await this.saveTasks();
+      // Remove stored task
+      await this.removeStoredTask(id);
       
       // Call callback
       if (this.onTaskDeleted) {
         this.onTaskDeleted(id);
       }
       
+      // Publish domain event
+      await changeBus.publish(DOMAIN_EVENTS.TASK_DELETED, id);
+      
       console.log('Task deleted:', id);
       
       return true;
@@ -389,7 +528,7 @@ class TaskService {
         filteredTasks = filteredTasks.filter(t => 
           t.title.toLowerCase().includes(searchTerm) || 
           t.description.toLowerCase().includes(searchTerm) ||
-          t.notes.toLowerCase().includes(searchTerm)
+          (t.notes || '').toLowerCase().includes(searchTerm)
         );
       }
       
@@ -578,6 +717,302 @@ class TaskService {
     }
   }
   
+  /**
+   * Get the recurrence fields of a task. The first instance of a series
+   * starts it; later instances keep the series they were created in.
+   * @param {Object} task - Task the fields are for
+   * @param {Object} taskData - Task data with recurrence and recurrenceMode
+   * @returns {Object} Recurrence fields
+   */
+  getRecurrenceFields(task, taskData) {
+    const recurrence = normalizeRecurrence(taskData.recurrence);
+    
+    if (!recurrence) {
+      // Instances of a stopped series stay in its history
+      return {
+        recurrence: null,
+        recurrenceMode: null,
+        seriesId: task.seriesId || null,
+        seriesStart: null,
+        occurrenceDate: null,
+        instanceNumber: task.instanceNumber || null
+      };
+    }
+    
+    const recurrenceMode = taskData.recurrenceMode || TASK_RECURRENCE_MODES.SCHEDULE;
+    
+    if (!Object.values(TASK_RECURRENCE_MODES).includes(recurrenceMode)) {
+      throw new Error(`Invalid recurrence mode: ${recurrenceMode}`);
+    }
+    
+    const isScheduled = recurrenceMode === TASK_RECURRENCE_MODES.SCHEDULE;
+    
+    if (isScheduled && !task.dueDate) {
+      throw new Error('Tasks recurring on a schedule need a due date');
+    }
+    
+    return {
+      recurrence,
+      recurrenceMode,
+      seriesId: taskData.seriesId || task.seriesId || task.id,
+      seriesStart: isScheduled ? taskData.seriesStart || task.seriesStart || task.dueDate : null,
+      occurrenceDate: isScheduled ? taskData.occurrenceDate || task.occurrenceDate || task.dueDate : null,
+      instanceNumber: taskData.instanceNumber || task.instanceNumber || 1
+    };
+  }
+  
+  /**
+   * Create the next instance of a recurring task, with its subtasks cloned
+   * and its reminder moved to the new due date
+   * @param {Object} task - Recurring task
+   * @returns {Promise<Object|null>} Next instance, or null if the series has ended
+   */
+  async createNextInstance(task) {
+    try {
+      let dueDate = null;
+      let occurrenceDate = null;
+      
+      if (task.recurrenceMode === TASK_RECURRENCE_MODES.SCHEDULE) {
+        const next = getNextOccurrence(task.recurrence, task.seriesStart, { after: task.occurrenceDate });
+        
+        if (!next) {
+          console.log('Task recurrence has ended:', task.seriesId);
+          return null;
+        }
+        
+        dueDate = next.date;
+        occurrenceDate = next.occurrenceDate;
+      } else {
+        // Due one interval after completion, at the time of day it was due
+        const from = new Date(task.completedAt || Date.now());
+        
+        if (task.dueDate) {
+          const previousDue = new Date(task.dueDate);
+          from.setHours(previousDue.getHours(), previousDue.getMinutes(), previousDue.getSeconds(), previousDue.getMilliseconds());
+        }
+        
+        dueDate = addRecurrenceInterval(from, task.recurrence).toISOString();
+        
+        if ((task.recurrence.count && task.instanceNumber >= task.recurrence.count) ||
+            (task.recurrence.until && new Date(dueDate) > new Date(task.recurrence.until))) {
+          console.log('Task recurrence has ended:', task.seriesId);
+          return null;
+        }
+      }
+      
+      // Instance IDs follow from the series, so devices creating the same
+      // instance create the same task. Instances on a schedule are created
+      // by every device, so they also take their creation time from the
+      // occurrence that came due, and their subtasks take their IDs from the
+      // instance; otherwise the copies would conflict when they sync.
+      const instanceNumber = task.instanceNumber + 1;
+      const id = `${task.seriesId}-${instanceNumber}`;
+      const createdAt = task.recurrenceMode === TASK_RECURRENCE_MODES.SCHEDULE
+        ? task.occurrenceDate
+        : new Date().toISOString();
+      
+      if (this.getTaskById(id)) {
+        return null;
+      }
+      
+      // Move the reminder over to the new instance
+      let reminderId = null;
+      
+      if (task.reminderId) {
+        try {
+          await reminderService.updateReminder(task.reminderId, {
+            title: task.title,
+            dueDate,
+            completed: false,
+            relatedItemId: id
+          });
+          
+          reminderId = task.reminderId;
+        } catch (reminderError) {
+          console.warn('Error moving reminder to next task instance:', reminderError);
+          // A new reminder is created with the instance
+        }
+      }
+      
+      const nextTask = await this.createTask({
+        id,
+        title: task.title,
+        description: task.description,
+        priority: task.priority,
+        context: task.context,
+        dueDate,
+        subtasks: task.subtasks.map((subtask, index) => ({
+          ...subtask,
+          id: `${id}-subtask-${index + 1}`,
+          completed: false,
+          createdAt
+        })),
+        tags: [...task.tags],
+        attachments: [...task.attachments],
+        reminderId,
+        language: task.language,
+        recurrence: task.recurrence,
+        recurrenceMode: task.recurrenceMode,
+        seriesId: task.seriesId,
+        seriesStart: task.seriesStart,
+        occurrenceDate,
+        instanceNumber,
+        previousInstanceId: task.id,
+        createdAt
+      });
+      
+      // The previous instance stays in the series' history
+      await this.updateTask(task.id, {
+        nextInstanceId: nextTask.id,
+        reminderId: reminderId ? null : task.reminderId
+      });
+      
+      console.log('Next task instance created:', nextTask.id);
+      
+      return nextTask;
+    } catch (error) {
+      console.error('Error creating next task instance:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Create the instances of tasks recurring on a schedule whose current
+   * instance has come due, catching up on any that were missed. A call made
+   * while instances are being created gets the result of that run.
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Created instances
+   */
+  async generateScheduledInstances(now = new Date()) {
+    if (!this.scheduledInstancesPromise) {
+      this.scheduledInstancesPromise = this.createScheduledInstances(now).finally(() => {
+        this.scheduledInstancesPromise = null;
+      });
+    }
+    
+    return await this.scheduledInstancesPromise;
+  }
+  
+  /**
+   * Create the instances of tasks recurring on a schedule that have come due
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Created instances
+   */
+  async createScheduledInstances(now) {
+    const created = [];
+    
+    try {
+      const isDue = task => task.recurrence && task.recurrenceMode === TASK_RECURRENCE_MODES.SCHEDULE &&
+        !task.nextInstanceId && new Date(task.dueDate) <= now;
+      let pending = this.tasks.filter(isDue);
+      
+      while (pending.length > 0 && created.length < MAX_SCHEDULED_INSTANCES) {
+        const nextTasks = [];
+        
+        for (const task of pending) {
+          const nextTask = await this.createNextInstance(task);
+          
+          if (nextTask) {
+            nextTasks.push(nextTask);
+          }
+        }
+        
+        created.push(...nextTasks);
+        pending = nextTasks.filter(isDue);
+      }
+      
+      return created;
+    } catch (error) {
+      console.error('Error creating scheduled task instances:', error);
+      return created;
+    }
+  }
+  
+  /**
+   * Get every instance of a recurring task's series, oldest first
+   * @param {string} id - ID of any task in the series
+   * @returns {Array} Instances of the series
+   */
+  getTaskHistory(id) {
+    const task = this.getTaskById(id);
+    
+    if (!task || !task.seriesId) {
+      return task ? [task] : [];
+    }
+    
+    return this.tasks
+      .filter(t => t.seriesId === task.seriesId)
+      .sort((a, b) => a.instanceNumber - b.instanceNumber);
+  }
+  
+  /**
+   * Apply a task change made on another device. The task is stored as
+   * received; linked reminders are synced separately, so none are created
+   * or updated here.
+   * @param {string} action - Action (create, update, delete)
+   * @param {string} id - Task ID
+   * @param {Object} data - Task data after the change
+   * @returns {Promise<boolean>} Success status
+   */
+  async applyRemoteChange(action, id, data) {
+    try {
+      const taskIndex = this.tasks.findIndex(t => t.id === id);
+      const options = { origin: EVENT_ORIGINS.REMOTE };
+      
+      if (action === 'delete') {
+        if (taskIndex === -1) {
+          return true;
+        }
+        
+        this.tasks.splice(taskIndex, 1);
+        await this.removeStoredTask(id);
+        
+        if (this.onTaskDeleted) {
+          this.onTaskDeleted(id);
+        }
+        
+        await changeBus.publish(DOMAIN_EVENTS.TASK_DELETED, id, null, options);
+        return true;
+      }
+      
+      if (!data) {
+        throw new Error(`Remote task ${action} for ${id} has no data`);
+      }
+      
+      const task = { ...data, id };
+      
+      if (taskIndex === -1) {
+        this.tasks.push(task);
+        await this.saveTask(task);
+        
+        if (this.onTaskAdded) {
+          this.onTaskAdded(task);
+        }
+        
+        await changeBus.publish(DOMAIN_EVENTS.TASK_CREATED, id, task, options);
+      } else {
+        const previousTask = this.tasks[taskIndex];
+        this.tasks[taskIndex] = task;
+        await this.saveTask(task);
+        
+        if (this.onTaskUpdated) {
+          this.onTaskUpdated(task);
+        }
+        
+        if (task.status !== previousTask.status && this.onTaskStatusChanged) {
+          this.onTaskStatusChanged(task, previousTask.status);
+        }
+        
+        await changeBus.publish(DOMAIN_EVENTS.TASK_UPDATED, id, task, options);
+      }
+      
+      return true;
+    } catch (error) {
+      console.error(`Error applying remote task ${action}:`, error);
+      return false;
+    }
+  }
+  
   /**
    * Set callback functions
    * @param {Object} callbacks - Callback functions
@@ -648,4 +1083,4 @@ class TaskService {
 const taskService = new TaskService();
 
 export default taskService;
-export { TASK_STATUSES, TASK_PRIORITIES, TASK_CONTEXTS };
+export { TASK_STATUSES, TASK_PRIORITIES, TASK_CONTEXTS, TASK_RECURRENCE_MODES, TASK_MIGRATIONS };
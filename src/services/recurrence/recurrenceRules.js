@@ -0,0 +1,566 @@
+/**
+ * Recurrence rules for Ace Assistant
+ * 
+ * RRULE-style recurrence (RFC 5545) for reminders and other repeating items:
+ * daily, weekly on chosen days, monthly on days of the month or the nth
+ * weekday, and yearly, ending on an until date or after a count. Occurrences
+ * keep the wall-clock time of the series start in the device's time zone, so
+ * a 9:00 reminder stays at 9:00 across daylight saving changes.
+ * 
+ * Exceptions change single occurrences of a series. Each one names the
+ * occurrence by its original date and either skips it or moves it:
+ *   { occurrenceDate: '2026-10-19T01:00:00.000Z', skipped: true }
+ *   { occurrenceDate: '2026-10-26T01:00:00.000Z', date: '2026-10-27T01:00:00.000Z' }
+ */
+
+// Constants
+const RECURRENCE_FREQUENCIES = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  YEARLY: 'yearly'
+};
+
+// Weekday codes by Date.getDay() index
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Weeks start on Monday, the RRULE default
+const WEEK_ORDER = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+// Stop looking for occurrences after this many periods without one
+const MAX_EMPTY_PERIODS = 1000;
+
+// Occurrences listed when no end or limit is given
+const DEFAULT_OCCURRENCE_LIMIT = 100;
+
+const BY_DAY_PATTERN = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/;
+
+/**
+ * Parse a BYDAY entry such as 'MO', '2TU' or '-1FR'
+ * @param {string} value - BYDAY entry
+ * @returns {Object} Weekday index and position in the month (0 for every)
+ */
+function parseByDay(value) {
+  const match = String(value).toUpperCase().match(BY_DAY_PATTERN);
+  
+  if (!match) {
+    throw new Error(`Invalid recurrence weekday: ${value}`);
+  }
+  
+  const nth = match[1] ? parseInt(match[1], 10) : 0;
+  
+  if (Math.abs(nth) > 5) {
+    throw new Error(`Invalid recurrence weekday: ${value}`);
+  }
+  
+  return { weekday: WEEKDAY_CODES.indexOf(match[2]), nth };
+}
+
+/**
+ * Parse a list of integers within a range, excluding zero
+ * @param {Array|string} values - Values or comma-separated text
+ * @param {number} limit - Largest absolute value
+ * @param {string} name - Rule part name for errors
+ * @returns {Array<number>|null} Sorted values
+ */
+function parseIntegerList(values, limit, name) {
+  if (values === undefined || values === null || values === '') {
+    return null;
+  }
+  
+  const list = (Array.isArray(values) ? values : String(values).split(',')).map(value => {
+    const number = parseInt(value, 10);
+    
+    if (isNaN(number) || number === 0 || Math.abs(number) > limit) {
+      throw new Error(`Invalid recurrence ${name}: ${value}`);
+    }
+    
+    return number;
+  });
+  
+  return list.length > 0 ? [...new Set(list)].sort((a, b) => a - b) : null;
+}
+
+/**
+ * Parse an RRULE string such as 'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10'
+ * @param {string} text - RRULE, with or without the 'RRULE:' prefix
+ * @returns {Object} Recurrence rule
+ */
+function parseRRule(text) {
+  const parts = {};
+  
+  String(text).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [name, value] = part.split('=');
+    parts[name.trim().toUpperCase()] = (value || '').trim();
+  });
+  
+  let until = null;
+  
+  if (parts.UNTIL) {
+    // Basic format dates: 20261231 or 20261231T235959Z
+    const match = parts.UNTIL.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    
+    if (!match) {
+      throw new Error(`Invalid recurrence until date: ${parts.UNTIL}`);
+    }
+    
+    const [, year, month, day, hour, minute, second, utc] = match;
+    
+    if (!hour) {
+      until = new Date(year, month - 1, day, 23, 59, 59, 999);
+    } else if (utc) {
+      until = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+    } else {
+      until = new Date(year, month - 1, day, hour, minute, second);
+    }
+  }
+  
+  return normalizeRecurrence({
+    frequency: parts.FREQ,
+    interval: parts.INTERVAL,
+    byDay: parts.BYDAY ? parts.BYDAY.split(',') : null,
+    byMonthDay: parts.BYMONTHDAY,
+    byMonth: parts.BYMONTH,
+    count: parts.COUNT,
+    until
+  });
+}
+
+/**
+ * Format a recurrence rule as an RRULE string
+ * @param {Object} rule - Recurrence rule
+ * @returns {string} RRULE without the 'RRULE:' prefix
+ */
+function formatRRule(rule) {
+  const normalized = normalizeRecurrence(rule);
+  const parts = [`FREQ=${normalized.frequency.toUpperCase()}`];
+  
+  if (normalized.interval > 1) {
+    parts.push(`INTERVAL=${normalized.interval}`);
+  }
+  
+  if (normalized.byDay) {
+    parts.push(`BYDAY=${normalized.byDay.join(',')}`);
+  }
+  
+  if (normalized.byMonthDay) {
+    parts.push(`BYMONTHDAY=${normalized.byMonthDay.join(',')}`);
+  }
+  
+  if (normalized.byMonth) {
+    parts.push(`BYMONTH=${normalized.byMonth.join(',')}`);
+  }
+  
+  if (normalized.count) {
+    parts.push(`COUNT=${normalized.count}`);
+  }
+  
+  if (normalized.until) {
+    parts.push(`UNTIL=${normalized.until.replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  }
+  
+  return parts.join(';');
+}
+
+/**
+ * Normalize a recurrence to a rule object. Accepts rule objects, RRULE
+ * strings and the plain frequency names saved by early versions.
+ * @param {Object|string|null} recurrence - Recurrence
+ * @returns {Object|null} Recurrence rule, or null for none
+ */
+function normalizeRecurrence(recurrence) {
+  if (!recurrence) {
+    return null;
+  }
+  
+  if (typeof recurrence === 'string') {
+    return /=/.test(recurrence) ? parseRRule(recurrence) : normalizeRecurrence({ frequency: recurrence });
+  }
+  
+  const frequency = String(recurrence.frequency || '').toLowerCase();
+  
+  if (!Object.values(RECURRENCE_FREQUENCIES).includes(frequency)) {
+    throw new Error(`Invalid recurrence frequency: ${recurrence.frequency}`);
+  }
+  
+  const interval = recurrence.interval === undefined || recurrence.interval === null || recurrence.interval === ''
+    ? 1
+    : parseInt(recurrence.interval, 10);
+  
+  if (isNaN(interval) || interval < 1) {
+    throw new Error(`Invalid recurrence interval: ${recurrence.interval}`);
+  }
+  
+  let byDay = null;
+  
+  if (recurrence.byDay && recurrence.byDay.length > 0) {
+    byDay = [...new Set(recurrence.byDay.map(value => String(value).toUpperCase()))];
+    
+    byDay.forEach(value => {
+      const { nth } = parseByDay(value);
+      
+      // Positions only make sense within a month or year
+      if (nth !== 0 && (frequency === RECURRENCE_FREQUENCIES.DAILY || frequency === RECURRENCE_FREQUENCIES.WEEKLY)) {
+        throw new Error(`Invalid ${frequency} recurrence weekday: ${value}`);
+      }
+    });
+  }
+  
+  const count = recurrence.count ? parseInt(recurrence.count, 10) : null;
+  
+  if (count !== null && (isNaN(count) || count < 1)) {
+    throw new Error(`Invalid recurrence count: ${recurrence.count}`);
+  }
+  
+  let until = null;
+  
+  if (recurrence.until) {
+    const untilDate = new Date(recurrence.until);
+    
+    if (isNaN(untilDate.getTime())) {
+      throw new Error(`Invalid recurrence until date: ${recurrence.until}`);
+    }
+    
+    until = untilDate.toISOString();
+  }
+  
+  return {
+    frequency,
+    interval,
+    byDay,
+    byMonthDay: parseIntegerList(recurrence.byMonthDay, 31, 'day of the month'),
+    byMonth: parseIntegerList(recurrence.byMonth, 12, 'month'),
+    count,
+    until
+  };
+}
+
+/**
+ * Get the days of a month that match a rule
+ * @param {Object} rule - Recurrence rule
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {number} defaultDay - Day of the month used when the rule has none
+ * @returns {Array<number>} Sorted days of the month
+ */
+function getMonthDays(rule, year, month, defaultDay) {
+  const length = new Date(year, month + 1, 0).getDate();
+  let days = null;
+  
+  if (rule.byMonthDay) {
+    days = rule.byMonthDay
+      .map(day => (day > 0 ? day : length + day + 1))
+      .filter(day => day >= 1 && day <= length);
+  }
+  
+  if (rule.byDay) {
+    const weekdayDays = [];
+    
+    rule.byDay.map(parseByDay).forEach(({ weekday, nth }) => {
+      const matching = [];
+      
+      for (let day = 1; day <= length; day += 1) {
+        if (new Date(year, month, day).getDay() === weekday) {
+          matching.push(day);
+        }
+      }
+      
+      if (nth === 0) {
+        weekdayDays.push(...matching);
+      } else {
+        const day = nth > 0 ? matching[nth - 1] : matching[matching.length + nth];
+        
+        if (day) {
+          weekdayDays.push(day);
+        }
+      }
+    });
+    
+    // Both parts given means days matching both
+    days = days ? days.filter(day => weekdayDays.includes(day)) : weekdayDays;
+  }
+  
+  if (!days) {
+    days = defaultDay <= length ? [defaultDay] : [];
+  }
+  
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * Get the candidate dates of one period of a rule, in order
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} start - Series start
+ * @param {number} period - Period number, counted in intervals from the start
+ * @returns {Array<Date>} Candidate dates
+ */
+function getPeriodDates(rule, start, period) {
+  const year = start.getFullYear();
+  const month = start.getMonth();
+  const day = start.getDate();
+  const time = [start.getHours(), start.getMinutes(), start.getSeconds(), start.getMilliseconds()];
+  const step = period * rule.interval;
+  let dates = [];
+  
+  switch (rule.frequency) {
+    case RECURRENCE_FREQUENCIES.DAILY:
+      dates = [new Date(year, month, day + step, ...time)];
+      break;
+    
+    case RECURRENCE_FREQUENCIES.WEEKLY: {
+      const weekStart = day - WEEK_ORDER.indexOf(WEEKDAY_CODES[start.getDay()]) + step * 7;
+      const weekdays = rule.byDay || [WEEKDAY_CODES[start.getDay()]];
+      
+      dates = WEEK_ORDER
+        .filter(code => weekdays.includes(code))
+        .map(code => new Date(year, month, weekStart + WEEK_ORDER.indexOf(code), ...time));
+      break;
+    }
+    
+    case RECURRENCE_FREQUENCIES.MONTHLY: {
+      const first = new Date(year, month + step, 1);
+      
+      dates = getMonthDays(rule, first.getFullYear(), first.getMonth(), day)
+        .map(monthDay => new Date(first.getFullYear(), first.getMonth(), monthDay, ...time));
+      break;
+    }
+    
+    case RECURRENCE_FREQUENCIES.YEARLY: {
+      const months = rule.byMonth ? rule.byMonth.map(value => value - 1) : [month];
+      
+      months.forEach(yearMonth => {
+        getMonthDays(rule, year + step, yearMonth, day).forEach(monthDay => {
+          dates.push(new Date(year + step, yearMonth, monthDay, ...time));
+        });
+      });
+      break;
+    }
+    
+    default:
+      break;
+  }
+  
+  // Weekday and month parts narrow daily and weekly rules
+  return dates.filter(date => {
+    if (rule.frequency === RECURRENCE_FREQUENCIES.DAILY && rule.byDay && !rule.byDay.includes(WEEKDAY_CODES[date.getDay()])) {
+      return false;
+    }
+    
+    if (rule.frequency !== RECURRENCE_FREQUENCIES.YEARLY && rule.byMonth && !rule.byMonth.includes(date.getMonth() + 1)) {
+      return false;
+    }
+    
+    if (rule.frequency === RECURRENCE_FREQUENCIES.DAILY && rule.byMonthDay) {
+      return getMonthDays({ byMonthDay: rule.byMonthDay }, date.getFullYear(), date.getMonth(), 0).includes(date.getDate());
+    }
+    
+    return true;
+  });
+}
+
+/**
+ * Iterate over the occurrences of a rule, before exceptions
+ * @param {Object|string} recurrence - Recurrence rule
+ * @param {Date|string} start - Series start; only later dates occur
+ * @yields {Date} Occurrence dates in order
+ */
+function* iterateOccurrences(recurrence, start) {
+  const rule = normalizeRecurrence(recurrence);
+  const startDate = new Date(start);
+  const until = rule.until ? new Date(rule.until) : null;
+  let count = 0;
+  let emptyPeriods = 0;
+  
+  for (let period = 0; emptyPeriods < MAX_EMPTY_PERIODS; period += 1) {
+    const dates = getPeriodDates(rule, startDate, period).filter(date => date >= startDate);
+    
+    emptyPeriods = dates.length === 0 ? emptyPeriods + 1 : 0;
+    
+    for (const date of dates) {
+      if (until && date > until) {
+        return;
+      }
+      
+      yield date;
+      count += 1;
+      
+      if (rule.count && count >= rule.count) {
+        return;
+      }
+    }
+  }
+}
+
+/**
+ * Apply the exceptions to an occurrence
+ * @param {Date} date - Original occurrence date
+ * @param {Array} exceptions - Occurrence exceptions
+ * @returns {Object|null} Occurrence, or null if skipped
+ */
+function applyExceptions(date, exceptions) {
+  const occurrenceDate = date.toISOString();
+  const exception = (exceptions || []).find(item => item.occurrenceDate === occurrenceDate);
+  
+  if (exception && exception.skipped) {
+    return null;
+  }
+  
+  return {
+    occurrenceDate,
+    date: exception && exception.date ? new Date(exception.date).toISOString() : occurrenceDate,
+    moved: Boolean(exception && exception.date)
+  };
+}
+
+/**
+ * Get the occurrences of a rule after exceptions
+ * @param {Object|string} recurrence - Recurrence rule
+ * @param {Date|string} start - Series start
+ * @param {Object} options - Options
+ * @param {Array} options.exceptions - Occurrence exceptions
+ * @param {Date|string} options.startDate - Earliest occurrence date to list
+ * @param {Date|string} options.endDate - Latest occurrence date to list
+ * @param {number} options.limit - Maximum number of occurrences
+ * @returns {Array<Object>} Occurrences with original and actual dates
+ */
+function getOccurrences(recurrence, start, options = {}) {
+  const { exceptions = [], limit = DEFAULT_OCCURRENCE_LIMIT } = options;
+  const startDate = options.startDate ? new Date(options.startDate) : null;
+  const endDate = options.endDate ? new Date(options.endDate) : null;
+  const occurrences = [];
+  
+  for (const date of iterateOccurrences(recurrence, start)) {
+    if (endDate && date > endDate) {
+      break;
+    }
+    
+    const occurrence = applyExceptions(date, exceptions);
+    
+    if (occurrence && (!startDate || new Date(occurrence.date) >= startDate) && (!endDate || new Date(occurrence.date) <= endDate)) {
+      occurrences.push(occurrence);
+      
+      if (occurrences.length >= limit) {
+        break;
+      }
+    }
+  }
+  
+  return occurrences;
+}
+
+/**
+ * Get the next occurrence after a given original occurrence date
+ * @param {Object|string} recurrence - Recurrence rule
+ * @param {Date|string} start - Series start
+ * @param {Object} options - Options
+ * @param {Array} options.exceptions - Occurrence exceptions
+ * @param {Date|string} options.after - Original date to look after; the start if not given
+ * @param {boolean} options.inclusive - Whether an occurrence at `after` counts
+ * @param {Date|string} options.notBefore - Earliest actual date to accept
+ * @returns {Object|null} Occurrence, or null if the series has ended
+ */
+function getNextOccurrence(recurrence, start, options = {}) {
+  const { exceptions = [], inclusive = false } = options;
+  const after = options.after ? new Date(options.after) : null;
+  const notBefore = options.notBefore ? new Date(options.notBefore) : null;
+  
+  for (const date of iterateOccurrences(recurrence, start)) {
+    if (after && (inclusive ? date < after : date <= after)) {
+      continue;
+    }
+    
+    const occurrence = applyExceptions(date, exceptions);
+    
+    if (occurrence && (!notBefore || new Date(occurrence.date) >= notBefore)) {
+      return occurrence;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Check whether a date is an original occurrence of a rule
+ * @param {Object|string} recurrence - Recurrence rule
+ * @param {Date|string} start - Series start
+ * @param {Date|string} date - Date to check
+ * @returns {boolean} Whether the rule occurs at the date
+ */
+function isOccurrence(recurrence, start, date) {
+  const time = new Date(date).getTime();
+  
+  for (const occurrence of iterateOccurrences(recurrence, start)) {
+    if (occurrence.getTime() >= time) {
+      return occurrence.getTime() === time;
+    }
+  }
+  
+  return false;
+}
+
+/**
+ * Add a rule's interval to a date, keeping the local time. Days past the end
+ * of a shorter month fall on its last day.
+ * @param {Date|string} date - Date
+ * @param {Object|string} recurrence - Recurrence rule
+ * @returns {Date} Date one interval later
+ */
+function addRecurrenceInterval(date, recurrence) {
+  const rule = normalizeRecurrence(recurrence);
+  const start = new Date(date);
+  const time = [start.getHours(), start.getMinutes(), start.getSeconds(), start.getMilliseconds()];
+  let months = 0;
+  
+  switch (rule.frequency) {
+    case RECURRENCE_FREQUENCIES.DAILY:
+      return new Date(start.getFullYear(), start.getMonth(), start.getDate() + rule.interval, ...time);
+    
+    case RECURRENCE_FREQUENCIES.WEEKLY:
+      return new Date(start.getFullYear(), start.getMonth(), start.getDate() + rule.interval * 7, ...time);
+    
+    case RECURRENCE_FREQUENCIES.MONTHLY:
+      months = rule.interval;
+      break;
+    
+    default:
+      months = rule.interval * 12;
+      break;
+  }
+  
+  const lastDay = new Date(start.getFullYear(), start.getMonth() + months + 1, 0).getDate();
+  
+  return new Date(start.getFullYear(), start.getMonth() + months, Math.min(start.getDate(), lastDay), ...time);
+}
+
+/**
+ * Set the exception for one occurrence, replacing any earlier one
+ * @param {Array} exceptions - Occurrence exceptions
+ * @param {Date|string} occurrenceDate - Original occurrence date
+ * @param {Date|string|null} date - New date, or null to skip the occurrence
+ * @returns {Array} Updated exceptions
+ */
+function setOccurrenceException(exceptions, occurrenceDate, date) {
+  const original = new Date(occurrenceDate).toISOString();
+  const exception = date
+    ? { occurrenceDate: original, date: new Date(date).toISOString() }
+    : { occurrenceDate: original, skipped: true };
+  
+  return [
+    ...(exceptions || []).filter(item => item.occurrenceDate !== original),
+    exception
+  ].sort((a, b) => new Date(a.occurrenceDate) - new Date(b.occurrenceDate));
+}
+
+export {
+  RECURRENCE_FREQUENCIES,
+  WEEKDAY_CODES,
+  parseRRule,
+  formatRRule,
+  normalizeRecurrence,
+  iterateOccurrences,
+  getOccurrences,
+  getNextOccurrence,
+  isOccurrence,
+  addRecurrenceInterval,
+  setOccurrenceException
+};
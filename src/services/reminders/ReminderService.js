@@ -10,11 +10,39 @@ import * as Notifications from 'expo-notifications';
 import * as Calendar from 'expo-calendar';
 import * as Localization from 'expo-localization';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import createRepository from '../storage/Repository';
 import appConfig from '../../constants/appConfig';
 import { v4 as uuidv4 } from 'uuid';
+import changeBus, { DOMAIN_EVENTS, EVENT_ORIGINS } from '../events/ChangeBus';
+import {
+  normalizeRecurrence,
+  getOccurrences as getRuleOccurrences,
+  getNextOccurrence as getNextRuleOccurrence,
+  isOccurrence,
+  setOccurrenceException
+} from '../recurrence/recurrenceRules';
+import {
+  DELIVERY_HOLDS,
+  DEFAULT_DELIVERY_SETTINGS,
+  normalizeDeliverySettings,
+  getDeliveryTime
+} from './deliveryWindows';
+import {
+  LOCATION_EVENTS,
+  normalizePlace,
+  normalizeLocationTrigger,
+  getDistance,
+  getPlaceTransitions
+} from './geofence';
+import defaultLocationProvider from './locationProvider';
 
 // Constants
 const REMINDER_STORAGE_KEY = '@ace_reminders';
+const REMINDER_DELIVERY_SETTINGS_KEY = '@ace_reminder_delivery_settings';
+const PLACE_STORAGE_KEY = '@ace_places';
+
+// iOS monitors at most 20 regions for an app
+const MAX_GEOFENCED_PLACES = 20;
 const REMINDER_CATEGORIES = {
   TASK: 'task',
   EVENT: 'event',
@@ -43,6 +71,110 @@ const DEFAULT_ADVANCE_NOTICE = {
   [REMINDER_CATEGORIES.CUSTOM]: 30 // 30 minutes
 };
 
+// Actions offered on reminder notifications and by voice
+const REMINDER_ACTIONS = {
+  SNOOZE_10_MINUTES: 'snooze_10_minutes',
+  SNOOZE_1_HOUR: 'snooze_1_hour',
+  SNOOZE_TOMORROW: 'snooze_tomorrow',
+  COMPLETE: 'complete'
+};
+
+// Notification category carrying the reminder actions
+const REMINDER_NOTIFICATION_CATEGORY = 'reminder';
+
+// Minutes each timed snooze puts a notification off by
+const SNOOZE_MINUTES = {
+  [REMINDER_ACTIONS.SNOOZE_10_MINUTES]: 10,
+  [REMINDER_ACTIONS.SNOOZE_1_HOUR]: 60
+};
+
+// Hour that "tomorrow morning" snoozes until
+const SNOOZE_MORNING_HOUR = 9;
+
+// Schema migrations for saved reminders, run by the repository at initialize()
+const REMINDER_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Fill in fields missing from reminders saved by early versions',
+    up: reminder => ({
+      ...reminder,
+      description: reminder.description || '',
+      category: reminder.category || REMINDER_CATEGORIES.CUSTOM,
+      priority: reminder.priority || REMINDER_PRIORITIES.MEDIUM,
+      context: reminder.context || REMINDER_CONTEXTS.WORK,
+      completed: reminder.completed === true,
+      active: reminder.active !== false,
+      notificationId: reminder.notificationId || null,
+      calendarEventId: reminder.calendarEventId || null,
+      advanceNotice: reminder.advanceNotice || DEFAULT_ADVANCE_NOTICE[reminder.category || REMINDER_CATEGORIES.CUSTOM],
+      recurrence: reminder.recurrence || null,
+      relatedItemId: reminder.relatedItemId || null,
+      relatedItemType: reminder.relatedItemType || null
+    })
+  },
+  {
+    version: 2,
+    description: 'Turn recurrence names into rules and track the current occurrence',
+    up: reminder => {
+      let recurrence = null;
+      
+      try {
+        recurrence = normalizeRecurrence(reminder.recurrence);
+      } catch (error) {
+        console.warn(`Dropping invalid recurrence of reminder ${reminder.id}:`, error.message);
+      }
+      
+      return {
+        ...reminder,
+        recurrence,
+        seriesStart: recurrence ? reminder.seriesStart || reminder.dueDate : null,
+        occurrenceDate: recurrence ? reminder.occurrenceDate || reminder.dueDate : null,
+        recurrenceExceptions: reminder.recurrenceExceptions || []
+      };
+    }
+  },
+  {
+    version: 3,
+    description: 'Add snoozing with a history of snoozes',
+    up: reminder => ({
+      ...reminder,
+      snoozedUntil: reminder.snoozedUntil || null,
+      snoozeHistory: reminder.snoozeHistory || []
+    })
+  },
+  {
+    version: 4,
+    description: 'Replace the single advance notice with a list of alerts',
+    up: reminder => {
+      const { notificationId, ...rest } = reminder;
+      
+      return {
+        ...rest,
+        alerts: reminder.alerts || normalizeAlerts([
+          reminder.advanceNotice || DEFAULT_ADVANCE_NOTICE[reminder.category || REMINDER_CATEGORIES.CUSTOM]
+        ]),
+        notificationIds: reminder.notificationIds || (notificationId ? [notificationId] : [])
+      };
+    }
+  },
+  {
+    version: 5,
+    description: 'Add the delivery times of scheduled notifications',
+    up: reminder => ({
+      ...reminder,
+      deliveries: reminder.deliveries || []
+    })
+  },
+  {
+    version: 6,
+    description: 'Add location triggers for reminders at saved places',
+    up: reminder => ({
+      ...reminder,
+      locationTrigger: reminder.locationTrigger || null
+    })
+  }
+];
+
 /**
  * Class representing the Reminder Service
  */
@@ -51,12 +183,29 @@ class ReminderService {
     // Initialize properties
     this.initialized = false;
     this.reminders = [];
+    this.recurringNotificationsPromise = null;
+    this.repository = createRepository('reminders', {
+      storageKey: REMINDER_STORAGE_KEY,
+      indexes: ['dueDate', 'completed', 'relatedItemId']
+    });
     this.platform = Platform.OS;
     this.isIOS = this.platform === 'ios';
     this.isMacOS = this.platform === 'macos';
     this.currentLanguage = appConfig.defaultLanguage;
     this.listeners = [];
     this.notificationEmitter = null;
+    this.lastTriggeredReminderId = null;
+    this.deliverySettings = normalizeDeliverySettings(DEFAULT_DELIVERY_SETTINGS);
+    this.places = [];
+    this.placesRepository = createRepository('places', {
+      storageKey: PLACE_STORAGE_KEY
+    });
+    this.locationProvider = defaultLocationProvider;
+    this.locationSubscription = null;
+    this.locationMonitoringPromise = null;
+    this.insidePlaces = {};
+    this.lastPosition = null;
+    this.geofencedPlacesKey = null;
     
     // Callbacks
     this.onReminderTriggered = null;
@@ -67,15 +216,57 @@ class ReminderService {
     // Bind methods
     this.initialize = this.initialize.bind(this);
     this.loadReminders = this.loadReminders.bind(this);
-    this.saveReminders = this.saveReminders.bind(this);
+    this.saveReminder = this.saveReminder.bind(this);
+    this.removeStoredReminder = this.removeStoredReminder.bind(this);
     this.createReminder = this.createReminder.bind(this);
     this.updateReminder = this.updateReminder.bind(this);
     this.deleteReminder = this.deleteReminder.bind(this);
     this.getReminders = this.getReminders.bind(this);
+    this.findReminders = this.findReminders.bind(this);
+    this.filterReminders = this.filterReminders.bind(this);
     this.getReminderById = this.getReminderById.bind(this);
+    this.getOccurrences = this.getOccurrences.bind(this);
+    this.skipOccurrence = this.skipOccurrence.bind(this);
+    this.moveOccurrence = this.moveOccurrence.bind(this);
+    this.getNextOccurrence = this.getNextOccurrence.bind(this);
+    this.startSeries = this.startSeries.bind(this);
+    this.getRecurringReminder = this.getRecurringReminder.bind(this);
     this.scheduleNotification = this.scheduleNotification.bind(this);
+    this.scheduleNotifications = this.scheduleNotifications.bind(this);
     this.cancelNotification = this.cancelNotification.bind(this);
+    this.cancelNotifications = this.cancelNotifications.bind(this);
+    this.rescheduleNotifications = this.rescheduleNotifications.bind(this);
+    this.refreshRecurringNotifications = this.refreshRecurringNotifications.bind(this);
+    this.rescheduleRecurringNotifications = this.rescheduleRecurringNotifications.bind(this);
+    this.loadDeliverySettings = this.loadDeliverySettings.bind(this);
+    this.getDeliverySettings = this.getDeliverySettings.bind(this);
+    this.setDeliverySettings = this.setDeliverySettings.bind(this);
     this.handleNotification = this.handleNotification.bind(this);
+    this.handleNotificationResponse = this.handleNotificationResponse.bind(this);
+    this.registerNotificationActions = this.registerNotificationActions.bind(this);
+    this.snoozeReminder = this.snoozeReminder.bind(this);
+    this.performReminderAction = this.performReminderAction.bind(this);
+    this.getLastTriggeredReminder = this.getLastTriggeredReminder.bind(this);
+    this.loadPlaces = this.loadPlaces.bind(this);
+    this.getPlaces = this.getPlaces.bind(this);
+    this.getPlaceById = this.getPlaceById.bind(this);
+    this.findPlace = this.findPlace.bind(this);
+    this.createPlace = this.createPlace.bind(this);
+    this.updatePlace = this.updatePlace.bind(this);
+    this.deletePlace = this.deletePlace.bind(this);
+    this.saveCurrentLocation = this.saveCurrentLocation.bind(this);
+    this.resolveLocationTrigger = this.resolveLocationTrigger.bind(this);
+    this.setLocationProvider = this.setLocationProvider.bind(this);
+    this.startLocationMonitoring = this.startLocationMonitoring.bind(this);
+    this.stopLocationMonitoring = this.stopLocationMonitoring.bind(this);
+    this.updateLocationMonitoring = this.updateLocationMonitoring.bind(this);
+    this.updateGeofences = this.updateGeofences.bind(this);
+    this.stopGeofencing = this.stopGeofencing.bind(this);
+    this.handleLocationUpdate = this.handleLocationUpdate.bind(this);
+    this.handleGeofenceEvent = this.handleGeofenceEvent.bind(this);
+    this.triggerLocationReminder = this.triggerLocationReminder.bind(this);
+    this.notifyLocationReminder = this.notifyLocationReminder.bind(this);
+    this.applyRemoteChange = this.applyRemoteChange.bind(this);
     this.setCallbacks = this.setCallbacks.bind(this);
     this.cleanup = this.cleanup.bind(this);
   }
@@ -107,6 +298,12 @@ class ReminderService {
         // Add notification listener
         const subscription = Notifications.addNotificationReceivedListener(this.handleNotification);
         this.listeners.push(subscription);
+        
+        // Offer snooze and complete on reminder notifications
+        await this.registerNotificationActions();
+        
+        const responseSubscription = Notifications.addNotificationResponseReceivedListener(this.handleNotificationResponse);
+        this.listeners.push(responseSubscription);
       }
       
       // Request calendar permissions for iOS and Android
@@ -117,11 +314,26 @@ class ReminderService {
         }
       }
       
+      // Upgrade saved reminders to the current schema
+      await this.repository.migrate(REMINDER_MIGRATIONS);
+      
       // Load saved reminders
       await this.loadReminders();
       
+      // Load quiet hours and other delivery settings
+      await this.loadDeliverySettings();
+      
+      // Load saved places
+      await this.loadPlaces();
+      
       // Set initialization flag
       this.initialized = true;
+      
+      // Recurring reminders may have run out of notifications while the app was closed
+      await this.refreshRecurringNotifications();
+      
+      // Watch the device position while location-based reminders wait
+      await this.updateLocationMonitoring();
       console.log('Reminder Service initialized successfully');
       
       return true;
@@ -137,14 +349,8 @@ class ReminderService {
    */
   async loadReminders() {
     try {
-      const remindersJson = await AsyncStorage.getItem(REMINDER_STORAGE_KEY);
-      
-      if (remindersJson) {
-        this.reminders = JSON.parse(remindersJson);
-        console.log(`Loaded ${this.reminders.length} reminders`);
-      } else {
-        this.reminders = [];
-      }
+      this.reminders = await this.repository.getAll();
+      console.log(`Loaded ${this.reminders.length} reminders`);
       
       return true;
     } catch (error) {
@@ -155,15 +361,29 @@ class ReminderService {
   }
   
   /**
-   * Save reminders to storage
+   * Save a reminder to storage
+   * @param {Object} reminder - Reminder to save
    * @returns {Promise<boolean>} Success status
    */
-  async saveReminders() {
+  async saveReminder(reminder) {
     try {
-      await AsyncStorage.setItem(REMINDER_STORAGE_KEY, JSON.stringify(this.reminders));
-      return true;
+      return await this.repository.put(reminder);
+    } catch (error) {
+      console.error('Error saving reminder:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Remove a reminder from storage
+   * @param {string} id - Reminder ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeStoredReminder(id) {
+    try {
+      return await this.repository.remove(id);
     } catch (error) {
-      console.error('Error saving reminders:', error);
+      console.error('Error removing stored reminder:', error);
       return false;
     }
   }
@@ -180,38 +400,63 @@ class ReminderService {
         throw new Error('Reminder title is required');
       }
       
-      if (!reminderData.dueDate) {
+      // Location-based reminders may have no due date
+      if (!reminderData.dueDate && !reminderData.locationTrigger) {
         throw new Error('Reminder due date is required');
       }
       
+      const recurrence = normalizeRecurrence(reminderData.recurrence);
+      
+      if (recurrence && !reminderData.dueDate) {
+        throw new Error('Recurring reminders need a due date');
+      }
+      
+      const locationTrigger = this.resolveLocationTrigger(reminderData.locationTrigger);
+      const alerts = normalizeAlerts(reminderData.alerts || [
+        reminderData.advanceNotice || DEFAULT_ADVANCE_NOTICE[reminderData.category || REMINDER_CATEGORIES.CUSTOM]
+      ]);
+      
       // Create reminder object
       const reminder = {
-        id: uuidv4(),
+        id: reminderData.id || uuidv4(),
         title: reminderData.title,
         description: reminderData.description || '',
-        dueDate: new Date(reminderData.dueDate).toISOString(),
+        dueDate: reminderData.dueDate ? new Date(reminderData.dueDate).toISOString() : null,
         category: reminderData.category || REMINDER_CATEGORIES.CUSTOM,
         priority: reminderData.priority || REMINDER_PRIORITIES.MEDIUM,
         context: reminderData.context || REMINDER_CONTEXTS.WORK,
         completed: false,
         active: true,
-        createdAt: new Date().toISOString(),
+        createdAt: reminderData.createdAt ? new Date(reminderData.createdAt).toISOString() : new Date().toISOString(),
         updatedAt: new Date().toISOString(),
-        notificationId: null,
+        notificationIds: [],
+        deliveries: [],
         calendarEventId: null,
-        advanceNotice: reminderData.advanceNotice || DEFAULT_ADVANCE_NOTICE[reminderData.category || REMINDER_CATEGORIES.CUSTOM],
-        recurrence: reminderData.recurrence || null,
+        alerts,
+        advanceNotice: getAdvanceNotice(alerts),
+        recurrence,
+        seriesStart: null,
+        occurrenceDate: null,
+        recurrenceExceptions: [],
+        snoozedUntil: null,
+        snoozeHistory: [],
+        locationTrigger,
         relatedItemId: reminderData.relatedItemId || null,
         relatedItemType: reminderData.relatedItemType || null,
         language: reminderData.language || this.currentLanguage
       };
       
-      // Schedule notification
-      const notificationId = await this.scheduleNotification(reminder);
-      reminder.notificationId = notificationId;
+      // Recurring reminders start with the first occurrence from the due date
+      if (recurrence) {
+        Object.assign(reminder, this.startSeries(reminder));
+      }
       
-      // Add to calendar if it's an event or meeting
-      if (reminder.category === REMINDER_CATEGORIES.EVENT || reminder.category === REMINDER_CATEGORIES.MEETING) {
+      // Schedule a notification for each alert
+      Object.assign(reminder, await this.scheduleNotifications(reminder));
+      
+      // Add to calendar if it's an event; meetings reach the calendar through
+      // calendar sync
+      if (reminder.dueDate && reminder.category === REMINDER_CATEGORIES.EVENT) {
         try {
           if (this.isIOS || Platform.OS === 'android') {
             const calendars = await Calendar.getCalendarsAsync(Calendar.EntityTypes.EVENT);
@@ -223,7 +468,7 @@ class ReminderService {
                 notes: reminder.description,
                 startDate: new Date(reminder.dueDate),
                 endDate: new Date(new Date(reminder.dueDate).getTime() + 60 * 60 * 1000), // 1 hour duration by default
-                alarms: [{ relativeOffset: -reminder.advanceNotice }]
+                alarms: reminder.alerts.map(alert => ({ relativeOffset: -alert.offset }))
               };
               
               const eventId = await Calendar.createEventAsync(defaultCalendar.id, calendarEvent);
@@ -239,14 +484,21 @@ class ReminderService {
       // Add to reminders array
       this.reminders.push(reminder);
       
-      // Save reminders
-      await this.saveReminders();
+      // Save reminder
+      await this.saveReminder(reminder);
       
       // Call callback
       if (this.onReminderAdded) {
         this.onReminderAdded(reminder);
       }
       
+      // Publish domain event
+      await changeBus.publish(DOMAIN_EVENTS.REMINDER_CREATED, reminder.id, reminder);
+      
+      if (locationTrigger) {
+        await this.updateLocationMonitoring();
+      }
+      
       console.log('Reminder created:', reminder.id);
       
       return reminder;
@@ -285,26 +537,66 @@ class ReminderService {
         updatedReminder.dueDate = new Date(reminderData.dueDate).toISOString();
       }
       
-      // Reschedule notification if necessary
-      if (reminderData.dueDate || reminderData.advanceNotice || 
-          reminderData.active === false || reminderData.completed === true) {
-        
-        // Cancel existing notification
-        if (reminder.notificationId) {
-          await this.cancelNotification(reminder.notificationId);
+      if (reminderData.recurrence !== undefined) {
+        updatedReminder.recurrence = normalizeRecurrence(reminderData.recurrence);
+      }
+      
+      if (reminderData.locationTrigger !== undefined) {
+        updatedReminder.locationTrigger = this.resolveLocationTrigger(reminderData.locationTrigger);
+      }
+      
+      // A single advance notice replaces all alerts
+      if (reminderData.alerts !== undefined || reminderData.advanceNotice !== undefined) {
+        updatedReminder.alerts = normalizeAlerts(reminderData.alerts || [reminderData.advanceNotice]);
+        updatedReminder.advanceNotice = getAdvanceNotice(updatedReminder.alerts);
+      }
+      
+      if (updatedReminder.recurrence) {
+        if (reminderData.recurrence !== undefined || (reminderData.dueDate && !reminderData.occurrenceDate)) {
+          // A new rule or due date restarts the series from the due date
+          Object.assign(updatedReminder, this.startSeries(updatedReminder));
+        } else if (reminderData.completed === true && !reminder.completed) {
+          // Completing an occurrence moves the reminder on to the next one
+          const next = this.getNextOccurrence(updatedReminder);
+          
+          if (next) {
+            updatedReminder.dueDate = next.date;
+            updatedReminder.occurrenceDate = next.occurrenceDate;
+            updatedReminder.completed = false;
+          }
         }
+      } else {
+        updatedReminder.seriesStart = null;
+        updatedReminder.occurrenceDate = null;
+        updatedReminder.recurrenceExceptions = [];
+      }
+      
+      // A new due date or completing the reminder ends a snooze
+      if (reminderData.snoozedUntil === undefined &&
+          (reminderData.dueDate || reminderData.recurrence !== undefined || reminderData.completed === true)) {
+        updatedReminder.snoozedUntil = null;
+      }
+      
+      // Reschedule notifications if necessary
+      if (reminderData.dueDate || reminderData.alerts !== undefined || reminderData.advanceNotice !== undefined ||
+          reminderData.recurrence !== undefined || reminderData.active !== undefined ||
+          reminderData.completed !== undefined || reminderData.snoozedUntil !== undefined) {
         
-        // Schedule new notification if active and not completed
+        // Cancel existing notifications
+        await this.cancelNotifications(reminder.notificationIds);
+        
+        // Schedule new notifications if active and not completed
         if (updatedReminder.active && !updatedReminder.completed) {
-          const notificationId = await this.scheduleNotification(updatedReminder);
-          updatedReminder.notificationId = notificationId;
+          Object.assign(updatedReminder, await this.scheduleNotifications(updatedReminder));
         } else {
-          updatedReminder.notificationId = null;
+          updatedReminder.notificationIds = [];
+          updatedReminder.deliveries = [];
         }
       }
       
       // Update calendar event if necessary
-      if (reminder.calendarEventId && (reminderData.dueDate || reminderData.title || reminderData.description)) {
+      if (reminder.calendarEventId && (reminderData.dueDate || reminderData.title || reminderData.description ||
+          reminderData.alerts !== undefined || reminderData.advanceNotice !== undefined)) {
         try {
           if (this.isIOS || Platform.OS === 'android') {
             const calendarEvent = {
@@ -312,7 +604,7 @@ class ReminderService {
               notes: updatedReminder.description,
               startDate: new Date(updatedReminder.dueDate),
               endDate: new Date(new Date(updatedReminder.dueDate).getTime() + 60 * 60 * 1000), // 1 hour duration by default
-              alarms: [{ relativeOffset: -updatedReminder.advanceNotice }]
+              alarms: updatedReminder.alerts.map(alert => ({ relativeOffset: -alert.offset }))
             };
             
             await Calendar.updateEventAsync(reminder.calendarEventId, calendarEvent);
@@ -326,14 +618,21 @@ class ReminderService {
       // Update reminders array
       this.reminders[reminderIndex] = updatedReminder;
       
-      // Save reminders
-      await this.saveReminders();
+      // Save reminder
+      await this.saveReminder(updatedReminder);
       
       // Call callback
       if (this.onReminderUpdated) {
         this.onReminderUpdated(updatedReminder);
       }
       
+      // Publish domain event
+      await changeBus.publish(DOMAIN_EVENTS.REMINDER_UPDATED, id, updatedReminder);
+      
+      if (reminder.locationTrigger || updatedReminder.locationTrigger) {
+        await this.updateLocationMonitoring();
+      }
+      
       console.log('Reminder updated:', updatedReminder.id);
       
       return updatedReminder;
@@ -359,10 +658,8 @@ class ReminderService {
       
       const reminder = this.reminders[reminderIndex];
       
-      // Cancel notification
-      if (reminder.notificationId) {
-        await this.cancelNotification(reminder.notificationId);
-      }
+      // Cancel notifications
+      await this.cancelNotifications(reminder.notificationIds);
       
       // Delete calendar event
       if (reminder.calendarEventId) {
@@ -379,14 +676,21 @@ class ReminderService {
       // Remove from reminders array
       this.reminders.splice(reminderIndex, 1);
       
-      // Save reminders
-      await this.saveReminders();
+      // Remove stored reminder
+      await this.removeStoredReminder(id);
       
       // Call callback
       if (this.onReminderDeleted) {
         this.onReminderDeleted(id);
       }
       
+      // Publish domain event
+      await changeBus.publish(DOMAIN_EVENTS.REMINDER_DELETED, id);
+      
+      if (reminder.locationTrigger) {
+        await this.updateLocationMonitoring();
+      }
+      
       console.log('Reminder deleted:', id);
       
       return true;
@@ -402,8 +706,51 @@ class ReminderService {
    * @returns {Array} Filtered reminders
    */
   getReminders(filters = {}) {
+    return this.filterReminders(this.reminders, filters);
+  }
+  
+  /**
+   * Find stored reminders, matching completion, related item and due date
+   * range through the storage indexes
+   * @param {Object} filters - Filter options, as for getReminders
+   * @returns {Promise<Array>} Filtered reminders
+   */
+  async findReminders(filters = {}) {
+    try {
+      const where = {};
+      const range = {};
+      
+      if (filters.completed !== undefined) {
+        where.completed = filters.completed;
+      }
+      
+      if (filters.relatedItemId) {
+        where.relatedItemId = filters.relatedItemId;
+      }
+      
+      if (filters.startDate || filters.endDate) {
+        range.dueDate = {
+          from: filters.startDate ? new Date(filters.startDate).toISOString() : null,
+          to: filters.endDate ? new Date(filters.endDate).toISOString() : null
+        };
+      }
+      
+      return this.filterReminders(await this.repository.find(where, range), filters);
+    } catch (error) {
+      console.error('Error finding reminders:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Filter reminders and sort them by due date
+   * @param {Array} reminders - Reminders to filter
+   * @param {Object} filters - Filter options
+   * @returns {Array} Filtered reminders
+   */
+  filterReminders(reminders, filters = {}) {
     try {
-      let filteredReminders = [...this.reminders];
+      let filteredReminders = [...reminders];
       
       // Filter by category
       if (filters.category) {
@@ -475,20 +822,220 @@ class ReminderService {
   }
   
   /**
-   * Schedule a notification for a reminder
+   * Start a reminder's recurrence series at its due date
+   * @param {Object} reminder - Recurring reminder
+   * @returns {Object} Series fields and the due date of the first occurrence
+   */
+  startSeries(reminder) {
+    const first = getNextRuleOccurrence(reminder.recurrence, reminder.dueDate);
+    
+    if (!first) {
+      throw new Error('Reminder recurrence has no occurrences');
+    }
+    
+    return {
+      dueDate: first.date,
+      seriesStart: reminder.dueDate,
+      occurrenceDate: first.occurrenceDate,
+      recurrenceExceptions: []
+    };
+  }
+  
+  /**
+   * Get the occurrence of a recurring reminder after its current one
+   * @param {Object} reminder - Recurring reminder
+   * @param {Object} options - Options passed on to the recurrence rules
+   * @returns {Object|null} Occurrence, or null if the series has ended
+   */
+  getNextOccurrence(reminder, options = {}) {
+    if (!reminder.recurrence) {
+      return null;
+    }
+    
+    return getNextRuleOccurrence(reminder.recurrence, reminder.seriesStart, {
+      exceptions: reminder.recurrenceExceptions,
+      after: reminder.occurrenceDate,
+      ...options
+    });
+  }
+  
+  /**
+   * Get the occurrences of a recurring reminder
+   * @param {string} id - Reminder ID
+   * @param {Object} options - Options
+   * @param {string} options.startDate - Earliest occurrence date to list
+   * @param {string} options.endDate - Latest occurrence date to list
+   * @param {number} options.limit - Maximum number of occurrences
+   * @returns {Array} Occurrences with their original and actual dates
+   */
+  getOccurrences(id, options = {}) {
+    try {
+      const reminder = this.getReminderById(id);
+      
+      if (!reminder || !reminder.recurrence) {
+        return [];
+      }
+      
+      return getRuleOccurrences(reminder.recurrence, reminder.seriesStart, {
+        ...options,
+        exceptions: reminder.recurrenceExceptions
+      });
+    } catch (error) {
+      console.error('Error getting reminder occurrences:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Skip one occurrence of a recurring reminder
+   * @param {string} id - Reminder ID
+   * @param {string} occurrenceDate - Original date of the occurrence
+   * @returns {Promise<Object>} Updated reminder
+   */
+  async skipOccurrence(id, occurrenceDate) {
+    try {
+      const reminder = this.getRecurringReminder(id, occurrenceDate);
+      const recurrenceExceptions = setOccurrenceException(reminder.recurrenceExceptions, occurrenceDate, null);
+      
+      // Passing the current occurrence again reschedules its notification
+      const updates = {
+        recurrenceExceptions,
+        dueDate: reminder.dueDate,
+        occurrenceDate: reminder.occurrenceDate
+      };
+      
+      // Skipping the current occurrence moves the reminder on to the next one
+      if (new Date(occurrenceDate).toISOString() === reminder.occurrenceDate) {
+        const next = this.getNextOccurrence({ ...reminder, recurrenceExceptions });
+        
+        if (next) {
+          updates.dueDate = next.date;
+          updates.occurrenceDate = next.occurrenceDate;
+        } else {
+          updates.completed = true;
+        }
+      }
+      
+      return await this.updateReminder(id, updates);
+    } catch (error) {
+      console.error('Error skipping reminder occurrence:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Move one occurrence of a recurring reminder to another date
+   * @param {string} id - Reminder ID
+   * @param {string} occurrenceDate - Original date of the occurrence
+   * @param {string} date - New date of the occurrence
+   * @returns {Promise<Object>} Updated reminder
+   */
+  async moveOccurrence(id, occurrenceDate, date) {
+    try {
+      const reminder = this.getRecurringReminder(id, occurrenceDate);
+      
+      if (isNaN(new Date(date).getTime())) {
+        throw new Error(`Invalid occurrence date: ${date}`);
+      }
+      
+      const isCurrent = new Date(occurrenceDate).toISOString() === reminder.occurrenceDate;
+      
+      return await this.updateReminder(id, {
+        recurrenceExceptions: setOccurrenceException(reminder.recurrenceExceptions, occurrenceDate, date),
+        dueDate: isCurrent ? new Date(date).toISOString() : reminder.dueDate,
+        occurrenceDate: reminder.occurrenceDate
+      });
+    } catch (error) {
+      console.error('Error moving reminder occurrence:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a recurring reminder, checking that a date is one of its occurrences
+   * @param {string} id - Reminder ID
+   * @param {string} occurrenceDate - Original date of the occurrence
+   * @returns {Object} Reminder object
+   */
+  getRecurringReminder(id, occurrenceDate) {
+    const reminder = this.getReminderById(id);
+    
+    if (!reminder) {
+      throw new Error(`Reminder with ID ${id} not found`);
+    }
+    
+    if (!reminder.recurrence || !isOccurrence(reminder.recurrence, reminder.seriesStart, occurrenceDate)) {
+      throw new Error(`Reminder ${id} does not occur on ${occurrenceDate}`);
+    }
+    
+    return reminder;
+  }
+  
+  /**
+   * Schedule a notification for each alert of a reminder, and for the end
+   * of its snooze
+   * @param {Object} reminder - Reminder object
+   * @returns {Promise<Object>} IDs and delivery times of the scheduled notifications
+   */
+  async scheduleNotifications(reminder) {
+    const deliveries = [];
+    
+    // Alerts come before the due date; a location-based reminder may have none
+    for (const alert of reminder.dueDate ? reminder.alerts : []) {
+      deliveries.push(await this.scheduleNotification(reminder, alert));
+    }
+    
+    // A snoozed reminder notifies again for its current occurrence
+    if (reminder.snoozedUntil) {
+      deliveries.push(await this.scheduleNotification(reminder, { snoozedUntil: reminder.snoozedUntil }));
+    }
+    
+    const scheduled = deliveries.filter(Boolean);
+    
+    return {
+      notificationIds: scheduled.map(delivery => delivery.notificationId),
+      deliveries: scheduled
+    };
+  }
+  
+  /**
+   * Schedule one notification for a reminder. Alerts that fall in quiet
+   * hours or another delivery window are delivered when it ends; the end of
+   * a snooze, chosen by the user, is not held back.
    * @param {Object} reminder - Reminder object
-   * @returns {Promise<string>} Notification ID
+   * @param {Object} alert - Alert, with its offset in minutes before the due date, or the end of a snooze
+   * @returns {Promise<Object|null>} Notification ID and delivery time, or null if nothing was scheduled
    */
-  async scheduleNotification(reminder) {
+  async scheduleNotification(reminder, alert) {
     try {
       if (!this.isIOS && Platform.OS !== 'android') {
         // Skip notification scheduling on platforms that don't support it
         return null;
       }
       
-      // Calculate notification time
-      const dueDate = new Date(reminder.dueDate);
-      const notificationTime = new Date(dueDate.getTime() - (reminder.advanceNotice * 60 * 1000));
+      let occurrence = { occurrenceDate: reminder.occurrenceDate || null, date: reminder.dueDate };
+      let notificationTime = null;
+      
+      if (alert.snoozedUntil) {
+        notificationTime = new Date(alert.snoozedUntil);
+      } else {
+        // Recurring reminders notify for the first occurrence still ahead
+        if (reminder.recurrence) {
+          occurrence = this.getNextOccurrence(reminder, {
+            inclusive: true,
+            notBefore: new Date(Date.now() + alert.offset * 60 * 1000 + 1)
+          });
+        
+          if (!occurrence) {
+            console.log('Reminder recurrence has ended, skipping');
+            return null;
+          }
+        }
+      
+        // Calculate notification time
+        const dueDate = new Date(occurrence.date);
+        notificationTime = new Date(dueDate.getTime() - (alert.offset * 60 * 1000));
+      }
       
       // Skip if notification time is in the past
       if (notificationTime <= new Date()) {
@@ -496,10 +1043,12 @@ class ReminderService {
         return null;
       }
       
+      const delivery = alert.snoozedUntil
+        ? { date: notificationTime, heldBy: null }
+        : getDeliveryTime(notificationTime, reminder, this.deliverySettings);
+      
       // Prepare notification content
-      const title = reminder.language === 'zh' ? 
-        `提醒: ${reminder.title}` : 
-        `Reminder: ${reminder.title}`;
+      const title = getNotificationTitle(reminder);
       
       const body = reminder.language === 'zh' ? 
         (reminder.description || `您有一个即将到来的${getCategoryNameChinese(reminder.category)}`) : 
@@ -510,18 +1059,26 @@ class ReminderService {
         content: {
           title,
           body,
-          data: { reminderId: reminder.id },
+          data: { reminderId: reminder.id, occurrenceDate: occurrence.occurrenceDate },
+          categoryIdentifier: REMINDER_NOTIFICATION_CATEGORY,
           sound: true,
           priority: Notifications.AndroidNotificationPriority.HIGH
         },
         trigger: {
-          date: notificationTime
+          date: delivery.date
         }
       });
       
       console.log('Notification scheduled:', notificationId);
       
-      return notificationId;
+      return {
+        notificationId,
+        occurrenceDate: occurrence.occurrenceDate,
+        alertOffset: alert.snoozedUntil ? null : alert.offset,
+        alertTime: notificationTime.toISOString(),
+        deliverAt: delivery.date.toISOString(),
+        heldBy: delivery.heldBy
+      };
     } catch (error) {
       console.error('Error scheduling notification:', error);
       return null;
@@ -550,88 +1107,980 @@ class ReminderService {
   }
   
   /**
-   * Handle notification received
-   * @param {Object} notification - Notification object
+   * Cancel several notifications
+   * @param {Array<string>} notificationIds - Notification IDs
+   * @returns {Promise<boolean>} Success status
    */
-  handleNotification(notification) {
-    try {
-      const { reminderId } = notification.request.content.data;
-      
-      if (reminderId) {
-        const reminder = this.getReminderById(reminderId);
-        
-        if (reminder) {
-          console.log('Reminder triggered:', reminder.id);
-          
-          // Call callback
-          if (this.onReminderTriggered) {
-            this.onReminderTriggered(reminder);
-          }
-        }
-      }
-    } catch (error) {
-      console.error('Error handling notification:', error);
+  async cancelNotifications(notificationIds = []) {
+    const results = [];
+    
+    for (const notificationId of notificationIds) {
+      results.push(await this.cancelNotification(notificationId));
     }
+    
+    return results.every(Boolean);
   }
   
   /**
-   * Set callback functions
-   * @param {Object} callbacks - Callback functions
+   * Schedule a reminder's notifications again on this device, for example
+   * after the delivery settings changed
+   * @param {Object} reminder - Reminder object
+   * @returns {Promise<Object>} Updated reminder
    */
-  setCallbacks(callbacks) {
-    if (callbacks.onReminderTriggered) {
-      this.onReminderTriggered = callbacks.onReminderTriggered;
-    }
+  async rescheduleNotifications(reminder) {
+    await this.cancelNotifications(reminder.notificationIds);
     
-    if (callbacks.onReminderAdded) {
-      this.onReminderAdded = callbacks.onReminderAdded;
-    }
+    const updatedReminder = reminder.active && !reminder.completed
+      ? { ...reminder, ...await this.scheduleNotifications(reminder) }
+      : { ...reminder, notificationIds: [], deliveries: [] };
     
-    if (callbacks.onReminderUpdated) {
-      this.onReminderUpdated = callbacks.onReminderUpdated;
+    // Notifications belong to this device, so the change is not published
+    this.reminders = this.reminders.map(r => (r.id === reminder.id ? updatedReminder : r));
+    await this.saveReminder(updatedReminder);
+    
+    if (this.onReminderUpdated) {
+      this.onReminderUpdated(updatedReminder);
     }
     
-    if (callbacks.onReminderDeleted) {
-      this.onReminderDeleted = callbacks.onReminderDeleted;
+    return updatedReminder;
+  }
+  
+  /**
+   * Schedule the notifications of recurring reminders that have none left
+   * ahead. The next occurrence is scheduled when a notification is received,
+   * which only happens while the app is running, so this catches up when the
+   * service starts and when the app comes to the foreground. A call made
+   * while notifications are being rescheduled gets the result of that run.
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of reminders rescheduled
+   */
+  async refreshRecurringNotifications(now = new Date()) {
+    if (!this.recurringNotificationsPromise) {
+      this.recurringNotificationsPromise = this.rescheduleRecurringNotifications(now).finally(() => {
+        this.recurringNotificationsPromise = null;
+      });
     }
+    
+    return await this.recurringNotificationsPromise;
   }
   
   /**
-   * Clean up resources
+   * Schedule the notifications of recurring reminders that have none left ahead
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of reminders rescheduled
    */
-  async cleanup() {
+  async rescheduleRecurringNotifications(now) {
     try {
-      // Remove event listeners
-      if (this.listeners.length > 0) {
-        this.listeners.forEach(listener => listener.remove());
-        this.listeners = [];
+      const reminders = (await this.findReminders({ completed: false })).filter(reminder =>
+        reminder.recurrence && reminder.active &&
+        !(reminder.deliveries || []).some(delivery => new Date(delivery.deliverAt) > now)
+      );
+      
+      for (const reminder of reminders) {
+        await this.rescheduleNotifications(reminder);
       }
       
-      console.log('Reminder Service cleaned up');
+      return reminders.length;
+    } catch (error) {
+      console.error('Error refreshing recurring reminder notifications:', error);
+      return 0;
+    }
+  }
+  
+  /**
+   * Load the delivery settings saved on this device
+   * @returns {Promise<boolean>} Success status
+   */
+  async loadDeliverySettings() {
+    try {
+      const settingsJson = await AsyncStorage.getItem(REMINDER_DELIVERY_SETTINGS_KEY);
+      
+      if (settingsJson) {
+        this.deliverySettings = normalizeDeliverySettings(JSON.parse(settingsJson));
+      }
       
       return true;
     } catch (error) {
-      console.error('Error cleaning up Reminder Service:', error);
+      console.error('Error loading reminder delivery settings:', error);
+      this.deliverySettings = normalizeDeliverySettings(DEFAULT_DELIVERY_SETTINGS);
       return false;
     }
   }
   
   /**
-   * Check if the service is initialized
-   * @returns {boolean} Initialization status
+   * Get the quiet hours, "do not disturb" windows and work-hours profile
+   * @returns {Object} Delivery settings
    */
-  isInitialized() {
-    return this.initialized;
+  getDeliverySettings() {
+    return this.deliverySettings;
   }
   
   /**
-   * Set the current language
-   * @param {string} language - Language code ('en' or 'zh')
+   * Change the delivery settings and reschedule the notifications of active
+   * reminders to follow them
+   * @param {Object} settings - Delivery settings to change
+   * @returns {Promise<Object>} Delivery settings
    */
-  setLanguage(language) {
-    if (appConfig.languages.includes(language)) {
+  async setDeliverySettings(settings) {
+    try {
+      const deliverySettings = normalizeDeliverySettings({
+        ...this.deliverySettings,
+        ...settings,
+        workHours: { ...this.deliverySettings.workHours, ...settings.workHours }
+      });
+      
+      await AsyncStorage.setItem(REMINDER_DELIVERY_SETTINGS_KEY, JSON.stringify(deliverySettings));
+      this.deliverySettings = deliverySettings;
+      
+      for (const reminder of this.reminders.filter(r => r.active && !r.completed)) {
+        await this.rescheduleNotifications(reminder);
+      }
+      
+      return deliverySettings;
+    } catch (error) {
+      console.error('Error setting reminder delivery settings:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Handle notification received
+   * @param {Object} notification - Notification object
+   */
+  async handleNotification(notification) {
+    try {
+      const { reminderId, occurrenceDate } = notification.request.content.data;
+      
+      if (reminderId) {
+        const reminder = this.getReminderById(reminderId);
+        
+        if (reminder) {
+          console.log('Reminder triggered:', reminder.id);
+          
+          // "Snooze" and "done" by voice act on this reminder
+          this.lastTriggeredReminderId = reminder.id;
+          
+          // Call callback
+          if (this.onReminderTriggered) {
+            this.onReminderTriggered(reminder);
+          }
+          
+          // Schedule the notification for the next occurrence
+          if (reminder.recurrence && reminder.active && !reminder.completed) {
+            let current = { date: reminder.dueDate, occurrenceDate: reminder.occurrenceDate };
+            
+            // Occurrences that were never completed roll forward to the one
+            // that fired, once they are due; an early alert for a later
+            // occurrence leaves the current one in place
+            if (occurrenceDate && new Date(occurrenceDate) > new Date(reminder.occurrenceDate) &&
+                new Date(reminder.dueDate) <= new Date()) {
+              current = this.getNextOccurrence(reminder, { after: occurrenceDate, inclusive: true }) || current;
+            }
+            
+            await this.updateReminder(reminder.id, {
+              dueDate: current.date,
+              occurrenceDate: current.occurrenceDate
+            });
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Error handling notification:', error);
+    }
+  }
+  
+  /**
+   * Handle the user's response to a notification, such as tapping one of
+   * its snooze or complete actions
+   * @param {Object} response - Notification response
+   * @returns {Promise<Object|null>} Updated reminder, or null if nothing changed
+   */
+  async handleNotificationResponse(response) {
+    try {
+      const { reminderId } = response.notification.request.content.data;
+      
+      if (!reminderId || !Object.values(REMINDER_ACTIONS).includes(response.actionIdentifier)) {
+        return null;
+      }
+      
+      return await this.performReminderAction(reminderId, response.actionIdentifier);
+    } catch (error) {
+      console.error('Error handling notification response:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Register the snooze and complete actions shown on reminder notifications
+   * @returns {Promise<boolean>} Success status
+   */
+  async registerNotificationActions() {
+    try {
+      if (!this.isIOS && Platform.OS !== 'android') {
+        return false;
+      }
+      
+      const isChinese = this.currentLanguage === 'zh';
+      
+      await Notifications.setNotificationCategoryAsync(REMINDER_NOTIFICATION_CATEGORY, [
+        {
+          identifier: REMINDER_ACTIONS.SNOOZE_10_MINUTES,
+          buttonTitle: isChinese ? '10分钟后提醒' : 'Snooze 10 minutes',
+          options: { opensAppToForeground: false }
+        },
+        {
+          identifier: REMINDER_ACTIONS.SNOOZE_1_HOUR,
+          buttonTitle: isChinese ? '1小时后提醒' : 'Snooze 1 hour',
+          options: { opensAppToForeground: false }
+        },
+        {
+          identifier: REMINDER_ACTIONS.SNOOZE_TOMORROW,
+          buttonTitle: isChinese ? '明天早上提醒' : 'Tomorrow morning',
+          options: { opensAppToForeground: false }
+        },
+        {
+          identifier: REMINDER_ACTIONS.COMPLETE,
+          buttonTitle: isChinese ? '完成' : 'Complete',
+          options: { opensAppToForeground: false }
+        }
+      ]);
+      
+      return true;
+    } catch (error) {
+      console.error('Error registering notification actions:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Snooze a reminder, notifying again later for its current occurrence
+   * @param {string} id - Reminder ID
+   * @param {string} action - Snooze action (REMINDER_ACTIONS)
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Updated reminder
+   */
+  async snoozeReminder(id, action, now = new Date()) {
+    try {
+      const reminder = this.getReminderById(id);
+      
+      if (!reminder) {
+        throw new Error(`Reminder with ID ${id} not found`);
+      }
+      
+      const snoozedUntil = getSnoozeTime(action, now).toISOString();
+      
+      return await this.updateReminder(id, {
+        snoozedUntil,
+        snoozeHistory: [
+          ...(reminder.snoozeHistory || []),
+          {
+            action,
+            snoozedAt: now.toISOString(),
+            snoozedUntil,
+            occurrenceDate: reminder.occurrenceDate || null
+          }
+        ]
+      });
+    } catch (error) {
+      console.error('Error snoozing reminder:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Snooze or complete a reminder from a notification action or by voice
+   * @param {string} id - Reminder ID
+   * @param {string} action - Action (REMINDER_ACTIONS)
+   * @returns {Promise<Object>} Updated reminder
+   */
+  async performReminderAction(id, action) {
+    if (action === REMINDER_ACTIONS.COMPLETE) {
+      return await this.updateReminder(id, { completed: true });
+    }
+    
+    return await this.snoozeReminder(id, action);
+  }
+  
+  /**
+   * Get the reminder whose notification came in last
+   * @returns {Object|null} Reminder object
+   */
+  getLastTriggeredReminder() {
+    return (this.lastTriggeredReminderId && this.getReminderById(this.lastTriggeredReminderId)) || null;
+  }
+  
+  /**
+   * Load the places saved on this device
+   * @returns {Promise<boolean>} Success status
+   */
+  async loadPlaces() {
+    try {
+      this.places = await this.placesRepository.getAll();
+      console.log(`Loaded ${this.places.length} places`);
+      
+      return true;
+    } catch (error) {
+      console.error('Error loading places:', error);
+      this.places = [];
+      return false;
+    }
+  }
+  
+  /**
+   * Get the saved places
+   * @returns {Array} Places sorted by name
+   */
+  getPlaces() {
+    return [...this.places].sort((a, b) => a.name.localeCompare(b.name));
+  }
+  
+  /**
+   * Get a saved place by ID
+   * @param {string} id - Place ID
+   * @returns {Object} Place object
+   */
+  getPlaceById(id) {
+    return this.places.find(place => place.id === id);
+  }
+  
+  /**
+   * Find a saved place by its name or one of its aliases, such as "home"
+   * or "家", preferring an exact match to a name that contains it
+   * @param {string} name - Place name
+   * @returns {Object|null} Place object
+   */
+  findPlace(name) {
+    const query = String(name || '').trim().toLowerCase();
+    
+    if (!query) {
+      return null;
+    }
+    
+    const names = place => [place.name, ...(place.aliases || [])].map(placeName => placeName.toLowerCase());
+    
+    return this.places.find(place => names(place).includes(query)) ||
+      this.places.find(place => names(place).some(placeName => placeName.includes(query))) ||
+      null;
+  }
+  
+  /**
+   * Save a place that location-based reminders can fire at
+   * @param {Object} placeData - Place name, aliases, coordinates and radius in meters
+   * @returns {Promise<Object>} Created place
+   */
+  async createPlace(placeData) {
+    try {
+      const place = {
+        ...normalizePlace(placeData),
+        id: placeData.id || uuidv4(),
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+      
+      this.places.push(place);
+      await this.placesRepository.put(place);
+      
+      console.log('Place created:', place.id);
+      
+      return place;
+    } catch (error) {
+      console.error('Error creating place:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Update a saved place. Reminders waiting at the place move with it.
+   * @param {string} id - Place ID
+   * @param {Object} placeData - Updated place data
+   * @returns {Promise<Object>} Updated place
+   */
+  async updatePlace(id, placeData) {
+    try {
+      const placeIndex = this.places.findIndex(place => place.id === id);
+      
+      if (placeIndex === -1) {
+        throw new Error(`Place with ID ${id} not found`);
+      }
+      
+      const updatedPlace = {
+        ...normalizePlace({ ...this.places[placeIndex], ...placeData }),
+        id,
+        updatedAt: new Date().toISOString()
+      };
+      
+      this.places[placeIndex] = updatedPlace;
+      await this.placesRepository.put(updatedPlace);
+      
+      const waitingReminders = this.reminders.filter(r => r.locationTrigger && r.locationTrigger.place.id === id);
+      
+      for (const reminder of waitingReminders) {
+        await this.updateReminder(reminder.id, {
+          locationTrigger: { ...reminder.locationTrigger, place: updatedPlace }
+        });
+      }
+      
+      console.log('Place updated:', id);
+      
+      return updatedPlace;
+    } catch (error) {
+      console.error('Error updating place:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Delete a saved place. Reminders already set at the place keep their copy
+   * of it and still fire there.
+   * @param {string} id - Place ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deletePlace(id) {
+    try {
+      const placeIndex = this.places.findIndex(place => place.id === id);
+      
+      if (placeIndex === -1) {
+        throw new Error(`Place with ID ${id} not found`);
+      }
+      
+      this.places.splice(placeIndex, 1);
+      await this.placesRepository.remove(id);
+      
+      console.log('Place deleted:', id);
+      
+      return true;
+    } catch (error) {
+      console.error('Error deleting place:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Save the device's current position as a place
+   * @param {string} name - Place name
+   * @param {Object} placeData - Other place data, such as aliases or radius
+   * @returns {Promise<Object>} Created place
+   */
+  async saveCurrentLocation(name, placeData = {}) {
+    try {
+      const granted = await this.locationProvider.requestPermission();
+      
+      if (!granted) {
+        throw new Error('Location permission not granted');
+      }
+      
+      const { latitude, longitude } = await this.locationProvider.getCurrentPosition();
+      
+      return await this.createPlace({ ...placeData, name, latitude, longitude });
+    } catch (error) {
+      console.error('Error saving current location:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Turn the location trigger given for a reminder into the one it keeps,
+   * looking up a saved place given by its ID
+   * @param {Object|null} trigger - Location trigger with a place or place ID, and its event
+   * @returns {Object|null} Location trigger
+   */
+  resolveLocationTrigger(trigger) {
+    if (!trigger) {
+      return null;
+    }
+    
+    const { placeId, ...rest } = trigger;
+    const place = placeId ? this.getPlaceById(placeId) : trigger.place;
+    
+    if (!place) {
+      throw new Error(`Place with ID ${placeId} not found`);
+    }
+    
+    return normalizeLocationTrigger({ ...rest, place });
+  }
+  
+  /**
+   * Set where device positions come from
+   * @param {Object} provider - Location provider with requestPermission, getCurrentPosition and watchPosition, and optionally startGeofencing and stopGeofencing
+   * @returns {Promise<boolean>} Whether positions are being watched
+   */
+  async setLocationProvider(provider) {
+    await this.stopLocationMonitoring();
+    
+    if (this.geofencedPlacesKey) {
+      await this.stopGeofencing();
+    }
+    
+    this.locationProvider = provider || defaultLocationProvider;
+    
+    return this.initialized ? await this.updateLocationMonitoring() : false;
+  }
+  
+  /**
+   * Start watching the device position
+   * @returns {Promise<boolean>} Whether positions are being watched
+   */
+  async startLocationMonitoring() {
+    if (!this.locationMonitoringPromise) {
+      this.locationMonitoringPromise = (async () => {
+        const granted = await this.locationProvider.requestPermission();
+        
+        if (!granted) {
+          console.warn('Location permission not granted');
+          return false;
+        }
+        
+        this.locationSubscription = await this.locationProvider.watchPosition(this.handleLocationUpdate);
+        console.log('Location monitoring started');
+        
+        return true;
+      })().catch(error => {
+        console.error('Error starting location monitoring:', error);
+        return false;
+      });
+    }
+    
+    const started = await this.locationMonitoringPromise;
+    
+    // Asking again later may be granted
+    if (!started) {
+      this.locationMonitoringPromise = null;
+    }
+    
+    return started;
+  }
+  
+  /**
+   * Stop watching the device position
+   * @returns {Promise<boolean>} Success status
+   */
+  async stopLocationMonitoring() {
+    if (this.locationMonitoringPromise) {
+      await this.locationMonitoringPromise;
+    }
+    
+    if (this.locationSubscription) {
+      this.locationSubscription.remove();
+      console.log('Location monitoring stopped');
+    }
+    
+    this.locationSubscription = null;
+    this.locationMonitoringPromise = null;
+    this.insidePlaces = {};
+    
+    return true;
+  }
+  
+  /**
+   * Watch the device position and geofence the places while any
+   * location-based reminder is waiting, and stop once none is
+   * @returns {Promise<boolean>} Whether positions are being watched
+   */
+  async updateLocationMonitoring() {
+    if (this.reminders.some(isWaitingAtPlace)) {
+      const started = await this.startLocationMonitoring();
+      
+      if (started) {
+        await this.updateGeofences();
+      }
+      
+      return started;
+    }
+    
+    await this.stopLocationMonitoring();
+    
+    // Geofences outlive the app, so they may be left from an earlier run
+    // while location reminders exist
+    if (this.geofencedPlacesKey || this.reminders.some(reminder => reminder.locationTrigger)) {
+      await this.stopGeofencing();
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Register the places reminders wait at as geofences, so that arriving and
+   * leaving are noticed while the app is suspended or closed. Without
+   * background permission, or with a provider that cannot geofence, places
+   * are only noticed from the positions watched while the app is running.
+   * 
+   * iOS monitors at most 20 regions for an app, so only the 20 places
+   * nearest the last position watched are registered. The others are only
+   * noticed while the app is running, and are registered as the device comes
+   * nearer to them.
+   * @returns {Promise<boolean>} Whether the places are geofenced
+   */
+  async updateGeofences() {
+    if (!this.locationProvider.startGeofencing) {
+      return false;
+    }
+    
+    const places = [];
+    
+    this.reminders.filter(isWaitingAtPlace).forEach(reminder => {
+      const { place } = reminder.locationTrigger;
+      
+      if (!places.some(p => p.id === place.id)) {
+        places.push(place);
+      }
+    });
+    
+    if (this.lastPosition) {
+      places.sort((a, b) => getDistance(this.lastPosition, a) - getDistance(this.lastPosition, b));
+    }
+    
+    places.splice(MAX_GEOFENCED_PLACES);
+    
+    const key = JSON.stringify(places.map(place => [place.id, place.latitude, place.longitude, place.radius]).sort());
+    
+    if (key === this.geofencedPlacesKey) {
+      return true;
+    }
+    
+    try {
+      const started = await this.locationProvider.startGeofencing(places, this.handleGeofenceEvent);
+      
+      if (!started) {
+        console.warn('Background location permission not granted, places are only noticed while the app is running');
+      }
+      
+      this.geofencedPlacesKey = started ? key : null;
+      return started;
+    } catch (error) {
+      console.error('Error starting geofencing:', error);
+      this.geofencedPlacesKey = null;
+      return false;
+    }
+  }
+  
+  /**
+   * Remove the geofences of the places reminders waited at
+   * @returns {Promise<boolean>} Success status
+   */
+  async stopGeofencing() {
+    this.geofencedPlacesKey = null;
+    
+    if (!this.locationProvider.stopGeofencing) {
+      return true;
+    }
+    
+    try {
+      await this.locationProvider.stopGeofencing();
+      return true;
+    } catch (error) {
+      console.error('Error stopping geofencing:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Handle arriving at or leaving a geofenced place, firing the reminders
+   * waiting for it. Crossings the watched positions already noticed are
+   * ignored, so a reminder does not fire twice while the app is running.
+   * @param {Object} geofenceEvent - Place ID and event (arrive or leave)
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Reminders that fired
+   */
+  async handleGeofenceEvent({ placeId, event }, now = new Date()) {
+    try {
+      const isInside = event === LOCATION_EVENTS.ARRIVE;
+      
+      if (this.insidePlaces[placeId] === isInside) {
+        return [];
+      }
+      
+      this.insidePlaces = { ...this.insidePlaces, [placeId]: isInside };
+      
+      const triggered = [];
+      
+      for (const reminder of this.reminders.filter(isWaitingAtPlace)) {
+        const trigger = reminder.locationTrigger;
+        
+        if (trigger.place.id === placeId && trigger.event === event) {
+          triggered.push(await this.triggerLocationReminder(reminder, now));
+        }
+      }
+      
+      return triggered;
+    } catch (error) {
+      console.error('Error handling geofence event:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Handle a new device position, firing the reminders whose place was just
+   * arrived at or left. The first position only records where the device is.
+   * @param {Object} coords - Position with latitude and longitude
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Reminders that fired
+   */
+  async handleLocationUpdate(coords, now = new Date()) {
+    try {
+      const waitingReminders = this.reminders.filter(isWaitingAtPlace);
+      const { inside, transitions } = getPlaceTransitions(
+        coords,
+        waitingReminders.map(r => r.locationTrigger.place),
+        this.insidePlaces
+      );
+      
+      this.insidePlaces = inside;
+      this.lastPosition = coords;
+      
+      const triggered = [];
+      
+      for (const reminder of waitingReminders) {
+        const { place, event } = reminder.locationTrigger;
+        
+        if (transitions.some(transition => transition.placeId === place.id && transition.event === event)) {
+          triggered.push(await this.triggerLocationReminder(reminder, now));
+        }
+      }
+      
+      // The nearest places change as the device moves
+      if (this.geofencedPlacesKey) {
+        await this.updateGeofences();
+      }
+      
+      return triggered;
+    } catch (error) {
+      console.error('Error handling location update:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Fire a location-based reminder. It fires once, unless its trigger repeats.
+   * @param {Object} reminder - Reminder object
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Updated reminder
+   */
+  async triggerLocationReminder(reminder, now = new Date()) {
+    console.log('Location reminder triggered:', reminder.id);
+    
+    const delivery = await this.notifyLocationReminder(reminder, now);
+    
+    // "Snooze" and "done" by voice act on this reminder
+    this.lastTriggeredReminderId = reminder.id;
+    
+    return await this.updateReminder(reminder.id, {
+      locationTrigger: { ...reminder.locationTrigger, triggeredAt: now.toISOString() },
+      ...(delivery ? {
+        notificationIds: [...reminder.notificationIds, delivery.notificationId],
+        deliveries: [...reminder.deliveries, delivery]
+      } : {})
+    });
+  }
+  
+  /**
+   * Show the notification of a location-based reminder now, or once quiet
+   * hours or another delivery window ends
+   * @param {Object} reminder - Reminder object
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} Notification ID and delivery time, or null if nothing was shown
+   */
+  async notifyLocationReminder(reminder, now = new Date()) {
+    try {
+      if (!this.isIOS && Platform.OS !== 'android') {
+        return null;
+      }
+      
+      const { place, event } = reminder.locationTrigger;
+      const delivery = getDeliveryTime(now, reminder, this.deliverySettings);
+      
+      let body = reminder.description;
+      
+      if (!body && reminder.language === 'zh') {
+        body = event === LOCATION_EVENTS.ARRIVE ? `您已到达${place.name}` : `您已离开${place.name}`;
+      } else if (!body) {
+        body = event === LOCATION_EVENTS.ARRIVE ? `You arrived at ${place.name}` : `You left ${place.name}`;
+      }
+      
+      const notificationId = await Notifications.scheduleNotificationAsync({
+        content: {
+          title: getNotificationTitle(reminder),
+          body,
+          data: { reminderId: reminder.id, occurrenceDate: null, locationEvent: event },
+          categoryIdentifier: REMINDER_NOTIFICATION_CATEGORY,
+          sound: true,
+          priority: Notifications.AndroidNotificationPriority.HIGH
+        },
+        // Shown right away unless it is held back
+        trigger: delivery.heldBy ? { date: delivery.date } : null
+      });
+      
+      return {
+        notificationId,
+        occurrenceDate: null,
+        alertOffset: null,
+        alertTime: now.toISOString(),
+        deliverAt: delivery.date.toISOString(),
+        heldBy: delivery.heldBy,
+        locationEvent: event
+      };
+    } catch (error) {
+      console.error('Error showing location reminder notification:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Apply a reminder change made on another device. Notifications and
+   * calendar events belong to each device, so they are kept from the local
+   * copy and the notification is rescheduled here.
+   * @param {string} action - Action (create, update, delete)
+   * @param {string} id - Reminder ID
+   * @param {Object} data - Reminder data after the change
+   * @returns {Promise<boolean>} Success status
+   */
+  async applyRemoteChange(action, id, data) {
+    try {
+      const reminderIndex = this.reminders.findIndex(r => r.id === id);
+      const localReminder = reminderIndex === -1 ? null : this.reminders[reminderIndex];
+      const options = { origin: EVENT_ORIGINS.REMOTE };
+      
+      // Cancel the local notifications, they are scheduled again below
+      if (localReminder) {
+        await this.cancelNotifications(localReminder.notificationIds);
+      }
+      
+      if (action === 'delete') {
+        if (!localReminder) {
+          return true;
+        }
+        
+        this.reminders.splice(reminderIndex, 1);
+        await this.removeStoredReminder(id);
+        
+        if (this.onReminderDeleted) {
+          this.onReminderDeleted(id);
+        }
+        
+        await changeBus.publish(DOMAIN_EVENTS.REMINDER_DELETED, id, null, options);
+        
+        if (localReminder.locationTrigger) {
+          await this.updateLocationMonitoring();
+        }
+        
+        return true;
+      }
+      
+      if (!data) {
+        throw new Error(`Remote reminder ${action} for ${id} has no data`);
+      }
+      
+      const reminder = {
+        ...data,
+        id,
+        alerts: data.alerts || normalizeAlerts([data.advanceNotice || DEFAULT_ADVANCE_NOTICE[data.category || REMINDER_CATEGORIES.CUSTOM]]),
+        notificationIds: [],
+        deliveries: [],
+        calendarEventId: localReminder ? localReminder.calendarEventId : null
+      };
+      
+      if (reminder.active && !reminder.completed) {
+        Object.assign(reminder, await this.scheduleNotifications(reminder));
+      }
+      
+      if (localReminder) {
+        this.reminders[reminderIndex] = reminder;
+      } else {
+        this.reminders.push(reminder);
+      }
+      
+      await this.saveReminder(reminder);
+      
+      if (localReminder && this.onReminderUpdated) {
+        this.onReminderUpdated(reminder);
+      } else if (!localReminder && this.onReminderAdded) {
+        this.onReminderAdded(reminder);
+      }
+      
+      await changeBus.publish(
+        localReminder ? DOMAIN_EVENTS.REMINDER_UPDATED : DOMAIN_EVENTS.REMINDER_CREATED,
+        id,
+        reminder,
+        options
+      );
+      
+      if (reminder.locationTrigger || (localReminder && localReminder.locationTrigger)) {
+        await this.updateLocationMonitoring();
+      }
+      
+      return true;
+    } catch (error) {
+      console.error(`Error applying remote reminder ${action}:`, error);
+      return false;
+    }
+  }
+  
+  /**
+   * Set callback functions
+   * @param {Object} callbacks - Callback functions
+   */
+  setCallbacks(callbacks) {
+    if (callbacks.onReminderTriggered) {
+      this.onReminderTriggered = callbacks.onReminderTriggered;
+    }
+    
+    if (callbacks.onReminderAdded) {
+      this.onReminderAdded = callbacks.onReminderAdded;
+    }
+    
+    if (callbacks.onReminderUpdated) {
+      this.onReminderUpdated = callbacks.onReminderUpdated;
+    }
+    
+    if (callbacks.onReminderDeleted) {
+      this.onReminderDeleted = callbacks.onReminderDeleted;
+    }
+  }
+  
+  /**
+   * Clean up resources
+   */
+  async cleanup() {
+    try {
+      // Remove event listeners
+      if (this.listeners.length > 0) {
+        this.listeners.forEach(listener => listener.remove());
+        this.listeners = [];
+      }
+      
+      // Stop watching the device position. Geofences stay registered, so
+      // places are still noticed while the app is closed
+      await this.stopLocationMonitoring();
+      
+      console.log('Reminder Service cleaned up');
+      
+      return true;
+    } catch (error) {
+      console.error('Error cleaning up Reminder Service:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Check if the service is initialized
+   * @returns {boolean} Initialization status
+   */
+  isInitialized() {
+    return this.initialized;
+  }
+  
+  /**
+   * Set the current language
+   * @param {string} language - Language code ('en' or 'zh')
+   */
+  setLanguage(language) {
+    if (appConfig.languages.includes(language)) {
       this.currentLanguage = language;
       console.log(`Reminder language set to: ${language}`);
+      
+      // Show the notification actions in the new language
+      if (this.initialized) {
+        this.registerNotificationActions();
+      }
     } else {
       console.warn(`Unsupported language: ${language}`);
     }
@@ -668,6 +2117,83 @@ function getCategoryNameChinese(category) {
   }
 }
 
+/**
+ * Get the title of a reminder's notifications
+ * @param {Object} reminder - Reminder object
+ * @returns {string} Notification title
+ */
+function getNotificationTitle(reminder) {
+  return reminder.language === 'zh' ? 
+    `提醒: ${reminder.title}` : 
+    `Reminder: ${reminder.title}`;
+}
+
+/**
+ * Check if a reminder is waiting to fire at its place
+ * @param {Object} reminder - Reminder object
+ * @returns {boolean} Whether the reminder is waiting
+ */
+function isWaitingAtPlace(reminder) {
+  const trigger = reminder.locationTrigger;
+  
+  return Boolean(trigger) && reminder.active && !reminder.completed && (trigger.repeat || !trigger.triggeredAt);
+}
+
+/**
+ * Turn alerts, or offsets in minutes before the due date, into a list of
+ * alerts from the earliest to the latest
+ * @param {Array<Object|number>} alerts - Alerts
+ * @returns {Array<Object>} Alerts with their offsets
+ */
+function normalizeAlerts(alerts) {
+  if (!Array.isArray(alerts)) {
+    throw new Error('Reminder alerts must be a list');
+  }
+  
+  const offsets = alerts.map(alert => (typeof alert === 'number' ? alert : alert && alert.offset));
+  const invalidOffset = offsets.find(offset => !Number.isInteger(offset) || offset < 0);
+  
+  if (invalidOffset !== undefined) {
+    throw new Error(`Invalid reminder alert offset: ${invalidOffset}`);
+  }
+  
+  return [...new Set(offsets)]
+    .sort((a, b) => b - a)
+    .map(offset => ({ offset }));
+}
+
+/**
+ * Get the advance notice of a reminder's earliest alert, kept for app
+ * versions that know a single advance notice
+ * @param {Array<Object>} alerts - Alerts from the earliest to the latest
+ * @returns {number} Minutes before the due date
+ */
+function getAdvanceNotice(alerts) {
+  return alerts.length > 0 ? alerts[0].offset : 0;
+}
+
+/**
+ * Get the time a snooze action puts a notification off until
+ * @param {string} action - Snooze action (REMINDER_ACTIONS)
+ * @param {Date} now - Current time
+ * @returns {Date} Time to notify again
+ */
+function getSnoozeTime(action, now) {
+  if (action === REMINDER_ACTIONS.SNOOZE_TOMORROW) {
+    const tomorrow = new Date(now);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    tomorrow.setHours(SNOOZE_MORNING_HOUR, 0, 0, 0);
+    
+    return tomorrow;
+  }
+  
+  if (!SNOOZE_MINUTES[action]) {
+    throw new Error(`Invalid snooze action: ${action}`);
+  }
+  
+  return new Date(now.getTime() + SNOOZE_MINUTES[action] * 60 * 1000);
+}
+
 // Create a singleton instance
 const reminderService = new ReminderService();
 
@@ -676,5 +2202,10 @@ export {
   REMINDER_CATEGORIES, 
   REMINDER_PRIORITIES, 
   REMINDER_CONTEXTS,
-  DEFAULT_ADVANCE_NOTICE
+  DEFAULT_ADVANCE_NOTICE,
+  REMINDER_ACTIONS,
+  DELIVERY_HOLDS,
+  LOCATION_EVENTS,
+  MAX_GEOFENCED_PLACES,
+  REMINDER_MIGRATIONS
 };
@@ -0,0 +1,209 @@
+/**
+ * Delivery Windows for Ace Assistant
+ * 
+ * Decides when a reminder notification is delivered: notifications that are
+ * not high priority wait out the quiet hours of their context and any "do not
+ * disturb" window, and a work-hours profile holds work reminders until the
+ * next working day.
+ */
+
+// Why a notification was delivered later than its alert time
+const DELIVERY_HOLDS = {
+  QUIET_HOURS: 'quiet_hours',
+  DO_NOT_DISTURB: 'do_not_disturb',
+  WORK_HOURS: 'work_hours'
+};
+
+const DEFAULT_DELIVERY_SETTINGS = {
+  // Daily quiet hours by reminder context, such as { personal: { start: '22:00', end: '07:00' } }
+  quietHours: {},
+  // One-off "do not disturb" windows, such as a focus session, as ISO start and end times
+  doNotDisturb: [],
+  // Working days (0 is Sunday) and the time work reminders held back are delivered at
+  workHours: {
+    enabled: false,
+    days: [1, 2, 3, 4, 5],
+    start: '09:00'
+  }
+};
+
+// Moving out of one window can land in another; this bounds the rounds
+const MAX_DELIVERY_ROUNDS = 10;
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Parse a local time of day
+ * @param {string} time - Time as HH:MM
+ * @returns {Object} Hours and minutes
+ */
+function parseTimeOfDay(time) {
+  const match = TIME_OF_DAY_PATTERN.exec(time);
+  
+  if (!match) {
+    throw new Error(`Invalid time of day: ${time}`);
+  }
+  
+  return { hours: Number(match[1]), minutes: Number(match[2]) };
+}
+
+/**
+ * Get a date's day at a local time of day
+ * @param {Date} date - Date
+ * @param {string} time - Time as HH:MM
+ * @param {number} dayOffset - Days to add
+ * @returns {Date} Date at the time of day
+ */
+function atTimeOfDay(date, time, dayOffset = 0) {
+  const { hours, minutes } = parseTimeOfDay(time);
+  const result = new Date(date);
+  result.setDate(result.getDate() + dayOffset);
+  result.setHours(hours, minutes, 0, 0);
+  
+  return result;
+}
+
+/**
+ * Check delivery settings and fill in defaults. "Do not disturb" windows that
+ * have ended are dropped.
+ * @param {Object} settings - Delivery settings
+ * @param {Date} now - Current time
+ * @returns {Object} Delivery settings
+ */
+function normalizeDeliverySettings(settings = {}, now = new Date()) {
+  const quietHours = {};
+  
+  Object.entries(settings.quietHours || {}).forEach(([context, window]) => {
+    if (window) {
+      parseTimeOfDay(window.start);
+      parseTimeOfDay(window.end);
+      quietHours[context] = { start: window.start, end: window.end };
+    }
+  });
+  
+  const doNotDisturb = (settings.doNotDisturb || [])
+    .map(window => ({ start: new Date(window.start), end: new Date(window.end) }))
+    .filter(window => {
+      if (isNaN(window.start.getTime()) || isNaN(window.end.getTime()) || window.end <= window.start) {
+        throw new Error('Invalid do not disturb window');
+      }
+      
+      return window.end > now;
+    })
+    .map(window => ({ start: window.start.toISOString(), end: window.end.toISOString() }));
+  
+  const workHours = { ...DEFAULT_DELIVERY_SETTINGS.workHours, ...settings.workHours };
+  parseTimeOfDay(workHours.start);
+  
+  if (!Array.isArray(workHours.days) || workHours.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    throw new Error('Invalid working days');
+  }
+  
+  return {
+    quietHours,
+    doNotDisturb,
+    workHours: { enabled: workHours.enabled === true, days: [...workHours.days], start: workHours.start }
+  };
+}
+
+/**
+ * Get the end of the quiet hours a time falls in. Quiet hours whose start is
+ * after their end run overnight.
+ * @param {Date} date - Time
+ * @param {Object} window - Quiet hours
+ * @returns {Date|null} End of the quiet hours, or null outside them
+ */
+function getQuietHoursEnd(date, window) {
+  const start = atTimeOfDay(date, window.start);
+  const end = atTimeOfDay(date, window.end);
+  
+  if (start <= end) {
+    return date >= start && date < end ? end : null;
+  }
+  
+  if (date >= start) {
+    return atTimeOfDay(date, window.end, 1);
+  }
+  
+  return date < end ? end : null;
+}
+
+/**
+ * Get the start of the next working day after a time
+ * @param {Date} date - Time
+ * @param {Object} workHours - Work-hours profile
+ * @returns {Date|null} Start of the next working day, or null if it is a working day
+ */
+function getNextWorkingDay(date, workHours) {
+  if (workHours.days.length === 0 || workHours.days.includes(date.getDay())) {
+    return null;
+  }
+  
+  for (let dayOffset = 1; dayOffset <= 7; dayOffset++) {
+    const day = atTimeOfDay(date, workHours.start, dayOffset);
+    
+    if (workHours.days.includes(day.getDay())) {
+      return day;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Get when a reminder notification is delivered. High-priority reminders are
+ * always delivered at their alert time.
+ * @param {Date} alertTime - Time the alert is due
+ * @param {Object} reminder - Reminder
+ * @param {Object} settings - Delivery settings
+ * @returns {Object} Delivery time and why it was held back, if it was
+ */
+function getDeliveryTime(alertTime, reminder, settings = DEFAULT_DELIVERY_SETTINGS) {
+  let date = new Date(alertTime);
+  let heldBy = null;
+  
+  if (reminder.priority === 'high') {
+    return { date, heldBy };
+  }
+  
+  for (let round = 0; round < MAX_DELIVERY_ROUNDS; round++) {
+    let held = null;
+    
+    const quietHours = settings.quietHours[reminder.context];
+    const quietHoursEnd = quietHours ? getQuietHoursEnd(date, quietHours) : null;
+    
+    if (quietHoursEnd) {
+      held = { date: quietHoursEnd, heldBy: DELIVERY_HOLDS.QUIET_HOURS };
+    }
+    
+    const doNotDisturb = settings.doNotDisturb.find(window => date >= new Date(window.start) && date < new Date(window.end));
+    
+    if (!held && doNotDisturb) {
+      held = { date: new Date(doNotDisturb.end), heldBy: DELIVERY_HOLDS.DO_NOT_DISTURB };
+    }
+    
+    const workingDay = reminder.context === 'work' && settings.workHours.enabled
+      ? getNextWorkingDay(date, settings.workHours)
+      : null;
+    
+    if (!held && workingDay) {
+      held = { date: workingDay, heldBy: DELIVERY_HOLDS.WORK_HOURS };
+    }
+    
+    if (!held) {
+      break;
+    }
+    
+    date = held.date;
+    heldBy = heldBy || held.heldBy;
+  }
+  
+  return { date, heldBy };
+}
+
+export {
+  DELIVERY_HOLDS,
+  DEFAULT_DELIVERY_SETTINGS,
+  normalizeDeliverySettings,
+  getDeliveryTime
+};
@@ -0,0 +1,147 @@
+/**
+ * Geofence for Ace Assistant
+ * 
+ * Saved places and the arrive and leave triggers of location-based
+ * reminders. Places are circles around a point; a position update is turned
+ * into the places entered and left since the previous one.
+ */
+
+// What a location-based reminder waits for at its place
+const LOCATION_EVENTS = {
+  ARRIVE: 'arrive',
+  LEAVE: 'leave'
+};
+
+// Radius of a saved place in meters, when none is given
+const DEFAULT_PLACE_RADIUS = 150;
+
+// Meters beyond its radius a place is only left at, so a position jittering
+// on the edge does not arrive and leave over and over
+const PLACE_EXIT_MARGIN = 50;
+
+const EARTH_RADIUS = 6371000;
+
+/**
+ * Check a saved place and fill in defaults
+ * @param {Object} place - Place with a name, coordinates and radius in meters
+ * @returns {Object} Place
+ */
+function normalizePlace(place) {
+  if (!place || !place.name || !String(place.name).trim()) {
+    throw new Error('Place name is required');
+  }
+  
+  const latitude = Number(place.latitude);
+  const longitude = Number(place.longitude);
+  const radius = place.radius === undefined || place.radius === null ? DEFAULT_PLACE_RADIUS : Number(place.radius);
+  
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90 ||
+      !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    throw new Error(`Invalid place coordinates: ${place.latitude}, ${place.longitude}`);
+  }
+  
+  if (!Number.isFinite(radius) || radius <= 0) {
+    throw new Error(`Invalid place radius: ${place.radius}`);
+  }
+  
+  return {
+    ...place,
+    name: String(place.name).trim(),
+    aliases: (place.aliases || []).map(alias => String(alias).trim()).filter(Boolean),
+    latitude,
+    longitude,
+    radius
+  };
+}
+
+/**
+ * Check a reminder's location trigger. The trigger keeps its own copy of the
+ * place, so it still works on devices the place was not saved on.
+ * @param {Object} trigger - Location trigger with its place and event
+ * @returns {Object|null} Location trigger, or null for none
+ */
+function normalizeLocationTrigger(trigger) {
+  if (!trigger) {
+    return null;
+  }
+  
+  if (!Object.values(LOCATION_EVENTS).includes(trigger.event)) {
+    throw new Error(`Invalid location event: ${trigger.event}`);
+  }
+  
+  const place = normalizePlace(trigger.place);
+  
+  return {
+    event: trigger.event,
+    place: {
+      id: place.id,
+      name: place.name,
+      latitude: place.latitude,
+      longitude: place.longitude,
+      radius: place.radius
+    },
+    repeat: trigger.repeat === true,
+    triggeredAt: trigger.triggeredAt || null
+  };
+}
+
+/**
+ * Get the distance between two positions along the earth's surface
+ * @param {Object} from - Position with latitude and longitude
+ * @param {Object} to - Position with latitude and longitude
+ * @returns {number} Distance in meters
+ */
+function getDistance(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const latitudeDelta = toRadians(to.latitude - from.latitude);
+  const longitudeDelta = toRadians(to.longitude - from.longitude);
+  
+  const a = Math.sin(latitudeDelta / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(longitudeDelta / 2) ** 2;
+  
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Get the places a position is in and the places entered and left since the
+ * previous position. Places seen for the first time have no previous state,
+ * so they are not entered or left yet.
+ * @param {Object} coords - Position with latitude and longitude
+ * @param {Array<Object>} places - Places to check
+ * @param {Object} insidePlaces - Whether the previous position was in each place, by place ID
+ * @returns {Object} Whether the position is in each place, and the transitions
+ */
+function getPlaceTransitions(coords, places, insidePlaces = {}) {
+  const inside = {};
+  const transitions = [];
+  
+  places.forEach(place => {
+    if (place.id in inside) {
+      return;
+    }
+    
+    const wasInside = insidePlaces[place.id];
+    const distance = getDistance(coords, place);
+    const isInside = distance <= place.radius + (wasInside ? PLACE_EXIT_MARGIN : 0);
+    
+    inside[place.id] = isInside;
+    
+    if (wasInside !== undefined && wasInside !== isInside) {
+      transitions.push({
+        placeId: place.id,
+        event: isInside ? LOCATION_EVENTS.ARRIVE : LOCATION_EVENTS.LEAVE
+      });
+    }
+  });
+  
+  return { inside, transitions };
+}
+
+export {
+  LOCATION_EVENTS,
+  DEFAULT_PLACE_RADIUS,
+  normalizePlace,
+  normalizeLocationTrigger,
+  getDistance,
+  getPlaceTransitions
+};
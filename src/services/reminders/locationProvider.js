@@ -0,0 +1,175 @@
+/**
+ * Location Provider for Ace Assistant
+ * 
+ * Default source of the device position for location-based reminders,
+ * backed by expo-location. The Reminder Service accepts any object with the
+ * same methods, so positions can come from elsewhere, such as simulated
+ * coordinates in tests.
+ * 
+ * Places are registered as geofences with the operating system, which
+ * reports arriving and leaving through a background task even while the app
+ * is suspended or closed. This needs background location permission; without
+ * it, positions are only watched while the app is running.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Location from 'expo-location';
+import * as TaskManager from 'expo-task-manager';
+import { LOCATION_EVENTS } from './geofence';
+
+// Meters the device moves before a new position is reported
+const LOCATION_DISTANCE_INTERVAL = 50;
+
+// Background task the operating system runs when a geofence is crossed
+const GEOFENCING_TASK = 'ace-reminder-geofencing';
+
+// Geofence events reported while no one listened, kept until someone does
+const PENDING_GEOFENCE_EVENTS_KEY = '@ace_pending_geofence_events';
+
+// Called with each geofence event once the Reminder Service listens for them
+let geofenceCallback = null;
+
+/**
+ * Turn an expo-location position into plain coordinates
+ * @param {Object} position - Position from expo-location
+ * @returns {Object} Latitude, longitude and accuracy in meters
+ */
+function toCoordinates(position) {
+  return {
+    latitude: position.coords.latitude,
+    longitude: position.coords.longitude,
+    accuracy: position.coords.accuracy
+  };
+}
+
+/**
+ * Handle a geofence crossing reported by the operating system. Crossings
+ * reported while no one listens are saved, so they are not lost if the app
+ * is closed before the Reminder Service starts.
+ * @param {Object} body - Task body with the region crossed and the event type
+ * @returns {Promise<void>}
+ */
+async function handleGeofencingTask({ data, error }) {
+  if (error) {
+    console.error('Error in geofencing task:', error);
+    return;
+  }
+  
+  const event = {
+    placeId: data.region.identifier,
+    event: data.eventType === Location.GeofencingEventType.Enter ? LOCATION_EVENTS.ARRIVE : LOCATION_EVENTS.LEAVE
+  };
+  
+  try {
+    if (!geofenceCallback) {
+      const pendingEvents = await readPendingGeofenceEvents();
+      await AsyncStorage.setItem(PENDING_GEOFENCE_EVENTS_KEY, JSON.stringify([...pendingEvents, event]));
+      return;
+    }
+    
+    await geofenceCallback(event);
+  } catch (callbackError) {
+    console.error('Error handling geofence event:', callbackError);
+  }
+}
+
+/**
+ * Read the geofence events saved while no one listened
+ * @returns {Promise<Array>} Saved events
+ */
+async function readPendingGeofenceEvents() {
+  const pendingEventsStr = await AsyncStorage.getItem(PENDING_GEOFENCE_EVENTS_KEY);
+  return pendingEventsStr ? JSON.parse(pendingEventsStr) : [];
+}
+
+const locationProvider = {
+  /**
+   * Ask for permission to read the device position
+   * @returns {Promise<boolean>} Whether permission was granted
+   */
+  async requestPermission() {
+    const { status } = await Location.requestForegroundPermissionsAsync();
+    return status === 'granted';
+  },
+  
+  /**
+   * Get the current device position
+   * @returns {Promise<Object>} Latitude, longitude and accuracy in meters
+   */
+  async getCurrentPosition() {
+    const position = await Location.getCurrentPositionAsync({
+      accuracy: Location.Accuracy.Balanced
+    });
+    
+    return toCoordinates(position);
+  },
+  
+  /**
+   * Report the device position as it moves
+   * @param {Function} callback - Called with the coordinates of each position
+   * @returns {Promise<Object>} Subscription, stopped with remove()
+   */
+  async watchPosition(callback) {
+    return await Location.watchPositionAsync({
+      accuracy: Location.Accuracy.Balanced,
+      distanceInterval: LOCATION_DISTANCE_INTERVAL
+    }, position => callback(toCoordinates(position)));
+  },
+  
+  /**
+   * Register places as geofences, replacing those registered before. Events
+   * reported while no one listened are passed to the callback first.
+   * 
+   * The geofencing task is defined here rather than when the module loads.
+   * The Reminder Service starts geofencing while it initializes whenever
+   * places are registered, so the task is defined when the app starts.
+   * @param {Array<Object>} places - Places with an ID, coordinates and radius in meters
+   * @param {Function} callback - Called with the place ID and event (arrive or leave) of each crossing
+   * @returns {Promise<boolean>} Whether the geofences are registered
+   */
+  async startGeofencing(places, callback) {
+    geofenceCallback = callback;
+    
+    if (!TaskManager.isTaskDefined(GEOFENCING_TASK)) {
+      TaskManager.defineTask(GEOFENCING_TASK, handleGeofencingTask);
+    }
+    
+    const events = await readPendingGeofenceEvents();
+    await AsyncStorage.removeItem(PENDING_GEOFENCE_EVENTS_KEY);
+    
+    for (const event of events) {
+      await callback(event);
+    }
+    
+    const { status } = await Location.requestBackgroundPermissionsAsync();
+    
+    if (status !== 'granted') {
+      return false;
+    }
+    
+    await Location.startGeofencingAsync(GEOFENCING_TASK, places.map(place => ({
+      identifier: place.id,
+      latitude: place.latitude,
+      longitude: place.longitude,
+      radius: place.radius,
+      notifyOnEnter: true,
+      notifyOnExit: true
+    })));
+    
+    return true;
+  },
+  
+  /**
+   * Remove all registered geofences
+   * @returns {Promise<void>}
+   */
+  async stopGeofencing() {
+    geofenceCallback = null;
+    
+    if (await Location.hasStartedGeofencingAsync(GEOFENCING_TASK)) {
+      await Location.stopGeofencingAsync(GEOFENCING_TASK);
+    }
+  }
+};
+
+export default locationProvider;
@@ -0,0 +1,744 @@
+/**
+ * Search Service for Ace Assistant
+ * 
+ * This service keeps one full-text index over tasks, emails, meetings and
+ * reminders and answers queries with a single ranked list. The index is built
+ * once at initialize() and then kept up to date from the domain events on the
+ * change bus, so a change only reindexes the record it touched.
+ * 
+ * Queries are free text in English or Chinese, with optional field filters:
+ * `from:lisa`, `to:"Wang Wei"`, `tag:finance`, `due:tomorrow` and
+ * `type:email`. English words also match longer words they begin, and
+ * prefix matches rank below exact ones.
+ */
+
+import taskService from '../organization/TaskService';
+import emailService from '../organization/EmailService';
+import meetingService from '../organization/MeetingService';
+import reminderService from '../reminders/ReminderService';
+import changeBus from '../events/ChangeBus';
+import { normalizeText, isCjkTerm, tokenize, tokenizeQuery } from './tokenizer';
+
+// Constants
+const SEARCH_ENTITY_TYPES = ['task', 'email', 'meeting', 'reminder'];
+
+const SEARCH_FILTERS = ['from', 'to', 'tag', 'due', 'type'];
+
+// Relative importance of a match in each indexed field
+const FIELD_WEIGHTS = {
+  title: 3,
+  participants: 2,
+  tags: 2,
+  agenda: 1.5,
+  body: 1,
+  notes: 1
+};
+
+// Score factor for terms matched by prefix rather than exactly
+const PREFIX_MATCH_WEIGHT = 0.5;
+const MIN_PREFIX_LENGTH = 2;
+
+// BM25 parameters (term frequency saturation and length normalization)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const DEFAULT_RESULT_LIMIT = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Names accepted by `type:`, in English and Chinese
+const TYPE_ALIASES = {
+  task: 'task',
+  tasks: 'task',
+  任务: 'task',
+  email: 'email',
+  emails: 'email',
+  mail: 'email',
+  邮件: 'email',
+  meeting: 'meeting',
+  meetings: 'meeting',
+  会议: 'meeting',
+  reminder: 'reminder',
+  reminders: 'reminder',
+  提醒: 'reminder'
+};
+
+/**
+ * Get the text of a person, given as an address or as a participant object
+ * @param {string|Object} person - Person
+ * @returns {string} Person text
+ */
+function getPersonText(person) {
+  if (!person) {
+    return '';
+  }
+  
+  if (typeof person === 'string') {
+    return person;
+  }
+  
+  return [person.name, person.email].filter(Boolean).join(' ');
+}
+
+/**
+ * Get the text of a list item, given as a string or as an object with a title
+ * @param {string|Object} item - Subtask or agenda item
+ * @returns {string} Item text
+ */
+function getItemText(item) {
+  if (!item) {
+    return '';
+  }
+  
+  return typeof item === 'string' ? item : [item.title, item.description].filter(Boolean).join(' ');
+}
+
+/**
+ * Get the indexed fields and filter values of a record
+ * @param {string} entityType - Entity type
+ * @param {Object} record - Record
+ * @returns {Object} Fields (field name to text list) and filter values
+ */
+function getSearchDocument(entityType, record) {
+  const tags = record.tags || [];
+  
+  switch (entityType) {
+    case 'task':
+      return {
+        fields: {
+          title: [record.title],
+          body: [record.description, ...(record.subtasks || []).map(getItemText)],
+          notes: [record.notes],
+          tags
+        },
+        from: [],
+        to: [],
+        tags,
+        date: record.dueDate
+      };
+    
+    case 'email':
+      return {
+        fields: {
+          title: [record.subject],
+          body: [record.body],
+          participants: [record.from, ...(record.to || []), ...(record.cc || [])].map(getPersonText),
+          tags
+        },
+        from: [getPersonText(record.from)],
+        to: [...(record.to || []), ...(record.cc || [])].map(getPersonText),
+        tags,
+        // Emails are dated by when they are scheduled to go out, or else
+        // when they were written
+        date: record.scheduledDate || record.createdAt
+      };
+    
+    case 'meeting':
+      return {
+        fields: {
+          title: [record.title],
+          body: [record.description, record.location],
+          notes: [record.notes],
+          agenda: (record.agenda || []).map(getItemText),
+          participants: [record.organizer, ...(record.participants || [])].map(getPersonText)
+        },
+        from: [getPersonText(record.organizer)],
+        to: (record.participants || []).map(getPersonText),
+        tags,
+        date: record.startTime
+      };
+    
+    case 'reminder':
+      return {
+        fields: {
+          title: [record.title],
+          body: [record.description]
+        },
+        from: [],
+        to: [],
+        tags,
+        date: record.dueDate
+      };
+    
+    default:
+      throw new Error(`Unknown search entity type: ${entityType}`);
+  }
+}
+
+/**
+ * Get the start of the day of a date, in local time
+ * @param {Date} date - Date
+ * @returns {Date} Start of the day
+ */
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Parse a local calendar date written as YYYY-MM-DD
+ * @param {string} value - Date text
+ * @returns {Date|null} Start of the day, or null if invalid
+ */
+function parseDay(value) {
+  const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+  
+  if (!match) {
+    return null;
+  }
+  
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parse the value of a `due:` filter into a date range
+ * @param {string} value - Filter value (today, tomorrow, week, overdue, a date, a range)
+ * @param {Date} now - Current time
+ * @returns {Object|null} Range with start (inclusive) and end (exclusive), or null if invalid
+ */
+function parseDueFilter(value, now = new Date()) {
+  const today = startOfDay(now);
+  const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+  
+  // Monday of the current week
+  const weekStart = addDays(today, -((today.getDay() + 6) % 7));
+  
+  switch (value) {
+    case 'today':
+    case '今天':
+      return { start: today, end: addDays(today, 1) };
+    case 'tomorrow':
+    case '明天':
+      return { start: addDays(today, 1), end: addDays(today, 2) };
+    case 'yesterday':
+    case '昨天':
+      return { start: addDays(today, -1), end: today };
+    case 'week':
+    case 'this-week':
+    case '本周':
+    case '这周':
+      return { start: weekStart, end: addDays(weekStart, 7) };
+    case 'next-week':
+    case '下周':
+      return { start: addDays(weekStart, 7), end: addDays(weekStart, 14) };
+    case 'overdue':
+    case '过期':
+      return { start: null, end: new Date(now) };
+    default:
+      break;
+  }
+  
+  if (value.startsWith('<') || value.startsWith('>')) {
+    const day = parseDay(value.slice(1));
+    
+    if (!day) {
+      return null;
+    }
+    
+    return value.startsWith('<') ? { start: null, end: day } : { start: addDays(day, 1), end: null };
+  }
+  
+  if (value.includes('..')) {
+    const [from, to] = value.split('..');
+    const start = from ? parseDay(from) : null;
+    const end = to ? parseDay(to) : null;
+    
+    if ((from && !start) || (to && !end)) {
+      return null;
+    }
+    
+    return { start, end: end ? addDays(end, 1) : null };
+  }
+  
+  const day = parseDay(value);
+  return day ? { start: day, end: addDays(day, 1) } : null;
+}
+
+/**
+ * Split a search query into text and field filters
+ * @param {string} query - Search query
+ * @param {Date} now - Current time, for relative `due:` values
+ * @returns {Object} Parsed query (text, terms and filters)
+ */
+function parseSearchQuery(query, now = new Date()) {
+  const filters = { from: [], to: [], tag: [], type: [], due: null };
+  
+  // Full-width colons and quotes are folded so Chinese input works as well
+  const normalized = String(query || '').normalize('NFKC');
+  
+  const text = normalized.replace(/(\p{L}+):(?:"([^"]*)"|(\S+))/gu, (match, name, quoted, plain) => {
+    const key = name.toLowerCase();
+    
+    if (!SEARCH_FILTERS.includes(key)) {
+      return match;
+    }
+    
+    const value = normalizeText(quoted !== undefined ? quoted : plain).trim();
+    
+    if (key === 'due') {
+      filters.due = parseDueFilter(value, now);
+      
+      if (!filters.due) {
+        console.warn(`Ignoring invalid due filter: ${value}`);
+      }
+    } else if (key === 'type') {
+      if (TYPE_ALIASES[value]) {
+        filters.type.push(TYPE_ALIASES[value]);
+      }
+    } else if (value) {
+      filters[key].push(value);
+    }
+    
+    return ' ';
+  }).trim();
+  
+  return {
+    text,
+    terms: tokenizeQuery(text),
+    filters
+  };
+}
+
+/**
+ * Class representing the Search Service
+ */
+class SearchService {
+  constructor() {
+    // Initialize properties
+    this.initialized = false;
+    this.documents = new Map();
+    this.postings = new Map();
+    this.fieldLengthTotals = {};
+    this.sortedTerms = null;
+    this.changeBusListener = null;
+    
+    // Services holding the records of each entity type
+    this.services = {
+      task: { getAll: () => taskService.getTasks(), getById: id => taskService.getTaskById(id), service: taskService },
+      email: { getAll: () => emailService.getEmails(), getById: id => emailService.getEmailById(id), service: emailService },
+      meeting: { getAll: () => meetingService.getMeetings(), getById: id => meetingService.getMeetingById(id), service: meetingService },
+      reminder: { getAll: () => reminderService.getReminders(), getById: id => reminderService.getReminderById(id), service: reminderService }
+    };
+    
+    // Bind methods
+    this.initialize = this.initialize.bind(this);
+    this.rebuildIndex = this.rebuildIndex.bind(this);
+    this.handleDomainEvent = this.handleDomainEvent.bind(this);
+    this.indexRecord = this.indexRecord.bind(this);
+    this.removeRecord = this.removeRecord.bind(this);
+    this.getPrefixTerms = this.getPrefixTerms.bind(this);
+    this.scoreTerm = this.scoreTerm.bind(this);
+    this.matchesFilters = this.matchesFilters.bind(this);
+    this.search = this.search.bind(this);
+    this.cleanup = this.cleanup.bind(this);
+  }
+  
+  /**
+   * Initialize the Search Service
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    try {
+      if (this.initialized) {
+        return true;
+      }
+      
+      console.log('Initializing Search Service...');
+      
+      // Keep the index up to date with every local and remote change
+      this.changeBusListener = changeBus.subscribe(this.handleDomainEvent);
+      
+      // Make sure every service has loaded its records
+      for (const entityType of SEARCH_ENTITY_TYPES) {
+        const { service } = this.services[entityType];
+        
+        if (!service.initialized) {
+          await service.initialize();
+        }
+      }
+      
+      this.rebuildIndex();
+      
+      // Set initialization flag
+      this.initialized = true;
+      console.log(`Search Service initialized with ${this.documents.size} records`);
+      
+      return true;
+    } catch (error) {
+      console.error('Error initializing Search Service:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Index every record of every service from scratch
+   */
+  rebuildIndex() {
+    this.documents = new Map();
+    this.postings = new Map();
+    this.fieldLengthTotals = {};
+    this.sortedTerms = null;
+    
+    for (const entityType of SEARCH_ENTITY_TYPES) {
+      for (const record of this.services[entityType].getAll()) {
+        this.indexRecord(entityType, record);
+      }
+    }
+  }
+  
+  /**
+   * Handle domain events from the change bus
+   * @param {Object} event - Domain event
+   */
+  handleDomainEvent(event) {
+    if (!SEARCH_ENTITY_TYPES.includes(event.entityType)) {
+      return;
+    }
+    
+    if (event.action === 'delete') {
+      this.removeRecord(event.entityType, event.entityId);
+    } else if (event.data) {
+      this.indexRecord(event.entityType, event.data);
+    }
+  }
+  
+  /**
+   * Add a record to the index, replacing its previous version
+   * @param {string} entityType - Entity type
+   * @param {Object} record - Record
+   */
+  indexRecord(entityType, record) {
+    const key = `${entityType}:${record.id}`;
+    this.removeRecord(entityType, record.id);
+    
+    const { fields, ...filterValues } = getSearchDocument(entityType, record);
+    const fieldLengths = {};
+    const terms = new Set();
+    
+    for (const field in fields) {
+      const fieldTerms = tokenize(fields[field].filter(Boolean).join(' '));
+      fieldLengths[field] = fieldTerms.length;
+      this.fieldLengthTotals[field] = (this.fieldLengthTotals[field] || 0) + fieldTerms.length;
+      
+      for (const term of fieldTerms) {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+          this.sortedTerms = null;
+        }
+        
+        const posting = this.postings.get(term);
+        const frequencies = posting.get(key) || {};
+        frequencies[field] = (frequencies[field] || 0) + 1;
+        posting.set(key, frequencies);
+        terms.add(term);
+      }
+    }
+    
+    this.documents.set(key, {
+      key,
+      entityType,
+      id: record.id,
+      fieldLengths,
+      terms,
+      from: filterValues.from.map(normalizeText),
+      to: filterValues.to.map(normalizeText),
+      tags: filterValues.tags.map(normalizeText),
+      date: filterValues.date ? new Date(filterValues.date) : null,
+      updatedAt: record.updatedAt || record.createdAt || null
+    });
+  }
+  
+  /**
+   * Remove a record from the index
+   * @param {string} entityType - Entity type
+   * @param {string} id - Record ID
+   */
+  removeRecord(entityType, id) {
+    const key = `${entityType}:${id}`;
+    const document = this.documents.get(key);
+    
+    if (!document) {
+      return;
+    }
+    
+    for (const term of document.terms) {
+      const posting = this.postings.get(term);
+      posting.delete(key);
+      
+      if (posting.size === 0) {
+        this.postings.delete(term);
+        this.sortedTerms = null;
+      }
+    }
+    
+    for (const field in document.fieldLengths) {
+      this.fieldLengthTotals[field] -= document.fieldLengths[field];
+    }
+    
+    this.documents.delete(key);
+  }
+  
+  /**
+   * Get the indexed terms that start with a prefix, other than the prefix
+   * itself
+   * @param {string} prefix - Prefix
+   * @returns {Array<string>} Terms
+   */
+  getPrefixTerms(prefix) {
+    if (!this.sortedTerms) {
+      this.sortedTerms = [...this.postings.keys()].filter(term => !isCjkTerm(term)).sort();
+    }
+    
+    // Binary search for the first term not before the prefix
+    let low = 0;
+    let high = this.sortedTerms.length;
+    
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      
+      if (this.sortedTerms[middle] < prefix) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    
+    const terms = [];
+    
+    for (let i = low; i < this.sortedTerms.length && this.sortedTerms[i].startsWith(prefix); i++) {
+      if (this.sortedTerms[i] !== prefix) {
+        terms.push(this.sortedTerms[i]);
+      }
+    }
+    
+    return terms;
+  }
+  
+  /**
+   * Score every record matching an indexed term
+   * @param {string} term - Indexed term
+   * @param {number} factor - Score factor (lower for prefix matches)
+   * @param {Map} scores - Best score and matched fields per record key, updated in place
+   */
+  scoreTerm(term, factor, scores) {
+    const posting = this.postings.get(term);
+    
+    if (!posting) {
+      return;
+    }
+    
+    const documentCount = this.documents.size;
+    const idf = Math.log(1 + (documentCount - posting.size + 0.5) / (posting.size + 0.5));
+    
+    for (const [key, frequencies] of posting) {
+      const document = this.documents.get(key);
+      let score = 0;
+      
+      for (const field in frequencies) {
+        const frequency = frequencies[field];
+        const averageLength = (this.fieldLengthTotals[field] || 1) / documentCount;
+        const lengthRatio = document.fieldLengths[field] / averageLength;
+        
+        score += FIELD_WEIGHTS[field] * (frequency * (BM25_K1 + 1)) /
+          (frequency + BM25_K1 * (1 - BM25_B + BM25_B * lengthRatio));
+      }
+      
+      score *= idf * factor;
+      
+      const previous = scores.get(key);
+      
+      if (!previous || previous.score < score) {
+        scores.set(key, { score, fields: Object.keys(frequencies) });
+      }
+    }
+  }
+  
+  /**
+   * Check a record against the field filters of a query
+   * @param {Object} document - Indexed record
+   * @param {Object} filters - Parsed filters
+   * @returns {boolean} Whether the record matches
+   */
+  matchesFilters(document, filters) {
+    if (filters.type.length > 0 && !filters.type.includes(document.entityType)) {
+      return false;
+    }
+    
+    if (!filters.from.every(value => document.from.some(from => from.includes(value)))) {
+      return false;
+    }
+    
+    if (!filters.to.every(value => document.to.some(to => to.includes(value)))) {
+      return false;
+    }
+    
+    if (!filters.tag.every(value => document.tags.includes(value))) {
+      return false;
+    }
+    
+    if (filters.due) {
+      if (!document.date) {
+        return false;
+      }
+      
+      if (filters.due.start && document.date < filters.due.start) {
+        return false;
+      }
+      
+      if (filters.due.end && document.date >= filters.due.end) {
+        return false;
+      }
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Search tasks, emails, meetings and reminders
+   * @param {string} query - Search query with optional field filters
+   * @param {Object} options - Search options (types, limit, now)
+   * @returns {Array} Results (entityType, id, score, matchedFields, item), best first
+   */
+  search(query, options = {}) {
+    try {
+      const { terms, filters } = parseSearchQuery(query, options.now || new Date());
+      const limit = options.limit || DEFAULT_RESULT_LIMIT;
+      
+      if (options.types) {
+        filters.type = filters.type.length > 0 ?
+          filters.type.filter(type => options.types.includes(type)) :
+          [...options.types];
+        
+        if (filters.type.length === 0) {
+          return [];
+        }
+      }
+      
+      const hasFilters = filters.type.length > 0 || filters.from.length > 0 ||
+        filters.to.length > 0 || filters.tag.length > 0 || filters.due !== null;
+      
+      if (terms.length === 0 && !hasFilters) {
+        return [];
+      }
+      
+      let matches;
+      
+      if (terms.length === 0) {
+        // Filters only: every record that passes them
+        matches = new Map([...this.documents.keys()].map(key => [key, { score: 0, fields: [] }]));
+      } else {
+        // Every term must match, exactly or by prefix
+        for (const term of terms) {
+          const termScores = new Map();
+          this.scoreTerm(term, 1, termScores);
+          
+          if (!isCjkTerm(term) && term.length >= MIN_PREFIX_LENGTH) {
+            for (const prefixTerm of this.getPrefixTerms(term)) {
+              this.scoreTerm(prefixTerm, PREFIX_MATCH_WEIGHT, termScores);
+            }
+          }
+          
+          if (!matches) {
+            matches = termScores;
+            continue;
+          }
+          
+          const combined = new Map();
+          
+          for (const [key, match] of matches) {
+            const termMatch = termScores.get(key);
+            
+            if (termMatch) {
+              combined.set(key, {
+                score: match.score + termMatch.score,
+                fields: [...new Set([...match.fields, ...termMatch.fields])]
+              });
+            }
+          }
+          
+          matches = combined;
+        }
+      }
+      
+      const results = [];
+      
+      for (const [key, match] of matches) {
+        const document = this.documents.get(key);
+        
+        if (!this.matchesFilters(document, filters)) {
+          continue;
+        }
+        
+        const item = this.services[document.entityType].getById(document.id);
+        
+        if (!item) {
+          continue;
+        }
+        
+        results.push({
+          entityType: document.entityType,
+          id: document.id,
+          score: match.score,
+          matchedFields: match.fields,
+          date: document.date ? document.date.toISOString() : null,
+          updatedAt: document.updatedAt,
+          item
+        });
+      }
+      
+      // Best matches first; filter-only searches list upcoming dates first
+      // when filtering by date, and recent changes first otherwise
+      results.sort((a, b) => {
+        if (b.score !== a.score) {
+          return b.score - a.score;
+        }
+        
+        if (filters.due && a.date !== b.date) {
+          return a.date < b.date ? -1 : 1;
+        }
+        
+        return (b.updatedAt || '').localeCompare(a.updatedAt || '');
+      });
+      
+      return results.slice(0, limit);
+    } catch (error) {
+      console.error('Error searching:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Clean up resources
+   * @returns {Promise<boolean>} Success status
+   */
+  async cleanup() {
+    try {
+      if (this.changeBusListener) {
+        this.changeBusListener();
+        this.changeBusListener = null;
+      }
+      
+      this.initialized = false;
+      console.log('Search Service cleaned up');
+      
+      return true;
+    } catch (error) {
+      console.error('Error cleaning up Search Service:', error);
+      return false;
+    }
+  }
+}
+
+// Create a singleton instance
+const searchService = new SearchService();
+
+export default searchService;
+export {
+  SearchService,
+  SEARCH_ENTITY_TYPES,
+  SEARCH_FILTERS,
+  parseSearchQuery,
+  parseDueFilter
+};
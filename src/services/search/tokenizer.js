@@ -0,0 +1,108 @@
+/**
+ * Search tokenizer for Ace Assistant
+ * 
+ * Splits English and Chinese text into index terms. Words in alphabetic
+ * scripts become one term each. Chinese, Japanese and Korean text has no
+ * spaces between words, so runs of CJK characters are indexed as single
+ * characters and as overlapping character pairs (bigrams), which finds
+ * words of any length without a dictionary.
+ */
+
+// Constants
+// Kana, CJK ideographs, Hangul and CJK compatibility ideographs
+const CJK_RANGES = '\\u3040-\\u30FF\\u3400-\\u4DBF\\u4E00-\\u9FFF\\uAC00-\\uD7AF\\uF900-\\uFAFF';
+const CJK_PATTERN = new RegExp(`[${CJK_RANGES}]`);
+const TOKEN_PATTERN = new RegExp(`[${CJK_RANGES}]+|(?:(?![${CJK_RANGES}])[\\p{L}\\p{N}])+`, 'gu');
+
+/**
+ * Normalize text for indexing: full-width forms folded, accents removed and
+ * lower case
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036F]/g, '')
+    .normalize('NFKC')
+    .toLowerCase();
+}
+
+/**
+ * Check whether a term is made of CJK characters
+ * @param {string} term - Term
+ * @returns {boolean} Whether the term is CJK
+ */
+function isCjkTerm(term) {
+  return CJK_PATTERN.test(term);
+}
+
+/**
+ * Split text into runs of CJK characters and alphabetic words
+ * @param {string} text - Text
+ * @returns {Array<string>} Runs
+ */
+function splitRuns(text) {
+  return normalizeText(text).match(TOKEN_PATTERN) || [];
+}
+
+/**
+ * Tokenize text for the index. CJK runs produce every character and every
+ * bigram, so both one-character and longer queries match.
+ * @param {string} text - Text
+ * @returns {Array<string>} Terms, with repeats
+ */
+function tokenize(text) {
+  const terms = [];
+  
+  for (const run of splitRuns(text)) {
+    if (!isCjkTerm(run)) {
+      terms.push(run);
+      continue;
+    }
+    
+    const chars = Array.from(run);
+    
+    for (let i = 0; i < chars.length; i++) {
+      terms.push(chars[i]);
+      
+      if (i + 1 < chars.length) {
+        terms.push(chars[i] + chars[i + 1]);
+      }
+    }
+  }
+  
+  return terms;
+}
+
+/**
+ * Tokenize a search query. CJK runs of two or more characters produce only
+ * their bigrams, so "预算" does not also match every text containing "预".
+ * @param {string} text - Query text
+ * @returns {Array<string>} Unique query terms
+ */
+function tokenizeQuery(text) {
+  const terms = [];
+  
+  for (const run of splitRuns(text)) {
+    const chars = Array.from(run);
+    
+    if (!isCjkTerm(run) || chars.length === 1) {
+      terms.push(run);
+      continue;
+    }
+    
+    for (let i = 0; i + 1 < chars.length; i++) {
+      terms.push(chars[i] + chars[i + 1]);
+    }
+  }
+  
+  return [...new Set(terms)];
+}
+
+export {
+  normalizeText,
+  isCjkTerm,
+  tokenize,
+  tokenizeQuery
+};
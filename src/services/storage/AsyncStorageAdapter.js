@@ -0,0 +1,175 @@
+/**
+ * AsyncStorage Adapter for Ace Assistant
+ * 
+ * Fallback storage adapter for platforms without SQLite. Records are kept in
+ * the original format, one JSON array per collection under its `@ace_*` key,
+ * so data written by earlier versions of the app is read as is.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { isWithinRange } from './SQLiteAdapter';
+
+/**
+ * Class representing the AsyncStorage Adapter
+ */
+class AsyncStorageAdapter {
+  /**
+   * @param {string} collection - Collection name
+   * @param {Object} options - Adapter options (storageKey)
+   */
+  constructor(collection, options = {}) {
+    // Initialize properties
+    this.collection = collection;
+    this.storageKey = options.storageKey || `@ace_${collection}`;
+    this.schemaVersionKey = `${this.storageKey}_schema_version`;
+    this.records = null;
+    
+    // Bind methods
+    this.open = this.open.bind(this);
+    this.getAll = this.getAll.bind(this);
+    this.get = this.get.bind(this);
+    this.find = this.find.bind(this);
+    this.put = this.put.bind(this);
+    this.putMany = this.putMany.bind(this);
+    this.remove = this.remove.bind(this);
+    this.clear = this.clear.bind(this);
+    this.persist = this.persist.bind(this);
+    this.getSchemaVersion = this.getSchemaVersion.bind(this);
+    this.setSchemaVersion = this.setSchemaVersion.bind(this);
+  }
+  
+  /**
+   * Load the collection
+   * @returns {Promise<boolean>} Success status
+   */
+  async open() {
+    if (this.records) {
+      return true;
+    }
+    
+    const recordsJson = await AsyncStorage.getItem(this.storageKey);
+    this.records = recordsJson ? JSON.parse(recordsJson) : [];
+    
+    return true;
+  }
+  
+  /**
+   * Get all records
+   * @returns {Promise<Array>} Records
+   */
+  async getAll() {
+    await this.open();
+    return [...this.records];
+  }
+  
+  /**
+   * Get a record by ID
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>} Record
+   */
+  async get(id) {
+    await this.open();
+    return this.records.find(record => record.id === id) || null;
+  }
+  
+  /**
+   * Find records whose fields equal the given values and fall within the
+   * given ranges
+   * @param {Object} where - Field values to match
+   * @param {Object} range - Inclusive bounds (from, to) by field
+   * @returns {Promise<Array>} Matching records
+   */
+  async find(where = {}, range = {}) {
+    await this.open();
+    
+    return this.records.filter(record =>
+      Object.keys(where).every(field => record[field] === where[field]) &&
+      Object.keys(range).every(field => isWithinRange(record[field], range[field]))
+    );
+  }
+  
+  /**
+   * Insert or replace a record
+   * @param {Object} record - Record with an ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async put(record) {
+    return await this.putMany([record]);
+  }
+  
+  /**
+   * Insert or replace several records
+   * @param {Array} records - Records with IDs
+   * @returns {Promise<boolean>} Success status
+   */
+  async putMany(records) {
+    await this.open();
+    
+    for (const record of records) {
+      const index = this.records.findIndex(r => r.id === record.id);
+      
+      if (index === -1) {
+        this.records.push(record);
+      } else {
+        this.records[index] = record;
+      }
+    }
+    
+    return await this.persist();
+  }
+  
+  /**
+   * Remove a record
+   * @param {string} id - Record ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async remove(id) {
+    await this.open();
+    
+    this.records = this.records.filter(record => record.id !== id);
+    
+    return await this.persist();
+  }
+  
+  /**
+   * Remove all records
+   * @returns {Promise<boolean>} Success status
+   */
+  async clear() {
+    this.records = [];
+    await AsyncStorage.removeItem(this.storageKey);
+    
+    return true;
+  }
+  
+  /**
+   * Get the schema version of the collection's records
+   * @returns {Promise<number>} Schema version (0 if never migrated)
+   */
+  async getSchemaVersion() {
+    const version = await AsyncStorage.getItem(this.schemaVersionKey);
+    return version ? parseInt(version, 10) : 0;
+  }
+  
+  /**
+   * Set the schema version of the collection's records
+   * @param {number} version - Schema version
+   * @returns {Promise<boolean>} Success status
+   */
+  async setSchemaVersion(version) {
+    await AsyncStorage.setItem(this.schemaVersionKey, String(version));
+    return true;
+  }
+  
+  /**
+   * Write the collection. This format rewrites every record on each change,
+   * which is why SQLite is preferred wherever it is available.
+   * @returns {Promise<boolean>} Success status
+   */
+  async persist() {
+    await AsyncStorage.setItem(this.storageKey, JSON.stringify(this.records));
+    return true;
+  }
+}
+
+export default AsyncStorageAdapter;
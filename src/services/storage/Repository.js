@@ -0,0 +1,253 @@
+/**
+ * Repository for Ace Assistant
+ * 
+ * Shared persistence layer for the organization services. A repository stores
+ * the records of one collection (tasks, emails, meetings, reminders) one by
+ * one, using SQLite where it is available and falling back to the original
+ * AsyncStorage format elsewhere. Collections saved by earlier versions of the
+ * app are moved into SQLite the first time they are opened.
+ * 
+ * Each collection also stores the schema version of its records. Services
+ * pass their list of migration steps to `migrate()` when they initialize, and
+ * records saved with an older schema are upgraded in place.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import appConfig from '../../constants/appConfig';
+import AsyncStorageAdapter from './AsyncStorageAdapter';
+import SQLiteAdapter from './SQLiteAdapter';
+
+// Constants
+const STORAGE_BACKENDS = {
+  SQLITE: 'sqlite',
+  ASYNC_STORAGE: 'asyncStorage'
+};
+
+const DEFAULT_STORAGE_BACKEND = (appConfig.storage && appConfig.storage.backend) || STORAGE_BACKENDS.SQLITE;
+
+/**
+ * Class representing a Repository
+ */
+class Repository {
+  /**
+   * @param {string} collection - Collection name
+   * @param {Object} options - Repository options (storageKey, indexes, backend)
+   */
+  constructor(collection, options = {}) {
+    // Initialize properties
+    this.collection = collection;
+    this.storageKey = options.storageKey || `@ace_${collection}`;
+    this.indexes = options.indexes || [];
+    this.preferredBackend = options.backend || DEFAULT_STORAGE_BACKEND;
+    this.backend = null;
+    this.adapter = null;
+    this.openPromise = null;
+    
+    // Bind methods
+    this.open = this.open.bind(this);
+    this.openAdapter = this.openAdapter.bind(this);
+    this.migrateLegacyRecords = this.migrateLegacyRecords.bind(this);
+    this.getAll = this.getAll.bind(this);
+    this.get = this.get.bind(this);
+    this.find = this.find.bind(this);
+    this.put = this.put.bind(this);
+    this.putMany = this.putMany.bind(this);
+    this.remove = this.remove.bind(this);
+    this.clear = this.clear.bind(this);
+    this.migrate = this.migrate.bind(this);
+  }
+  
+  /**
+   * Open the repository, selecting its storage backend
+   * @returns {Promise<boolean>} Success status
+   */
+  async open() {
+    if (!this.openPromise) {
+      this.openPromise = this.openAdapter().catch(error => {
+        this.openPromise = null;
+        throw error;
+      });
+    }
+    
+    return await this.openPromise;
+  }
+  
+  /**
+   * Open SQLite, or the AsyncStorage adapter if SQLite is not available
+   * @returns {Promise<boolean>} Success status
+   */
+  async openAdapter() {
+    if (this.preferredBackend === STORAGE_BACKENDS.SQLITE) {
+      try {
+        const adapter = new SQLiteAdapter(this.collection, { indexes: this.indexes });
+        await adapter.open();
+        await this.migrateLegacyRecords(adapter);
+        
+        this.adapter = adapter;
+        this.backend = STORAGE_BACKENDS.SQLITE;
+        
+        return true;
+      } catch (error) {
+        console.warn(`SQLite storage unavailable for ${this.collection}, using AsyncStorage:`, error);
+      }
+    }
+    
+    const adapter = new AsyncStorageAdapter(this.collection, { storageKey: this.storageKey });
+    await adapter.open();
+    
+    this.adapter = adapter;
+    this.backend = STORAGE_BACKENDS.ASYNC_STORAGE;
+    
+    return true;
+  }
+  
+  /**
+   * Move records saved in the AsyncStorage format into SQLite
+   * @param {SQLiteAdapter} adapter - Opened SQLite adapter
+   * @returns {Promise<number>} Number of records moved
+   */
+  async migrateLegacyRecords(adapter) {
+    const recordsJson = await AsyncStorage.getItem(this.storageKey);
+    
+    if (!recordsJson) {
+      return 0;
+    }
+    
+    const records = JSON.parse(recordsJson);
+    await adapter.putMany(records);
+    
+    // Keep the schema version the records were saved with
+    const legacyAdapter = new AsyncStorageAdapter(this.collection, { storageKey: this.storageKey });
+    await adapter.setSchemaVersion(await legacyAdapter.getSchemaVersion());
+    
+    // Only drop the old copy once every record is stored in SQLite
+    await AsyncStorage.removeItem(this.storageKey);
+    await AsyncStorage.removeItem(legacyAdapter.schemaVersionKey);
+    
+    console.log(`Moved ${records.length} ${this.collection} to SQLite storage`);
+    
+    return records.length;
+  }
+  
+  /**
+   * Get all records
+   * @returns {Promise<Array>} Records
+   */
+  async getAll() {
+    await this.open();
+    return await this.adapter.getAll();
+  }
+  
+  /**
+   * Get a record by ID
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>} Record
+   */
+  async get(id) {
+    await this.open();
+    return await this.adapter.get(id);
+  }
+  
+  /**
+   * Find records whose fields equal the given values and fall within the
+   * given ranges. Dates are stored as ISO strings, so date ranges are given
+   * as ISO strings too.
+   * @param {Object} where - Field values to match
+   * @param {Object} range - Inclusive bounds (from, to) by field
+   * @returns {Promise<Array>} Matching records
+   */
+  async find(where = {}, range = {}) {
+    await this.open();
+    return await this.adapter.find(where, range);
+  }
+  
+  /**
+   * Insert or replace a record
+   * @param {Object} record - Record with an ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async put(record) {
+    await this.open();
+    return await this.adapter.put(record);
+  }
+  
+  /**
+   * Insert or replace several records
+   * @param {Array} records - Records with IDs
+   * @returns {Promise<boolean>} Success status
+   */
+  async putMany(records) {
+    await this.open();
+    return await this.adapter.putMany(records);
+  }
+  
+  /**
+   * Remove a record
+   * @param {string} id - Record ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async remove(id) {
+    await this.open();
+    return await this.adapter.remove(id);
+  }
+  
+  /**
+   * Remove all records
+   * @returns {Promise<boolean>} Success status
+   */
+  async clear() {
+    await this.open();
+    return await this.adapter.clear();
+  }
+  
+  /**
+   * Upgrade records saved with an older schema. Steps run in version order,
+   * each one receiving a record and returning the upgraded record. Steps
+   * must leave already upgraded records unchanged, since an interrupted
+   * migration runs again from the stored version.
+   * @param {Array} migrations - Migration steps (version, description, up)
+   * @returns {Promise<number>} Schema version after migrating
+   */
+  async migrate(migrations) {
+    await this.open();
+    
+    const currentVersion = await this.adapter.getSchemaVersion();
+    const pendingSteps = migrations
+      .filter(step => step.version > currentVersion)
+      .sort((a, b) => a.version - b.version);
+    
+    if (pendingSteps.length === 0) {
+      return currentVersion;
+    }
+    
+    let records = await this.adapter.getAll();
+    
+    for (const step of pendingSteps) {
+      console.log(`Migrating ${this.collection} to schema version ${step.version}: ${step.description}`);
+      records = records.map(record => step.up(record));
+    }
+    
+    const targetVersion = pendingSteps[pendingSteps.length - 1].version;
+    
+    if (records.length > 0) {
+      await this.adapter.putMany(records);
+    }
+    
+    await this.adapter.setSchemaVersion(targetVersion);
+    
+    return targetVersion;
+  }
+}
+
+/**
+ * Create a repository for a collection
+ * @param {string} collection - Collection name
+ * @param {Object} options - Repository options (storageKey, indexes, backend)
+ * @returns {Repository} Repository
+ */
+function createRepository(collection, options = {}) {
+  return new Repository(collection, options);
+}
+
+export default createRepository;
+export { Repository, STORAGE_BACKENDS };
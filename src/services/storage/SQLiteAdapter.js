@@ -0,0 +1,391 @@
+/**
+ * SQLite Adapter for Ace Assistant
+ * 
+ * Stores each record of a collection as its own row, so that saving one task
+ * or email only writes that record. Records are kept as JSON, and the fields
+ * listed as indexes are copied to indexed columns for queries. Index columns
+ * added in a later version are created and filled from the stored records
+ * when the collection is opened.
+ */
+
+import * as SQLite from 'expo-sqlite';
+
+// Constants
+const DATABASE_NAME = 'ace.db';
+const SCHEMA_VERSIONS_TABLE = 'schema_versions';
+
+// Every collection shares one database connection
+let databasePromise = null;
+
+/**
+ * Open the shared database
+ * @returns {Promise<Object>} Database
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = SQLite.openDatabaseAsync(DATABASE_NAME).catch(error => {
+      databasePromise = null;
+      throw error;
+    });
+  }
+  
+  return databasePromise;
+}
+
+/**
+ * Quote an identifier for use in SQL
+ * @param {string} name - Table or column name
+ * @returns {string} Quoted identifier
+ */
+function quoteIdentifier(name) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+    throw new Error(`Invalid storage identifier: ${name}`);
+  }
+  
+  return `"${name}"`;
+}
+
+/**
+ * Convert a field value to the value stored in its index column
+ * @param {*} value - Field value
+ * @returns {*} Column value
+ */
+function toColumnValue(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  
+  return value;
+}
+
+/**
+ * Check whether a record field is within a range
+ * @param {*} value - Field value
+ * @param {Object} bounds - Inclusive bounds (from, to)
+ * @returns {boolean} Whether the value is within the range
+ */
+function isWithinRange(value, bounds) {
+  if (value === undefined || value === null) {
+    return false;
+  }
+  
+  return (bounds.from === undefined || bounds.from === null || value >= bounds.from) &&
+    (bounds.to === undefined || bounds.to === null || value <= bounds.to);
+}
+
+/**
+ * Class representing the SQLite Adapter
+ */
+class SQLiteAdapter {
+  /**
+   * @param {string} collection - Collection name, used as the table name
+   * @param {Object} options - Adapter options (indexes)
+   */
+  constructor(collection, options = {}) {
+    // Initialize properties
+    this.collection = collection;
+    this.indexes = options.indexes || [];
+    this.db = null;
+    
+    // Bind methods
+    this.open = this.open.bind(this);
+    this.getAll = this.getAll.bind(this);
+    this.get = this.get.bind(this);
+    this.find = this.find.bind(this);
+    this.put = this.put.bind(this);
+    this.putMany = this.putMany.bind(this);
+    this.remove = this.remove.bind(this);
+    this.clear = this.clear.bind(this);
+    this.writeRecord = this.writeRecord.bind(this);
+    this.addIndexColumns = this.addIndexColumns.bind(this);
+    this.getSchemaVersion = this.getSchemaVersion.bind(this);
+    this.setSchemaVersion = this.setSchemaVersion.bind(this);
+  }
+  
+  /**
+   * Open the database and create the collection table and its indexes
+   * @returns {Promise<boolean>} Success status
+   */
+  async open() {
+    if (this.db) {
+      return true;
+    }
+    
+    const db = await openDatabase();
+    const table = quoteIdentifier(this.collection);
+    const indexColumns = this.indexes.map(field => `${quoteIdentifier(field)}, `).join('');
+    
+    await db.execAsync([
+      `CREATE TABLE IF NOT EXISTS ${quoteIdentifier(SCHEMA_VERSIONS_TABLE)} (collection TEXT PRIMARY KEY NOT NULL, version INTEGER NOT NULL);`,
+      `CREATE TABLE IF NOT EXISTS ${table} (id TEXT PRIMARY KEY NOT NULL, ${indexColumns}data TEXT NOT NULL);`
+    ].join('\n'));
+    
+    // Tables created by an earlier version lack the columns of newer indexes
+    await this.addIndexColumns(db);
+    
+    if (this.indexes.length > 0) {
+      await db.execAsync(this.indexes.map(field =>
+        `CREATE INDEX IF NOT EXISTS ${quoteIdentifier(`${this.collection}_${field}`)} ON ${table} (${quoteIdentifier(field)});`
+      ).join('\n'));
+    }
+    
+    this.db = db;
+    return true;
+  }
+  
+  /**
+   * Add the index columns a table created by an earlier version is missing,
+   * filled from the stored records. Columns of fields that are no longer
+   * indexed are left in place and ignored.
+   * @param {Object} db - Database
+   * @returns {Promise<number>} Number of columns added
+   */
+  async addIndexColumns(db) {
+    const table = quoteIdentifier(this.collection);
+    const existingColumns = (await db.getAllAsync(`PRAGMA table_info(${table})`)).map(column => column.name);
+    const missingFields = this.indexes.filter(field => !existingColumns.includes(field));
+    
+    if (missingFields.length === 0) {
+      return 0;
+    }
+    
+    // Add and fill the columns together, so an interrupted upgrade runs again
+    await db.withTransactionAsync(async () => {
+      for (const field of missingFields) {
+        await db.execAsync(`ALTER TABLE ${table} ADD COLUMN ${quoteIdentifier(field)};`);
+      }
+      
+      const rows = await db.getAllAsync(`SELECT id, data FROM ${table}`);
+      const assignments = missingFields.map(field => `${quoteIdentifier(field)} = ?`).join(', ');
+      
+      for (const row of rows) {
+        const record = JSON.parse(row.data);
+        
+        await db.runAsync(
+          `UPDATE ${table} SET ${assignments} WHERE id = ?`,
+          [...missingFields.map(field => toColumnValue(record[field])), row.id]
+        );
+      }
+    });
+    
+    console.log(`Added ${missingFields.join(', ')} index columns to ${this.collection}`);
+    
+    return missingFields.length;
+  }
+  
+  /**
+   * Get all records, in the order they were first stored
+   * @returns {Promise<Array>} Records
+   */
+  async getAll() {
+    await this.open();
+    
+    const rows = await this.db.getAllAsync(
+      `SELECT data FROM ${quoteIdentifier(this.collection)} ORDER BY rowid`
+    );
+    
+    return rows.map(row => JSON.parse(row.data));
+  }
+  
+  /**
+   * Get a record by ID
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>} Record
+   */
+  async get(id) {
+    await this.open();
+    
+    const row = await this.db.getFirstAsync(
+      `SELECT data FROM ${quoteIdentifier(this.collection)} WHERE id = ?`,
+      [id]
+    );
+    
+    return row ? JSON.parse(row.data) : null;
+  }
+  
+  /**
+   * Find records whose fields equal the given values and fall within the
+   * given ranges. Indexed fields are matched in SQL, any other fields on the
+   * decoded records.
+   * @param {Object} where - Field values to match
+   * @param {Object} range - Inclusive bounds (from, to) by field
+   * @returns {Promise<Array>} Matching records
+   */
+  async find(where = {}, range = {}) {
+    await this.open();
+    
+    const fields = Object.keys(where);
+    const indexedFields = fields.filter(field => this.indexes.includes(field));
+    const otherFields = fields.filter(field => !this.indexes.includes(field));
+    const rangeFields = Object.keys(range);
+    const indexedRangeFields = rangeFields.filter(field => this.indexes.includes(field));
+    const otherRangeFields = rangeFields.filter(field => !this.indexes.includes(field));
+    
+    const conditions = [];
+    const params = [];
+    
+    for (const field of indexedFields) {
+      if (where[field] === null || where[field] === undefined) {
+        conditions.push(`${quoteIdentifier(field)} IS NULL`);
+      } else {
+        conditions.push(`${quoteIdentifier(field)} = ?`);
+        params.push(toColumnValue(where[field]));
+      }
+    }
+    
+    for (const field of indexedRangeFields) {
+      const { from, to } = range[field];
+      
+      conditions.push(`${quoteIdentifier(field)} IS NOT NULL`);
+      
+      if (from !== undefined && from !== null) {
+        conditions.push(`${quoteIdentifier(field)} >= ?`);
+        params.push(toColumnValue(from));
+      }
+      
+      if (to !== undefined && to !== null) {
+        conditions.push(`${quoteIdentifier(field)} <= ?`);
+        params.push(toColumnValue(to));
+      }
+    }
+    
+    const rows = await this.db.getAllAsync(
+      `SELECT data FROM ${quoteIdentifier(this.collection)}` +
+      (conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '') +
+      ' ORDER BY rowid',
+      params
+    );
+    
+    return rows
+      .map(row => JSON.parse(row.data))
+      .filter(record =>
+        otherFields.every(field => record[field] === where[field]) &&
+        otherRangeFields.every(field => isWithinRange(record[field], range[field]))
+      );
+  }
+  
+  /**
+   * Insert or replace a record
+   * @param {Object} record - Record with an ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async put(record) {
+    await this.open();
+    await this.writeRecord(record);
+    
+    return true;
+  }
+  
+  /**
+   * Insert or replace several records in one transaction
+   * @param {Array} records - Records with IDs
+   * @returns {Promise<boolean>} Success status
+   */
+  async putMany(records) {
+    await this.open();
+    
+    await this.db.withTransactionAsync(async () => {
+      for (const record of records) {
+        await this.writeRecord(record);
+      }
+    });
+    
+    return true;
+  }
+  
+  /**
+   * Remove a record
+   * @param {string} id - Record ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async remove(id) {
+    await this.open();
+    
+    await this.db.runAsync(
+      `DELETE FROM ${quoteIdentifier(this.collection)} WHERE id = ?`,
+      [id]
+    );
+    
+    return true;
+  }
+  
+  /**
+   * Remove all records
+   * @returns {Promise<boolean>} Success status
+   */
+  async clear() {
+    await this.open();
+    await this.db.runAsync(`DELETE FROM ${quoteIdentifier(this.collection)}`);
+    
+    return true;
+  }
+  
+  /**
+   * Get the schema version of the collection's records
+   * @returns {Promise<number>} Schema version (0 if never migrated)
+   */
+  async getSchemaVersion() {
+    await this.open();
+    
+    const row = await this.db.getFirstAsync(
+      `SELECT version FROM ${quoteIdentifier(SCHEMA_VERSIONS_TABLE)} WHERE collection = ?`,
+      [this.collection]
+    );
+    
+    return row ? row.version : 0;
+  }
+  
+  /**
+   * Set the schema version of the collection's records
+   * @param {number} version - Schema version
+   * @returns {Promise<boolean>} Success status
+   */
+  async setSchemaVersion(version) {
+    await this.open();
+    
+    await this.db.runAsync(
+      `INSERT INTO ${quoteIdentifier(SCHEMA_VERSIONS_TABLE)} (collection, version) VALUES (?, ?) ` +
+      'ON CONFLICT(collection) DO UPDATE SET version = excluded.version',
+      [this.collection, version]
+    );
+    
+    return true;
+  }
+  
+  /**
+   * Write one record. Updates keep the row in place, so records keep the
+   * order in which they were first stored.
+   * @param {Object} record - Record with an ID
+   */
+  async writeRecord(record) {
+    if (!record || !record.id) {
+      throw new Error(`Cannot store a ${this.collection} record without an ID`);
+    }
+    
+    const columns = ['id', ...this.indexes, 'data'].map(quoteIdentifier);
+    const updates = [...this.indexes, 'data']
+      .map(field => `${quoteIdentifier(field)} = excluded.${quoteIdentifier(field)}`);
+    
+    await this.db.runAsync(
+      `INSERT INTO ${quoteIdentifier(this.collection)} (${columns.join(', ')}) ` +
+      `VALUES (${columns.map(() => '?').join(', ')}) ` +
+      `ON CONFLICT(id) DO UPDATE SET ${updates.join(', ')}`,
+      [
+        record.id,
+        ...this.indexes.map(field => toColumnValue(record[field])),
+        JSON.stringify(record)
+      ]
+    );
+  }
+}
+
+export default SQLiteAdapter;
+export { DATABASE_NAME, openDatabase, isWithinRange };
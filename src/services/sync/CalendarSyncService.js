@@ -0,0 +1,605 @@
+/**
+ * Calendar Sync Service for Ace Assistant
+ * 
+ * This service keeps meetings and the device calendar in step in both
+ * directions. Meetings created in Ace are written to a calendar and linked to
+ * their event; events created in the calendar are imported as read-only
+ * meetings. Each link keeps the etag of the event when it was last read, so
+ * edits made on either side are found and carried over to the other.
+ * 
+ * Local meeting changes are written to the calendar as they are published on
+ * the change bus. The calendar is read at each sync; when a meeting was
+ * changed in both places since the last sync, the calendar's version wins.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import createRepository from '../storage/Repository';
+import meetingService from '../organization/MeetingService';
+import changeBus, { DOMAIN_EVENTS, EVENT_ORIGINS } from '../events/ChangeBus';
+import defaultCalendarAdapter from './calendarAdapter';
+import {
+  toCalendarEvent,
+  fromCalendarEvent,
+  getMeetingChanges,
+  getLinkedMeetingId
+} from './calendarMapping';
+import appConfig from '../../constants/appConfig';
+
+// Constants
+const CALENDAR_SYNC_SETTINGS_KEY = '@ace_calendar_sync_settings';
+const CALENDAR_LINK_STORAGE_KEY = '@ace_calendar_links';
+const CALENDAR_SYNC_INTERVAL = (appConfig.calendarSync && appConfig.calendarSync.interval) || 15 * 60 * 1000; // in milliseconds
+
+// Events read at each sync, from this far back to this far ahead
+const CALENDAR_SYNC_PAST_DAYS = 30;
+const CALENDAR_SYNC_FUTURE_DAYS = 180;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Calendar sync is off until turned on. Without a calendar ID, meetings are
+// written to the first calendar that can be written; without import calendar
+// IDs, events are imported from every calendar.
+const DEFAULT_CALENDAR_SYNC_SETTINGS = {
+  enabled: false,
+  calendarId: null,
+  importCalendarIds: null
+};
+
+/**
+ * Check whether a meeting falls within a date range. Series are always
+ * included, since their later occurrences may fall within it.
+ * @param {Object} meeting - Meeting
+ * @param {Date} startDate - Start of the range
+ * @param {Date} endDate - End of the range
+ * @returns {boolean} Whether the meeting is within the range
+ */
+function isInRange(meeting, startDate, endDate) {
+  if (meeting.recurrence) {
+    return true;
+  }
+  
+  return new Date(meeting.startTime) <= endDate && new Date(meeting.endTime || meeting.startTime) >= startDate;
+}
+
+/**
+ * Class representing the Calendar Sync Service
+ */
+class CalendarSyncService {
+  constructor() {
+    // Initialize properties
+    this.initialized = false;
+    this.settings = { ...DEFAULT_CALENDAR_SYNC_SETTINGS };
+    this.links = [];
+    this.repository = createRepository('calendar_links', {
+      storageKey: CALENDAR_LINK_STORAGE_KEY,
+      indexes: ['eventId']
+    });
+    this.calendarAdapter = defaultCalendarAdapter;
+    this.changeBusListener = null;
+    this.syncInterval = null;
+    this.syncPromise = null;
+    this.lastSyncAt = null;
+    
+    // Bind methods
+    this.initialize = this.initialize.bind(this);
+    this.loadSettings = this.loadSettings.bind(this);
+    this.getSettings = this.getSettings.bind(this);
+    this.setSettings = this.setSettings.bind(this);
+    this.setCalendarAdapter = this.setCalendarAdapter.bind(this);
+    this.getLink = this.getLink.bind(this);
+    this.getLinkByEventId = this.getLinkByEventId.bind(this);
+    this.saveLink = this.saveLink.bind(this);
+    this.removeLink = this.removeLink.bind(this);
+    this.getTargetCalendarId = this.getTargetCalendarId.bind(this);
+    this.handleDomainEvent = this.handleDomainEvent.bind(this);
+    this.pushMeeting = this.pushMeeting.bind(this);
+    this.pushDeletion = this.pushDeletion.bind(this);
+    this.syncCalendar = this.syncCalendar.bind(this);
+    this.runCalendarSync = this.runCalendarSync.bind(this);
+    this.pullEvent = this.pullEvent.bind(this);
+    this.importEvent = this.importEvent.bind(this);
+    this.startPeriodicSync = this.startPeriodicSync.bind(this);
+    this.stopPeriodicSync = this.stopPeriodicSync.bind(this);
+    this.getSyncStatus = this.getSyncStatus.bind(this);
+    this.cleanup = this.cleanup.bind(this);
+  }
+  
+  /**
+   * Initialize the Calendar Sync Service
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    try {
+      if (this.initialized) {
+        return true;
+      }
+      
+      console.log('Initializing Calendar Sync Service...');
+      
+      await this.loadSettings();
+      this.links = await this.repository.getAll();
+      
+      // Write local meeting changes to the calendar as they happen
+      this.changeBusListener = changeBus.subscribe(this.handleDomainEvent, [
+        DOMAIN_EVENTS.MEETING_CREATED,
+        DOMAIN_EVENTS.MEETING_UPDATED,
+        DOMAIN_EVENTS.MEETING_DELETED
+      ]);
+      
+      this.initialized = true;
+      
+      if (this.settings.enabled) {
+        await this.startPeriodicSync();
+      }
+      
+      console.log('Calendar Sync Service initialized successfully');
+      
+      return true;
+    } catch (error) {
+      console.error('Error initializing Calendar Sync Service:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Load the calendar sync settings saved on this device
+   * @returns {Promise<boolean>} Success status
+   */
+  async loadSettings() {
+    try {
+      const settingsJson = await AsyncStorage.getItem(CALENDAR_SYNC_SETTINGS_KEY);
+      
+      if (settingsJson) {
+        this.settings = { ...DEFAULT_CALENDAR_SYNC_SETTINGS, ...JSON.parse(settingsJson) };
+      }
+      
+      return true;
+    } catch (error) {
+      console.error('Error loading calendar sync settings:', error);
+      this.settings = { ...DEFAULT_CALENDAR_SYNC_SETTINGS };
+      return false;
+    }
+  }
+  
+  /**
+   * Get the calendar sync settings
+   * @returns {Object} Whether sync is on, the calendar written to and the calendars imported from
+   */
+  getSettings() {
+    return this.settings;
+  }
+  
+  /**
+   * Change the calendar sync settings. Turning sync on asks for calendar
+   * permission and syncs right away.
+   * @param {Object} settings - Settings to change
+   * @returns {Promise<Object>} Calendar sync settings
+   */
+  async setSettings(settings) {
+    try {
+      const updatedSettings = { ...this.settings, ...settings };
+      
+      if (updatedSettings.enabled && !this.settings.enabled) {
+        const granted = await this.calendarAdapter.requestPermission();
+        
+        if (!granted) {
+          throw new Error('Calendar permission not granted');
+        }
+      }
+      
+      await AsyncStorage.setItem(CALENDAR_SYNC_SETTINGS_KEY, JSON.stringify(updatedSettings));
+      this.settings = updatedSettings;
+      
+      if (this.settings.enabled) {
+        await this.startPeriodicSync();
+      } else {
+        this.stopPeriodicSync();
+      }
+      
+      return this.settings;
+    } catch (error) {
+      console.error('Error setting calendar sync settings:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Set where calendar events are read and written
+   * @param {Object} calendarAdapter - Adapter with the methods of the default calendar adapter
+   */
+  setCalendarAdapter(calendarAdapter) {
+    this.calendarAdapter = calendarAdapter || defaultCalendarAdapter;
+  }
+  
+  /**
+   * Get the calendar event link of a meeting
+   * @param {string} meetingId - Meeting ID
+   * @returns {Object|undefined} Link with the calendar and event IDs and the event's etag
+   */
+  getLink(meetingId) {
+    return this.links.find(link => link.id === meetingId);
+  }
+  
+  /**
+   * Get the link of a calendar event
+   * @param {string} eventId - Calendar event ID
+   * @returns {Object|undefined} Link
+   */
+  getLinkByEventId(eventId) {
+    return this.links.find(link => link.eventId === eventId);
+  }
+  
+  /**
+   * Save a link between a meeting and its calendar event
+   * @param {Object} link - Link
+   * @returns {Promise<Object>} Saved link
+   */
+  async saveLink(link) {
+    const savedLink = { ...link, syncedAt: new Date().toISOString() };
+    
+    await this.repository.put(savedLink);
+    this.links = [...this.links.filter(l => l.id !== link.id), savedLink];
+    
+    return savedLink;
+  }
+  
+  /**
+   * Remove the link of a meeting
+   * @param {string} meetingId - Meeting ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeLink(meetingId) {
+    await this.repository.remove(meetingId);
+    this.links = this.links.filter(link => link.id !== meetingId);
+    
+    return true;
+  }
+  
+  /**
+   * Get the calendar meetings are written to
+   * @returns {Promise<string|null>} Calendar ID, or null when none can be written
+   */
+  async getTargetCalendarId() {
+    return this.settings.calendarId || await this.calendarAdapter.getDefaultCalendarId();
+  }
+  
+  /**
+   * Handle meeting events from the change bus
+   * @param {Object} event - Domain event
+   */
+  async handleDomainEvent(event) {
+    // Remote changes are written at the next sync, and calendar changes
+    // came from the calendar
+    if (!this.settings.enabled || event.origin !== EVENT_ORIGINS.LOCAL) {
+      return;
+    }
+    
+    try {
+      if (event.action === 'delete') {
+        await this.pushDeletion(event.entityId);
+      } else if (!event.data.readOnly) {
+        await this.pushMeeting(event.data);
+      }
+    } catch (error) {
+      // The calendar was changed since it was last read; the next sync
+      // reads its version
+      console.warn('Error writing meeting to calendar:', error);
+    }
+  }
+  
+  /**
+   * Write a meeting to its calendar event, creating the event if the meeting
+   * has none yet
+   * @param {Object} meeting - Meeting
+   * @returns {Promise<Object|null>} Link, or null when no calendar can be written
+   */
+  async pushMeeting(meeting) {
+    const link = this.getLink(meeting.id);
+    const details = toCalendarEvent(meeting);
+    
+    if (link) {
+      const { etag } = await this.calendarAdapter.updateEvent(link.eventId, details, link.etag);
+      return await this.saveLink({ ...link, etag });
+    }
+    
+    const calendarId = await this.getTargetCalendarId();
+    
+    if (!calendarId) {
+      console.warn('No calendar to write meetings to');
+      return null;
+    }
+    
+    const { id, etag } = await this.calendarAdapter.createEvent(calendarId, details);
+    
+    return await this.saveLink({
+      id: meeting.id,
+      calendarId,
+      eventId: id,
+      etag,
+      imported: false
+    });
+  }
+  
+  /**
+   * Delete the calendar event of a deleted meeting. The link is kept when
+   * the event cannot be deleted, so the next sync tries again.
+   * @param {string} meetingId - Meeting ID
+   * @returns {Promise<boolean>} Whether an event was deleted
+   */
+  async pushDeletion(meetingId) {
+    const link = this.getLink(meetingId);
+    
+    if (!link) {
+      return false;
+    }
+    
+    await this.calendarAdapter.deleteEvent(link.eventId, link.etag);
+    await this.removeLink(meetingId);
+    
+    return true;
+  }
+  
+  /**
+   * Sync meetings with the calendar. A sync already running is joined
+   * instead of starting another.
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Numbers of meetings imported, updated and deleted, and events written
+   */
+  async syncCalendar(now = new Date()) {
+    if (!this.syncPromise) {
+      this.syncPromise = this.runCalendarSync(now).finally(() => {
+        this.syncPromise = null;
+      });
+    }
+    
+    return await this.syncPromise;
+  }
+  
+  /**
+   * Read the calendar into meetings, then write the meetings changed since
+   * the last sync to the calendar
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Numbers of meetings imported, updated and deleted, and events written
+   */
+  async runCalendarSync(now) {
+    try {
+      const result = { imported: 0, updated: 0, deleted: 0, pushed: 0 };
+      const startDate = new Date(now.getTime() - CALENDAR_SYNC_PAST_DAYS * DAY);
+      const endDate = new Date(now.getTime() + CALENDAR_SYNC_FUTURE_DAYS * DAY);
+      const calendarId = await this.getTargetCalendarId();
+      
+      // Read every calendar unless imports are limited to some
+      const calendarIds = this.settings.importCalendarIds ? [...new Set([
+        calendarId,
+        ...this.settings.importCalendarIds,
+        ...this.links.map(link => link.calendarId)
+      ].filter(Boolean))] : null;
+      
+      const events = await this.calendarAdapter.getEvents({ calendarIds, startDate, endDate });
+      const seenEventIds = new Set();
+      
+      for (const event of events) {
+        seenEventIds.add(event.id);
+        await this.pullEvent(event, result);
+      }
+      
+      // Linked events outside the range were moved away or deleted
+      for (const link of [...this.links]) {
+        if (seenEventIds.has(link.eventId)) {
+          continue;
+        }
+        
+        // Null means the event is gone. Any other failure to read it throws
+        // and aborts the sync, so the meeting is not deleted by mistake
+        const event = await this.calendarAdapter.getEvent(link.eventId);
+        
+        if (event) {
+          await this.pullEvent(event, result);
+          continue;
+        }
+        
+        if (meetingService.getMeetingById(link.id)) {
+          await meetingService.deleteMeeting(link.id, { origin: EVENT_ORIGINS.CALENDAR });
+          result.deleted++;
+        }
+        
+        await this.removeLink(link.id);
+      }
+      
+      // Write meetings that are new or changed since they were last written
+      if (calendarId) {
+        const meetings = meetingService.getMeetings()
+          .filter(meeting => !meeting.readOnly && isInRange(meeting, startDate, endDate));
+        
+        for (const meeting of meetings) {
+          const link = this.getLink(meeting.id);
+          
+          if (link && meeting.updatedAt <= link.syncedAt) {
+            continue;
+          }
+          
+          try {
+            await this.pushMeeting(meeting);
+            result.pushed++;
+          } catch (error) {
+            console.warn('Error writing meeting to calendar:', error);
+          }
+        }
+      }
+      
+      this.lastSyncAt = new Date().toISOString();
+      console.log(`Calendar synced: ${result.imported} imported, ${result.updated} updated, ${result.deleted} deleted, ${result.pushed} written`);
+      
+      return result;
+    } catch (error) {
+      console.error('Error syncing calendar:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Read a calendar event into its meeting
+   * @param {Object} event - Calendar event
+   * @param {Object} result - Sync counts to update
+   */
+  async pullEvent(event, result) {
+    let link = this.getLinkByEventId(event.id);
+    
+    if (!link) {
+      const meetingId = getLinkedMeetingId(event);
+      
+      // Events written by Ace belong to their meeting, which may not have
+      // reached this device yet
+      if (meetingId) {
+        if (!meetingService.getMeetingById(meetingId)) {
+          return;
+        }
+        
+        link = { id: meetingId, calendarId: event.calendarId, eventId: event.id, etag: null, imported: false };
+      } else {
+        await this.importEvent(event, result);
+        return;
+      }
+    }
+    
+    if (link.etag === event.etag) {
+      return;
+    }
+    
+    const meeting = meetingService.getMeetingById(link.id);
+    
+    // The meeting was deleted here while its event was changed: delete the
+    // event of an Ace meeting again, and import an imported event again
+    if (!meeting) {
+      await this.removeLink(link.id);
+      
+      if (link.imported) {
+        await this.importEvent(event, result);
+      } else {
+        await this.calendarAdapter.deleteEvent(event.id, event.etag);
+        result.pushed++;
+      }
+      
+      return;
+    }
+    
+    const changes = getMeetingChanges(meeting, event);
+    
+    if (Object.keys(changes).length > 0) {
+      if (!meeting.readOnly && link.syncedAt && meeting.updatedAt > link.syncedAt) {
+        console.warn(`Meeting ${meeting.id} was changed in Ace and in the calendar, keeping the calendar's version`);
+      }
+      
+      await meetingService.updateMeeting(meeting.id, changes, { origin: EVENT_ORIGINS.CALENDAR });
+      result.updated++;
+    }
+    
+    await this.saveLink({ ...link, etag: event.etag });
+  }
+  
+  /**
+   * Import a calendar event as a read-only meeting
+   * @param {Object} event - Calendar event
+   * @param {Object} result - Sync counts to update
+   */
+  async importEvent(event, result) {
+    const { importCalendarIds } = this.settings;
+    
+    if (importCalendarIds && !importCalendarIds.includes(event.calendarId)) {
+      return;
+    }
+    
+    const meeting = await meetingService.createMeeting({
+      ...fromCalendarEvent(event),
+      readOnly: true,
+      importedFrom: { calendarId: event.calendarId, eventId: event.id }
+    }, { origin: EVENT_ORIGINS.CALENDAR });
+    
+    await this.saveLink({
+      id: meeting.id,
+      calendarId: event.calendarId,
+      eventId: event.id,
+      etag: event.etag,
+      imported: true
+    });
+    
+    result.imported++;
+  }
+  
+  /**
+   * Sync now and then periodically
+   * @returns {Promise<boolean>} Success status
+   */
+  async startPeriodicSync() {
+    try {
+      if (!this.syncInterval) {
+        this.syncInterval = setInterval(() => {
+          this.syncCalendar().catch(() => {});
+        }, CALENDAR_SYNC_INTERVAL);
+      }
+      
+      await this.syncCalendar();
+      
+      return true;
+    } catch (error) {
+      console.error('Error starting calendar sync:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Stop periodic sync
+   */
+  stopPeriodicSync() {
+    if (this.syncInterval) {
+      clearInterval(this.syncInterval);
+      this.syncInterval = null;
+    }
+  }
+  
+  /**
+   * Get the calendar sync status
+   * @returns {Object} Whether sync is on or running, the time of the last sync and the number of linked meetings
+   */
+  getSyncStatus() {
+    return {
+      enabled: this.settings.enabled,
+      isSyncing: Boolean(this.syncPromise),
+      lastSyncAt: this.lastSyncAt,
+      linkedMeetings: this.links.length
+    };
+  }
+  
+  /**
+   * Clean up resources
+   * @returns {Promise<boolean>} Success status
+   */
+  async cleanup() {
+    try {
+      this.stopPeriodicSync();
+      
+      if (this.changeBusListener) {
+        this.changeBusListener();
+        this.changeBusListener = null;
+      }
+      
+      this.initialized = false;
+      console.log('Calendar Sync Service cleaned up');
+      
+      return true;
+    } catch (error) {
+      console.error('Error cleaning up Calendar Sync Service:', error);
+      return false;
+    }
+  }
+}
+
+// Create a singleton instance
+const calendarSyncService = new CalendarSyncService();
+
+// Export constants and service
+export {
+  DEFAULT_CALENDAR_SYNC_SETTINGS
+};
+
+export default calendarSyncService;
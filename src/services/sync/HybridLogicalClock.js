@@ -0,0 +1,147 @@
+/**
+ * Hybrid Logical Clock for Ace Assistant sync
+ * 
+ * Orders sync changes across devices without trusting device wall clocks.
+ * Each timestamp combines the highest wall time seen so far, a counter for
+ * events within the same millisecond and the ID of the device that created
+ * it, so a change made after receiving another change always sorts after it,
+ * even when the receiving device's clock is behind.
+ */
+
+// Field widths keep encoded timestamps sortable as plain strings
+const WALL_TIME_DIGITS = 15;
+const COUNTER_DIGITS = 5;
+const SEPARATOR = ':';
+
+/**
+ * Encode clock components as a timestamp string
+ * @param {number} wallTime - Wall time in milliseconds
+ * @param {number} counter - Logical counter
+ * @param {string} nodeId - Device ID
+ * @returns {string} Encoded timestamp
+ */
+function encodeHlc(wallTime, counter, nodeId) {
+  return [
+    String(wallTime).padStart(WALL_TIME_DIGITS, '0'),
+    String(counter).padStart(COUNTER_DIGITS, '0'),
+    nodeId
+  ].join(SEPARATOR);
+}
+
+/**
+ * Parse a timestamp string into its components
+ * @param {string} hlc - Encoded timestamp
+ * @returns {Object} Clock components (wallTime, counter, nodeId)
+ */
+function parseHlc(hlc) {
+  const [wallTime, counter, ...nodeId] = hlc.split(SEPARATOR);
+  
+  return {
+    wallTime: parseInt(wallTime, 10),
+    counter: parseInt(counter, 10),
+    nodeId: nodeId.join(SEPARATOR)
+  };
+}
+
+/**
+ * Compare two timestamps
+ * @param {string} a - First timestamp
+ * @param {string} b - Second timestamp
+ * @returns {number} Negative if a is earlier, positive if later, 0 if equal
+ */
+function compareHlc(a, b) {
+  const first = parseHlc(a);
+  const second = parseHlc(b);
+  
+  if (first.wallTime !== second.wallTime) {
+    return first.wallTime - second.wallTime;
+  }
+  
+  if (first.counter !== second.counter) {
+    return first.counter - second.counter;
+  }
+  
+  return first.nodeId < second.nodeId ? -1 : first.nodeId > second.nodeId ? 1 : 0;
+}
+
+/**
+ * Class representing a hybrid logical clock for one device
+ */
+class HybridLogicalClock {
+  /**
+   * Create a clock
+   * @param {string} nodeId - Device ID
+   * @param {Function} now - Wall clock function (defaults to Date.now)
+   * @param {string} lastHlc - Last timestamp issued or received, to resume after a restart
+   */
+  constructor(nodeId, now = Date.now, lastHlc = null) {
+    this.nodeId = nodeId;
+    this.now = now;
+    this.wallTime = 0;
+    this.counter = 0;
+    
+    if (lastHlc) {
+      const last = parseHlc(lastHlc);
+      this.wallTime = last.wallTime;
+      this.counter = last.counter;
+    }
+    
+    // Bind methods
+    this.tick = this.tick.bind(this);
+    this.receive = this.receive.bind(this);
+    this.current = this.current.bind(this);
+  }
+  
+  /**
+   * Issue a timestamp for a local event
+   * @returns {string} Encoded timestamp
+   */
+  tick() {
+    const physicalTime = this.now();
+    
+    if (physicalTime > this.wallTime) {
+      this.wallTime = physicalTime;
+      this.counter = 0;
+    } else {
+      this.counter += 1;
+    }
+    
+    return this.current();
+  }
+  
+  /**
+   * Advance the clock past a timestamp received from another device
+   * @param {string} remoteHlc - Remote timestamp
+   * @returns {string} Encoded timestamp after the update
+   */
+  receive(remoteHlc) {
+    const remote = parseHlc(remoteHlc);
+    const physicalTime = this.now();
+    const wallTime = Math.max(this.wallTime, remote.wallTime, physicalTime);
+    
+    if (wallTime === this.wallTime && wallTime === remote.wallTime) {
+      this.counter = Math.max(this.counter, remote.counter) + 1;
+    } else if (wallTime === this.wallTime) {
+      this.counter += 1;
+    } else if (wallTime === remote.wallTime) {
+      this.counter = remote.counter + 1;
+    } else {
+      this.counter = 0;
+    }
+    
+    this.wallTime = wallTime;
+    
+    return this.current();
+  }
+  
+  /**
+   * Get the current timestamp without advancing the clock
+   * @returns {string} Encoded timestamp
+   */
+  current() {
+    return encodeHlc(this.wallTime, this.counter, this.nodeId);
+  }
+}
+
+export default HybridLogicalClock;
+export { encodeHlc, parseHlc, compareHlc };
@@ -9,44 +9,217 @@ import { Platform } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import NetInfo from '@react-native-community/netinfo';
 import * as FileSystem from 'expo-file-system';
+import * as SecureStore from 'expo-secure-store';
 import { v4 as uuidv4 } from 'uuid';
 import appConfig from '../../constants/appConfig';
+import { applyChange, diffFields, mergeVersions, omitDeviceFields } from './merge';
+import HybridLogicalClock, { compareHlc } from './HybridLogicalClock';
+import {
+  generateKey,
+  deriveKey,
+  encryptPayload,
+  decryptPayload,
+  getChangeAssociatedData,
+  sealPayload,
+  openPayload,
+  sealKeyring,
+  openKeyring
+} from './encryption';
+import {
+  generatePairingCode,
+  derivePairingKeys,
+  generateDeviceToken,
+  createPairingQrPayload,
+  parsePairingInput
+} from './pairing';
 
 // Constants
 const SYNC_INTERVAL = appConfig.sync.interval; // in milliseconds
 const SYNC_ENDPOINT = appConfig.sync.endpoint;
+const PAIRING_ENDPOINT = appConfig.sync.pairingEndpoint || (SYNC_ENDPOINT || '').replace(/\/sync$/, '/pairing');
+const SYNC_REQUEST_TIMEOUT = appConfig.sync.requestTimeout || 30000; // in milliseconds
+const MAX_PENDING_CHANGES = appConfig.sync.maxPendingChanges || 1000;
+const SYNC_BATCH_SIZE = appConfig.sync.batchSize || 50;
+const SYNC_RETRY_BASE_DELAY = appConfig.sync.retryBaseDelay || 5000; // in milliseconds
+const SYNC_RETRY_MAX_DELAY = appConfig.sync.retryMaxDelay || 5 * 60 * 1000; // in milliseconds
+const SYNC_MAX_ATTEMPTS = appConfig.sync.maxAttempts || 6;
 const SYNC_STORAGE_KEY = '@ace_sync_data';
 const SYNC_LAST_TIMESTAMP_KEY = '@ace_last_sync';
 const SYNC_PENDING_CHANGES_KEY = '@ace_pending_changes';
 const SYNC_DEVICE_ID_KEY = '@ace_device_id';
+const SYNC_BASE_VERSIONS_KEY = '@ace_sync_base_versions';
+const SYNC_CONFLICTS_KEY = '@ace_sync_conflicts';
+const SYNC_CLOCK_KEY = '@ace_sync_clock';
+const SYNC_LOCKED_CHANGES_KEY = '@ace_sync_locked_changes';
+const SYNC_KEYRING_KEY = 'ace_sync_keyring'; // secure storage
+const SYNC_DEVICE_TOKEN_KEY = 'ace_sync_device_token'; // secure storage
+const SYNC_KEY_ENTITY = 'sync_key';
+const SYNC_ACCOUNT_ID_KEY = '@ace_sync_account_id';
+const SYNC_DEVICES_KEY = '@ace_sync_devices';
+const SYNC_HELD_CHANGES_KEY = '@ace_sync_held_changes';
+const SYNC_DEVICE_ENTITY = 'device';
+const PAIRING_OFFER_CONTEXT = 'ace-pairing-offer';
+
+const CONFLICT_RESOLUTIONS = {
+  LOCAL: 'local',
+  REMOTE: 'remote',
+  MERGE: 'merge'
+};
+
+/**
+ * Compare two change records by hybrid logical clock, falling back to wall
+ * clock timestamps for changes recorded before clocks were introduced
+ * @param {Object} a - First change
+ * @param {Object} b - Second change
+ * @returns {number} Negative if a is earlier, positive if later
+ */
+function compareChanges(a, b) {
+  if (a.hlc && b.hlc) {
+    return compareHlc(a.hlc, b.hlc);
+  }
+  
+  return a.timestamp - b.timestamp;
+}
+
+/**
+ * Get the encrypted envelope of a change received from the server
+ * @param {Object} change - Change record
+ * @returns {Object|null} Envelope, or null if the change is not encrypted
+ */
+function getChangeEnvelope(change) {
+  if (change.entityType === SYNC_KEY_ENTITY) {
+    return (change.data && change.data.wrappedKey) || null;
+  }
+  
+  return change.encrypted || null;
+}
+
+/**
+ * Get the delay before retrying a failed sync, using exponential backoff with
+ * jitter so that devices do not retry in lockstep
+ * @param {number} failures - Number of consecutive failures
+ * @param {Function} random - Random number function (defaults to Math.random)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(failures, random = Math.random) {
+  const delay = Math.min(SYNC_RETRY_MAX_DELAY, SYNC_RETRY_BASE_DELAY * 2 ** Math.max(0, failures - 1));
+  
+  // Wait between half and the full backoff delay
+  return Math.round(delay / 2 + random() * delay / 2);
+}
+
+/**
+ * Combine a pending change with a newer change to the same entity
+ * @param {Object} previous - Pending change that has not been sent yet
+ * @param {Object} change - Newer change
+ * @returns {Object|null} Combined change, or null if the changes cancel out
+ */
+function compactChange(previous, change) {
+  if (previous.action === 'create') {
+    if (change.action === 'delete') {
+      // A create that may have reached the server still needs its delete
+      return previous.attempted ? change : null;
+    }
+    
+    return { ...change, action: 'create', changedFields: null, attempted: previous.attempted };
+  }
+  
+  if (previous.action === 'delete' && change.action !== 'delete') {
+    // Recreated before the delete was synced; send the whole entity
+    return { ...change, action: 'create', changedFields: null, attempted: previous.attempted };
+  }
+  
+  // Updates carry the full entity and fields changed since the base version,
+  // so the newer change supersedes the pending one
+  return change;
+}
 
 /**
  * Class representing the Sync Service
  */
 class SyncService {
-  constructor() {
+  /**
+   * Create a Sync Service
+   * @param {Object} options - Service options
+   * @param {string} options.deviceId - Device ID (defaults to the stored or generated ID)
+   * @param {Function} options.now - Wall clock function (defaults to Date.now)
+   * @param {Function} options.random - Random number function for retry jitter (defaults to Math.random)
+   * @param {Object} options.storage - Store for sync state (defaults to AsyncStorage)
+   * @param {Object} options.secureStore - Store for the device token and keyring (defaults to expo-secure-store)
+   */
+  constructor(options = {}) {
     // Initialize properties
     this.initialized = false;
     this.syncInterval = null;
     this.isOnline = true;
     this.isSyncing = false;
-    this.deviceId = null;
+    this.deviceId = options.deviceId || null;
+    this.deviceToken = null;
+    this.accountId = null;
+    this.devices = {};
+    this.heldChanges = [];
+    this.pairingCode = null;
+    this.now = options.now || Date.now;
+    this.random = options.random || Math.random;
+    this.storage = options.storage || AsyncStorage;
+    this.secureStore = options.secureStore || SecureStore;
+    this.clock = null;
     this.platform = Platform.OS;
     this.isIOS = this.platform === 'ios';
     this.isMacOS = this.platform === 'macos';
     this.lastSyncTimestamp = 0;
     this.pendingChanges = [];
+    this.inFlightChangeIds = new Set();
+    this.baseVersions = {};
+    this.conflicts = [];
+    this.keyring = { activeKeyId: null, keys: {} };
+    this.lockedChanges = [];
     this.listeners = [];
+    this.consecutiveFailures = 0;
+    this.nextRetryAt = null;
+    this.retryTimeout = null;
     
     // Bind methods
     this.initialize = this.initialize.bind(this);
     this.startSync = this.startSync.bind(this);
     this.stopSync = this.stopSync.bind(this);
     this.syncData = this.syncData.bind(this);
+    this.syncBatch = this.syncBatch.bind(this);
+    this.recordSyncSuccess = this.recordSyncSuccess.bind(this);
+    this.recordSyncFailure = this.recordSyncFailure.bind(this);
+    this.clearRetry = this.clearRetry.bind(this);
+    this.isDegraded = this.isDegraded.bind(this);
+    this.isEncryptionEnabled = this.isEncryptionEnabled.bind(this);
+    this.setEncryptionPassphrase = this.setEncryptionPassphrase.bind(this);
+    this.rotateEncryptionKey = this.rotateEncryptionKey.bind(this);
+    this.exportEncryptionKeys = this.exportEncryptionKeys.bind(this);
+    this.importEncryptionKeys = this.importEncryptionKeys.bind(this);
+    this.encryptChange = this.encryptChange.bind(this);
+    this.decryptChange = this.decryptChange.bind(this);
+    this.decryptRemoteChanges = this.decryptRemoteChanges.bind(this);
+    this.hasUnlockableChanges = this.hasUnlockableChanges.bind(this);
+    this.unlockChanges = this.unlockChanges.bind(this);
+    this.startPairing = this.startPairing.bind(this);
+    this.checkPairing = this.checkPairing.bind(this);
+    this.confirmPairing = this.confirmPairing.bind(this);
+    this.getDevices = this.getDevices.bind(this);
+    this.revokeDevice = this.revokeDevice.bind(this);
+    this.isDeviceRevoked = this.isDeviceRevoked.bind(this);
+    this.isDeviceTrusted = this.isDeviceTrusted.bind(this);
+    this.ensureAccount = this.ensureAccount.bind(this);
+    this.filterTrustedChanges = this.filterTrustedChanges.bind(this);
+    this.sendSyncRequest = this.sendSyncRequest.bind(this);
     this.getDeviceId = this.getDeviceId.bind(this);
+    this.getDeviceToken = this.getDeviceToken.bind(this);
     this.trackChange = this.trackChange.bind(this);
     this.applyRemoteChanges = this.applyRemoteChanges.bind(this);
     this.resolveConflicts = this.resolveConflicts.bind(this);
+    this.addConflict = this.addConflict.bind(this);
+    this.getConflicts = this.getConflicts.bind(this);
+    this.resolveConflict = this.resolveConflict.bind(this);
+    this.saveConflicts = this.saveConflicts.bind(this);
+    this.setBaseVersion = this.setBaseVersion.bind(this);
+    this.saveBaseVersions = this.saveBaseVersions.bind(this);
     this.addListener = this.addListener.bind(this);
     this.removeListener = this.removeListener.bind(this);
     this.notifyListeners = this.notifyListeners.bind(this);
@@ -62,23 +235,59 @@ class SyncService {
       console.log('Initializing Sync Service...');
       
       // Get or generate device ID
-      this.deviceId = await this.getDeviceId();
+      if (!this.deviceId) {
+        this.deviceId = await this.getDeviceId();
+      }
+      
+      // Get or generate the token this device authenticates with
+      this.deviceToken = await this.getDeviceToken();
+      
+      // Get the account shared with paired devices and the trusted device registry
+      this.accountId = await this.storage.getItem(SYNC_ACCOUNT_ID_KEY);
+      const devicesStr = await this.storage.getItem(SYNC_DEVICES_KEY);
+      this.devices = devicesStr ? JSON.parse(devicesStr) : {};
+      
+      // Get remote changes from devices that are not registered yet
+      const heldChangesStr = await this.storage.getItem(SYNC_HELD_CHANGES_KEY);
+      this.heldChanges = heldChangesStr ? JSON.parse(heldChangesStr) : [];
+      
+      // Restore the hybrid logical clock so timestamps never go backwards
+      const lastHlc = await this.storage.getItem(SYNC_CLOCK_KEY);
+      this.clock = new HybridLogicalClock(this.deviceId, this.now, lastHlc);
       
       // Get last sync timestamp
-      const lastSyncStr = await AsyncStorage.getItem(SYNC_LAST_TIMESTAMP_KEY);
+      const lastSyncStr = await this.storage.getItem(SYNC_LAST_TIMESTAMP_KEY);
       this.lastSyncTimestamp = lastSyncStr ? parseInt(lastSyncStr, 10) : 0;
       
       // Get pending changes
-      const pendingChangesStr = await AsyncStorage.getItem(SYNC_PENDING_CHANGES_KEY);
+      const pendingChangesStr = await this.storage.getItem(SYNC_PENDING_CHANGES_KEY);
       this.pendingChanges = pendingChangesStr ? JSON.parse(pendingChangesStr) : [];
       
+      // Get base versions of synced entities
+      const baseVersionsStr = await this.storage.getItem(SYNC_BASE_VERSIONS_KEY);
+      this.baseVersions = baseVersionsStr ? JSON.parse(baseVersionsStr) : {};
+      
+      // Get unresolved conflicts
+      const conflictsStr = await this.storage.getItem(SYNC_CONFLICTS_KEY);
+      this.conflicts = conflictsStr ? JSON.parse(conflictsStr) : [];
+      
+      // Get encryption keys from secure storage
+      const keyringStr = await this.secureStore.getItemAsync(SYNC_KEYRING_KEY);
+      this.keyring = keyringStr ? JSON.parse(keyringStr) : { activeKeyId: null, keys: {} };
+      
+      // Get remote changes waiting for an encryption key
+      const lockedChangesStr = await this.storage.getItem(SYNC_LOCKED_CHANGES_KEY);
+      this.lockedChanges = lockedChangesStr ? JSON.parse(lockedChangesStr) : [];
+      
       // Set up network state listener
       this.netInfoUnsubscribe = NetInfo.addEventListener(state => {
         const wasOnline = this.isOnline;
         this.isOnline = state.isConnected && state.isInternetReachable;
         
-        // If we just came online and have pending changes, trigger a sync
-        if (!wasOnline && this.isOnline && this.pendingChanges.length > 0) {
+        // If we just came online with pending changes or after failed syncs,
+        // retry right away instead of waiting for the backoff delay
+        if (!wasOnline && this.isOnline && (this.pendingChanges.length > 0 || this.consecutiveFailures > 0)) {
+          this.clearRetry();
           this.syncData();
         }
         
@@ -99,6 +308,7 @@ class SyncService {
       console.log(`Device ID: ${this.deviceId}`);
       console.log(`Last sync: ${new Date(this.lastSyncTimestamp).toISOString()}`);
       console.log(`Pending changes: ${this.pendingChanges.length}`);
+      console.log(`Unresolved conflicts: ${this.conflicts.length}`);
       
       return true;
     } catch (error) {
@@ -125,15 +335,20 @@ class SyncService {
       // Perform initial sync
       await this.syncData();
       
-      // Set up interval for periodic sync
+      // Set up interval for periodic sync, skipping ticks while backing off
+      // after a failure
       this.syncInterval = setInterval(() => {
+        if (this.nextRetryAt && this.now() < this.nextRetryAt) {
+          return;
+        }
+        
         this.syncData();
       }, SYNC_INTERVAL);
       
       console.log(`Started periodic sync (interval: ${SYNC_INTERVAL}ms)`);
       
       // Notify listeners
-      this.notifyListeners({
+      await this.notifyListeners({
         type: 'status',
         isSyncing: false,
         syncEnabled: true
@@ -157,14 +372,15 @@ class SyncService {
         return true;
       }
       
-      // Clear sync interval
+      // Clear sync interval and any scheduled retry
       clearInterval(this.syncInterval);
       this.syncInterval = null;
+      this.clearRetry();
       
       console.log('Stopped periodic sync');
       
       // Notify listeners
-      this.notifyListeners({
+      await this.notifyListeners({
         type: 'status',
         isSyncing: false,
         syncEnabled: false
@@ -195,7 +411,9 @@ class SyncService {
       
       this.isSyncing = true;
       
-      // Notify listeners that sync has started
+      // Notify listeners that sync has started. Not awaited, so the first
+      // batch is marked in flight before a change tracked meanwhile can
+      // compact into it
       this.notifyListeners({
         type: 'status',
         isSyncing: true
@@ -203,49 +421,48 @@ class SyncService {
       
       console.log('Starting data sync...');
       
-      // Prepare data to send to server
-      const syncData = {
-        deviceId: this.deviceId,
-        platform: this.platform,
-        lastSyncTimestamp: this.lastSyncTimestamp,
-        changes: this.pendingChanges
-      };
+      // Upload the changes pending at the start of this sync in batches.
+      // Changes tracked meanwhile are sent by the next sync
+      const changeIdsToSend = new Set(this.pendingChanges.map(change => change.id));
+      let sentCount = 0;
+      let acknowledgedCount = 0;
       
       try {
-        // In a real implementation, this would be an API call to the sync server
-        // For demo purposes, we'll simulate a successful sync
-        
-        // Simulate network request
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        // Simulate server response with remote changes
-        const serverResponse = {
-          success: true,
-          timestamp: Date.now(),
-          changes: [] // In a real implementation, this would contain changes from other devices
-        };
-        
-        // Apply remote changes
-        if (serverResponse.changes && serverResponse.changes.length > 0) {
-          await this.applyRemoteChanges(serverResponse.changes);
+        // Retry held back changes that failed to apply after their key arrived
+        if (this.hasUnlockableChanges()) {
+          await this.unlockChanges();
         }
         
-        // Update last sync timestamp
-        this.lastSyncTimestamp = serverResponse.timestamp;
-        await AsyncStorage.setItem(SYNC_LAST_TIMESTAMP_KEY, this.lastSyncTimestamp.toString());
+        do {
+          const batch = this.pendingChanges
+            .filter(change => changeIdsToSend.has(change.id))
+            .slice(0, SYNC_BATCH_SIZE);
+          
+          for (const change of batch) {
+            changeIdsToSend.delete(change.id);
+          }
+          
+          acknowledgedCount += await this.syncBatch(batch);
+          sentCount += batch.length;
+        } while (this.pendingChanges.some(change => changeIdsToSend.has(change.id)));
         
-        // Clear pending changes that were successfully synced
-        this.pendingChanges = [];
-        await AsyncStorage.setItem(SYNC_PENDING_CHANGES_KEY, JSON.stringify(this.pendingChanges));
+        if (acknowledgedCount < sentCount) {
+          console.warn(`${sentCount - acknowledgedCount} changes were not acknowledged and will be resent`);
+        }
         
         console.log('Sync completed successfully');
         console.log(`New last sync: ${new Date(this.lastSyncTimestamp).toISOString()}`);
         
+        this.recordSyncSuccess();
+        
         // Notify listeners that sync has completed
-        this.notifyListeners({
+        await this.notifyListeners({
           type: 'sync',
           success: true,
-          timestamp: this.lastSyncTimestamp
+          timestamp: this.lastSyncTimestamp,
+          consecutiveFailures: 0,
+          nextRetryAt: null,
+          degraded: false
         });
         
         this.isSyncing = false;
@@ -256,11 +473,20 @@ class SyncService {
       } catch (error) {
         console.error('Error during sync:', error);
         
+        // Acknowledged batches have left the queue; the rest is resent by the next sync
+        this.inFlightChangeIds = new Set();
+        await this.storage.setItem(SYNC_PENDING_CHANGES_KEY, JSON.stringify(this.pendingChanges));
+        
+        this.recordSyncFailure();
+        
         // Notify listeners of sync error
-        this.notifyListeners({
+        await this.notifyListeners({
           type: 'sync',
           success: false,
-          error: error.message
+          error: error.message,
+          consecutiveFailures: this.consecutiveFailures,
+          nextRetryAt: this.nextRetryAt,
+          degraded: this.isDegraded()
         });
         
         this.isSyncing = false;
@@ -272,12 +498,17 @@ class SyncService {
     } catch (error) {
       console.error('Error in syncData:', error);
       this.isSyncing = false;
+      this.inFlightChangeIds = new Set();
+      this.recordSyncFailure();
       
       // Notify listeners of sync error
-      this.notifyListeners({
+      await this.notifyListeners({
         type: 'sync',
         success: false,
-        error: error.message
+        error: error.message,
+        consecutiveFailures: this.consecutiveFailures,
+        nextRetryAt: this.nextRetryAt,
+        degraded: this.isDegraded()
       });
       
       return { 
@@ -287,6 +518,184 @@ class SyncService {
     }
   }
   
+  /**
+   * Reset the retry state after a successful sync
+   */
+  recordSyncSuccess() {
+    this.consecutiveFailures = 0;
+    this.clearRetry();
+  }
+  
+  /**
+   * Count a failed sync and schedule a retry with exponential backoff, until
+   * the maximum number of attempts is reached and sync is reported as degraded
+   */
+  recordSyncFailure() {
+    this.consecutiveFailures += 1;
+    this.clearRetry();
+    
+    if (this.isDegraded()) {
+      console.warn(`Sync failed ${this.consecutiveFailures} times in a row, retrying at the regular interval`);
+      return;
+    }
+    
+    const delay = getRetryDelay(this.consecutiveFailures, this.random);
+    this.nextRetryAt = this.now() + delay;
+    
+    console.log(`Retrying sync in ${delay}ms (attempt ${this.consecutiveFailures + 1} of ${SYNC_MAX_ATTEMPTS})`);
+    
+    // Only retry automatically while periodic sync is running
+    if (this.syncInterval) {
+      this.retryTimeout = setTimeout(() => {
+        this.retryTimeout = null;
+        this.syncData();
+      }, delay);
+    }
+  }
+  
+  /**
+   * Cancel a scheduled retry
+   */
+  clearRetry() {
+    if (this.retryTimeout) {
+      clearTimeout(this.retryTimeout);
+      this.retryTimeout = null;
+    }
+    
+    this.nextRetryAt = null;
+  }
+  
+  /**
+   * Check whether sync has failed the maximum number of attempts in a row
+   * @returns {boolean} Whether sync is degraded
+   */
+  isDegraded() {
+    return this.consecutiveFailures >= SYNC_MAX_ATTEMPTS;
+  }
+  
+  /**
+   * Push one batch of pending changes and pull changes from other devices
+   * @param {Array} batch - Pending changes to upload
+   * @returns {Promise<number>} Number of changes acknowledged by the server
+   */
+  async syncBatch(batch) {
+    this.inFlightChangeIds = new Set(batch.map(change => change.id));
+    
+    // Sent changes may reach the server even if the request fails
+    for (const change of batch) {
+      change.attempted = true;
+    }
+    
+    await this.ensureAccount();
+    
+    const serverResponse = await this.sendSyncRequest({
+      deviceId: this.deviceId,
+      accountId: this.accountId,
+      platform: this.platform,
+      lastSyncTimestamp: this.lastSyncTimestamp,
+      changes: batch.map(this.encryptChange)
+    });
+    
+    // Apply remote changes. If they cannot be applied, the sync fails without
+    // moving the last sync timestamp, so the next sync pulls them again
+    if (serverResponse.changes && serverResponse.changes.length > 0) {
+      const applied = await this.applyRemoteChanges(serverResponse.changes);
+      
+      if (!applied) {
+        throw new Error('Remote changes could not be applied');
+      }
+    }
+    
+    // Update last sync timestamp so the next batch only pulls newer changes
+    this.lastSyncTimestamp = serverResponse.timestamp;
+    await this.storage.setItem(SYNC_LAST_TIMESTAMP_KEY, this.lastSyncTimestamp.toString());
+    
+    // The server now holds the acknowledged changes, so they become the base
+    // for future merges and leave the queue
+    const acknowledgedIds = new Set(serverResponse.acknowledged || []);
+    const acknowledged = batch.filter(change => acknowledgedIds.has(change.id));
+    
+    for (const change of acknowledged.filter(c => c.entityType !== SYNC_KEY_ENTITY)) {
+      const key = `${change.entityType}:${change.entityId}`;
+      this.setBaseVersion(key, applyChange(this.baseVersions[key] || null, change));
+    }
+    await this.saveBaseVersions();
+    
+    this.pendingChanges = this.pendingChanges.filter(change => !acknowledgedIds.has(change.id));
+    this.inFlightChangeIds = new Set();
+    await this.storage.setItem(SYNC_PENDING_CHANGES_KEY, JSON.stringify(this.pendingChanges));
+    
+    return acknowledged.length;
+  }
+  
+  /**
+   * Send a sync request to the sync server
+   * @param {Object} payload - Sync payload (deviceId, accountId, platform, lastSyncTimestamp, changes)
+   * @returns {Promise<Object>} Server response with timestamp, acknowledged change IDs and remote changes
+   */
+  async sendSyncRequest(payload) {
+    const result = await this.postToSyncServer(SYNC_ENDPOINT, payload);
+    
+    return {
+      ...result,
+      changes: (result.changes || []).filter(change => change.deviceId !== this.deviceId)
+    };
+  }
+  
+  /**
+   * Send a pairing request to the sync server
+   * @param {string} step - Pairing step (offer, claim or status)
+   * @param {Object} payload - Pairing payload
+   * @returns {Promise<Object>} Server response
+   */
+  async sendPairingRequest(step, payload) {
+    return await this.postToSyncServer(`${PAIRING_ENDPOINT}/${step}`, payload);
+  }
+  
+  /**
+   * POST a JSON payload to the sync server
+   * @param {string} url - Request URL
+   * @param {Object} payload - Request payload
+   * @returns {Promise<Object>} Server response
+   */
+  async postToSyncServer(url, payload) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), SYNC_REQUEST_TIMEOUT);
+    
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+          Authorization: `Bearer ${this.deviceToken}`
+        },
+        body: JSON.stringify(payload),
+        signal: controller.signal
+      });
+      
+      const result = await response.json().catch(() => null);
+      
+      if (!response.ok) {
+        throw new Error((result && result.error) || `Sync server responded with status ${response.status}`);
+      }
+      
+      if (!result || !result.success) {
+        throw new Error((result && result.error) || 'Sync server rejected the request');
+      }
+      
+      return result;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Sync request timed out after ${SYNC_REQUEST_TIMEOUT}ms`);
+      }
+      
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+  
   /**
    * Get or generate a unique device ID
    * @returns {Promise<string>} Device ID
@@ -294,7 +703,7 @@ class SyncService {
   async getDeviceId() {
     try {
       // Try to get existing device ID
-      const storedDeviceId = await AsyncStorage.getItem(SYNC_DEVICE_ID_KEY);
+      const storedDeviceId = await this.storage.getItem(SYNC_DEVICE_ID_KEY);
       
       if (storedDeviceId) {
         return storedDeviceId;
@@ -304,7 +713,7 @@ class SyncService {
       const newDeviceId = uuidv4();
       
       // Store the device ID
-      await AsyncStorage.setItem(SYNC_DEVICE_ID_KEY, newDeviceId);
+      await this.storage.setItem(SYNC_DEVICE_ID_KEY, newDeviceId);
       
       return newDeviceId;
     } catch (error) {
@@ -314,6 +723,37 @@ class SyncService {
     }
   }
   
+  /**
+   * Get or generate the token this device authenticates with to the sync server
+   * @returns {Promise<string>} Device token
+   */
+  async getDeviceToken() {
+    const storedToken = await this.secureStore.getItemAsync(SYNC_DEVICE_TOKEN_KEY);
+    
+    if (storedToken) {
+      return storedToken;
+    }
+    
+    const newToken = generateDeviceToken();
+    await this.secureStore.setItemAsync(SYNC_DEVICE_TOKEN_KEY, newToken);
+    
+    return newToken;
+  }
+  
+  /**
+   * Create an account for this device if it has not created or joined one.
+   * The server registers the device with the account on its first request
+   * @returns {Promise<string>} Account ID
+   */
+  async ensureAccount() {
+    if (!this.accountId) {
+      this.accountId = uuidv4();
+      await this.storage.setItem(SYNC_ACCOUNT_ID_KEY, this.accountId);
+    }
+    
+    return this.accountId;
+  }
+  
   /**
    * Track a data change for synchronization
    * @param {string} entityType - Type of entity (task, email, meeting, reminder)
@@ -328,22 +768,66 @@ class SyncService {
         await this.initialize();
       }
       
+      // Fields such as scheduled notification IDs stay on this device
+      const syncedData = omitDeviceFields(data);
+      
+      // Record which fields changed relative to the last synced version so
+      // that other devices can merge edits field by field
+      const baseVersion = this.baseVersions[`${entityType}:${entityId}`];
+      const changedFields = action !== 'create' && action !== 'delete' && baseVersion && syncedData
+        ? diffFields(baseVersion, syncedData)
+        : null;
+      
       // Create change record
       const change = {
         id: uuidv4(),
-        timestamp: Date.now(),
+        hlc: this.clock.tick(),
+        timestamp: this.now(),
         deviceId: this.deviceId,
         entityType,
         action,
         entityId,
-        data
+        data: syncedData,
+        changedFields
       };
       
+      // Compact with an earlier pending change to the same entity, unless
+      // that change is part of a sync request in flight
+      const previous = this.pendingChanges.find(pending =>
+        pending.entityType === entityType &&
+        pending.entityId === entityId &&
+        !this.inFlightChangeIds.has(pending.id)
+      );
+      
+      if (previous) {
+        this.pendingChanges = this.pendingChanges.filter(pending => pending !== previous);
+      }
+      
+      const compacted = previous ? compactChange(previous, change) : change;
+      
       // Add to pending changes
-      this.pendingChanges.push(change);
+      if (compacted) {
+        this.pendingChanges.push(compacted);
+      }
+      
+      // Unacknowledged changes are never dropped. Compaction keeps one pending
+      // change per entity, so the queue cannot outgrow the data; past the limit
+      // it is reported and sent right away instead of after the debounce delay
+      const isOverLimit = this.pendingChanges.length > MAX_PENDING_CHANGES;
+        
+      if (isOverLimit) {
+        console.warn(`${this.pendingChanges.length} changes are waiting to be synced`);
+        
+        await this.notifyListeners({
+          type: 'overflow',
+          pendingChangesCount: this.pendingChanges.length,
+          maxPendingChanges: MAX_PENDING_CHANGES
+        });
+      }
       
       // Save pending changes
-      await AsyncStorage.setItem(SYNC_PENDING_CHANGES_KEY, JSON.stringify(this.pendingChanges));
+      await this.storage.setItem(SYNC_PENDING_CHANGES_KEY, JSON.stringify(this.pendingChanges));
+      await this.storage.setItem(SYNC_CLOCK_KEY, this.clock.current());
       
       console.log(`Tracked change: ${action} ${entityType} ${entityId}`);
       
@@ -352,12 +836,17 @@ class SyncService {
         // Debounce sync to avoid too many requests
         if (this.syncDebounceTimeout) {
           clearTimeout(this.syncDebounceTimeout);
+          this.syncDebounceTimeout = null;
         }
         
-        this.syncDebounceTimeout = setTimeout(() => {
+        if (isOverLimit) {
           this.syncData();
-          this.syncDebounceTimeout = null;
-        }, 2000); // Wait 2 seconds before syncing
+        } else {
+          this.syncDebounceTimeout = setTimeout(() => {
+            this.syncData();
+            this.syncDebounceTimeout = null;
+          }, 2000); // Wait 2 seconds before syncing
+        }
       }
       
       return true;
@@ -380,8 +869,21 @@ class SyncService {
       
       console.log(`Applying ${changes.length} remote changes`);
       
-      // Sort changes by timestamp
-      const sortedChanges = [...changes].sort((a, b) => a.timestamp - b.timestamp);
+      // Decrypt changes and sort them by hybrid logical clock rather than
+      // device wall clocks, which may be skewed
+      const decryptedChanges = (await this.decryptRemoteChanges(changes)).sort(compareChanges);
+      
+      // Accept changes from registered devices that have not been revoked
+      const sortedChanges = await this.filterTrustedChanges(decryptedChanges);
+      
+      // Advance the local clock past every received change so that later
+      // local edits are ordered after them
+      for (const change of sortedChanges) {
+        if (change.hlc) {
+          this.clock.receive(change.hlc);
+        }
+      }
+      await this.storage.setItem(SYNC_CLOCK_KEY, this.clock.current());
       
       // Group changes by entity type and ID
       const changesByEntity = {};
@@ -407,23 +909,34 @@ class SyncService {
         
         if (localChanges.length > 0) {
           // Resolve conflicts
-          await this.resolveConflicts(entityChanges, localChanges);
+          const resolved = await this.resolveConflicts(entityChanges, localChanges);
+          
+          if (!resolved) {
+            throw new Error(`Conflicting changes for ${key} could not be applied`);
+          }
         } else {
-          // Apply changes directly
+          // Apply changes directly on top of the base version
           for (const change of entityChanges) {
+            const version = applyChange(this.baseVersions[key] || null, change);
+            
             // Notify listeners of the change
-            this.notifyListeners({
+            await this.notifyListeners({
               type: 'change',
               entityType: change.entityType,
               action: change.action,
               entityId: change.entityId,
-              data: change.data,
+              data: version,
               remote: true
             });
+            
+            // Only an applied change becomes the base for future merges
+            this.setBaseVersion(key, version);
           }
         }
       }
       
+      await this.saveBaseVersions();
+      
       console.log('Remote changes applied successfully');
       return true;
     } catch (error) {
@@ -433,7 +946,10 @@ class SyncService {
   }
   
   /**
-   * Resolve conflicts between local and remote changes
+   * Resolve conflicts between local and remote changes with a field-level
+   * three-way merge against the entity's base version. Fields changed on only
+   * one side merge automatically; fields changed on both sides are queued in
+   * the conflicts list and keep their local value until resolved.
    * @param {Array} remoteChanges - Array of remote change objects
    * @param {Array} localChanges - Array of local change objects
    * @returns {Promise<boolean>} Success status
@@ -445,38 +961,73 @@ class SyncService {
       // Get the entity type and ID
       const entityType = remoteChanges[0].entityType;
       const entityId = remoteChanges[0].entityId;
+      const key = `${entityType}:${entityId}`;
+      const base = this.baseVersions[key] || null;
       
-      // Get the latest remote and local changes
-      const latestRemote = remoteChanges[remoteChanges.length - 1];
-      const latestLocal = localChanges[localChanges.length - 1];
+      // Rebuild both versions of the entity from the common base
+      const remoteVersion = remoteChanges.reduce((version, change) => applyChange(version, change), base);
+      const localVersion = localChanges.reduce((version, change) => applyChange(version, change), base);
       
-      // Determine which change is newer
-      if (latestLocal.timestamp > latestRemote.timestamp) {
-        console.log(`Local change is newer for ${entityType} ${entityId}`);
-        // Local change wins, keep it in pending changes
+      if (!remoteVersion && !localVersion) {
+        console.log(`Both devices deleted ${entityType} ${entityId}`);
+        this.setBaseVersion(key, remoteVersion);
         return true;
-      } else {
-        console.log(`Remote change is newer for ${entityType} ${entityId}`);
-        // Remote change wins, remove local changes from pending
-        this.pendingChanges = this.pendingChanges.filter(change => 
-          !(change.entityType === entityType && change.entityId === entityId)
-        );
-        
-        // Save updated pending changes
-        await AsyncStorage.setItem(SYNC_PENDING_CHANGES_KEY, JSON.stringify(this.pendingChanges));
-        
-        // Notify listeners of the remote change
-        this.notifyListeners({
-          type: 'change',
-          entityType: latestRemote.entityType,
-          action: latestRemote.action,
-          entityId: latestRemote.entityId,
-          data: latestRemote.data,
-          remote: true
+      }
+      
+      if (!remoteVersion || !localVersion) {
+        // One device deleted the entity while the other edited it; keep the
+        // local outcome and queue the conflict for review
+        console.log(`Delete conflict for ${entityType} ${entityId}`);
+        await this.addConflict({
+          entityType,
+          entityId,
+          base,
+          local: localVersion,
+          remote: remoteVersion,
+          merged: localVersion,
+          fields: []
         });
-        
+        this.setBaseVersion(key, remoteVersion);
         return true;
       }
+      
+      const latestLocal = localChanges[localChanges.length - 1];
+      const latestRemote = remoteChanges[remoteChanges.length - 1];
+      const { merged, conflicts } = mergeVersions(base, localVersion, remoteVersion, {
+        localIsNewer: compareChanges(latestLocal, latestRemote) > 0
+      });
+      
+      if (conflicts.length > 0) {
+        console.log(`Conflicting fields for ${entityType} ${entityId}: ${conflicts.join(', ')}`);
+        await this.addConflict({
+          entityType,
+          entityId,
+          base,
+          local: localVersion,
+          remote: remoteVersion,
+          merged,
+          fields: conflicts
+        });
+      } else {
+        console.log(`Merged local and remote changes for ${entityType} ${entityId}`);
+      }
+      
+      // Apply the merged version locally; local pending changes stay queued
+      // so other devices receive the local edits
+      await this.notifyListeners({
+        type: 'change',
+        entityType,
+        action: 'update',
+        entityId,
+        data: merged,
+        remote: true
+      });
+      
+      // The server's version is the base for future merges once the merged
+      // version has been applied
+      this.setBaseVersion(key, remoteVersion);
+      
+      return true;
     } catch (error) {
       console.error('Error resolving conflicts:', error);
       return false;
@@ -484,74 +1035,937 @@ class SyncService {
   }
   
   /**
-   * Add a listener for sync events
-   * @param {Function} listener - Listener function
-   * @returns {Function} Function to remove the listener
+   * Add a conflict to the persisted conflicts queue
+   * @param {Object} conflict - Conflict details (entityType, entityId, base, local, remote, merged, fields)
+   * @returns {Promise<Object>} Queued conflict
    */
-  addListener(listener) {
-    if (typeof listener !== 'function') {
-      console.warn('Listener must be a function');
-      return () => {};
-    }
+  async addConflict(conflict) {
+    const queuedConflict = {
+      id: uuidv4(),
+      detectedAt: this.now(),
+      ...conflict
+    };
     
-    this.listeners.push(listener);
+    // Replace any earlier unresolved conflict for the same entity
+    this.conflicts = [
+      ...this.conflicts.filter(c => !(c.entityType === conflict.entityType && c.entityId === conflict.entityId)),
+      queuedConflict
+    ];
     
-    return () => this.removeListener(listener);
+    await this.saveConflicts();
+    
+    // Notify listeners of the conflict
+    await this.notifyListeners({
+      type: 'conflict',
+      conflict: queuedConflict,
+      conflictsCount: this.conflicts.length
+    });
+    
+    return queuedConflict;
   }
   
   /**
-   * Remove a listener
-   * @param {Function} listener - Listener function to remove
+   * Get unresolved sync conflicts
+   * @returns {Array} Conflicts
    */
-  removeListener(listener) {
-    this.listeners = this.listeners.filter(l => l !== listener);
+  getConflicts() {
+    return [...this.conflicts];
   }
   
   /**
-   * Notify all listeners of an event
-   * @param {Object} event - Event object
+   * Resolve a queued conflict by keeping the local version, taking the remote
+   * version, or applying a hand-merged version. The resolved version is
+   * applied locally and tracked so other devices receive it.
+   * @param {string} conflictId - Conflict ID
+   * @param {string} resolution - Resolution (local, remote, merge)
+   * @param {Object} mergedData - Field values chosen by the user (merge only)
+   * @returns {Promise<Object>} Resolved entity version (null if deleted)
    */
-  notifyListeners(event) {
-    for (const listener of this.listeners) {
-      try {
-        listener(event);
-      } catch (error) {
-        console.error('Error in sync listener:', error);
+  async resolveConflict(conflictId, resolution, mergedData = null) {
+    try {
+      const conflict = this.conflicts.find(c => c.id === conflictId);
+      
+      if (!conflict) {
+        throw new Error(`Conflict with ID ${conflictId} not found`);
+      }
+      
+      // Work out the resolved version; fields that merged cleanly are kept
+      // whichever side wins the conflicting fields
+      let resolvedVersion;
+      
+      switch (resolution) {
+        case CONFLICT_RESOLUTIONS.LOCAL:
+          resolvedVersion = conflict.fields.length > 0 ? conflict.merged : conflict.local;
+          break;
+        
+        case CONFLICT_RESOLUTIONS.REMOTE:
+          if (conflict.fields.length > 0) {
+            resolvedVersion = { ...conflict.merged };
+            for (const field of conflict.fields) {
+              resolvedVersion[field] = conflict.remote[field];
+            }
+          } else {
+            resolvedVersion = conflict.remote;
+          }
+          break;
+        
+        case CONFLICT_RESOLUTIONS.MERGE:
+          if (!mergedData) {
+            throw new Error('Merged data is required to hand-merge a conflict');
+          }
+          resolvedVersion = { ...(conflict.merged || conflict.local || conflict.remote), ...mergedData };
+          break;
+        
+        default:
+          throw new Error(`Invalid conflict resolution: ${resolution}`);
+      }
+      
+      let action = 'update';
+      if (!resolvedVersion) {
+        action = 'delete';
+      } else if (!conflict.local) {
+        // The entity was deleted on this device, so it has to be recreated
+        action = 'create';
       }
+      
+      // Apply the resolved version locally
+      await this.notifyListeners({
+        type: 'change',
+        entityType: conflict.entityType,
+        action,
+        entityId: conflict.entityId,
+        data: resolvedVersion,
+        remote: true
+      });
+      
+      // Remove the conflict from the queue
+      this.conflicts = this.conflicts.filter(c => c.id !== conflictId);
+      await this.saveConflicts();
+      
+      // Sync the resolved version to other devices
+      await this.trackChange(conflict.entityType, action, conflict.entityId, resolvedVersion);
+      
+      console.log(`Conflict ${conflictId} resolved (${resolution})`);
+      
+      // Notify listeners of the resolution
+      await this.notifyListeners({
+        type: 'conflict_resolved',
+        conflictId,
+        resolution,
+        conflictsCount: this.conflicts.length
+      });
+      
+      return resolvedVersion;
+    } catch (error) {
+      console.error('Error resolving conflict:', error);
+      throw error;
     }
   }
   
   /**
-   * Clean up resources
+   * Save conflicts to storage
    * @returns {Promise<boolean>} Success status
    */
-  async cleanup() {
+  async saveConflicts() {
     try {
-      // Stop sync
-      await this.stopSync();
-      
-      // Remove network listener
-      if (this.netInfoUnsubscribe) {
-        this.netInfoUnsubscribe();
-        this.netInfoUnsubscribe = null;
-      }
-      
-      // Clear listeners
-      this.listeners = [];
-      
-      console.log('Sync Service cleaned up');
+      await this.storage.setItem(SYNC_CONFLICTS_KEY, JSON.stringify(this.conflicts));
       return true;
     } catch (error) {
-      console.error('Error cleaning up Sync Service:', error);
+      console.error('Error saving conflicts:', error);
       return false;
     }
   }
   
   /**
-   * Force an immediate sync
-   * @returns {Promise<Object>} Sync result
+   * Set the base version of an entity
+   * @param {string} key - Entity key (entityType:entityId)
+   * @param {Object|null} version - Base version, or null if deleted
    */
-  async forceSync() {
+  setBaseVersion(key, version) {
+    if (version) {
+      this.baseVersions[key] = version;
+    } else {
+      delete this.baseVersions[key];
+    }
+  }
+  
+  /**
+   * Save base versions to storage
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveBaseVersions() {
+    try {
+      await this.storage.setItem(SYNC_BASE_VERSIONS_KEY, JSON.stringify(this.baseVersions));
+      return true;
+    } catch (error) {
+      console.error('Error saving base versions:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Check whether sync payloads are encrypted
+   * @returns {boolean} Whether an encryption key is active
+   */
+  isEncryptionEnabled() {
+    return !!this.keyring.activeKeyId;
+  }
+  
+  /**
+   * Set up encryption with a passphrase. If other devices already encrypt
+   * with a key derived from the same passphrase, this device joins them;
+   * otherwise a new key is derived and used for new changes
+   * @param {string} passphrase - User passphrase
+   * @returns {Promise<string>} ID of the active key
+   */
+  async setEncryptionPassphrase(passphrase) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+      
+      // Try the salts of changes this device could not decrypt, newest first
+      const envelopes = [...this.lockedChanges]
+        .sort(compareChanges)
+        .reverse()
+        .map(getChangeEnvelope)
+        .filter(envelope => envelope && envelope.salt && !this.keyring.keys[envelope.keyId]);
+      
+      let activeKey = null;
+      const triedKeyIds = new Set();
+      
+      for (const envelope of envelopes) {
+        if (triedKeyIds.has(envelope.keyId)) {
+          continue;
+        }
+        
+        triedKeyIds.add(envelope.keyId);
+        const key = await deriveKey(passphrase, envelope.salt, envelope.iterations);
+        
+        if (key.id === envelope.keyId) {
+          await this.addEncryptionKey(key, !activeKey);
+          activeKey = activeKey || key;
+        }
+      }
+      
+      if (!activeKey) {
+        activeKey = await deriveKey(passphrase);
+        await this.addEncryptionKey(activeKey, true);
+      }
+      
+      console.log(`Sync encryption enabled with key ${activeKey.id}`);
+      
+      await this.unlockChanges();
+      
+      return activeKey.id;
+    } catch (error) {
+      console.error('Error setting encryption passphrase:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Rotate the encryption key. A random key is handed to other devices wrapped
+   * with the current key. A key derived from a new passphrase is not, so a
+   * leaked old key does not reveal it; other devices must enter the passphrase
+   * @param {string} passphrase - New passphrase (optional)
+   * @returns {Promise<string>} ID of the new key
+   */
+  async rotateEncryptionKey(passphrase = null) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+      
+      const previousKey = this.keyring.keys[this.keyring.activeKeyId];
+      
+      if (!previousKey) {
+        throw new Error('Encryption is not enabled');
+      }
+      
+      const key = passphrase ? await deriveKey(passphrase) : generateKey();
+      
+      // Old keys are kept to decrypt changes made before the rotation
+      await this.addEncryptionKey(key, true);
+      
+      if (!passphrase) {
+        await this.trackChange(SYNC_KEY_ENTITY, 'create', key.id, {
+          wrappedKey: encryptPayload(key, previousKey, `${SYNC_KEY_ENTITY}|${key.id}`)
+        });
+      }
+      
+      console.log(`Rotated sync encryption key to ${key.id}`);
+      
+      return key.id;
+    } catch (error) {
+      console.error('Error rotating encryption key:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Export the encryption keys for a new device, sealed with a pairing secret
+   * @param {string} pairingSecret - Secret shared with the new device
+   * @returns {Promise<string>} Sealed keyring
+   */
+  async exportEncryptionKeys(pairingSecret) {
+    if (!this.isEncryptionEnabled()) {
+      throw new Error('Encryption is not enabled');
+    }
+    
+    return await sealKeyring(this.keyring, pairingSecret);
+  }
+  
+  /**
+   * Import encryption keys exported by another device
+   * @param {string} sealedKeyring - Sealed keyring from exportEncryptionKeys
+   * @param {string} pairingSecret - Secret shared with the other device
+   * @returns {Promise<string>} ID of the active key
+   */
+  async importEncryptionKeys(sealedKeyring, pairingSecret) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+      
+      const keyring = await openKeyring(sealedKeyring, pairingSecret);
+      
+      this.keyring = {
+        activeKeyId: keyring.activeKeyId,
+        keys: { ...this.keyring.keys, ...keyring.keys }
+      };
+      await this.saveKeyring();
+      
+      console.log(`Imported ${Object.keys(keyring.keys).length} sync encryption keys`);
+      
+      await this.unlockChanges();
+      
+      return keyring.activeKeyId;
+    } catch (error) {
+      console.error('Error importing encryption keys:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Add a key to the keyring
+   * @param {Object} key - Key entry
+   * @param {boolean} activate - Whether new changes are encrypted with the key
+   * @returns {Promise<void>}
+   */
+  async addEncryptionKey(key, activate = false) {
+    this.keyring = {
+      activeKeyId: activate ? key.id : this.keyring.activeKeyId,
+      keys: { ...this.keyring.keys, [key.id]: key }
+    };
+    
+    await this.saveKeyring();
+  }
+  
+  /**
+   * Save the keyring to secure storage
+   * @returns {Promise<void>}
+   */
+  async saveKeyring() {
+    await this.secureStore.setItemAsync(SYNC_KEYRING_KEY, JSON.stringify(this.keyring));
+  }
+  
+  /**
+   * Encrypt a change before it is sent to the server
+   * @param {Object} change - Change record
+   * @returns {Object} Change with data and changed fields replaced by ciphertext
+   */
+  encryptChange(change) {
+    const { attempted, ...outgoing } = change;
+    
+    // Key changes are already wrapped with the previous key
+    if (!this.isEncryptionEnabled() || change.entityType === SYNC_KEY_ENTITY) {
+      return outgoing;
+    }
+    
+    const { data, changedFields, ...metadata } = outgoing;
+    
+    return {
+      ...metadata,
+      encrypted: encryptPayload(
+        { data, changedFields },
+        this.keyring.keys[this.keyring.activeKeyId],
+        getChangeAssociatedData(change)
+      )
+    };
+  }
+  
+  /**
+   * Decrypt a change received from the server
+   * @param {Object} change - Change record
+   * @returns {Object|null} Decrypted change, or null if its key is not on this device
+   */
+  decryptChange(change) {
+    const envelope = getChangeEnvelope(change);
+    
+    if (!envelope) {
+      return change;
+    }
+    
+    const key = this.keyring.keys[envelope.keyId];
+    
+    if (!key) {
+      return null;
+    }
+    
+    if (change.entityType === SYNC_KEY_ENTITY) {
+      return {
+        ...change,
+        data: decryptPayload(envelope, key, `${SYNC_KEY_ENTITY}|${change.entityId}`)
+      };
+    }
+    
+    const { encrypted, ...metadata } = change;
+    const payload = decryptPayload(envelope, key, getChangeAssociatedData(change));
+    
+    return {
+      ...metadata,
+      data: payload.data,
+      changedFields: payload.changedFields
+    };
+  }
+  
+  /**
+   * Decrypt remote changes, taking in keys rotated on other devices and
+   * holding back changes encrypted with keys this device does not have yet
+   * @param {Array} changes - Remote changes
+   * @returns {Promise<Array>} Decrypted entity changes
+   */
+  async decryptRemoteChanges(changes) {
+    const sortedChanges = [...changes].sort(compareChanges);
+    let lockedChanges = [];
+    
+    // Take in rotated keys first, in order, since each one is wrapped with the key before it
+    let keysAdded = false;
+    
+    for (const change of sortedChanges.filter(c => c.entityType === SYNC_KEY_ENTITY)) {
+      try {
+        const keyChange = this.decryptChange(change);
+        
+        if (!keyChange) {
+          lockedChanges.push(change);
+          continue;
+        }
+        
+        const activeKey = this.keyring.keys[this.keyring.activeKeyId];
+        const activate = !activeKey || keyChange.data.createdAt > activeKey.createdAt;
+        await this.addEncryptionKey(keyChange.data, activate);
+        keysAdded = true;
+      } catch (error) {
+        console.error('Error decrypting encryption key:', error);
+      }
+    }
+    
+    // New keys may unlock changes held back earlier
+    let entityChanges = sortedChanges.filter(c => c.entityType !== SYNC_KEY_ENTITY);
+    
+    if (keysAdded && this.lockedChanges.length > 0) {
+      entityChanges = [...this.lockedChanges, ...entityChanges];
+      this.lockedChanges = [];
+    }
+    
+    const decryptedChanges = [];
+    
+    for (const change of entityChanges) {
+      try {
+        const decrypted = this.decryptChange(change);
+        
+        if (decrypted) {
+          decryptedChanges.push(decrypted);
+        } else {
+          lockedChanges.push(change);
+        }
+      } catch (error) {
+        // Tampered or corrupted changes are dropped
+        console.error(`Error decrypting change ${change.id}:`, error);
+      }
+    }
+    
+    if (keysAdded || lockedChanges.length > 0) {
+      this.lockedChanges = [...this.lockedChanges, ...lockedChanges];
+      await this.storage.setItem(SYNC_LOCKED_CHANGES_KEY, JSON.stringify(this.lockedChanges));
+    }
+    
+    if (lockedChanges.length > 0) {
+      console.warn(`${lockedChanges.length} changes are encrypted with a key this device does not have`);
+      
+      await this.notifyListeners({
+        type: 'encryption_locked',
+        lockedChangesCount: this.lockedChanges.length
+      });
+    }
+    
+    return decryptedChanges;
+  }
+  
+  /**
+   * Check whether any held back change is encrypted with a key this device has
+   * @returns {boolean} Whether held back changes can be unlocked
+   */
+  hasUnlockableChanges() {
+    return this.lockedChanges.some(change => {
+      const envelope = getChangeEnvelope(change);
+      return Boolean(envelope && this.keyring.keys[envelope.keyId]);
+    });
+  }
+  
+  /**
+   * Apply changes that were held back until their encryption key was available.
+   * Changes that fail to apply stay held back and are retried by the next sync.
+   * @returns {Promise<number>} Number of changes unlocked
+   */
+  async unlockChanges() {
+    const lockedChanges = this.lockedChanges;
+    
+    if (lockedChanges.length === 0) {
+      return 0;
+    }
+    
+    this.lockedChanges = [];
+    await this.storage.setItem(SYNC_LOCKED_CHANGES_KEY, JSON.stringify(this.lockedChanges));
+    
+    const applied = await this.applyRemoteChanges(lockedChanges);
+    
+    if (!applied) {
+      const stillLockedIds = new Set(this.lockedChanges.map(change => change.id));
+      this.lockedChanges = [
+        ...lockedChanges.filter(change => !stillLockedIds.has(change.id)),
+        ...this.lockedChanges
+      ];
+      await this.storage.setItem(SYNC_LOCKED_CHANGES_KEY, JSON.stringify(this.lockedChanges));
+      
+      console.warn(`${lockedChanges.length} held back changes could not be applied`);
+      return 0;
+    }
+    
+    return lockedChanges.length - this.lockedChanges.length;
+  }
+  
+  /**
+   * Start pairing a new device. This device offers the account, the trusted
+   * device list and its encryption keys, sealed with a secret derived from a
+   * random pairing code
+   * @param {string} deviceName - Name of this device (optional)
+   * @returns {Promise<Object>} Pairing code, QR payload and expiry time
+   */
+  async startPairing(deviceName = null) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+      
+      // The offering device's account becomes shared by all paired devices
+      await this.ensureAccount();
+      
+      const device = await this.registerCurrentDevice(deviceName);
+      const code = generatePairingCode();
+      const { codeHash, secret } = await derivePairingKeys(code);
+      
+      const offer = {
+        accountId: this.accountId,
+        devices: Object.values(this.devices),
+        keyring: this.isEncryptionEnabled() ? this.keyring : null
+      };
+      
+      const response = await this.sendPairingRequest('offer', {
+        accountId: this.accountId,
+        deviceId: this.deviceId,
+        codeHash,
+        sealedOffer: await sealPayload(offer, secret, PAIRING_OFFER_CONTEXT)
+      });
+      
+      this.pairingCode = code;
+      
+      console.log(`Pairing started, code expires at ${new Date(response.expiresAt).toISOString()}`);
+      
+      return {
+        code,
+        qrPayload: createPairingQrPayload(code, device),
+        expiresAt: response.expiresAt
+      };
+    } catch (error) {
+      console.error('Error starting pairing:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Check whether another device has confirmed the pairing code shown on this device
+   * @param {string} code - Pairing code (defaults to the code from startPairing)
+   * @returns {Promise<Object|null>} Paired device, or null if not confirmed yet
+   */
+  async checkPairing(code = this.pairingCode) {
+    try {
+      if (!code) {
+        throw new Error('No pairing in progress');
+      }
+      
+      const { codeHash } = await derivePairingKeys(code);
+      const response = await this.sendPairingRequest('status', { codeHash });
+      
+      if (!response.claimed) {
+        return null;
+      }
+      
+      const device = await this.upsertDevice({
+        ...response.device,
+        pairedAt: new Date(this.now()).toISOString()
+      });
+      
+      // Other devices only trust the new device once a trusted device registers it
+      await this.trackChange(SYNC_DEVICE_ENTITY, 'update', device.deviceId, device);
+      
+      if (code === this.pairingCode) {
+        this.pairingCode = null;
+      }
+      
+      console.log(`Paired with ${device.name} (${device.deviceId})`);
+      
+      return device;
+    } catch (error) {
+      console.error('Error checking pairing:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Confirm a pairing code shown on another device, joining its account
+   * @param {string} input - Pairing code as typed, or the scanned QR payload
+   * @param {string} deviceName - Name of this device (optional)
+   * @returns {Promise<Array>} Trusted devices
+   */
+  async confirmPairing(input, deviceName = null) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+      
+      const { codeHash, secret } = await derivePairingKeys(parsePairingInput(input));
+      const now = new Date(this.now()).toISOString();
+      const device = {
+        deviceId: this.deviceId,
+        name: deviceName || this.getDefaultDeviceName(),
+        platform: this.platform
+      };
+      
+      const response = await this.sendPairingRequest('claim', {
+        codeHash,
+        device
+      });
+      const offer = await openPayload(response.sealedOffer, secret, PAIRING_OFFER_CONTEXT);
+      
+      // Join the account, pulling its whole history on the next sync
+      if (offer.accountId !== this.accountId) {
+        this.accountId = offer.accountId;
+        this.lastSyncTimestamp = 0;
+        await this.storage.setItem(SYNC_ACCOUNT_ID_KEY, this.accountId);
+        await this.storage.setItem(SYNC_LAST_TIMESTAMP_KEY, '0');
+      }
+      
+      for (const trustedDevice of offer.devices) {
+        await this.upsertDevice({ ...trustedDevice, pairedAt: trustedDevice.pairedAt || now });
+      }
+      
+      if (offer.keyring) {
+        this.keyring = {
+          activeKeyId: offer.keyring.activeKeyId,
+          keys: { ...this.keyring.keys, ...offer.keyring.keys }
+        };
+        await this.saveKeyring();
+      }
+      
+      await this.registerCurrentDevice(device.name);
+      await this.unlockChanges();
+      
+      console.log(`Joined sync account ${this.accountId}`);
+      
+      return this.getDevices();
+    } catch (error) {
+      console.error('Error confirming pairing:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the trusted device registry
+   * @returns {Array} Devices, most recently seen first
+   */
+  getDevices() {
+    return Object.values(this.devices)
+      .map(device => ({ ...device, isCurrentDevice: device.deviceId === this.deviceId }))
+      .sort((a, b) => (b.lastSeenAt || '').localeCompare(a.lastSeenAt || ''));
+  }
+  
+  /**
+   * Revoke a lost or retired device. Its changes are rejected from then on by
+   * every device that has synced the revocation. Rotate the encryption key with
+   * a new passphrase as well to stop it from reading new changes
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async revokeDevice(deviceId) {
+    try {
+      if (deviceId === this.deviceId) {
+        throw new Error('Cannot revoke the current device');
+      }
+      
+      if (!this.devices[deviceId]) {
+        throw new Error(`Device not found: ${deviceId}`);
+      }
+      
+      const device = await this.upsertDevice({
+        deviceId,
+        revokedAt: new Date(this.now()).toISOString()
+      });
+      
+      await this.trackChange(SYNC_DEVICE_ENTITY, 'update', deviceId, device);
+      
+      console.log(`Revoked device ${device.name} (${deviceId})`);
+      
+      return true;
+    } catch (error) {
+      console.error('Error revoking device:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Check whether a device has been revoked
+   * @param {string} deviceId - Device ID
+   * @returns {boolean} Whether the device is revoked
+   */
+  isDeviceRevoked(deviceId) {
+    return !!(this.devices[deviceId] && this.devices[deviceId].revokedAt);
+  }
+  
+  /**
+   * Check whether a device is registered and has not been revoked
+   * @param {string} deviceId - Device ID
+   * @returns {boolean} Whether changes from the device are accepted
+   */
+  isDeviceTrusted(deviceId) {
+    return !!this.devices[deviceId] && !this.isDeviceRevoked(deviceId);
+  }
+  
+  /**
+   * Add this device to the registry and announce it to the other devices
+   * @param {string} deviceName - Name of this device (optional)
+   * @returns {Promise<Object>} Device record
+   */
+  async registerCurrentDevice(deviceName = null) {
+    const existing = this.devices[this.deviceId] || {};
+    const now = new Date(this.now()).toISOString();
+    
+    const device = await this.upsertDevice({
+      deviceId: this.deviceId,
+      name: deviceName || existing.name || this.getDefaultDeviceName(),
+      platform: this.platform,
+      pairedAt: existing.pairedAt || now,
+      lastSeenAt: now
+    });
+    
+    await this.trackChange(SYNC_DEVICE_ENTITY, 'update', this.deviceId, device);
+    
+    return device;
+  }
+  
+  /**
+   * Add or update a device in the registry. Revocations are permanent
+   * @param {Object} record - Device fields to merge (deviceId required)
+   * @returns {Promise<Object>} Updated device record
+   */
+  async upsertDevice(record) {
+    const existing = this.devices[record.deviceId] || {};
+    const lastSeenAt = [existing.lastSeenAt, record.lastSeenAt]
+      .filter(Boolean)
+      .sort()
+      .pop() || null;
+    
+    const device = {
+      ...existing,
+      ...record,
+      lastSeenAt,
+      revokedAt: existing.revokedAt || record.revokedAt || null
+    };
+    
+    this.devices = { ...this.devices, [device.deviceId]: device };
+    await this.storage.setItem(SYNC_DEVICES_KEY, JSON.stringify(this.devices));
+    
+    await this.notifyListeners({
+      type: 'devices',
+      devices: this.getDevices()
+    });
+    
+    if (device.deviceId === this.deviceId && device.revokedAt && !existing.revokedAt) {
+      console.warn('This device has been revoked by another device');
+      await this.stopSync();
+    }
+    
+    return device;
+  }
+  
+  /**
+   * Get a default name for this device
+   * @returns {string} Device name
+   */
+  getDefaultDeviceName() {
+    if (this.isIOS) {
+      return 'iPhone';
+    }
+    
+    return this.isMacOS ? 'Mac' : this.platform;
+  }
+  
+  /**
+   * Apply device registry changes and keep only changes from trusted devices.
+   * Changes from revoked devices are dropped. Changes from devices that no
+   * trusted device has registered yet are held back until one does
+   * @param {Array} changes - Decrypted remote changes, sorted by clock
+   * @returns {Promise<Array>} Entity changes from trusted devices
+   */
+  async filterTrustedChanges(changes) {
+    let remainingChanges = [...this.heldChanges, ...changes].sort(compareChanges);
+    const deviceChanges = [];
+    let registered = true;
+    
+    // Device records are only taken from trusted devices. A record may register
+    // a device whose own records were received earlier, so repeat until no
+    // more records are accepted
+    while (registered) {
+      const accepted = remainingChanges.filter(change =>
+        change.entityType === SYNC_DEVICE_ENTITY && this.isDeviceTrusted(change.deviceId)
+      );
+      
+      for (const change of accepted) {
+        // A revocation in this batch also rejects the revoked device's later changes
+        await this.upsertDevice({ ...change.data, deviceId: change.entityId });
+      }
+      
+      deviceChanges.push(...accepted);
+      remainingChanges = remainingChanges.filter(change => !accepted.includes(change));
+      registered = accepted.length > 0;
+    }
+    
+    const entityChanges = [];
+    const heldChanges = [];
+    
+    for (const change of remainingChanges) {
+      if (this.isDeviceRevoked(change.deviceId)) {
+        console.warn(`Rejected change ${change.id} from revoked device ${change.deviceId}`);
+      } else if (!this.devices[change.deviceId]) {
+        heldChanges.push(change);
+      } else if (change.entityType !== SYNC_DEVICE_ENTITY) {
+        entityChanges.push(change);
+      }
+    }
+    
+    if (heldChanges.length > 0 || this.heldChanges.length > 0) {
+      this.heldChanges = heldChanges;
+      await this.storage.setItem(SYNC_HELD_CHANGES_KEY, JSON.stringify(this.heldChanges));
+    }
+    
+    if (heldChanges.length > 0) {
+      console.warn(`${heldChanges.length} changes are from devices that are not registered yet`);
+    }
+    
+    // Record when each device was last seen
+    const lastSeen = {};
+    
+    for (const change of [...deviceChanges, ...entityChanges]) {
+      if (this.devices[change.deviceId]) {
+        lastSeen[change.deviceId] = Math.max(lastSeen[change.deviceId] || 0, change.timestamp || 0);
+      }
+    }
+    
+    for (const deviceId in lastSeen) {
+      await this.upsertDevice({ deviceId, lastSeenAt: new Date(lastSeen[deviceId]).toISOString() });
+    }
+    
+    return entityChanges;
+  }
+  
+  /**
+   * Add a listener for sync events
+   * @param {Function} listener - Listener function
+   * @returns {Function} Function to remove the listener
+   */
+  addListener(listener) {
+    if (typeof listener !== 'function') {
+      console.warn('Listener must be a function');
+      return () => {};
+    }
+    
+    this.listeners.push(listener);
+    
+    return () => this.removeListener(listener);
+  }
+  
+  /**
+   * Remove a listener
+   * @param {Function} listener - Listener function to remove
+   */
+  removeListener(listener) {
+    this.listeners = this.listeners.filter(l => l !== listener);
+  }
+  
+  /**
+   * Notify all listeners of an event. Listeners are called in order and each
+   * one finishes, including asynchronous work such as applying a remote
+   * change, before the next is called. A listener failing to apply a change
+   * fails the notification, so the change is not treated as applied.
+   * @param {Object} event - Event object
+   * @returns {Promise<void>}
+   */
+  async notifyListeners(event) {
+    for (const listener of this.listeners) {
+      try {
+        await listener(event);
+      } catch (error) {
+        console.error('Error in sync listener:', error);
+        
+        if (event.type === 'change') {
+          throw error;
+        }
+      }
+    }
+  }
+  
+  /**
+   * Clean up resources
+   * @returns {Promise<boolean>} Success status
+   */
+  async cleanup() {
+    try {
+      // Stop sync
+      await this.stopSync();
+      
+      // Remove network listener
+      if (this.netInfoUnsubscribe) {
+        this.netInfoUnsubscribe();
+        this.netInfoUnsubscribe = null;
+      }
+      
+      // Clear listeners
+      this.listeners = [];
+      
+      console.log('Sync Service cleaned up');
+      return true;
+    } catch (error) {
+      console.error('Error cleaning up Sync Service:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Force an immediate sync
+   * @returns {Promise<Object>} Sync result
+   */
+  async forceSync() {
     return await this.syncData();
   }
   
@@ -566,8 +1980,18 @@ class SyncService {
       isSyncing: this.isSyncing,
       lastSyncTimestamp: this.lastSyncTimestamp,
       pendingChangesCount: this.pendingChanges.length,
+      maxPendingChanges: MAX_PENDING_CHANGES,
+      conflictsCount: this.conflicts.length,
+      encryptionEnabled: this.isEncryptionEnabled(),
+      lockedChangesCount: this.lockedChanges.length,
+      heldChangesCount: this.heldChanges.length,
+      consecutiveFailures: this.consecutiveFailures,
+      nextRetryAt: this.nextRetryAt,
+      degraded: this.isDegraded(),
       syncEnabled: !!this.syncInterval,
       deviceId: this.deviceId,
+      accountId: this.accountId,
+      devicesCount: Object.keys(this.devices).length,
       platform: this.platform
     };
   }
@@ -582,17 +2006,34 @@ class SyncService {
       await this.stopSync();
       
       // Clear sync data
-      await AsyncStorage.removeItem(SYNC_LAST_TIMESTAMP_KEY);
-      await AsyncStorage.removeItem(SYNC_PENDING_CHANGES_KEY);
+      await this.storage.removeItem(SYNC_LAST_TIMESTAMP_KEY);
+      await this.storage.removeItem(SYNC_PENDING_CHANGES_KEY);
+      await this.storage.removeItem(SYNC_BASE_VERSIONS_KEY);
+      await this.storage.removeItem(SYNC_CONFLICTS_KEY);
+      await this.storage.removeItem(SYNC_CLOCK_KEY);
+      await this.storage.removeItem(SYNC_LOCKED_CHANGES_KEY);
+      await this.storage.removeItem(SYNC_ACCOUNT_ID_KEY);
+      await this.storage.removeItem(SYNC_DEVICES_KEY);
+      await this.storage.removeItem(SYNC_HELD_CHANGES_KEY);
+      await this.secureStore.deleteItemAsync(SYNC_KEYRING_KEY);
       
       // Reset properties
       this.lastSyncTimestamp = 0;
       this.pendingChanges = [];
+      this.baseVersions = {};
+      this.conflicts = [];
+      this.keyring = { activeKeyId: null, keys: {} };
+      this.lockedChanges = [];
+      this.accountId = null;
+      this.devices = {};
+      this.heldChanges = [];
+      this.consecutiveFailures = 0;
+      this.nextRetryAt = null;
       
       console.log('Sync data reset');
       
       // Notify listeners
-      this.notifyListeners({
+      await this.notifyListeners({
         type: 'reset'
       });
       
@@ -608,3 +2049,14 @@ class SyncService {
 const syncService = new SyncService();
 
 export default syncService;
+export {
+  SyncService,
+  CONFLICT_RESOLUTIONS,
+  MAX_PENDING_CHANGES,
+  SYNC_MAX_ATTEMPTS,
+  SYNC_KEY_ENTITY,
+  SYNC_DEVICE_ENTITY,
+  compareChanges,
+  compactChange,
+  getRetryDelay
+};
@@ -0,0 +1,300 @@
+/**
+ * Calendar Adapter for Ace Assistant
+ * 
+ * Default access to the device calendar for calendar sync, backed by
+ * expo-calendar. The Calendar Sync Service accepts any object with the same
+ * methods, so events can come from elsewhere, such as an in-memory calendar
+ * in tests.
+ * 
+ * Events are plain objects with an RRULE string for their recurrence and an
+ * etag, a fingerprint of the event's contents. Updates and deletes are given
+ * the etag last read and fail when the event was changed since, so changes
+ * made in the calendar are not overwritten unseen.
+ */
+
+import * as Calendar from 'expo-calendar';
+import { formatRRule, normalizeRecurrence } from '../recurrence/recurrenceRules';
+
+// Weekday codes by expo-calendar day of the week, which starts at 1 for Sunday
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const BY_DAY_PATTERN = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/;
+
+// Error codes expo-calendar rejects with when an event does not exist
+const EVENT_NOT_FOUND_CODES = ['E_EVENT_NOT_FOUND', 'ERR_EVENT_NOT_FOUND'];
+
+/**
+ * Check whether an error from expo-calendar means that an event does not exist
+ * @param {Error} error - Error
+ * @returns {boolean} Whether the event was not found
+ */
+function isEventNotFoundError(error) {
+  return EVENT_NOT_FOUND_CODES.includes(error.code) || /event .*(not|couldn't|could not) be found/i.test(error.message || '');
+}
+
+/**
+ * Turn an RRULE string into an expo-calendar recurrence rule
+ * @param {string|null} rrule - RRULE
+ * @returns {Object|null} Recurrence rule, or null for none
+ */
+function toRecurrenceRule(rrule) {
+  const rule = normalizeRecurrence(rrule);
+  
+  if (!rule) {
+    return null;
+  }
+  
+  const recurrenceRule = {
+    frequency: rule.frequency,
+    interval: rule.interval
+  };
+  
+  if (rule.count) {
+    recurrenceRule.occurrence = rule.count;
+  }
+  
+  if (rule.until) {
+    recurrenceRule.endDate = rule.until;
+  }
+  
+  if (rule.byDay) {
+    recurrenceRule.daysOfTheWeek = rule.byDay.map(value => {
+      const [, nth, code] = value.match(BY_DAY_PATTERN);
+      
+      return {
+        dayOfTheWeek: WEEKDAY_CODES.indexOf(code) + 1,
+        ...(nth ? { weekNumber: parseInt(nth, 10) } : {})
+      };
+    });
+  }
+  
+  if (rule.byMonthDay) {
+    recurrenceRule.daysOfTheMonth = rule.byMonthDay;
+  }
+  
+  if (rule.byMonth) {
+    recurrenceRule.monthsOfTheYear = rule.byMonth;
+  }
+  
+  return recurrenceRule;
+}
+
+/**
+ * Turn an expo-calendar recurrence rule into an RRULE string
+ * @param {Object|null} recurrenceRule - Recurrence rule
+ * @returns {string|null} RRULE, or null for none
+ */
+function fromRecurrenceRule(recurrenceRule) {
+  if (!recurrenceRule || !recurrenceRule.frequency) {
+    return null;
+  }
+  
+  return formatRRule({
+    frequency: recurrenceRule.frequency,
+    interval: recurrenceRule.interval,
+    count: recurrenceRule.occurrence,
+    until: recurrenceRule.endDate,
+    byDay: (recurrenceRule.daysOfTheWeek || []).map(day =>
+      `${day.weekNumber || ''}${WEEKDAY_CODES[day.dayOfTheWeek - 1]}`),
+    byMonthDay: recurrenceRule.daysOfTheMonth,
+    byMonth: recurrenceRule.monthsOfTheYear
+  });
+}
+
+/**
+ * Get the etag of an event from its contents
+ * @param {Object} event - Event without its etag
+ * @returns {string} Etag
+ */
+function getEtag(event) {
+  const text = JSON.stringify([
+    event.title,
+    event.notes,
+    event.location,
+    event.startDate,
+    event.endDate,
+    event.recurrence,
+    event.url
+  ]);
+  let hash = 5381;
+  
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+  }
+  
+  return hash.toString(16);
+}
+
+/**
+ * Turn an expo-calendar event into a plain event
+ * @param {Object} calendarEvent - Event from expo-calendar
+ * @returns {Object} Event with its RRULE and etag
+ */
+function toEvent(calendarEvent) {
+  const event = {
+    id: calendarEvent.id,
+    calendarId: calendarEvent.calendarId,
+    title: calendarEvent.title || '',
+    notes: calendarEvent.notes || '',
+    location: calendarEvent.location || '',
+    startDate: new Date(calendarEvent.startDate).toISOString(),
+    endDate: new Date(calendarEvent.endDate).toISOString(),
+    recurrence: fromRecurrenceRule(calendarEvent.recurrenceRule),
+    url: calendarEvent.url || null
+  };
+  
+  return { ...event, etag: getEtag(event) };
+}
+
+/**
+ * Get the expo-calendar details of an event
+ * @param {Object} details - Event title, notes, location, dates, RRULE and URL
+ * @returns {Object} Event details for expo-calendar
+ */
+function toCalendarDetails(details) {
+  return {
+    title: details.title,
+    notes: details.notes,
+    location: details.location,
+    startDate: new Date(details.startDate),
+    endDate: new Date(details.endDate),
+    recurrenceRule: toRecurrenceRule(details.recurrence),
+    url: details.url
+  };
+}
+
+const calendarAdapter = {
+  /**
+   * Ask for permission to read and write the device calendar
+   * @returns {Promise<boolean>} Whether permission was granted
+   */
+  async requestPermission() {
+    const { status } = await Calendar.requestCalendarPermissionsAsync();
+    return status === 'granted';
+  },
+  
+  /**
+   * Get the calendar new events are written to
+   * @returns {Promise<string|null>} Calendar ID, or null when none can be written
+   */
+  async getDefaultCalendarId() {
+    const calendars = await Calendar.getCalendarsAsync(Calendar.EntityTypes.EVENT);
+    const defaultCalendar = calendars.find(calendar => calendar.allowsModifications);
+    
+    return defaultCalendar ? defaultCalendar.id : null;
+  },
+  
+  /**
+   * Get the events within a date range. A recurring event is listed once,
+   * starting at its first occurrence.
+   * @param {Object} options - Options
+   * @param {Array<string>|null} options.calendarIds - Calendars to read (defaults to all)
+   * @param {Date} options.startDate - Start of the range
+   * @param {Date} options.endDate - End of the range
+   * @returns {Promise<Array<Object>>} Events
+   */
+  async getEvents({ calendarIds = null, startDate, endDate }) {
+    const ids = calendarIds ||
+      (await Calendar.getCalendarsAsync(Calendar.EntityTypes.EVENT)).map(calendar => calendar.id);
+    
+    if (ids.length === 0) {
+      return [];
+    }
+    
+    const calendarEvents = await Calendar.getEventsAsync(ids, startDate, endDate);
+    const events = {};
+    
+    for (const calendarEvent of calendarEvents) {
+      if (events[calendarEvent.id]) {
+        continue;
+      }
+      
+      // Occurrences of a recurring event share its ID; the event itself
+      // starts at the first one
+      events[calendarEvent.id] = toEvent(calendarEvent.recurrenceRule
+        ? await Calendar.getEventAsync(calendarEvent.id)
+        : calendarEvent);
+    }
+    
+    return Object.values(events);
+  },
+  
+  /**
+   * Get an event. Errors other than the event not existing, such as a
+   * revoked permission, are thrown so that they are not taken for a deletion
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object|null>} Event, or null if it was deleted
+   */
+  async getEvent(eventId) {
+    try {
+      const calendarEvent = await Calendar.getEventAsync(eventId);
+      return calendarEvent ? toEvent(calendarEvent) : null;
+    } catch (error) {
+      if (isEventNotFoundError(error)) {
+        return null;
+      }
+      
+      throw error;
+    }
+  },
+  
+  /**
+   * Create an event
+   * @param {string} calendarId - Calendar ID
+   * @param {Object} details - Event title, notes, location, dates, RRULE and URL
+   * @returns {Promise<Object>} Event ID and etag
+   */
+  async createEvent(calendarId, details) {
+    const id = await Calendar.createEventAsync(calendarId, toCalendarDetails(details));
+    const event = await this.getEvent(id);
+    
+    return { id, etag: event ? event.etag : null };
+  },
+  
+  /**
+   * Update an event, unless it was changed since it was last read
+   * @param {string} eventId - Event ID
+   * @param {Object} details - Event title, notes, location, dates, RRULE and URL
+   * @param {string} etag - Etag of the event when it was last read
+   * @returns {Promise<Object>} New etag
+   */
+  async updateEvent(eventId, details, etag) {
+    const current = await this.getEvent(eventId);
+    
+    if (!current) {
+      throw new Error(`Calendar event ${eventId} not found`);
+    }
+    
+    if (etag && current.etag !== etag) {
+      throw new Error(`Calendar event ${eventId} was changed in the calendar`);
+    }
+    
+    await Calendar.updateEventAsync(eventId, toCalendarDetails(details), { futureEvents: true });
+    const event = await this.getEvent(eventId);
+    
+    return { etag: event ? event.etag : null };
+  },
+  
+  /**
+   * Delete an event, unless it was changed since it was last read
+   * @param {string} eventId - Event ID
+   * @param {string} etag - Etag of the event when it was last read
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteEvent(eventId, etag) {
+    const current = await this.getEvent(eventId);
+    
+    if (!current) {
+      return true;
+    }
+    
+    if (etag && current.etag !== etag) {
+      throw new Error(`Calendar event ${eventId} was changed in the calendar`);
+    }
+    
+    await Calendar.deleteEventAsync(eventId, { futureEvents: true });
+    return true;
+  }
+};
+
+export default calendarAdapter;
@@ -0,0 +1,120 @@
+/**
+ * Calendar mapping for Ace Assistant
+ * 
+ * Turns meetings into device calendar events and back. Events written by Ace
+ * carry the meeting ID in their URL, so a meeting is found again from its
+ * event even when the link between them was lost, such as on a new device
+ * reading a shared calendar.
+ * 
+ * Calendar events hold a meeting's title, description, location, time and
+ * recurrence rule. Changed occurrences of a series stay in Ace, and the
+ * other meeting fields (participants, agenda, status) are not in the
+ * calendar at all.
+ */
+
+import { formatRRule, normalizeRecurrence } from '../recurrence/recurrenceRules';
+
+// URL of the calendar event of a meeting, followed by the meeting ID
+const ACE_EVENT_URL_PREFIX = 'ace://meetings/';
+
+// Length of a calendar event for a meeting without an end time
+const DEFAULT_EVENT_DURATION = 60 * 60 * 1000;
+
+/**
+ * Get the calendar event details of a meeting
+ * @param {Object} meeting - Meeting
+ * @returns {Object} Event title, notes, location, dates, recurrence and URL
+ */
+function toCalendarEvent(meeting) {
+  const startDate = new Date(meeting.startTime);
+  const endDate = meeting.endTime
+    ? new Date(meeting.endTime)
+    : new Date(startDate.getTime() + DEFAULT_EVENT_DURATION);
+  
+  return {
+    title: meeting.title,
+    notes: meeting.description || '',
+    location: meeting.location || '',
+    startDate: startDate.toISOString(),
+    endDate: endDate.toISOString(),
+    recurrence: meeting.recurrence ? formatRRule(meeting.recurrence) : null,
+    url: `${ACE_EVENT_URL_PREFIX}${meeting.id}`
+  };
+}
+
+/**
+ * Get the meeting fields of a calendar event
+ * @param {Object} event - Calendar event
+ * @returns {Object} Meeting title, description, location, times and recurrence
+ */
+function fromCalendarEvent(event) {
+  return {
+    title: event.title || 'Untitled event',
+    description: event.notes || '',
+    location: event.location || '',
+    startTime: new Date(event.startDate).toISOString(),
+    endTime: new Date(event.endDate).toISOString(),
+    recurrence: event.recurrence ? normalizeRecurrence(event.recurrence) : null
+  };
+}
+
+/**
+ * Get the meeting fields a calendar event changes. Only changed fields are
+ * returned, so an unchanged recurrence rule keeps the changed occurrences of
+ * a series.
+ * @param {Object} meeting - Meeting
+ * @param {Object} event - Calendar event
+ * @returns {Object} Changed meeting fields, empty when none changed
+ */
+function getMeetingChanges(meeting, event) {
+  const current = toCalendarEvent(meeting);
+  const fields = fromCalendarEvent(event);
+  const changes = {};
+  
+  if (fields.title !== meeting.title) {
+    changes.title = fields.title;
+  }
+  
+  if (fields.description !== current.notes) {
+    changes.description = fields.description;
+  }
+  
+  if (fields.location !== current.location) {
+    changes.location = fields.location;
+  }
+  
+  if (fields.startTime !== current.startDate) {
+    changes.startTime = fields.startTime;
+  }
+  
+  if (fields.endTime !== current.endDate) {
+    changes.endTime = fields.endTime;
+  }
+  
+  if ((fields.recurrence ? formatRRule(fields.recurrence) : null) !== current.recurrence) {
+    changes.recurrence = fields.recurrence;
+  }
+  
+  return changes;
+}
+
+/**
+ * Get the ID of the meeting a calendar event was written for
+ * @param {Object} event - Calendar event
+ * @returns {string|null} Meeting ID, or null for events not written by Ace
+ */
+function getLinkedMeetingId(event) {
+  if (!event.url || !String(event.url).startsWith(ACE_EVENT_URL_PREFIX)) {
+    return null;
+  }
+  
+  return String(event.url).slice(ACE_EVENT_URL_PREFIX.length) || null;
+}
+
+export {
+  ACE_EVENT_URL_PREFIX,
+  toCalendarEvent,
+  fromCalendarEvent,
+  getMeetingChanges,
+  getLinkedMeetingId
+};
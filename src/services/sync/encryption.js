@@ -0,0 +1,204 @@
+/**
+ * Sync encryption for Ace Assistant
+ * 
+ * End-to-end encryption of sync payloads. Change data is encrypted on the
+ * device with XChaCha20-Poly1305 before it is sent, so the sync server only
+ * stores ciphertext. Keys are either derived from a user passphrase or
+ * pairing secret with PBKDF2, or generated randomly when keys are rotated.
+ */
+
+import * as Crypto from 'expo-crypto';
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { bytesToHex, hexToBytes, utf8ToBytes, bytesToUtf8 } from '@noble/ciphers/utils';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha256';
+import appConfig from '../../constants/appConfig';
+
+// Constants
+const ENCRYPTION_VERSION = 1;
+const ENCRYPTION_ALGORITHM = 'xchacha20poly1305';
+const KEY_BYTES = 32;
+const NONCE_BYTES = 24;
+const SALT_BYTES = 16;
+const KEY_DERIVATION_ITERATIONS = appConfig.sync.keyDerivationIterations || 310000;
+const KEYRING_ASSOCIATED_DATA = 'ace-sync-keyring';
+
+/**
+ * Get the ID of a key, shared by every device holding the same key
+ * @param {string} key - Key as hex
+ * @returns {string} Key ID
+ */
+function getKeyId(key) {
+  return bytesToHex(sha256(utf8ToBytes(`ace-sync-key:${key}`))).slice(0, 16);
+}
+
+/**
+ * Create a keyring entry for a key
+ * @param {string} key - Key as hex
+ * @param {string|null} salt - Salt the key was derived with, as hex
+ * @param {number|null} iterations - Key derivation iterations
+ * @returns {Object} Key entry
+ */
+function createKeyEntry(key, salt = null, iterations = null) {
+  return {
+    id: getKeyId(key),
+    key,
+    salt,
+    iterations,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Generate a random key
+ * @returns {Object} Key entry
+ */
+function generateKey() {
+  return createKeyEntry(bytesToHex(Crypto.getRandomBytes(KEY_BYTES)));
+}
+
+/**
+ * Derive a key from a passphrase or pairing secret
+ * @param {string} secret - Passphrase or pairing secret
+ * @param {string} salt - Salt as hex (defaults to a new random salt)
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<Object>} Key entry
+ */
+async function deriveKey(secret, salt = null, iterations = KEY_DERIVATION_ITERATIONS) {
+  if (!secret) {
+    throw new Error('A passphrase or pairing secret is required');
+  }
+  
+  const keySalt = salt || bytesToHex(Crypto.getRandomBytes(SALT_BYTES));
+  const key = await pbkdf2Async(sha256, utf8ToBytes(secret.normalize('NFKC')), hexToBytes(keySalt), {
+    c: iterations,
+    dkLen: KEY_BYTES
+  });
+  
+  return createKeyEntry(bytesToHex(key), keySalt, iterations);
+}
+
+/**
+ * Encrypt a JSON-compatible payload
+ * @param {*} payload - Payload to encrypt
+ * @param {Object} keyEntry - Key entry
+ * @param {string} associatedData - Authenticated but unencrypted context
+ * @returns {Object} Encrypted envelope
+ */
+function encryptPayload(payload, keyEntry, associatedData) {
+  const nonce = Crypto.getRandomBytes(NONCE_BYTES);
+  const cipher = xchacha20poly1305(hexToBytes(keyEntry.key), nonce, utf8ToBytes(associatedData));
+  
+  const envelope = {
+    v: ENCRYPTION_VERSION,
+    alg: ENCRYPTION_ALGORITHM,
+    keyId: keyEntry.id,
+    nonce: bytesToHex(nonce),
+    ciphertext: bytesToHex(cipher.encrypt(utf8ToBytes(JSON.stringify(payload))))
+  };
+  
+  // Other devices need the salt to derive the key from the same passphrase
+  if (keyEntry.salt) {
+    envelope.salt = keyEntry.salt;
+    envelope.iterations = keyEntry.iterations;
+  }
+  
+  return envelope;
+}
+
+/**
+ * Decrypt an encrypted envelope
+ * @param {Object} envelope - Encrypted envelope
+ * @param {Object} keyEntry - Key entry matching the envelope's key ID
+ * @param {string} associatedData - Context the envelope was encrypted with
+ * @returns {*} Decrypted payload
+ */
+function decryptPayload(envelope, keyEntry, associatedData) {
+  if (envelope.v !== ENCRYPTION_VERSION || envelope.alg !== ENCRYPTION_ALGORITHM) {
+    throw new Error(`Unsupported encryption format: ${envelope.alg} v${envelope.v}`);
+  }
+  
+  try {
+    const cipher = xchacha20poly1305(
+      hexToBytes(keyEntry.key),
+      hexToBytes(envelope.nonce),
+      utf8ToBytes(associatedData)
+    );
+    
+    return JSON.parse(bytesToUtf8(cipher.decrypt(hexToBytes(envelope.ciphertext))));
+  } catch (error) {
+    throw new Error('Encrypted payload could not be decrypted');
+  }
+}
+
+/**
+ * Get the context bound to an encrypted change, so that ciphertext cannot be
+ * moved to another change or entity
+ * @param {Object} change - Change record
+ * @returns {string} Associated data
+ */
+function getChangeAssociatedData(change) {
+  return [change.id, change.entityType, change.entityId, change.action].join('|');
+}
+
+/**
+ * Seal a payload with a passphrase or pairing secret
+ * @param {*} payload - Payload to seal
+ * @param {string} secret - Passphrase or pairing secret
+ * @param {string} associatedData - Context the payload is sealed for
+ * @returns {Promise<string>} Sealed payload
+ */
+async function sealPayload(payload, secret, associatedData) {
+  const secretKey = await deriveKey(secret);
+  
+  return JSON.stringify(encryptPayload(payload, secretKey, associatedData));
+}
+
+/**
+ * Open a payload sealed with a passphrase or pairing secret
+ * @param {string} sealed - Sealed payload
+ * @param {string} secret - Passphrase or pairing secret
+ * @param {string} associatedData - Context the payload was sealed for
+ * @returns {Promise<*>} Payload
+ */
+async function openPayload(sealed, secret, associatedData) {
+  const envelope = JSON.parse(sealed);
+  const secretKey = await deriveKey(secret, envelope.salt, envelope.iterations);
+  
+  return decryptPayload(envelope, secretKey, associatedData);
+}
+
+/**
+ * Seal a keyring with a pairing secret so it can be handed to a new device
+ * @param {Object} keyring - Keyring (activeKeyId and keys)
+ * @param {string} secret - Pairing secret
+ * @returns {Promise<string>} Sealed keyring
+ */
+async function sealKeyring(keyring, secret) {
+  return await sealPayload(keyring, secret, KEYRING_ASSOCIATED_DATA);
+}
+
+/**
+ * Open a keyring sealed with a pairing secret
+ * @param {string} sealed - Sealed keyring
+ * @param {string} secret - Pairing secret
+ * @returns {Promise<Object>} Keyring
+ */
+async function openKeyring(sealed, secret) {
+  return await openPayload(sealed, secret, KEYRING_ASSOCIATED_DATA);
+}
+
+export {
+  ENCRYPTION_ALGORITHM,
+  KEY_DERIVATION_ITERATIONS,
+  getKeyId,
+  generateKey,
+  deriveKey,
+  encryptPayload,
+  decryptPayload,
+  getChangeAssociatedData,
+  sealPayload,
+  openPayload,
+  sealKeyring,
+  openKeyring
+};
@@ -0,0 +1,170 @@
+/**
+ * Merge utilities for Ace Assistant sync
+ * 
+ * Field-level three-way merge of entity versions. Each entity is compared
+ * against the base version last agreed with the sync server, so fields that
+ * changed on only one device merge automatically and only fields changed on
+ * both devices are reported as conflicts.
+ */
+
+// Fields that change on every edit and are never treated as conflicts
+const MERGE_IGNORED_FIELDS = ['updatedAt'];
+
+// Fields that only mean something on the device that set them, such as the
+// IDs of the notifications a reminder scheduled there; they are neither
+// synced nor merged
+const DEVICE_LOCAL_FIELDS = ['notificationIds', 'deliveries', 'calendarEventId'];
+
+/**
+ * Deep equality check for JSON-compatible values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} Whether the values are equal
+ */
+function isEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+    // Treat missing and null fields as equal
+    return (a === undefined || a === null) && (b === undefined || b === null);
+  }
+  
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  
+  for (const key of keys) {
+    if (!isEqual(a[key], b[key])) {
+      return false;
+    }
+  }
+  
+  return true;
+}
+
+/**
+ * Remove device-local fields from a version of an entity
+ * @param {Object|null} data - Entity version
+ * @returns {Object|null} Entity version without device-local fields
+ */
+function omitDeviceFields(data) {
+  if (!data) {
+    return data;
+  }
+  
+  const version = { ...data };
+  
+  for (const field of DEVICE_LOCAL_FIELDS) {
+    delete version[field];
+  }
+  
+  return version;
+}
+
+/**
+ * Get the names of fields that differ between two versions of an entity
+ * @param {Object} base - Base version
+ * @param {Object} data - Changed version
+ * @returns {Array<string>} Changed field names
+ */
+function diffFields(base, data) {
+  const fields = new Set([...Object.keys(base || {}), ...Object.keys(data || {})]);
+  
+  return [...fields].filter(field =>
+    !MERGE_IGNORED_FIELDS.includes(field) &&
+    !DEVICE_LOCAL_FIELDS.includes(field) &&
+    !isEqual((base || {})[field], (data || {})[field])
+  );
+}
+
+/**
+ * Apply a change record to a version of its entity
+ * @param {Object|null} base - Entity version the change is applied to
+ * @param {Object} change - Change record
+ * @returns {Object|null} Resulting version (null when deleted)
+ */
+function applyChange(base, change) {
+  if (change.action === 'delete') {
+    return null;
+  }
+  
+  // Without a base or a field list, the change carries the whole entity
+  if (!base || !change.changedFields || change.action === 'create') {
+    return change.data;
+  }
+  
+  const version = { ...base };
+  
+  for (const field of change.changedFields) {
+    version[field] = change.data[field];
+  }
+  
+  for (const field of MERGE_IGNORED_FIELDS) {
+    if (change.data[field] !== undefined) {
+      version[field] = change.data[field];
+    }
+  }
+  
+  return version;
+}
+
+/**
+ * Merge local and remote versions of an entity against their common base
+ * @param {Object|null} base - Common base version
+ * @param {Object} local - Local version
+ * @param {Object} remote - Remote version
+ * @param {Object} options - Merge options
+ * @param {boolean} options.localIsNewer - Whether the latest local change is ordered after
+ *   the latest remote change; decides ignored fields such as updatedAt
+ * @returns {Object} Merge result with merged version and conflicting fields
+ */
+function mergeVersions(base, local, remote, options = {}) {
+  const merged = {};
+  const conflicts = [];
+  const fields = new Set([...Object.keys(local || {}), ...Object.keys(remote || {})]);
+  
+  for (const field of fields) {
+    if (DEVICE_LOCAL_FIELDS.includes(field)) {
+      continue;
+    }
+    
+    const localValue = local[field];
+    const remoteValue = remote[field];
+    
+    if (MERGE_IGNORED_FIELDS.includes(field)) {
+      // Take the value from the side whose latest change is newer
+      const localIsNewer = options.localIsNewer !== undefined
+        ? options.localIsNewer
+        : localValue > remoteValue;
+      merged[field] = (localIsNewer && localValue !== undefined) || remoteValue === undefined ? localValue : remoteValue;
+    } else if (isEqual(localValue, remoteValue)) {
+      merged[field] = localValue;
+    } else if (base && isEqual(localValue, base[field])) {
+      // Changed remotely only
+      merged[field] = remoteValue;
+    } else if (base && isEqual(remoteValue, base[field])) {
+      // Changed locally only
+      merged[field] = localValue;
+    } else {
+      // Changed on both sides; keep the local value until the conflict is resolved
+      merged[field] = localValue;
+      conflicts.push(field);
+    }
+  }
+  
+  return { merged, conflicts };
+}
+
+export {
+  MERGE_IGNORED_FIELDS,
+  DEVICE_LOCAL_FIELDS,
+  isEqual,
+  omitDeviceFields,
+  diffFields,
+  applyChange,
+  mergeVersions
+};
@@ -0,0 +1,141 @@
+/**
+ * Device pairing utilities for Ace Assistant sync
+ * 
+ * Pairing codes are random secrets shown on one device, usually as a QR
+ * code, and scanned or typed on the other. Both devices stretch the code with
+ * scrypt into a lookup hash for the sync server and a secret that seals the
+ * pairing offer. The code is long enough, and scrypt slow enough, that the
+ * server cannot recover it from the hash before the offer expires.
+ */
+
+import * as Crypto from 'expo-crypto';
+import { bytesToHex, utf8ToBytes } from '@noble/ciphers/utils';
+import { scryptAsync } from '@noble/hashes/scrypt';
+import appConfig from '../../constants/appConfig';
+
+// Constants
+// Letters and digits that are hard to confuse when read aloud or typed
+const PAIRING_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const PAIRING_CODE_LENGTH = 16; // about 79 bits
+const PAIRING_CODE_GROUP_LENGTH = 4;
+const PAIRING_QR_TYPE = 'ace-pairing';
+const PAIRING_QR_VERSION = 2;
+const PAIRING_KEY_SALT = 'ace-pairing-v2';
+const PAIRING_KEY_COST = appConfig.sync.pairingKeyCost || 2 ** 15; // scrypt N, 32 MB with r = 8
+const PAIRING_KEY_BYTES = 32;
+const DEVICE_TOKEN_BYTES = 32;
+
+/**
+ * Generate a pairing code
+ * @returns {string} Pairing code formatted as XXXX-XXXX-XXXX-XXXX
+ */
+function generatePairingCode() {
+  const bytes = Crypto.getRandomBytes(PAIRING_CODE_LENGTH * 2);
+  let code = '';
+  
+  // Rejection sampling keeps every character equally likely
+  for (let i = 0; i < bytes.length && code.length < PAIRING_CODE_LENGTH; i++) {
+    if (bytes[i] < 256 - (256 % PAIRING_CODE_ALPHABET.length)) {
+      code += PAIRING_CODE_ALPHABET[bytes[i] % PAIRING_CODE_ALPHABET.length];
+    }
+  }
+  
+  if (code.length < PAIRING_CODE_LENGTH) {
+    return generatePairingCode();
+  }
+  
+  return code.match(new RegExp(`.{${PAIRING_CODE_GROUP_LENGTH}}`, 'g')).join('-');
+}
+
+/**
+ * Normalize a pairing code as typed by the user
+ * @param {string} code - Pairing code
+ * @returns {string} Upper case code without separators
+ */
+function normalizePairingCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Derive the keys for a pairing from its code with scrypt. The code hash
+ * identifies the offer on the sync server; the secret seals the offer and
+ * never leaves the devices
+ * @param {string} code - Pairing code
+ * @returns {Promise<Object>} Code hash and sealing secret, both as hex
+ */
+async function derivePairingKeys(code) {
+  const keys = await scryptAsync(utf8ToBytes(normalizePairingCode(code)), utf8ToBytes(PAIRING_KEY_SALT), {
+    N: PAIRING_KEY_COST,
+    r: 8,
+    p: 1,
+    dkLen: PAIRING_KEY_BYTES * 2
+  });
+  
+  return {
+    codeHash: bytesToHex(keys.slice(0, PAIRING_KEY_BYTES)),
+    secret: bytesToHex(keys.slice(PAIRING_KEY_BYTES))
+  };
+}
+
+/**
+ * Generate the token a device authenticates itself with to the sync server.
+ * The server registers it for the device when the device creates or joins an
+ * account, and only accepts requests from registered devices
+ * @returns {string} Device token as hex
+ */
+function generateDeviceToken() {
+  return bytesToHex(Crypto.getRandomBytes(DEVICE_TOKEN_BYTES));
+}
+
+/**
+ * Create the payload shown as a QR code on the offering device
+ * @param {string} code - Pairing code
+ * @param {Object} device - Offering device (name and platform)
+ * @returns {string} QR payload
+ */
+function createPairingQrPayload(code, device) {
+  return JSON.stringify({
+    type: PAIRING_QR_TYPE,
+    v: PAIRING_QR_VERSION,
+    code,
+    name: device.name,
+    platform: device.platform
+  });
+}
+
+/**
+ * Get the pairing code from a typed code or a scanned QR payload
+ * @param {string} input - Pairing code or QR payload
+ * @returns {string} Normalized pairing code
+ */
+function parsePairingInput(input) {
+  let code = input;
+  
+  if (typeof input === 'string' && input.trim().startsWith('{')) {
+    const payload = JSON.parse(input);
+    
+    if (payload.type !== PAIRING_QR_TYPE) {
+      throw new Error('Not an Ace pairing code');
+    }
+    
+    code = payload.code;
+  }
+  
+  const normalized = normalizePairingCode(code);
+  
+  if (normalized.length !== PAIRING_CODE_LENGTH) {
+    throw new Error('Invalid pairing code');
+  }
+  
+  return normalized;
+}
+
+export {
+  PAIRING_CODE_LENGTH,
+  generatePairingCode,
+  normalizePairingCode,
+  derivePairingKeys,
+  generateDeviceToken,
+  createPairingQrPayload,
+  parsePairingInput
+};
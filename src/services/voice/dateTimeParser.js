@@ -0,0 +1,900 @@
+/**
+ * Natural-language date and time parser for Ace Assistant
+ * 
+ * Turns phrases such as "next Friday at 4pm", "in two hours", "end of the
+ * month", "下周三下午三点" or "明早九点半" into absolute start and end times.
+ * Times are read as wall-clock times in the user's time zone: the device's
+ * own zone by default, or the IANA zone passed as `timeZone`.
+ * 
+ * The parser finds every date and time phrase in a sentence, so callers can
+ * also remove them from the rest of the command with stripDateTime().
+ */
+
+// Constants
+const DEFAULT_DURATION = 60; // minutes
+
+// Times used when only a part of the day is given
+const PERIOD_HOURS = {
+  dawn: 6,
+  morning: 9,
+  noon: 12,
+  afternoon: 15,
+  dusk: 18,
+  evening: 19,
+  night: 20
+};
+
+// End of the working day, for "end of day"
+const END_OF_DAY_HOUR = 17;
+
+// Hours from 1 to 6 without am/pm or a part of the day are read as afternoon
+const LATEST_AMBIGUOUS_PM_HOUR = 6;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const NUMBER_WORDS_EN = {
+  a: 1,
+  an: 1,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  eleven: 11,
+  twelve: 12,
+  fifteen: 15,
+  twenty: 20,
+  thirty: 30,
+  'forty five': 45,
+  'forty-five': 45,
+  'a couple of': 2,
+  'a few': 3,
+  'half a': 0.5,
+  'half an': 0.5
+};
+
+const MONTHS_EN = {
+  jan: 0,
+  january: 0,
+  feb: 1,
+  february: 1,
+  mar: 2,
+  march: 2,
+  apr: 3,
+  april: 3,
+  may: 4,
+  jun: 5,
+  june: 5,
+  jul: 6,
+  july: 6,
+  aug: 7,
+  august: 7,
+  sep: 8,
+  sept: 8,
+  september: 8,
+  oct: 9,
+  october: 9,
+  nov: 10,
+  november: 10,
+  dec: 11,
+  december: 11
+};
+
+const WEEKDAYS_EN = {
+  sunday: 0,
+  monday: 1,
+  tuesday: 2,
+  wednesday: 3,
+  thursday: 4,
+  friday: 5,
+  saturday: 6
+};
+
+const WEEKDAYS_ZH = {
+  日: 0,
+  天: 0,
+  一: 1,
+  二: 2,
+  三: 3,
+  四: 4,
+  五: 5,
+  六: 6
+};
+
+const DIGITS_ZH = {
+  零: 0,
+  〇: 0,
+  一: 1,
+  二: 2,
+  两: 2,
+  三: 3,
+  四: 4,
+  五: 5,
+  六: 6,
+  七: 7,
+  八: 8,
+  九: 9
+};
+
+const UNIT_ALIASES = {
+  minute: 'minute',
+  min: 'minute',
+  hour: 'hour',
+  hr: 'hour',
+  day: 'day',
+  week: 'week',
+  month: 'month',
+  year: 'year',
+  分钟: 'minute',
+  分: 'minute',
+  小时: 'hour',
+  钟头: 'hour',
+  天: 'day',
+  日: 'day',
+  周: 'week',
+  星期: 'week',
+  礼拜: 'week',
+  月: 'month',
+  年: 'year'
+};
+
+const PERIODS_ZH = {
+  凌晨: 'dawn',
+  早上: 'morning',
+  早晨: 'morning',
+  上午: 'morning',
+  中午: 'noon',
+  下午: 'afternoon',
+  傍晚: 'dusk',
+  晚上: 'night',
+  夜里: 'night'
+};
+
+const EN_NUMBER = '\\d+(?:\\.\\d+)?|a couple of|a few|half an?|an?|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|fifteen|twenty|thirty|forty[- ]five';
+const EN_UNIT = '(minute|min|hour|hr|day|week|month|year)s?';
+const EN_MONTH = Object.keys(MONTHS_EN).sort((a, b) => b.length - a.length).join('|');
+const EN_TIME = '(\\d{1,2})(?::(\\d{2}))?\\s?(am|pm|a\\.m\\.|p\\.m\\.)?';
+const ZH_NUMBER = '[\\d零〇一二两三四五六七八九十百]+';
+
+/**
+ * Parse a number written in Chinese numerals or digits
+ * @param {string} text - Number, such as 3, 十五 or 二十三
+ * @returns {number} Number
+ */
+function parseChineseNumber(text) {
+  if (/^\d+$/.test(text)) {
+    return parseInt(text, 10);
+  }
+  
+  let total = 0;
+  let current = 0;
+  
+  for (const char of text) {
+    if (char === '百') {
+      total += (current || 1) * 100;
+      current = 0;
+    } else if (char === '十') {
+      total += (current || 1) * 10;
+      current = 0;
+    } else {
+      current = DIGITS_ZH[char] !== undefined ? DIGITS_ZH[char] : current;
+    }
+  }
+  
+  return total + current;
+}
+
+/**
+ * Parse an English amount such as "two", "a couple of" or "1.5"
+ * @param {string} text - Amount
+ * @returns {number} Amount
+ */
+function parseEnglishNumber(text) {
+  const key = text.trim();
+  return NUMBER_WORDS_EN[key] !== undefined ? NUMBER_WORDS_EN[key] : parseFloat(key);
+}
+
+/**
+ * Get the wall-clock fields of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone, or undefined for the device's zone
+ * @returns {Object} Year, month (0-11), day, hour, minute and weekday
+ */
+function getWallClock(date, timeZone) {
+  if (!timeZone) {
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth(),
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      weekday: date.getDay()
+    };
+  }
+  
+  const parts = {};
+  
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = parseInt(part.value, 10);
+  });
+  
+  const day = { year: parts.year, month: parts.month - 1, day: parts.day };
+  
+  return {
+    ...day,
+    hour: parts.hour,
+    minute: parts.minute,
+    weekday: new Date(Date.UTC(day.year, day.month, day.day)).getUTCDay()
+  };
+}
+
+/**
+ * Get the instant of a wall-clock time in a time zone. Fields out of range
+ * roll over, so day 32 or hour 24 are the next month or day.
+ * @param {Object} fields - Year, month (0-11), day, hour and minute
+ * @param {string} timeZone - IANA time zone, or undefined for the device's zone
+ * @returns {Date} Instant
+ */
+function fromWallClock(fields, timeZone) {
+  const { year, month, day, hour = 0, minute = 0 } = fields;
+  
+  if (!timeZone) {
+    return new Date(year, month, day, hour, minute);
+  }
+  
+  const wall = Date.UTC(year, month, day, hour, minute);
+  
+  // The zone's offset at the guessed instant, checked again for DST changes
+  const offsetAt = instant => {
+    const clock = getWallClock(new Date(instant), timeZone);
+    return Date.UTC(clock.year, clock.month, clock.day, clock.hour, clock.minute) -
+      Math.floor(instant / MINUTE_MS) * MINUTE_MS;
+  };
+  
+  const guess = wall - offsetAt(wall);
+  return new Date(wall - offsetAt(guess));
+}
+
+/**
+ * Add days to a calendar day
+ * @param {Object} day - Year, month (0-11) and day
+ * @param {number} days - Days to add
+ * @returns {Object} Calendar day with its weekday
+ */
+function addDays(day, days) {
+  const date = new Date(Date.UTC(day.year, day.month, day.day + days));
+  
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth(),
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay()
+  };
+}
+
+/**
+ * Get the Monday of the week of a calendar day
+ * @param {Object} day - Calendar day with its weekday
+ * @returns {Object} Monday
+ */
+function startOfWeek(day) {
+  return addDays(day, -((day.weekday + 6) % 7));
+}
+
+/**
+ * Get the first day of a month relative to a calendar day
+ * @param {Object} day - Calendar day
+ * @param {number} months - Months to add
+ * @returns {Object} First day of the month
+ */
+function startOfMonth(day, months = 0) {
+  return addDays({ year: day.year, month: day.month + months, day: 1 }, 0);
+}
+
+/**
+ * Check that a spoken time is a time of day, so "25:00" is not read as a time
+ * @param {Object} time - Hour and minute as spoken
+ * @returns {boolean} Whether the hour is at most 23 and the minute at most 59
+ */
+function isTimeOfDay(time) {
+  return time.hour <= 23 && time.minute <= 59;
+}
+
+/**
+ * Convert a 12-hour clock time to 24 hours using am/pm or a part of the day
+ * @param {number} hour - Hour as spoken
+ * @param {string} meridiem - am or pm, if given
+ * @param {string} period - Part of the day, if given
+ * @returns {number} Hour from 0 to 23, or 24 for midnight at the end of the day
+ */
+function toHour24(hour, meridiem, period) {
+  if (meridiem) {
+    const pm = meridiem.startsWith('p');
+    
+    if (hour === 12) {
+      return pm ? 12 : 0;
+    }
+    
+    return pm ? hour + 12 : hour;
+  }
+  
+  if (hour > 12) {
+    return hour;
+  }
+  
+  if (period) {
+    if (period === 'dawn' || period === 'morning') {
+      return hour === 12 ? 0 : hour;
+    }
+    
+    if (period === 'noon') {
+      return hour < 11 ? hour + 12 : hour;
+    }
+    
+    // "12 at night" is the midnight that ends the day
+    if (hour === 12) {
+      return period === 'afternoon' ? 12 : 24;
+    }
+    
+    return hour + 12;
+  }
+  
+  return hour >= 1 && hour <= LATEST_AMBIGUOUS_PM_HOUR ? hour + 12 : hour;
+}
+
+/**
+ * Class collecting the date and time parts found in a sentence
+ */
+class DateTimeMatcher {
+  /**
+   * @param {string} text - Sentence
+   */
+  constructor(text) {
+    this.text = text;
+    this.lower = text.toLowerCase();
+    this.spans = [];
+  }
+  
+  /**
+   * Find every match of a pattern that does not overlap an earlier match
+   * @param {RegExp} pattern - Pattern (global)
+   * @param {Function} handle - Called with each match; returns false to reject it
+   */
+  find(pattern, handle) {
+    for (const match of this.lower.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      
+      if (this.spans.some(span => start < span.end && end > span.start)) {
+        continue;
+      }
+      
+      if (handle(match) !== false) {
+        this.spans.push({ start, end, text: this.text.slice(start, end) });
+      }
+    }
+  }
+}
+
+/**
+ * Parse English date and time phrases into date parts
+ * @param {DateTimeMatcher} matcher - Matcher for the sentence
+ * @param {Object} parts - Date parts, updated in place
+ */
+function matchEnglish(matcher, parts) {
+  // "in two hours", "3 days from now"
+  const addOffset = (amount, unit) => {
+    parts.offsets.push({ amount: parseEnglishNumber(amount), unit: UNIT_ALIASES[unit] });
+  };
+  
+  matcher.find(new RegExp(`\\bin (${EN_NUMBER}) ${EN_UNIT}\\b`, 'g'), match => addOffset(match[1], match[2]));
+  matcher.find(new RegExp(`\\b(${EN_NUMBER}) ${EN_UNIT} (?:from now|later)\\b`, 'g'), match => addOffset(match[1], match[2]));
+  
+  // "for 90 minutes", "for half an hour"
+  matcher.find(new RegExp(`\\bfor (${EN_NUMBER}) (minute|min|hour|hr)s?\\b`, 'g'), match => {
+    parts.duration = parseEnglishNumber(match[1]) * (UNIT_ALIASES[match[2]] === 'hour' ? 60 : 1);
+  });
+  
+  // "2026-10-20"
+  matcher.find(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g, match => {
+    parts.date = { year: +match[1], month: match[2] - 1, day: +match[3] };
+  });
+  
+  // "10/20", "10/20/2026"
+  matcher.find(/\b(?:on )?(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?\b/g, match => {
+    const year = match[3] ? (match[3].length === 2 ? 2000 + +match[3] : +match[3]) : null;
+    parts.date = { year, month: match[1] - 1, day: +match[2] };
+  });
+  
+  // "20 October", "the 20th of Oct, 2026"
+  matcher.find(new RegExp(`\\b(?:on )?(?:the )?(\\d{1,2})(?:st|nd|rd|th)?(?: of)? (${EN_MONTH})\\b\\.?(?:,? (\\d{4}))?`, 'g'), match => {
+    parts.date = { year: match[3] ? +match[3] : null, month: MONTHS_EN[match[2]], day: +match[1] };
+  });
+  
+  // "October 20", "Oct 20th, 2026"
+  matcher.find(new RegExp(`\\b(?:on )?(${EN_MONTH})\\.? (?:the )?(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,? (\\d{4}))?`, 'g'), match => {
+    parts.date = { year: match[3] ? +match[3] : null, month: MONTHS_EN[match[1]], day: +match[2] };
+  });
+  
+  // "on the 20th"
+  matcher.find(/\b(?:on )?the (\d{1,2})(?:st|nd|rd|th)\b/g, match => {
+    parts.date = { year: null, month: null, day: +match[1] };
+  });
+  
+  // "end of the month", "by end of day", "eod"
+  matcher.find(/\b(?:by )?(?:the )?end of (?:the |this )?(day|week|month|year)\b|\b(eod|eow)\b/g, match => {
+    parts.endOf = match[1] || (match[2] === 'eod' ? 'day' : 'week');
+  });
+  
+  // "this weekend", "next weekend"
+  matcher.find(/\b(?:(this|next|last) |the )?weekend\b/g, match => {
+    parts.range = { unit: 'weekend', offset: match[1] === 'next' ? 1 : match[1] === 'last' ? -1 : 0 };
+  });
+  
+  // "next week", "this month"
+  matcher.find(/\b(this|next|last) (week|month|year)\b/g, match => {
+    parts.range = { unit: match[2], offset: match[1] === 'next' ? 1 : match[1] === 'last' ? -1 : 0 };
+  });
+  
+  // Time ranges: "2-4pm", "from 10am to 11:30", "between 2 and 3"
+  matcher.find(new RegExp(`\\b(from |between )?${EN_TIME}\\s?(?:-|–|to|until|till|and)\\s?${EN_TIME}(?![\\w:])`, 'g'), match => {
+    const [, lead, startHour, startMinute, startMeridiem, endHour, endMinute, endMeridiem] = match;
+    
+    if (!lead && !startMeridiem && !endMeridiem && !startMinute && !endMinute) {
+      return false;
+    }
+    
+    if (match[0].includes(' and ') && lead !== 'between ') {
+      return false;
+    }
+    
+    const startTime = { hour: +startHour, minute: +(startMinute || 0), meridiem: startMeridiem || endMeridiem };
+    const endTime = { hour: +endHour, minute: +(endMinute || 0), meridiem: endMeridiem };
+    
+    if (!isTimeOfDay(startTime) || !isTimeOfDay(endTime)) {
+      return false;
+    }
+    
+    parts.time = startTime;
+    parts.endTime = endTime;
+  });
+  
+  // Times: "4pm", "at 4:30", "16:00", "at 9"
+  matcher.find(/\b(?:at )?(\d{1,2})(?::(\d{2}))?\s?(am|pm|a\.m\.|p\.m\.)(?!\w)/g, match => {
+    const time = { hour: +match[1], minute: +(match[2] || 0), meridiem: match[3] };
+    
+    if (!isTimeOfDay(time)) {
+      return false;
+    }
+    
+    parts.time = time;
+  });
+  
+  matcher.find(/\b(?:at )?(\d{1,2}):(\d{2})\b/g, match => {
+    const time = { hour: +match[1], minute: +match[2] };
+    
+    if (!isTimeOfDay(time)) {
+      return false;
+    }
+    
+    parts.time = time;
+  });
+  
+  matcher.find(/\bat (\d{1,2})\b(?!:|\s?(?:%|st|nd|rd|th|minutes?|hours?|days?|people))/g, match => {
+    const time = { hour: +match[1], minute: 0 };
+    
+    if (!isTimeOfDay(time)) {
+      return false;
+    }
+    
+    parts.time = time;
+  });
+  
+  matcher.find(/\b(?:at )?(noon|midday|midnight)\b/g, match => {
+    parts.time = match[1] === 'midnight' ? { hour: 24, minute: 0, exact: true } : { hour: 12, minute: 0, exact: true };
+  });
+  
+  // Days
+  matcher.find(/\b(?:the )?day after tomorrow\b/g, () => {
+    parts.dayOffset = 2;
+  });
+  
+  matcher.find(/\b(today|tomorrow|tmrw|yesterday)\b/g, match => {
+    parts.dayOffset = match[1] === 'today' ? 0 : match[1] === 'yesterday' ? -1 : 1;
+  });
+  
+  matcher.find(/\b(?:on )?(?:(this|next|last|coming) )?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/g, match => {
+    parts.weekday = { weekday: WEEKDAYS_EN[match[2]], relation: match[1] || null };
+  });
+  
+  // Parts of the day: "tonight", "tomorrow morning", "in the afternoon"
+  matcher.find(/\btonight\b/g, () => {
+    parts.dayOffset = parts.dayOffset !== undefined ? parts.dayOffset : 0;
+    parts.period = 'night';
+  });
+  
+  matcher.find(/\b(?:in the |this )?(morning|afternoon|evening|night)\b/g, match => {
+    parts.period = match[1];
+  });
+}
+
+/**
+ * Parse Chinese date and time phrases into date parts
+ * @param {DateTimeMatcher} matcher - Matcher for the sentence
+ * @param {Object} parts - Date parts, updated in place
+ */
+function matchChinese(matcher, parts) {
+  // "两个小时后", "半小时以后", "三天之后", "过十分钟"
+  matcher.find(new RegExp(`(${ZH_NUMBER}|半)(?:个)?(半)?(分钟|分|小时|钟头|天|日|周|星期|礼拜|月|年)(?:以后|之后|后)`, 'g'), match => {
+    const amount = (match[1] === '半' ? 0.5 : parseChineseNumber(match[1])) + (match[2] ? 0.5 : 0);
+    parts.offsets.push({ amount, unit: UNIT_ALIASES[match[3]] });
+  });
+  
+  matcher.find(new RegExp(`过(${ZH_NUMBER}|半)(?:个)?(半)?(分钟|小时|钟头|天)`, 'g'), match => {
+    const amount = (match[1] === '半' ? 0.5 : parseChineseNumber(match[1])) + (match[2] ? 0.5 : 0);
+    parts.offsets.push({ amount, unit: UNIT_ALIASES[match[3]] });
+  });
+  
+  // "持续两个小时", "开一个半小时"
+  matcher.find(new RegExp(`(?:持续|开|用)(${ZH_NUMBER}|半)(?:个)?(半)?(小时|钟头|分钟)`, 'g'), match => {
+    const amount = (match[1] === '半' ? 0.5 : parseChineseNumber(match[1])) + (match[2] ? 0.5 : 0);
+    parts.duration = amount * (UNIT_ALIASES[match[3]] === 'hour' ? 60 : 1);
+  });
+  
+  // "2026-10-20"
+  matcher.find(/(\d{4})-(\d{1,2})-(\d{1,2})/g, match => {
+    parts.date = { year: +match[1], month: match[2] - 1, day: +match[3] };
+  });
+  
+  // "2026年10月20日", "十月二十号"
+  matcher.find(new RegExp(`(?:(\\d{4})年)?(${ZH_NUMBER})月(${ZH_NUMBER})[日号]`, 'g'), match => {
+    parts.date = {
+      year: match[1] ? +match[1] : null,
+      month: parseChineseNumber(match[2]) - 1,
+      day: parseChineseNumber(match[3])
+    };
+  });
+  
+  // "下个月底", "月底", "年底", "周末"
+  matcher.find(/(下个?|上个?|这个?|本)?月[底末]/g, match => {
+    parts.range = parts.range || { unit: 'month', offset: 0 };
+    parts.range.offset = match[1] ? (match[1].startsWith('下') ? 1 : match[1].startsWith('上') ? -1 : 0) : 0;
+    parts.endOf = 'month';
+  });
+  
+  matcher.find(/年[底末]/g, () => {
+    parts.endOf = 'year';
+  });
+  
+  matcher.find(/(下下|下|上|这|本)?(?:个)?(?:周|星期|礼拜)(?![一二三四五六日天])(末)?/g, match => {
+    const offset = match[1] === '下下' ? 2 : match[1] === '下' ? 1 : match[1] === '上' ? -1 : 0;
+    
+    if (!match[1] && !match[2]) {
+      return false;
+    }
+    
+    parts.range = { unit: match[2] ? 'weekend' : 'week', offset };
+  });
+  
+  // "下周三", "星期五", "这个礼拜天"
+  matcher.find(/(下下|下|上|这|本)?(?:个)?(?:周|星期|礼拜)([一二三四五六日天])/g, match => {
+    const relations = { 下下: 'after-next', 下: 'next', 上: 'previous', 这: 'this', 本: 'this' };
+    parts.weekday = { weekday: WEEKDAYS_ZH[match[2]], relation: relations[match[1]] || null };
+  });
+  
+  // "下个月", "这个月"
+  matcher.find(/(下|上|这|本)(?:个)?月/g, match => {
+    parts.range = { unit: 'month', offset: match[1] === '下' ? 1 : match[1] === '上' ? -1 : 0 };
+  });
+  
+  // Days, with the part of the day they imply: "明早", "今晚"
+  const dayWords = { 大后天: 3, 后天: 2, 明天: 1, 明日: 1, 明早: 1, 明晚: 1, 今天: 0, 今日: 0, 今早: 0, 今晚: 0, 昨天: -1, 前天: -2 };
+  
+  matcher.find(/大后天|后天|明天|明日|明早|明晚|今天|今日|今早|今晚|昨天|前天/g, match => {
+    parts.dayOffset = dayWords[match[0]];
+    
+    if (match[0].endsWith('早')) {
+      parts.period = 'morning';
+    } else if (match[0].endsWith('晚')) {
+      parts.period = 'night';
+    }
+  });
+  
+  // "二十号", "20日"
+  matcher.find(new RegExp(`(${ZH_NUMBER})[日号](?!子)`, 'g'), match => {
+    parts.date = { year: null, month: null, day: parseChineseNumber(match[1]) };
+  });
+  
+  // Time ranges: "下午三点到五点", "9:00-10:30"
+  const time = `(凌晨|早上|早晨|上午|中午|下午|傍晚|晚上|夜里)?(${ZH_NUMBER})(?:[点时]|[:：](?=\\d))(?:(半)|(一刻)|(三刻)|(\\d{1,2}|[零〇一二三四五六七八九十]+)分?)?钟?`;
+  
+  const toTime = (period, hour, half, quarter, threeQuarters, minute) => ({
+    hour: parseChineseNumber(hour),
+    minute: half ? 30 : quarter ? 15 : threeQuarters ? 45 : minute ? parseChineseNumber(minute) : 0,
+    period: PERIODS_ZH[period]
+  });
+  
+  matcher.find(new RegExp(`${time}(?:到|至|-|~|～)${time}`, 'g'), match => {
+    const startTime = toTime(...match.slice(1, 7));
+    const endTime = toTime(...match.slice(7, 13));
+    
+    if (!isTimeOfDay(startTime) || !isTimeOfDay(endTime)) {
+      return false;
+    }
+    
+    parts.time = startTime;
+    parts.endTime = { ...endTime, period: endTime.period || startTime.period };
+  });
+  
+  matcher.find(new RegExp(time, 'g'), match => {
+    const startTime = toTime(...match.slice(1, 7));
+    
+    if (!isTimeOfDay(startTime)) {
+      return false;
+    }
+    
+    parts.time = startTime;
+  });
+  
+  // Parts of the day on their own: "下午", "晚上"
+  matcher.find(/凌晨|早上|早晨|上午|中午|下午|傍晚|晚上|夜里/g, match => {
+    parts.period = PERIODS_ZH[match[0]];
+  });
+}
+
+/**
+ * Turn date parts into the calendar day they refer to
+ * @param {Object} parts - Date parts
+ * @param {Object} today - Today's calendar day with its weekday
+ * @returns {Object} Day, and the day after a whole-period range if one was given
+ */
+function resolveDay(parts, today) {
+  if (parts.date) {
+    let { year, month, day } = parts.date;
+    
+    // Without a year or month, use the next such date from today
+    if (month === null) {
+      month = today.month;
+      
+      if (day < today.day) {
+        month += 1;
+      }
+    }
+    
+    if (year === null) {
+      year = today.year;
+      
+      if (month < today.month || (month === today.month && day < today.day)) {
+        year += 1;
+      }
+    }
+    
+    return { day: addDays({ year, month, day }, 0) };
+  }
+  
+  if (parts.weekday) {
+    const { weekday, relation } = parts.weekday;
+    const monday = startOfWeek(today);
+    const inWeek = weeks => addDays(monday, weeks * 7 + ((weekday + 6) % 7));
+    
+    switch (relation) {
+      case 'next':
+        return { day: inWeek(1) };
+      case 'after-next':
+        return { day: inWeek(2) };
+      case 'previous':
+        return { day: inWeek(-1) };
+      case 'last':
+        return { day: addDays(today, -(((today.weekday - weekday + 6) % 7) + 1)) };
+      default:
+        // The coming one, today included
+        return { day: addDays(today, (weekday - today.weekday + 7) % 7) };
+    }
+  }
+  
+  if (parts.endOf === 'day') {
+    return { day: addDays(today, parts.dayOffset || 0) };
+  }
+  
+  if (parts.endOf === 'week') {
+    // The end of the work week, or of the next one at the weekend
+    const friday = addDays(startOfWeek(today), 4);
+    return { day: today.weekday === 6 || today.weekday === 0 ? addDays(friday, 7) : friday };
+  }
+  
+  if (parts.endOf === 'month') {
+    return { day: addDays(startOfMonth(today, ((parts.range && parts.range.offset) || 0) + 1), -1) };
+  }
+  
+  if (parts.endOf === 'year') {
+    return { day: { year: today.year, month: 11, day: 31 } };
+  }
+  
+  if (parts.range) {
+    const { unit, offset } = parts.range;
+    
+    if (unit === 'week') {
+      const start = addDays(startOfWeek(today), offset * 7);
+      return { day: start, until: addDays(start, 7) };
+    }
+    
+    if (unit === 'weekend') {
+      const start = addDays(startOfWeek(today), offset * 7 + 5);
+      return { day: start, until: addDays(start, 2) };
+    }
+    
+    if (unit === 'month') {
+      return { day: startOfMonth(today, offset), until: startOfMonth(today, offset + 1) };
+    }
+    
+    const start = { year: today.year + offset, month: 0, day: 1 };
+    return { day: start, until: { year: start.year + 1, month: 0, day: 1 } };
+  }
+  
+  return { day: addDays(today, parts.dayOffset || 0) };
+}
+
+/**
+ * Parse the first date and time in a sentence
+ * @param {string} text - Sentence in English or Chinese
+ * @param {Object} options - Parser options (now, language, timeZone, defaultDuration, defaultHour)
+ * @returns {Object|null} Start, end, allDay, endSpecified and the matched spans, or null if no date or time was found
+ */
+function parseDateTime(text, options = {}) {
+  if (!text) {
+    return null;
+  }
+  
+  const now = options.now || new Date();
+  const timeZone = options.timeZone;
+  const defaultDuration = options.defaultDuration !== undefined ? options.defaultDuration : DEFAULT_DURATION;
+  const language = options.language || (/[一-鿿]/.test(text) ? 'zh' : 'en');
+  
+  const matcher = new DateTimeMatcher(text);
+  const parts = { offsets: [] };
+  
+  if (language === 'zh') {
+    matchChinese(matcher, parts);
+  }
+  
+  // English phrases also appear in Chinese commands ("明天 3pm")
+  matchEnglish(matcher, parts);
+  
+  if (matcher.spans.length === 0) {
+    return null;
+  }
+  
+  const clock = getWallClock(now, timeZone);
+  const today = { year: clock.year, month: clock.month, day: clock.day, weekday: clock.weekday };
+  
+  let start;
+  let end;
+  let allDay = false;
+  const endSpecified = Boolean(parts.endTime || parts.duration);
+  
+  // Offsets: exact times for minutes and hours, days otherwise
+  const exactOffset = parts.offsets.find(offset => offset.unit === 'minute' || offset.unit === 'hour');
+  
+  if (exactOffset) {
+    start = new Date(now.getTime() + exactOffset.amount * (exactOffset.unit === 'hour' ? HOUR_MS : MINUTE_MS));
+    end = new Date(start.getTime() + (parts.duration || defaultDuration) * MINUTE_MS);
+  } else {
+    const dayOffset = parts.offsets.find(offset => offset.unit !== 'minute' && offset.unit !== 'hour');
+    
+    if (dayOffset) {
+      const amount = Math.round(dayOffset.amount * (dayOffset.unit === 'week' ? 7 : 1));
+      
+      parts.date = dayOffset.unit === 'month' || dayOffset.unit === 'year' ?
+        {
+          year: today.year + (dayOffset.unit === 'year' ? amount : 0),
+          month: today.month + (dayOffset.unit === 'month' ? amount : 0),
+          day: today.day
+        } :
+        addDays(today, dayOffset.unit === 'week' || dayOffset.unit === 'day' ? amount : 0);
+    }
+    
+    const { day, until } = resolveDay(parts, today);
+    const hasDay = Boolean(parts.date || parts.weekday || parts.range || parts.endOf || parts.dayOffset !== undefined);
+    let time = null;
+    
+    if (parts.time) {
+      time = {
+        hour: parts.time.exact ? parts.time.hour : toHour24(parts.time.hour, parts.time.meridiem, parts.time.period || parts.period),
+        minute: parts.time.minute
+      };
+    } else if (parts.endOf === 'day') {
+      time = { hour: END_OF_DAY_HOUR, minute: 0 };
+    } else if (parts.period) {
+      time = { hour: PERIOD_HOURS[parts.period], minute: 0 };
+    } else if (options.defaultHour !== undefined && !until) {
+      time = { hour: options.defaultHour, minute: 0 };
+    }
+    
+    if (time) {
+      let startDay = day;
+      
+      // A time on its own that has already passed today means tomorrow
+      if (!hasDay && (time.hour < clock.hour || (time.hour === clock.hour && time.minute <= clock.minute))) {
+        startDay = addDays(today, 1);
+      }
+      
+      start = fromWallClock({ ...startDay, ...time }, timeZone);
+      
+      if (parts.endTime) {
+        const endHour = toHour24(parts.endTime.hour, parts.endTime.meridiem, parts.endTime.period || parts.period);
+        end = fromWallClock({ ...startDay, hour: endHour, minute: parts.endTime.minute }, timeZone);
+        
+        // "10-2" or "11pm to 1am" end on the next day
+        if (end <= start) {
+          end = fromWallClock({ ...addDays(startDay, 1), hour: endHour, minute: parts.endTime.minute }, timeZone);
+        }
+      } else {
+        end = new Date(start.getTime() + (parts.duration || defaultDuration) * MINUTE_MS);
+      }
+    } else {
+      allDay = true;
+      start = fromWallClock(day, timeZone);
+      end = fromWallClock(until || addDays(day, 1), timeZone);
+    }
+  }
+  
+  const spans = [...matcher.spans].sort((a, b) => a.start - b.start);
+  
+  return {
+    start,
+    end,
+    allDay,
+    endSpecified,
+    spans,
+    text: spans.map(span => span.text).join(' ')
+  };
+}
+
+/**
+ * Remove the date and time phrases found by parseDateTime() from a sentence,
+ * along with the prepositions that introduced them
+ * @param {string} text - Sentence
+ * @param {Object} result - Result of parseDateTime() for the same sentence
+ * @returns {string} Sentence without the date and time
+ */
+function stripDateTime(text, result) {
+  if (!result) {
+    return text.trim();
+  }
+  
+  let stripped = text;
+  
+  // Remove from the end so earlier span positions stay valid
+  for (const span of [...result.spans].sort((a, b) => b.start - a.start)) {
+    stripped = `${stripped.slice(0, span.start)} ${stripped.slice(span.end)}`;
+  }
+  
+  return stripped
+    .replace(/\b(?:on|at|for|by|before|until|from|in)(\s+(?:on|at|for|by|before|until|from|in))*\s*$/i, '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,，。.!?！？])/g, '$1')
+    .trim();
+}
+
+export {
+  DEFAULT_DURATION,
+  parseDateTime,
+  stripDateTime,
+  parseChineseNumber,
+  getWallClock,
+  fromWallClock
+};
@@ -0,0 +1,60 @@
+/**
+ * expo-sqlite mock for Ace Assistant tests
+ * 
+ * Implements the expo-sqlite async API on an in-memory sql.js database and
+ * records every write in `writes`.
+ */
+
+const initSqlJs = require('sql.js');
+
+const writes = [];
+
+/**
+ * Open an in-memory database
+ * @returns {Promise<Object>} Database with the expo-sqlite async API
+ */
+const openDatabaseAsync = jest.fn(async () => {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  
+  const getAll = (sql, params = []) => {
+    const statement = db.prepare(sql);
+    const rows = [];
+    
+    statement.bind(params);
+    while (statement.step()) {
+      rows.push(statement.getAsObject());
+    }
+    statement.free();
+    
+    return rows;
+  };
+  
+  return {
+    execAsync: async sql => {
+      db.exec(sql);
+    },
+    runAsync: async (sql, params = []) => {
+      writes.push({ sql, params });
+      db.run(sql, params);
+      return { changes: db.getRowsModified() };
+    },
+    getAllAsync: async (sql, params) => getAll(sql, params),
+    getFirstAsync: async (sql, params) => getAll(sql, params)[0] || null,
+    withTransactionAsync: async task => {
+      db.exec('BEGIN');
+      try {
+        await task();
+        db.exec('COMMIT');
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      }
+    }
+  };
+});
+
+module.exports = {
+  writes,
+  openDatabaseAsync
+};
@@ -0,0 +1,473 @@
+/**
+ * Calendar Sync Test Suite for Ace Assistant
+ * 
+ * This file contains tests for two-way calendar sync: meetings written to
+ * the calendar as they change, calendar edits and deletions read back into
+ * meetings, events created in the calendar imported as read-only meetings,
+ * and conflicts between the two, against an in-memory calendar.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Calendar from 'expo-calendar';
+import reminderService from '../../src/services/reminders/ReminderService';
+import meetingService, { MEETING_EDIT_SCOPES, getOccurrenceId } from '../../src/services/organization/MeetingService';
+import calendarSyncService from '../../src/services/sync/CalendarSyncService';
+import calendarAdapter from '../../src/services/sync/calendarAdapter';
+import {
+  toCalendarEvent,
+  getMeetingChanges,
+  getLinkedMeetingId
+} from '../../src/services/sync/calendarMapping';
+
+// Mock platform modules
+jest.mock('react-native', () => ({
+  Platform: { OS: 'ios' }
+}));
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('expo-sqlite', () => require('../mocks/expoSqlite'));
+
+jest.mock('expo-notifications', () => ({
+  setNotificationHandler: jest.fn(),
+  requestPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'granted' })),
+  addNotificationReceivedListener: jest.fn(() => ({ remove: jest.fn() })),
+  addNotificationResponseReceivedListener: jest.fn(() => ({ remove: jest.fn() })),
+  setNotificationCategoryAsync: jest.fn(() => Promise.resolve()),
+  scheduleNotificationAsync: jest.fn(() => Promise.resolve('notification-1')),
+  cancelScheduledNotificationAsync: jest.fn(() => Promise.resolve()),
+  AndroidNotificationPriority: { HIGH: 'high' }
+}));
+
+jest.mock('expo-calendar', () => ({
+  requestCalendarPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'granted' })),
+  getCalendarsAsync: jest.fn(() => Promise.resolve([{ id: 'device', allowsModifications: true }])),
+  createEventAsync: jest.fn(() => Promise.resolve('device-event')),
+  getEventAsync: jest.fn(() => Promise.resolve(null)),
+  EntityTypes: { EVENT: 'event' }
+}));
+
+jest.mock('expo-task-manager', () => ({
+  defineTask: jest.fn(),
+  isTaskDefined: jest.fn(() => false)
+}));
+
+jest.mock('expo-location', () => ({
+  requestForegroundPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'denied' })),
+  requestBackgroundPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'denied' })),
+  hasStartedGeofencingAsync: jest.fn(() => Promise.resolve(false)),
+  stopGeofencingAsync: jest.fn(() => Promise.resolve())
+}));
+
+jest.mock('../../src/constants/appConfig', () => ({
+  __esModule: true,
+  default: {
+    sync: {}
+  }
+}));
+
+// Saturday 17 October 2026, 9:00 local time
+const NOW = new Date(2026, 9, 17, 9, 0);
+
+/**
+ * Get a local date as an ISO string
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @param {number} hour - Hour
+ * @param {number} minute - Minute
+ * @returns {string} ISO date
+ */
+const at = (month, day, hour, minute = 0) => new Date(2026, month - 1, day, hour, minute).toISOString();
+
+/**
+ * Create an in-memory calendar with the calendar adapter's methods. Each
+ * change to an event gives it a new etag, like a CalDAV server.
+ * @returns {Object} Calendar adapter, with methods to change events as the calendar app would
+ */
+const createFakeCalendar = () => {
+  const events = {};
+  let eventCount = 0;
+  let etagCount = 0;
+  
+  const store = event => {
+    events[event.id] = { ...event, etag: `"${++etagCount}"` };
+    return events[event.id];
+  };
+  
+  const checkEtag = (eventId, etag) => {
+    if (etag && events[eventId].etag !== etag) {
+      throw new Error(`Calendar event ${eventId} was changed in the calendar`);
+    }
+  };
+  
+  return {
+    events,
+    requestPermission: jest.fn(async () => true),
+    getDefaultCalendarId: jest.fn(async () => 'work'),
+    getEvents: jest.fn(async ({ calendarIds, startDate, endDate }) => Object.values(events)
+      .filter(event => !calendarIds || calendarIds.includes(event.calendarId))
+      .filter(event => event.recurrence || (new Date(event.startDate) <= endDate && new Date(event.endDate) >= startDate))
+      .map(event => ({ ...event }))),
+    getEvent: jest.fn(async eventId => (events[eventId] ? { ...events[eventId] } : null)),
+    createEvent: jest.fn(async (calendarId, details) => {
+      const event = store({ ...details, id: `event-${++eventCount}`, calendarId });
+      return { id: event.id, etag: event.etag };
+    }),
+    updateEvent: jest.fn(async (eventId, details, etag) => {
+      checkEtag(eventId, etag);
+      return { etag: store({ ...events[eventId], ...details }).etag };
+    }),
+    deleteEvent: jest.fn(async (eventId, etag) => {
+      if (events[eventId]) {
+        checkEtag(eventId, etag);
+        delete events[eventId];
+      }
+      
+      return true;
+    }),
+    
+    // Changes made in the calendar app
+    add: (calendarId, details) => store({ notes: '', location: '', recurrence: null, url: null, ...details, id: `event-${++eventCount}`, calendarId }),
+    edit: (eventId, changes) => store({ ...events[eventId], ...changes }),
+    remove: eventId => {
+      delete events[eventId];
+    }
+  };
+};
+
+describe('Calendar Mapping', () => {
+  const meeting = {
+    id: 'meeting-1',
+    title: 'Design review',
+    description: 'Review the new designs',
+    location: 'Room 4',
+    startTime: at(10, 20, 14),
+    endTime: null,
+    recurrence: null
+  };
+  
+  test('Meetings become events that link back to them', () => {
+    const event = toCalendarEvent(meeting);
+    
+    expect(event).toEqual({
+      title: 'Design review',
+      notes: 'Review the new designs',
+      location: 'Room 4',
+      startDate: at(10, 20, 14),
+      endDate: at(10, 20, 15),
+      recurrence: null,
+      url: 'ace://meetings/meeting-1'
+    });
+    expect(getLinkedMeetingId(event)).toBe('meeting-1');
+    expect(getLinkedMeetingId({ url: 'https://example.com' })).toBeNull();
+    expect(toCalendarEvent({ ...meeting, recurrence: 'FREQ=WEEKLY;BYDAY=TU' }).recurrence).toBe('FREQ=WEEKLY;BYDAY=TU');
+  });
+  
+  test('Only the fields changed in the calendar are read back', () => {
+    const event = toCalendarEvent(meeting);
+    
+    expect(getMeetingChanges(meeting, event)).toEqual({});
+    expect(getMeetingChanges(meeting, { ...event, title: 'Design sync', endDate: at(10, 20, 14, 30) })).toEqual({
+      title: 'Design sync',
+      endTime: at(10, 20, 14, 30)
+    });
+    expect(getMeetingChanges({ ...meeting, recurrence: 'weekly' }, { ...event, recurrence: 'FREQ=WEEKLY' })).toEqual({});
+    expect(getMeetingChanges(meeting, { ...event, title: '' }).title).toBe('Untitled event');
+  });
+});
+
+describe('Calendar Adapter', () => {
+  test('Only an event that does not exist is reported as deleted', async () => {
+    Calendar.getEventAsync.mockRejectedValueOnce(Object.assign(new Error('Event could not be found'), {
+      code: 'E_EVENT_NOT_FOUND'
+    }));
+    expect(await calendarAdapter.getEvent('missing-event')).toBeNull();
+    
+    Calendar.getEventAsync.mockRejectedValueOnce(new Error('Calendar permission not granted'));
+    await expect(calendarAdapter.getEvent('event-1')).rejects.toThrow('Calendar permission not granted');
+  });
+});
+
+describe('Calendar Sync', () => {
+  let calendar;
+  
+  beforeAll(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'setInterval', 'queueMicrotask'] });
+    await AsyncStorage.clear();
+    await reminderService.initialize();
+    await meetingService.initialize();
+    
+    calendar = createFakeCalendar();
+    calendarSyncService.setCalendarAdapter(calendar);
+    await calendarSyncService.initialize();
+    await calendarSyncService.setSettings({ enabled: true });
+  });
+  
+  afterAll(async () => {
+    await calendarSyncService.cleanup();
+    await reminderService.cleanup();
+    jest.useRealTimers();
+  });
+  
+  beforeEach(() => {
+    jest.setSystemTime(NOW);
+    jest.clearAllMocks();
+  });
+  
+  /**
+   * Create a meeting on Tuesday afternoon
+   * @param {Object} meetingData - Extra meeting data
+   * @returns {Promise<Object>} Meeting
+   */
+  const createMeeting = (meetingData = {}) => meetingService.createMeeting({
+    title: 'Design review',
+    startTime: at(10, 20, 14),
+    endTime: at(10, 20, 15),
+    ...meetingData
+  });
+  
+  /**
+   * Get the calendar event of a meeting
+   * @param {string} meetingId - Meeting ID
+   * @returns {Object|undefined} Calendar event
+   */
+  const eventOf = meetingId => {
+    const link = calendarSyncService.getLink(meetingId);
+    return link && calendar.events[link.eventId];
+  };
+  
+  test('Meetings created, changed and deleted in Ace are written to the calendar', async () => {
+    const meeting = await createMeeting({ description: 'New designs', location: 'Room 4' });
+    const link = calendarSyncService.getLink(meeting.id);
+    
+    expect(link).toEqual(expect.objectContaining({ calendarId: 'work', imported: false }));
+    expect(eventOf(meeting.id)).toEqual(expect.objectContaining({
+      title: 'Design review',
+      notes: 'New designs',
+      location: 'Room 4',
+      startDate: at(10, 20, 14),
+      endDate: at(10, 20, 15),
+      url: `ace://meetings/${meeting.id}`
+    }));
+    
+    await meetingService.updateMeeting(meeting.id, { title: 'Design sign-off' });
+    
+    expect(eventOf(meeting.id).title).toBe('Design sign-off');
+    expect(calendarSyncService.getLink(meeting.id).etag).toBe(eventOf(meeting.id).etag);
+    
+    await meetingService.deleteMeeting(meeting.id);
+    
+    expect(calendar.events[link.eventId]).toBeUndefined();
+    expect(calendarSyncService.getLink(meeting.id)).toBeUndefined();
+  });
+  
+  test('Changes made in the calendar are read into the meeting without being written back', async () => {
+    const meeting = await createMeeting();
+    const { eventId } = calendarSyncService.getLink(meeting.id);
+    
+    calendar.edit(eventId, { title: 'Design review (moved)', startDate: at(10, 21, 10), endDate: at(10, 21, 11) });
+    
+    const result = await calendarSyncService.syncCalendar();
+    const updated = meetingService.getMeetingById(meeting.id);
+    
+    expect(result.updated).toBe(1);
+    expect(updated.title).toBe('Design review (moved)');
+    expect(updated.startTime).toBe(at(10, 21, 10));
+    expect(updated.endTime).toBe(at(10, 21, 11));
+    expect(reminderService.getReminderById(updated.reminderId).dueDate).toBe(at(10, 21, 10));
+    expect(calendar.updateEvent).not.toHaveBeenCalled();
+    expect(calendarSyncService.getLink(meeting.id).etag).toBe(calendar.events[eventId].etag);
+  });
+  
+  test('Events deleted in the calendar delete their meeting', async () => {
+    const meeting = await createMeeting();
+    
+    calendar.remove(calendarSyncService.getLink(meeting.id).eventId);
+    
+    const result = await calendarSyncService.syncCalendar();
+    
+    expect(result.deleted).toBe(1);
+    expect(meetingService.getMeetingById(meeting.id)).toBeNull();
+    expect(calendarSyncService.getLink(meeting.id)).toBeUndefined();
+  });
+  
+  test('A failure to read a linked event aborts the sync instead of deleting the meeting', async () => {
+    const meeting = await createMeeting();
+    
+    calendar.getEvents.mockResolvedValueOnce([]);
+    calendar.getEvent.mockRejectedValueOnce(new Error('Calendar access was revoked'));
+    
+    await expect(calendarSyncService.syncCalendar()).rejects.toThrow('Calendar access was revoked');
+    expect(meetingService.getMeetingById(meeting.id)).not.toBeNull();
+    expect(calendarSyncService.getLink(meeting.id)).toBeDefined();
+  });
+  
+  test('Events created in the calendar are imported as read-only meetings', async () => {
+    const event = calendar.add('personal', {
+      title: 'Dentist',
+      location: 'Main Street',
+      startDate: at(10, 22, 16),
+      endDate: at(10, 22, 17)
+    });
+    
+    const result = await calendarSyncService.syncCalendar();
+    const meeting = meetingService.getMeetings().find(m => m.title === 'Dentist');
+    
+    expect(result.imported).toBe(1);
+    expect(meeting).toEqual(expect.objectContaining({
+      location: 'Main Street',
+      startTime: at(10, 22, 16),
+      endTime: at(10, 22, 17),
+      readOnly: true,
+      importedFrom: { calendarId: 'personal', eventId: event.id }
+    }));
+    expect(calendar.createEvent).not.toHaveBeenCalled();
+    
+    // Its calendar fields are changed in the calendar only
+    await expect(meetingService.updateMeeting(meeting.id, { title: 'Orthodontist' })).rejects.toThrow('read-only');
+    expect(await meetingService.deleteMeeting(meeting.id)).toBe(false);
+    
+    const completed = await meetingService.updateMeeting(meeting.id, { status: 'completed', notes: 'Next visit in May' });
+    
+    expect(completed.status).toBe('completed');
+    expect(calendar.updateEvent).not.toHaveBeenCalled();
+    
+    // Calendar changes still reach it
+    calendar.edit(event.id, { title: 'Orthodontist' });
+    await calendarSyncService.syncCalendar();
+    
+    expect(meetingService.getMeetingById(meeting.id).title).toBe('Orthodontist');
+    
+    calendar.remove(event.id);
+    await calendarSyncService.syncCalendar();
+    
+    expect(meetingService.getMeetingById(meeting.id)).toBeNull();
+  });
+  
+  test('Occurrences of imported series keep their own notes and status', async () => {
+    calendar.add('personal', {
+      title: 'Pilates',
+      startDate: at(10, 20, 18),
+      endDate: at(10, 20, 19),
+      recurrence: 'FREQ=WEEKLY;BYDAY=TU'
+    });
+    
+    await calendarSyncService.syncCalendar();
+    const series = meetingService.getMeetings().find(m => m.title === 'Pilates');
+    const occurrenceId = getOccurrenceId(series.id, at(10, 27, 18));
+    
+    const occurrence = await meetingService.updateMeeting(occurrenceId, { status: 'cancelled', notes: 'Studio closed' });
+    
+    expect(occurrence).toEqual(expect.objectContaining({ status: 'cancelled', notes: 'Studio closed' }));
+    expect(meetingService.getMeetingById(getOccurrenceId(series.id, at(10, 20, 18))).status).toBe('scheduled');
+    
+    // Its calendar fields are changed in the calendar only
+    await expect(meetingService.updateMeeting(occurrenceId, { title: 'Yoga' })).rejects.toThrow('read-only: its title');
+    await expect(meetingService.updateMeeting(occurrenceId, { startTime: at(10, 28, 18) })).rejects.toThrow('read-only');
+    expect(meetingService.getMeetingById(occurrenceId)).toEqual(expect.objectContaining({
+      title: 'Pilates',
+      startTime: at(10, 27, 18),
+      notes: 'Studio closed'
+    }));
+  });
+  
+  test('Imports can be limited to some calendars', async () => {
+    await calendarSyncService.setSettings({ importCalendarIds: ['personal'] });
+    
+    const holiday = calendar.add('holidays', { title: 'Bank holiday', startDate: at(10, 26, 0), endDate: at(10, 27, 0) });
+    const gym = calendar.add('personal', { title: 'Gym', startDate: at(10, 23, 7), endDate: at(10, 23, 8) });
+    
+    await calendarSyncService.syncCalendar();
+    
+    expect(calendarSyncService.getLinkByEventId(holiday.id)).toBeUndefined();
+    expect(calendarSyncService.getLinkByEventId(gym.id)).toEqual(expect.objectContaining({ imported: true }));
+    
+    await calendarSyncService.setSettings({ importCalendarIds: null });
+  });
+  
+  test('Events written by Ace are linked again by their URL instead of imported', async () => {
+    const meeting = await createMeeting({ title: 'Planning' });
+    const { eventId } = calendarSyncService.getLink(meeting.id);
+    const meetingCount = meetingService.getMeetings().length;
+    
+    // As on a device that has the meeting but not the link
+    await calendarSyncService.removeLink(meeting.id);
+    await calendarSyncService.syncCalendar();
+    
+    expect(calendarSyncService.getLink(meeting.id).eventId).toBe(eventId);
+    expect(meetingService.getMeetings()).toHaveLength(meetingCount);
+    expect(calendar.createEvent).toHaveBeenCalledTimes(1);
+  });
+  
+  test('When a meeting was changed in both places, the calendar wins', async () => {
+    const meeting = await createMeeting({ title: 'Budget' });
+    const { eventId } = calendarSyncService.getLink(meeting.id);
+    
+    calendar.edit(eventId, { title: 'Budget (calendar)' });
+    jest.setSystemTime(new Date(NOW.getTime() + 60 * 1000));
+    
+    // The calendar event changed since it was read, so it is not overwritten
+    await meetingService.updateMeeting(meeting.id, { title: 'Budget (Ace)' });
+    
+    expect(calendar.events[eventId].title).toBe('Budget (calendar)');
+    
+    await calendarSyncService.syncCalendar();
+    
+    expect(meetingService.getMeetingById(meeting.id).title).toBe('Budget (calendar)');
+    expect(calendar.events[eventId].title).toBe('Budget (calendar)');
+  });
+  
+  test('Meetings that could not be written are written at the next sync', async () => {
+    const meeting = await createMeeting({ title: 'Retro' });
+    const { eventId } = calendarSyncService.getLink(meeting.id);
+    
+    calendar.updateEvent.mockRejectedValueOnce(new Error('Calendar unavailable'));
+    jest.setSystemTime(new Date(NOW.getTime() + 60 * 1000));
+    
+    await meetingService.updateMeeting(meeting.id, { location: 'Room 2' });
+    
+    expect(calendar.events[eventId].location).toBe('');
+    
+    const result = await calendarSyncService.syncCalendar();
+    
+    expect(result.pushed).toBe(1);
+    expect(calendar.events[eventId].location).toBe('Room 2');
+  });
+  
+  test('Changing a series in the calendar keeps its changed occurrences', async () => {
+    const series = await createMeeting({
+      title: 'Stand-up',
+      startTime: at(10, 19, 9),
+      endTime: at(10, 19, 9, 30),
+      recurrence: 'FREQ=WEEKLY;BYDAY=MO'
+    });
+    const { eventId } = calendarSyncService.getLink(series.id);
+    const occurrenceId = getOccurrenceId(series.id, at(10, 26, 9));
+    
+    expect(calendar.events[eventId].recurrence).toBe('FREQ=WEEKLY;BYDAY=MO');
+    
+    await meetingService.updateMeeting(occurrenceId, { title: 'Stand-up with demo' }, { scope: MEETING_EDIT_SCOPES.THIS });
+    calendar.edit(eventId, { location: 'Room 1' });
+    await calendarSyncService.syncCalendar();
+    
+    expect(meetingService.getMeetingById(series.id).location).toBe('Room 1');
+    expect(meetingService.getMeetingById(occurrenceId).title).toBe('Stand-up with demo');
+  });
+  
+  test('Meeting reminders are no longer added to the calendar themselves', async () => {
+    const meeting = await createMeeting({ title: 'Quarterly review' });
+    
+    expect(meeting.reminderId).not.toBeNull();
+    expect(Calendar.createEventAsync).not.toHaveBeenCalled();
+    
+    await reminderService.createReminder({
+      title: 'Concert',
+      dueDate: at(10, 24, 20),
+      category: 'event'
+    });
+    
+    expect(Calendar.createEventAsync).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,305 @@
+/**
+ * Date Parser Test Suite for Ace Assistant
+ * 
+ * This file contains table-driven tests for the English and Chinese natural
+ * language date and time parser used by voice commands.
+ */
+
+import { parseDateTime, stripDateTime, parseChineseNumber } from '../../src/services/voice/dateTimeParser';
+import voiceCommandProcessor from '../../src/components/voice/VoiceCommandProcessor';
+
+// The voice command processor's hooks and search are not used by these tests
+jest.mock('../../src/hooks/useTasks', () => jest.fn());
+jest.mock('../../src/hooks/useEmail', () => jest.fn());
+jest.mock('../../src/hooks/useMeetings', () => jest.fn());
+jest.mock('../../src/hooks/useReminders', () => jest.fn());
+jest.mock('../../src/hooks/useLocalization', () => jest.fn(), { virtual: true });
+jest.mock('../../src/services/search/SearchService', () => ({}));
+
+const TIME_ZONE = 'Asia/Shanghai';
+
+// Saturday 17 October 2026, 9:00 in Shanghai
+const NOW = new Date('2026-10-17T01:00:00Z');
+
+/**
+ * Format an instant as wall-clock time in the test time zone
+ * @param {Date} date - Instant
+ * @returns {string} Time as YYYY-MM-DD HH:mm
+ */
+const wall = date => new Intl.DateTimeFormat('sv-SE', {
+  timeZone: TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit'
+}).format(date);
+
+/**
+ * Parse text at the test time and zone
+ * @param {string} text - Text
+ * @param {Object} options - Extra parser options
+ * @returns {Object|null} Start and end as wall-clock times, and allDay
+ */
+const parse = (text, options = {}) => {
+  const result = parseDateTime(text, { now: NOW, timeZone: TIME_ZONE, ...options });
+  return result && { start: wall(result.start), end: wall(result.end), allDay: result.allDay };
+};
+
+describe('English Dates', () => {
+  test.each([
+    ['today', '2026-10-17 00:00', '2026-10-18 00:00'],
+    ['tomorrow', '2026-10-18 00:00', '2026-10-19 00:00'],
+    ['yesterday', '2026-10-16 00:00', '2026-10-17 00:00'],
+    ['the day after tomorrow', '2026-10-19 00:00', '2026-10-20 00:00'],
+    ['friday', '2026-10-23 00:00', '2026-10-24 00:00'],
+    ['on saturday', '2026-10-17 00:00', '2026-10-18 00:00'],
+    ['this sunday', '2026-10-18 00:00', '2026-10-19 00:00'],
+    ['last monday', '2026-10-12 00:00', '2026-10-13 00:00'],
+    ['next friday', '2026-10-23 00:00', '2026-10-24 00:00'],
+    ['next wednesday', '2026-10-21 00:00', '2026-10-22 00:00'],
+    ['3 days from now', '2026-10-20 00:00', '2026-10-21 00:00'],
+    ['a couple of days later', '2026-10-19 00:00', '2026-10-20 00:00'],
+    ['in 2 weeks', '2026-10-31 00:00', '2026-11-01 00:00'],
+    ['in a month', '2026-11-17 00:00', '2026-11-18 00:00'],
+    ['next week', '2026-10-19 00:00', '2026-10-26 00:00'],
+    ['last week', '2026-10-05 00:00', '2026-10-12 00:00'],
+    ['this month', '2026-10-01 00:00', '2026-11-01 00:00'],
+    ['next month', '2026-11-01 00:00', '2026-12-01 00:00'],
+    ['this weekend', '2026-10-17 00:00', '2026-10-19 00:00'],
+    ['next weekend', '2026-10-24 00:00', '2026-10-26 00:00'],
+    ['end of the month', '2026-10-31 00:00', '2026-11-01 00:00'],
+    ['by the end of the week', '2026-10-23 00:00', '2026-10-24 00:00'],
+    ['end of the year', '2026-12-31 00:00', '2027-01-01 00:00'],
+    ['october 20', '2026-10-20 00:00', '2026-10-21 00:00'],
+    ['Oct. 20th', '2026-10-20 00:00', '2026-10-21 00:00'],
+    ['20 October 2027', '2027-10-20 00:00', '2027-10-21 00:00'],
+    ['the 3rd of March', '2027-03-03 00:00', '2027-03-04 00:00'],
+    ['on the 5th', '2026-11-05 00:00', '2026-11-06 00:00'],
+    ['on the 25th', '2026-10-25 00:00', '2026-10-26 00:00'],
+    ['10/16', '2027-10-16 00:00', '2027-10-17 00:00'],
+    ['12/1/26', '2026-12-01 00:00', '2026-12-02 00:00'],
+    ['2026-12-01', '2026-12-01 00:00', '2026-12-02 00:00']
+  ])('%s is a whole day or range', (text, start, end) => {
+    expect(parse(text)).toEqual({ start, end, allDay: true });
+  });
+});
+
+describe('English Times', () => {
+  test.each([
+    ['tomorrow at 3pm', '2026-10-18 15:00', '2026-10-18 16:00'],
+    ['at 4pm', '2026-10-17 16:00', '2026-10-17 17:00'],
+    ['at 8am', '2026-10-18 08:00', '2026-10-18 09:00'],
+    ['at 4', '2026-10-17 16:00', '2026-10-17 17:00'],
+    ['at 10', '2026-10-17 10:00', '2026-10-17 11:00'],
+    ['16:30', '2026-10-17 16:30', '2026-10-17 17:30'],
+    ['at 12am', '2026-10-18 00:00', '2026-10-18 01:00'],
+    ['next Friday at 4pm', '2026-10-23 16:00', '2026-10-23 17:00'],
+    ['oct 20th at 9:30 a.m.', '2026-10-20 09:30', '2026-10-20 10:30'],
+    ['in two hours', '2026-10-17 11:00', '2026-10-17 12:00'],
+    ['in 30 minutes', '2026-10-17 09:30', '2026-10-17 10:30'],
+    ['in half an hour', '2026-10-17 09:30', '2026-10-17 10:30'],
+    ['in 3 days at 5pm', '2026-10-20 17:00', '2026-10-20 18:00'],
+    ['tomorrow from 2 to 4pm', '2026-10-18 14:00', '2026-10-18 16:00'],
+    ['2-4pm', '2026-10-17 14:00', '2026-10-17 16:00'],
+    ['between 10 and 11am', '2026-10-17 10:00', '2026-10-17 11:00'],
+    ['monday 11pm to 1am', '2026-10-19 23:00', '2026-10-20 01:00'],
+    ['next friday at 4pm for 30 minutes', '2026-10-23 16:00', '2026-10-23 16:30'],
+    ['tomorrow at 9 for an hour', '2026-10-18 09:00', '2026-10-18 10:00'],
+    ['tomorrow morning', '2026-10-18 09:00', '2026-10-18 10:00'],
+    ['friday afternoon', '2026-10-23 15:00', '2026-10-23 16:00'],
+    ['at 3 in the afternoon', '2026-10-17 15:00', '2026-10-17 16:00'],
+    ['this evening', '2026-10-17 19:00', '2026-10-17 20:00'],
+    ['tonight', '2026-10-17 20:00', '2026-10-17 21:00'],
+    ['tonight at 8', '2026-10-17 20:00', '2026-10-17 21:00'],
+    ['tomorrow at noon', '2026-10-18 12:00', '2026-10-18 13:00'],
+    ['at midnight', '2026-10-18 00:00', '2026-10-18 01:00'],
+    ['at 12 at night', '2026-10-18 00:00', '2026-10-18 01:00'],
+    ['tomorrow at 12 in the evening', '2026-10-19 00:00', '2026-10-19 01:00'],
+    ['by end of day', '2026-10-17 17:00', '2026-10-17 18:00']
+  ])('%s is a time', (text, start, end) => {
+    expect(parse(text)).toEqual({ start, end, allDay: false });
+  });
+});
+
+describe('Chinese Dates', () => {
+  test.each([
+    ['今天', '2026-10-17 00:00', '2026-10-18 00:00'],
+    ['明天', '2026-10-18 00:00', '2026-10-19 00:00'],
+    ['后天', '2026-10-19 00:00', '2026-10-20 00:00'],
+    ['大后天', '2026-10-20 00:00', '2026-10-21 00:00'],
+    ['昨天', '2026-10-16 00:00', '2026-10-17 00:00'],
+    ['前天', '2026-10-15 00:00', '2026-10-16 00:00'],
+    ['周五', '2026-10-23 00:00', '2026-10-24 00:00'],
+    ['星期天', '2026-10-18 00:00', '2026-10-19 00:00'],
+    ['下周三', '2026-10-21 00:00', '2026-10-22 00:00'],
+    ['下个礼拜一', '2026-10-19 00:00', '2026-10-20 00:00'],
+    ['下下周一', '2026-10-26 00:00', '2026-10-27 00:00'],
+    ['上周五', '2026-10-09 00:00', '2026-10-10 00:00'],
+    ['三天后', '2026-10-20 00:00', '2026-10-21 00:00'],
+    ['两周以后', '2026-10-31 00:00', '2026-11-01 00:00'],
+    ['十月二十号', '2026-10-20 00:00', '2026-10-21 00:00'],
+    ['10月20日', '2026-10-20 00:00', '2026-10-21 00:00'],
+    ['2027年1月5日', '2027-01-05 00:00', '2027-01-06 00:00'],
+    ['二十五号', '2026-10-25 00:00', '2026-10-26 00:00'],
+    ['下周', '2026-10-19 00:00', '2026-10-26 00:00'],
+    ['这个月', '2026-10-01 00:00', '2026-11-01 00:00'],
+    ['下个月', '2026-11-01 00:00', '2026-12-01 00:00'],
+    ['周末', '2026-10-17 00:00', '2026-10-19 00:00'],
+    ['下周末', '2026-10-24 00:00', '2026-10-26 00:00'],
+    ['月底', '2026-10-31 00:00', '2026-11-01 00:00'],
+    ['下个月底', '2026-11-30 00:00', '2026-12-01 00:00'],
+    ['年底', '2026-12-31 00:00', '2027-01-01 00:00']
+  ])('%s is a whole day or range', (text, start, end) => {
+    expect(parse(text)).toEqual({ start, end, allDay: true });
+  });
+});
+
+describe('Chinese Times', () => {
+  test.each([
+    ['明天下午三点', '2026-10-18 15:00', '2026-10-18 16:00'],
+    ['下周三下午三点', '2026-10-21 15:00', '2026-10-21 16:00'],
+    ['晚上八点', '2026-10-17 20:00', '2026-10-17 21:00'],
+    ['早上九点半', '2026-10-17 09:30', '2026-10-17 10:30'],
+    ['上午八点', '2026-10-18 08:00', '2026-10-18 09:00'],
+    ['三点十五分', '2026-10-17 15:15', '2026-10-17 16:15'],
+    ['3点半', '2026-10-17 15:30', '2026-10-17 16:30'],
+    ['十点一刻', '2026-10-17 10:15', '2026-10-17 11:15'],
+    ['中午十二点', '2026-10-17 12:00', '2026-10-17 13:00'],
+    ['中午一点', '2026-10-17 13:00', '2026-10-17 14:00'],
+    ['晚上12点', '2026-10-18 00:00', '2026-10-18 01:00'],
+    ['明天晚上十二点', '2026-10-19 00:00', '2026-10-19 01:00'],
+    ['晚上十点到十二点', '2026-10-17 22:00', '2026-10-18 00:00'],
+    ['凌晨两点', '2026-10-18 02:00', '2026-10-18 03:00'],
+    ['14:30', '2026-10-17 14:30', '2026-10-17 15:30'],
+    ['明早', '2026-10-18 09:00', '2026-10-18 10:00'],
+    ['今晚', '2026-10-17 20:00', '2026-10-17 21:00'],
+    ['明天晚上', '2026-10-18 20:00', '2026-10-18 21:00'],
+    ['两个小时后', '2026-10-17 11:00', '2026-10-17 12:00'],
+    ['半小时后', '2026-10-17 09:30', '2026-10-17 10:30'],
+    ['一个半小时后', '2026-10-17 10:30', '2026-10-17 11:30'],
+    ['过十分钟', '2026-10-17 09:10', '2026-10-17 10:10'],
+    ['下午三点到五点', '2026-10-17 15:00', '2026-10-17 17:00'],
+    ['10月20日下午3点', '2026-10-20 15:00', '2026-10-20 16:00'],
+    ['明天上午十点开会，持续两个小时', '2026-10-18 10:00', '2026-10-18 12:00']
+  ])('%s is a time', (text, start, end) => {
+    expect(parse(text)).toEqual({ start, end, allDay: false });
+  });
+});
+
+describe('Date Parser', () => {
+  test.each([
+    ['buy milk'],
+    ['call the 3 suppliers'],
+    ['买牛奶'],
+    ['call at 25:00'],
+    ['meet at 9:75'],
+    ['二十五点'],
+    ['']
+  ])('"%s" has no date', text => {
+    expect(parse(text)).toBeNull();
+  });
+  
+  test.each([
+    ['一', 1],
+    ['十', 10],
+    ['十五', 15],
+    ['二十', 20],
+    ['二十三', 23],
+    ['两', 2],
+    ['一百零五', 105],
+    ['42', 42]
+  ])('%s is %d', (text, number) => {
+    expect(parseChineseNumber(text)).toBe(number);
+  });
+  
+  test('Times are read in the given time zone, across daylight saving changes', () => {
+    const options = { now: NOW, timeZone: 'America/New_York' };
+    
+    expect(parseDateTime('tomorrow at 3pm', options).start.toISOString()).toBe('2026-10-17T19:00:00.000Z');
+    expect(parseDateTime('november 2 at 9am', options).start.toISOString()).toBe('2026-11-02T14:00:00.000Z');
+    expect(parseDateTime('october 31 at 9am', options).start.toISOString()).toBe('2026-10-31T13:00:00.000Z');
+  });
+  
+  test('A default hour turns a day into a time', () => {
+    expect(parse('tomorrow', { defaultHour: 9 })).toEqual({
+      start: '2026-10-18 09:00',
+      end: '2026-10-18 10:00',
+      allDay: false
+    });
+    expect(parse('next week', { defaultHour: 9 }).allDay).toBe(true);
+  });
+  
+  test.each([
+    ['team sync for tomorrow', 'team sync'],
+    ['call the client at 3pm tomorrow', 'call the client'],
+    ['review budget by the end of the month', 'review budget'],
+    ['submit report next friday at 4pm', 'submit report'],
+    ['明天打电话给客户', '打电话给客户'],
+    ['下周三下午三点开会', '开会'],
+    ['buy milk', 'buy milk']
+  ])('Removing the date from "%s" leaves "%s"', (text, rest) => {
+    expect(stripDateTime(text, parseDateTime(text, { now: NOW, timeZone: TIME_ZONE }))).toBe(rest);
+  });
+});
+
+describe('Voice Commands With Dates', () => {
+  const services = {
+    tasks: { createTask: jest.fn(async task => ({ id: 'task-1', ...task })) },
+    meetings: { createMeeting: jest.fn(async meeting => ({ id: 'meeting-1', ...meeting })) },
+    reminders: { createReminder: jest.fn(async reminder => ({ id: 'reminder-1', ...reminder })) }
+  };
+  const t = key => key;
+  
+  /**
+   * Get a local time relative to today
+   * @param {number} days - Days from today
+   * @param {number} hour - Hour
+   * @param {number} minute - Minute
+   * @returns {string} ISO time
+   */
+  const localTime = (days, hour, minute = 0) => {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    date.setHours(hour, minute, 0, 0);
+    return date.toISOString();
+  };
+  
+  test('Meetings start at the spoken time, without it in the title', async () => {
+    await voiceCommandProcessor.processCommand('schedule a meeting called Team Sync for tomorrow from 3 to 4:30pm', 'en', services, t);
+    
+    expect(services.meetings.createMeeting).toHaveBeenCalledWith(expect.objectContaining({
+      title: 'team sync',
+      startTime: localTime(1, 15),
+      endTime: localTime(1, 16, 30)
+    }));
+  });
+  
+  test('Meetings on a day without a time start in the morning', async () => {
+    await voiceCommandProcessor.processCommand('schedule a meeting called Planning for tomorrow', 'en', services, t);
+    
+    expect(services.meetings.createMeeting).toHaveBeenLastCalledWith(expect.objectContaining({
+      title: 'planning',
+      startTime: localTime(1, 9),
+      endTime: localTime(1, 10)
+    }));
+  });
+  
+  test('Chinese reminders get a due date', async () => {
+    await voiceCommandProcessor.processCommand('提醒我明天下午三点打电话给客户', 'zh', services, t);
+    
+    expect(services.reminders.createReminder).toHaveBeenCalledWith(expect.objectContaining({
+      title: '打电话给客户',
+      dueDate: localTime(1, 15)
+    }));
+  });
+  
+  test('Tasks due on a day are due by the end of it', async () => {
+    await voiceCommandProcessor.processCommand('create a task called submit report by tomorrow', 'en', services, t);
+    
+    expect(services.tasks.createTask).toHaveBeenCalledWith(expect.objectContaining({
+      title: 'submit report',
+      dueDate: new Date(new Date(localTime(2, 0)).getTime() - 1).toISOString()
+    }));
+  });
+});
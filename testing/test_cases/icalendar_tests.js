@@ -0,0 +1,780 @@
+/**
+ * iCalendar Test Suite for Ace Assistant
+ * 
+ * This file contains tests for iCalendar (.ics) import and export: reading
+ * and writing iCalendar data, time zones given by name or by VTIMEZONE
+ * definitions, meetings written out and read back unchanged, and to-dos and
+ * email attachments imported as tasks, reminders and meetings.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import reminderService from '../../src/services/reminders/ReminderService';
+import taskService from '../../src/services/organization/TaskService';
+import emailService from '../../src/services/organization/EmailService';
+import meetingService, { getOccurrenceId } from '../../src/services/organization/MeetingService';
+import icalendarService, {
+  ICALENDAR_TODO_TARGETS,
+  formatDescription,
+  parseDescription
+} from '../../src/services/icalendar/ICalendarService';
+import {
+  parseICalendar,
+  formatICalendar,
+  createComponent,
+  escapeText,
+  getText,
+  readTimeZones,
+  readDateTime,
+  parseDuration,
+  formatDuration,
+  buildVTimezone
+} from '../../src/services/icalendar/icalendar';
+import { formatRRule } from '../../src/services/recurrence/recurrenceRules';
+
+// Mock platform modules
+jest.mock('react-native', () => ({
+  Platform: { OS: 'ios' }
+}));
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('expo-sqlite', () => require('../mocks/expoSqlite'));
+
+jest.mock('expo-notifications', () => ({
+  setNotificationHandler: jest.fn(),
+  requestPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'granted' })),
+  addNotificationReceivedListener: jest.fn(() => ({ remove: jest.fn() })),
+  addNotificationResponseReceivedListener: jest.fn(() => ({ remove: jest.fn() })),
+  setNotificationCategoryAsync: jest.fn(() => Promise.resolve()),
+  scheduleNotificationAsync: jest.fn(() => Promise.resolve('notification-1')),
+  cancelScheduledNotificationAsync: jest.fn(() => Promise.resolve()),
+  AndroidNotificationPriority: { HIGH: 'high' }
+}));
+
+jest.mock('expo-calendar', () => ({
+  requestCalendarPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'granted' })),
+  getCalendarsAsync: jest.fn(() => Promise.resolve([])),
+  createEventAsync: jest.fn(() => Promise.resolve('device-event')),
+  EntityTypes: { EVENT: 'event' }
+}));
+
+jest.mock('expo-file-system', () => {
+  const files = {};
+  
+  return {
+    cacheDirectory: 'file:///cache/',
+    files,
+    writeAsStringAsync: jest.fn((uri, content) => {
+      files[uri] = content;
+      return Promise.resolve();
+    }),
+    readAsStringAsync: jest.fn(uri => (files[uri] === undefined
+      ? Promise.reject(new Error(`File ${uri} not found`))
+      : Promise.resolve(files[uri])))
+  };
+});
+
+jest.mock('expo-task-manager', () => ({
+  defineTask: jest.fn(),
+  isTaskDefined: jest.fn(() => false)
+}));
+
+jest.mock('expo-location', () => ({
+  requestForegroundPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'denied' })),
+  requestBackgroundPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'denied' })),
+  hasStartedGeofencingAsync: jest.fn(() => Promise.resolve(false)),
+  stopGeofencingAsync: jest.fn(() => Promise.resolve())
+}));
+
+jest.mock('../../src/constants/appConfig', () => ({
+  __esModule: true,
+  default: {
+    sync: {}
+  }
+}));
+
+// Saturday 17 October 2026, 9:00 UTC
+const NOW = new Date(Date.UTC(2026, 9, 17, 9, 0));
+
+/**
+ * Join iCalendar lines with CRLF
+ * @param {Array<string>} lines - Content lines
+ * @returns {string} iCalendar data
+ */
+const ics = lines => `${lines.join('\r\n')}\r\n`;
+
+// Outlook writes Windows time zone names with their own definitions
+const WINDOWS_TIME_ZONE = [
+  'BEGIN:VTIMEZONE',
+  'TZID:W. Europe Standard Time',
+  'BEGIN:STANDARD',
+  'DTSTART:16010101T030000',
+  'TZOFFSETFROM:+0200',
+  'TZOFFSETTO:+0100',
+  'RRULE:FREQ=YEARLY;INTERVAL=1;BYDAY=-1SU;BYMONTH=10',
+  'END:STANDARD',
+  'BEGIN:DAYLIGHT',
+  'DTSTART:16010101T020000',
+  'TZOFFSETFROM:+0100',
+  'TZOFFSETTO:+0200',
+  'RRULE:FREQ=YEARLY;INTERVAL=1;BYDAY=-1SU;BYMONTH=3',
+  'END:DAYLIGHT',
+  'END:VTIMEZONE'
+];
+
+describe('iCalendar Format', () => {
+  test('Long and escaped text is folded and read back unchanged', () => {
+    const summary = '季度规划会议：预算, 人员; 以及路线图 '.repeat(4);
+    const text = formatICalendar(createComponent('VCALENDAR', [['VERSION', '2.0']], [
+      createComponent('VEVENT', [
+        ['UID', 'event-1'],
+        ['SUMMARY', escapeText('Plan, review; repeat\\ \nnext')],
+        ['DESCRIPTION', summary]
+      ])
+    ]));
+    const lines = text.split('\r\n').filter(Boolean);
+    
+    expect(text.endsWith('\r\n')).toBe(true);
+    lines.forEach(line => {
+      expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+    });
+    
+    const [calendar] = parseICalendar(text);
+    const [event] = calendar.components;
+    
+    expect(getText(event, 'SUMMARY')).toBe('Plan, review; repeat\\ \nnext');
+    expect(getText(event, 'DESCRIPTION')).toBe(summary);
+  });
+  
+  test('Quoted parameters and broken data are handled', () => {
+    const [calendar] = parseICalendar(ics([
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'ATTENDEE;CN="Li, Wei";ROLE=REQ-PARTICIPANT:mailto:li@example.com',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ]));
+    
+    expect(calendar.components[0].properties[0]).toEqual({
+      name: 'ATTENDEE',
+      params: { CN: 'Li, Wei', ROLE: 'REQ-PARTICIPANT' },
+      value: 'mailto:li@example.com'
+    });
+    expect(() => parseICalendar(ics(['BEGIN:VCALENDAR', 'BEGIN:VEVENT', 'END:VCALENDAR']))).toThrow();
+    expect(() => parseICalendar(ics(['BEGIN:VCALENDAR', 'BEGIN:VEVENT']))).toThrow();
+    expect(() => parseICalendar('not a calendar')).toThrow();
+  });
+  
+  test('Times are read in the time zone they were given in', () => {
+    const read = (value, params = {}) => readDateTime({ name: 'DTSTART', params, value });
+    
+    // New York has left daylight saving time by 3 November, Berlin is in it in July
+    expect(read('20261103T090000', { TZID: 'America/New_York' })).toEqual({
+      date: '2026-11-03T14:00:00.000Z',
+      timeZone: 'America/New_York',
+      dateOnly: false
+    });
+    expect(read('20260715T090000', { TZID: '/Europe/Berlin' }).date).toBe('2026-07-15T07:00:00.000Z');
+    expect(read('20260715T090000Z', { TZID: 'Europe/Berlin' })).toEqual({
+      date: '2026-07-15T09:00:00.000Z',
+      timeZone: null,
+      dateOnly: false
+    });
+    expect(read('20260715').dateOnly).toBe(true);
+  });
+  
+  test('Time zones unknown by name are read from their definitions', () => {
+    const [calendar] = parseICalendar(ics(['BEGIN:VCALENDAR', ...WINDOWS_TIME_ZONE, 'END:VCALENDAR']));
+    const timeZones = readTimeZones(calendar);
+    const read = value => readDateTime({ name: 'DTSTART', params: { TZID: 'W. Europe Standard Time' }, value }, timeZones);
+    
+    expect(read('20260715T090000')).toEqual({ date: '2026-07-15T07:00:00.000Z', timeZone: null, dateOnly: false });
+    expect(read('20261215T090000').date).toBe('2026-12-15T08:00:00.000Z');
+    
+    // Daylight saving time starts on the last Sunday of March
+    expect(read('20260328T120000').date).toBe('2026-03-28T11:00:00.000Z');
+    expect(read('20260329T120000').date).toBe('2026-03-29T10:00:00.000Z');
+  });
+  
+  test('Written time zones give the same offsets as the time zone itself', () => {
+    const vtimezone = buildVTimezone('America/New_York', 2026);
+    const text = formatICalendar(createComponent('VCALENDAR', [], [vtimezone]));
+    
+    expect(text).toContain('RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU');
+    expect(text).toContain('RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU');
+    
+    // Read the definition as an app that does not know the name would
+    const [calendar] = parseICalendar(text.replace(/America\/New_York/g, 'Eastern'));
+    const timeZones = readTimeZones(calendar);
+    
+    ['20260110T090000', '20260705T090000', '20271110T090000'].forEach(value => {
+      expect(readDateTime({ name: 'DTSTART', params: { TZID: 'Eastern' }, value }, timeZones).date)
+        .toBe(readDateTime({ name: 'DTSTART', params: { TZID: 'America/New_York' }, value }).date);
+    });
+    
+    expect(formatICalendar(buildVTimezone('Asia/Shanghai', 2026))).toContain('TZOFFSETTO:+0800');
+  });
+  
+  test('Durations are read and written', () => {
+    expect(parseDuration('-PT15M')).toBe(-15 * 60000);
+    expect(parseDuration('P1DT2H')).toBe(26 * 60 * 60000);
+    expect(parseDuration('P1W')).toBe(7 * 24 * 60 * 60000);
+    expect(formatDuration(-15 * 60000)).toBe('-PT15M');
+    expect(formatDuration(24 * 60 * 60000)).toBe('P1D');
+    expect(formatDuration(0)).toBe('PT0M');
+    expect(() => parseDuration('15 minutes')).toThrow();
+  });
+  
+  test('Agendas are written after the description and read back', () => {
+    const meeting = { description: 'Quarterly planning', agenda: ['Budget', { title: 'Hiring' }], language: 'en' };
+    
+    expect(formatDescription(meeting)).toBe('Quarterly planning\n\nAgenda:\n- Budget\n- Hiring');
+    expect(parseDescription(formatDescription(meeting))).toEqual({
+      description: 'Quarterly planning',
+      agenda: ['Budget', 'Hiring']
+    });
+    expect(parseDescription(formatDescription({ ...meeting, language: 'zh' })).agenda).toEqual(['Budget', 'Hiring']);
+    expect(parseDescription('Agenda:\nNot a list')).toEqual({ description: 'Agenda:\nNot a list', agenda: [] });
+  });
+});
+
+describe('iCalendar Service', () => {
+  beforeAll(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'setInterval', 'queueMicrotask'] });
+    await AsyncStorage.clear();
+    await reminderService.initialize();
+    await meetingService.initialize();
+    await taskService.initialize();
+    await emailService.initialize();
+  });
+  
+  afterAll(async () => {
+    await reminderService.cleanup();
+    jest.useRealTimers();
+  });
+  
+  beforeEach(() => {
+    jest.setSystemTime(NOW);
+  });
+  
+  test('Meetings are exported with their time zone, recurrence, agenda and attendees', async () => {
+    const meeting = await meetingService.createMeeting({
+      title: 'Team sync',
+      description: 'Weekly check-in',
+      agenda: ['Updates', 'Blockers'],
+      location: 'Room 4',
+      startTime: '2026-10-20T14:00:00.000Z',
+      endTime: '2026-10-20T14:30:00.000Z',
+      timeZone: 'America/New_York',
+      recurrence: 'FREQ=WEEKLY;BYDAY=TU',
+      organizer: 'lead@example.com',
+      participants: ['li@example.com', 'sam@example.com']
+    });
+    await meetingService.deleteMeeting(getOccurrenceId(meeting.id, '2026-10-27T14:00:00.000Z'));
+    
+    const text = icalendarService.exportMeetings([meeting.id]);
+    
+    expect(text).toContain('METHOD:PUBLISH');
+    expect(text).toContain('BEGIN:VTIMEZONE');
+    expect(text).toContain('DTSTART;TZID=America/New_York:20261020T100000');
+    expect(text).toContain('RRULE:FREQ=WEEKLY;BYDAY=TU');
+    expect(text).toContain('EXDATE;TZID=America/New_York:20261027T100000');
+    expect(text).toContain('ORGANIZER:mailto:lead@example.com');
+    expect(text.replace(/\r\n /g, '')).toContain('ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:li@example.com');
+    expect(text).toContain(`UID:${meeting.id}@ace-assistant`);
+    expect(getText(parseICalendar(text)[0].components[1], 'DESCRIPTION'))
+      .toBe('Weekly check-in\n\nAgenda:\n- Updates\n- Blockers');
+  });
+  
+  test('Exported meetings are imported back unchanged', async () => {
+    const meeting = await meetingService.createMeeting({
+      title: 'Planning',
+      description: 'Plan the quarter',
+      agenda: ['Budget'],
+      startTime: '2026-10-21T07:00:00.000Z',
+      endTime: '2026-10-21T08:00:00.000Z',
+      timeZone: 'Europe/Berlin',
+      recurrence: 'FREQ=DAILY;COUNT=5',
+      organizer: 'lead@example.com',
+      participants: [
+        { email: 'lead@example.com', name: 'Lead', role: 'organizer', rsvp: 'accepted' },
+        { email: 'li@example.com', name: 'Li Wei', role: 'optional' }
+      ],
+      priority: 'high'
+    });
+    await meetingService.updateMeeting(getOccurrenceId(meeting.id, '2026-10-22T07:00:00.000Z'), {
+      startTime: '2026-10-22T09:00:00.000Z',
+      endTime: '2026-10-22T10:00:00.000Z'
+    });
+    await meetingService.updateMeeting(getOccurrenceId(meeting.id, '2026-10-23T07:00:00.000Z'), { title: 'Planning (short)' });
+    
+    const original = meetingService.getMeetingById(meeting.id);
+    const text = icalendarService.exportMeetings([meeting.id]);
+    
+    // Importing again updates the meeting the event came from
+    const update = await icalendarService.importICalendar(text);
+    
+    expect(update.meetings).toHaveLength(1);
+    expect(update.meetings[0].id).toBe(meeting.id);
+    expect(meetingService.getMeetings().filter(m => m.title === 'Planning' && !m.seriesId)).toHaveLength(1);
+    
+    // On another device the event becomes a new meeting
+    await meetingService.deleteMeeting(meeting.id);
+    const result = await icalendarService.importICalendar(text);
+    const [imported] = result.meetings;
+    
+    expect(result.skipped).toEqual([]);
+    expect(imported.id).not.toBe(meeting.id);
+    expect(imported).toEqual(expect.objectContaining({
+      icalUid: `${meeting.id}@ace-assistant`,
+      title: 'Planning',
+      description: 'Plan the quarter',
+      agenda: ['Budget'],
+      startTime: original.startTime,
+      endTime: original.endTime,
+      timeZone: 'Europe/Berlin',
+      organizer: 'lead@example.com',
+      participants: [
+        { email: 'lead@example.com', name: 'Lead', role: 'organizer', rsvp: 'accepted' },
+        { email: 'li@example.com', name: 'Li Wei', role: 'optional', rsvp: 'needs-action' }
+      ],
+      priority: 'high',
+      recurrenceExceptions: original.recurrenceExceptions,
+      occurrences: original.occurrences
+    }));
+    expect(formatRRule(imported.recurrence)).toBe(formatRRule(original.recurrence));
+    
+    // The imported meeting exports as the same calendar data
+    expect(icalendarService.exportMeetings([imported.id])).toBe(text);
+  });
+  
+  test('Events from other calendar apps keep their time zones and changed occurrences', async () => {
+    const result = await icalendarService.importICalendar(ics([
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Microsoft Corporation//Outlook 16.0//EN',
+      'METHOD:REQUEST',
+      ...WINDOWS_TIME_ZONE,
+      'BEGIN:VEVENT',
+      'UID:outlook-1',
+      'SUMMARY:Standup',
+      'DTSTART;TZID=W. Europe Standard Time:20261026T093000',
+      'DURATION:PT15M',
+      'RRULE:FREQ=DAILY;COUNT=5',
+      'ORGANIZER;CN=Lead:mailto:Lead@Example.com',
+      'ATTENDEE;CN=Lead:mailto:Lead@Example.com',
+      'ATTENDEE;CN=Li:mailto:li@example.com',
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      'TRIGGER:-PT10M',
+      'END:VALARM',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:outlook-1',
+      'RECURRENCE-ID;TZID=W. Europe Standard Time:20261027T093000',
+      'SUMMARY:Standup',
+      'DTSTART;TZID=W. Europe Standard Time:20261027T110000',
+      'DTEND;TZID=W. Europe Standard Time:20261027T111500',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:outlook-1',
+      'RECURRENCE-ID;TZID=W. Europe Standard Time:20261028T093000',
+      'STATUS:CANCELLED',
+      'DTSTART;TZID=W. Europe Standard Time:20261028T093000',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ]));
+    const [meeting] = result.meetings;
+    
+    // Daylight saving time ended on Sunday 25 October
+    expect(meeting).toEqual(expect.objectContaining({
+      icalUid: 'outlook-1',
+      title: 'Standup',
+      startTime: '2026-10-26T08:30:00.000Z',
+      endTime: '2026-10-26T08:45:00.000Z',
+      organizer: 'lead@example.com',
+      participants: [
+        { email: 'lead@example.com', name: 'Lead', role: 'organizer', rsvp: 'needs-action' },
+        { email: 'li@example.com', name: 'Li', role: 'required', rsvp: 'needs-action' }
+      ],
+      recurrenceExceptions: [
+        { occurrenceDate: '2026-10-27T08:30:00.000Z', date: '2026-10-27T10:00:00.000Z' },
+        { occurrenceDate: '2026-10-28T08:30:00.000Z', skipped: true }
+      ]
+    }));
+    expect(meetingService.getMeetingById(getOccurrenceId(meeting.id, '2026-10-27T08:30:00.000Z'))).toEqual(expect.objectContaining({
+      startTime: '2026-10-27T10:00:00.000Z',
+      endTime: '2026-10-27T10:15:00.000Z'
+    }));
+  });
+  
+  test('Alarms of single events become the alerts of the meeting reminder', async () => {
+    const result = await icalendarService.importICalendar(ics([
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:review-1',
+      'SUMMARY:Design review',
+      'DTSTART:20261022T130000Z',
+      'DTEND:20261022T140000Z',
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      'TRIGGER:-PT1H',
+      'END:VALARM',
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      'TRIGGER:-PT10M',
+      'END:VALARM',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'SUMMARY:No start',
+      'UID:broken-1',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ]));
+    const [meeting] = result.meetings;
+    
+    expect(meeting.timeZone).toBeNull();
+    expect(reminderService.getReminderById(meeting.reminderId).alerts).toEqual([{ offset: 60 }, { offset: 10 }]);
+    expect(result.skipped).toEqual([{ uid: 'broken-1', error: 'Event start time is required' }]);
+    
+    // Cancelling the event cancels the meeting
+    const cancellation = await icalendarService.importICalendar(ics([
+      'BEGIN:VCALENDAR',
+      'METHOD:CANCEL',
+      'BEGIN:VEVENT',
+      'UID:review-1',
+      'SUMMARY:Design review',
+      'DTSTART:20261022T130000Z',
+      'DTEND:20261022T140000Z',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ]));
+    
+    expect(cancellation.meetings[0].id).toBe(meeting.id);
+    expect(meetingService.getMeetingById(meeting.id).status).toBe('cancelled');
+  });
+  
+  test('To-dos are imported as tasks or as reminders', async () => {
+    const text = ics([
+      'BEGIN:VCALENDAR',
+      'BEGIN:VTODO',
+      'UID:todo-1',
+      'SUMMARY:Send the report',
+      'DESCRIPTION:Quarterly numbers',
+      'DUE;TZID=Asia/Shanghai:20261023T170000',
+      'PRIORITY:1',
+      'STATUS:IN-PROCESS',
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      'TRIGGER:-PT30M',
+      'END:VALARM',
+      'END:VTODO',
+      'BEGIN:VTODO',
+      'UID:todo-2',
+      'SUMMARY:Tidy the desk',
+      'PRIORITY:9',
+      'END:VTODO',
+      'END:VCALENDAR'
+    ]);
+    
+    const tasks = await icalendarService.importICalendar(text);
+    
+    expect(tasks.tasks).toHaveLength(2);
+    expect(tasks.tasks[0]).toEqual(expect.objectContaining({
+      title: 'Send the report',
+      description: 'Quarterly numbers',
+      dueDate: '2026-10-23T09:00:00.000Z',
+      priority: 'high',
+      status: 'in_progress'
+    }));
+    expect(tasks.tasks[1]).toEqual(expect.objectContaining({ priority: 'low', dueDate: null }));
+    expect(reminderService.getReminderById(tasks.tasks[0].reminderId).alerts).toEqual([{ offset: 30 }]);
+    
+    // Reminders need a due date
+    const reminders = await icalendarService.importICalendar(text, { todos: ICALENDAR_TODO_TARGETS.REMINDERS });
+    
+    expect(reminders.reminders).toHaveLength(1);
+    expect(reminders.reminders[0]).toEqual(expect.objectContaining({
+      title: 'Send the report',
+      dueDate: '2026-10-23T09:00:00.000Z',
+      alerts: [{ offset: 30 }]
+    }));
+    expect(reminders.skipped).toEqual([{ uid: 'todo-2', error: 'Reminder due date is required' }]);
+  });
+  
+  test('Invitations attached to emails are imported', async () => {
+    const meeting = await meetingService.createMeeting({
+      title: 'Offsite',
+      startTime: '2026-11-05T09:00:00.000Z',
+      endTime: '2026-11-05T17:00:00.000Z'
+    });
+    const attachment = await icalendarService.exportMeetingsToFile([meeting.id]);
+    await meetingService.deleteMeeting(meeting.id);
+    
+    expect(attachment).toEqual(expect.objectContaining({ name: 'invite.ics', type: 'text/calendar' }));
+    expect(FileSystem.writeAsStringAsync).toHaveBeenCalledWith(attachment.uri, expect.stringContaining('SUMMARY:Offsite'));
+    
+    const email = await emailService.createEmail({
+      subject: 'Invitation: Offsite',
+      attachments: [
+        { id: 'a1', name: 'agenda.pdf', uri: 'file:///cache/agenda.pdf', type: 'application/pdf', size: 100 },
+        { id: 'a2', ...attachment }
+      ]
+    });
+    const result = await icalendarService.importEmailAttachments(email.id);
+    
+    expect(result.meetings).toHaveLength(1);
+    expect(result.meetings[0]).toEqual(expect.objectContaining({
+      title: 'Offsite',
+      startTime: '2026-11-05T09:00:00.000Z',
+      endTime: '2026-11-05T17:00:00.000Z'
+    }));
+    expect(FileSystem.readAsStringAsync).not.toHaveBeenCalledWith('file:///cache/agenda.pdf');
+  });
+});
+
+describe('Meeting Invitations', () => {
+  beforeAll(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'setInterval', 'queueMicrotask'] });
+    await AsyncStorage.clear();
+    await reminderService.initialize();
+    await meetingService.initialize();
+    await emailService.initialize();
+    await icalendarService.initialize();
+  });
+  
+  afterAll(async () => {
+    await icalendarService.cleanup();
+    await reminderService.cleanup();
+    jest.useRealTimers();
+  });
+  
+  beforeEach(() => {
+    jest.setSystemTime(NOW);
+  });
+  
+  /**
+   * Receive an email with an iCalendar attachment
+   * @param {string} content - iCalendar data
+   * @param {string} from - Sender
+   * @returns {Promise<Object>} Received email
+   */
+  const receiveCalendarEmail = async (content, from = 'li@example.com') => {
+    const uri = `file:///inbox/${Date.now()}-${Math.random()}.ics`;
+    await FileSystem.writeAsStringAsync(uri, content);
+    
+    return emailService.createEmail({
+      subject: 'Re: Invitation',
+      status: 'received',
+      from,
+      attachments: [{ id: 'a1', name: 'reply.ics', uri, type: 'text/calendar; method=REPLY', size: content.length }]
+    });
+  };
+  
+  /**
+   * Get the reply of one attendee to an event
+   * @param {string} uid - Event UID
+   * @param {string} attendee - ATTENDEE property
+   * @param {Array<string>} extra - Other event properties
+   * @returns {string} iCalendar REPLY
+   */
+  const reply = (uid, attendee, extra = []) => ics([
+    'BEGIN:VCALENDAR',
+    'METHOD:REPLY',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    ...extra,
+    attendee,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ]);
+  
+  test('Participants are stored with a name, role and RSVP status', async () => {
+    const meeting = await meetingService.createMeeting({
+      title: 'Roadmap',
+      startTime: '2026-10-22T13:00:00.000Z',
+      participants: ['Li@Example.com']
+    });
+    
+    expect(meeting.participants).toEqual([{ email: 'li@example.com', name: '', role: 'required', rsvp: 'needs-action' }]);
+    
+    const updated = await meetingService.addParticipant(meeting.id, { email: 'sam@example.com', name: 'Sam Chen', role: 'optional' });
+    
+    expect(updated.participants[1]).toEqual({ email: 'sam@example.com', name: 'Sam Chen', role: 'optional', rsvp: 'needs-action' });
+    expect((await meetingService.addParticipant(meeting.id, 'SAM@example.com')).participants).toHaveLength(2);
+    expect(meetingService.getMeetings({ participant: 'sam chen' }).map(m => m.id)).toEqual([meeting.id]);
+    
+    await expect(meetingService.addParticipant(meeting.id, { email: 'kim@example.com', role: 'guest' })).rejects.toThrow('Invalid participant role: guest');
+    
+    const removed = await meetingService.removeParticipant(meeting.id, 'li@example.com');
+    expect(removed.participants.map(p => p.email)).toEqual(['sam@example.com']);
+  });
+  
+  test('Invitations are emailed as iCalendar requests to everyone but the organizer', async () => {
+    const meeting = await meetingService.createMeeting({
+      title: 'Budget review',
+      startTime: '2026-10-23T13:00:00.000Z',
+      endTime: '2026-10-23T14:00:00.000Z',
+      organizer: 'lead@example.com',
+      participants: [
+        { email: 'lead@example.com', name: 'Lead', role: 'organizer', rsvp: 'accepted' },
+        { email: 'li@example.com', name: 'Li Wei' },
+        { email: 'sam@example.com', role: 'optional' }
+      ]
+    });
+    
+    const email = await icalendarService.sendInvitations(meeting.id);
+    const [attachment] = email.attachments;
+    const content = (await FileSystem.readAsStringAsync(attachment.uri)).replace(/\r\n /g, '');
+    
+    expect(email).toEqual(expect.objectContaining({
+      subject: 'Invitation: Budget review',
+      status: 'sent',
+      from: 'lead@example.com',
+      to: ['li@example.com', 'sam@example.com']
+    }));
+    expect(attachment).toEqual(expect.objectContaining({ name: 'invite.ics', type: 'text/calendar; method=REQUEST' }));
+    expect(content).toContain('METHOD:REQUEST');
+    expect(content).toContain('ATTENDEE;CN=Lead;ROLE=CHAIR;PARTSTAT=ACCEPTED:mailto:lead@example.com');
+    expect(content).toContain('ATTENDEE;CN=Li Wei;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:li@example.com');
+    expect(content).toContain('ATTENDEE;ROLE=OPT-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:sam@example.com');
+    
+    // Invitations can go to some participants only
+    expect((await icalendarService.sendInvitations(meeting.id, { emails: ['Sam@example.com'] })).to).toEqual(['sam@example.com']);
+    
+    const solo = await meetingService.createMeeting({ title: 'Focus time', startTime: '2026-10-23T15:00:00.000Z' });
+    await expect(icalendarService.sendInvitations(solo.id)).rejects.toThrow('has no participants to invite');
+  });
+  
+  test('Replies in received emails update each participant\'s RSVP status', async () => {
+    const meeting = await meetingService.createMeeting({
+      title: 'Design review',
+      startTime: '2026-10-22T15:00:00.000Z',
+      participants: ['li@example.com', 'sam@example.com']
+    });
+    const uid = `${meeting.id}@ace-assistant`;
+    
+    await receiveCalendarEmail(reply(uid, 'ATTENDEE;PARTSTAT=ACCEPTED:mailto:li@example.com'));
+    await receiveCalendarEmail(reply(uid, 'ATTENDEE;CN=Sam;PARTSTAT=TENTATIVE:MAILTO:Sam@Example.com'), 'Sam <Sam@Example.com>');
+    
+    expect(meetingService.getMeetingById(meeting.id).participants.map(p => p.rsvp)).toEqual(['accepted', 'tentative']);
+    
+    // Replies from people who were not invited change nothing, and do not
+    // stop the answers of invited participants
+    const result = await icalendarService.importICalendar(reply(uid, [
+      'ATTENDEE;PARTSTAT=DECLINED:mailto:kim@example.com',
+      'ATTENDEE;PARTSTAT=DECLINED:mailto:li@example.com'
+    ].join('\r\n')));
+    
+    expect(result.replies).toEqual([{ meetingId: meeting.id, email: 'li@example.com', rsvp: 'declined' }]);
+    expect(result.skipped).toEqual([{ uid, error: `kim@example.com is not a participant of meeting ${meeting.id}` }]);
+  });
+  
+  test('Replies in an email only answer for its sender', async () => {
+    const meeting = await meetingService.createMeeting({
+      title: 'Hiring sync',
+      startTime: '2026-10-22T16:00:00.000Z',
+      participants: ['li@example.com', 'sam@example.com']
+    });
+    const uid = `${meeting.id}@ace-assistant`;
+    
+    await receiveCalendarEmail(reply(uid, [
+      'ATTENDEE;PARTSTAT=ACCEPTED:mailto:li@example.com',
+      'ATTENDEE;PARTSTAT=DECLINED:mailto:sam@example.com'
+    ].join('\r\n')));
+    
+    expect(meetingService.getMeetingById(meeting.id).participants.map(p => p.rsvp)).toEqual(['accepted', 'needs-action']);
+    
+    // A forwarded reply does not answer for the person who wrote it
+    const email = await receiveCalendarEmail(reply(uid, 'ATTENDEE;PARTSTAT=DECLINED:mailto:sam@example.com'), 'kim@example.com');
+    const result = await icalendarService.importEmailAttachments(email.id, { repliesOnly: true });
+    
+    expect(result.replies).toEqual([]);
+    expect(result.skipped).toEqual([{ uid, error: 'Reply has no answer from kim@example.com' }]);
+    expect(meetingService.getMeetingById(meeting.id).participants[1].rsvp).toBe('needs-action');
+  });
+  
+  test('Replies for one occurrence of a series answer that occurrence only', async () => {
+    const meeting = await meetingService.createMeeting({
+      title: 'Standup',
+      startTime: '2026-10-19T08:00:00.000Z',
+      recurrence: 'FREQ=DAILY;COUNT=5',
+      participants: ['li@example.com']
+    });
+    
+    const result = await icalendarService.importICalendar(reply(`${meeting.id}@ace-assistant`,
+      'ATTENDEE;PARTSTAT=DECLINED:mailto:li@example.com', ['RECURRENCE-ID:20261020T080000Z']));
+    const occurrenceId = getOccurrenceId(meeting.id, '2026-10-20T08:00:00.000Z');
+    
+    expect(result.replies).toEqual([{ meetingId: occurrenceId, email: 'li@example.com', rsvp: 'declined' }]);
+    expect(meetingService.getMeetingById(occurrenceId).participants[0].rsvp).toBe('declined');
+    expect(meetingService.getMeetingById(getOccurrenceId(meeting.id, '2026-10-21T08:00:00.000Z')).participants[0].rsvp)
+      .toBe('needs-action');
+  });
+  
+  test('Replies attached to an email after it arrives are applied once', async () => {
+    const meeting = await meetingService.createMeeting({
+      title: 'Offsite planning',
+      startTime: '2026-10-22T17:00:00.000Z',
+      participants: ['li@example.com']
+    });
+    const email = await emailService.createEmail({ subject: 'Re: Offsite planning', status: 'received', from: 'li@example.com' });
+    const uri = `file:///inbox/${Date.now()}-${Math.random()}.ics`;
+    await FileSystem.writeAsStringAsync(uri, reply(`${meeting.id}@ace-assistant`, 'ATTENDEE;PARTSTAT=ACCEPTED:mailto:li@example.com'));
+    
+    await emailService.addAttachment(email.id, { name: 'reply.ics', uri, type: 'text/calendar; method=REPLY' });
+    
+    expect(meetingService.getMeetingById(meeting.id).participants[0].rsvp).toBe('accepted');
+    
+    // Later changes to the email do not apply the reply again over a newer answer
+    await meetingService.setParticipantRsvp(meeting.id, 'li@example.com', 'declined');
+    await emailService.updateEmail(email.id, { tags: ['answered'] });
+    
+    expect(meetingService.getMeetingById(meeting.id).participants[0].rsvp).toBe('declined');
+  });
+  
+  test('Replies in emails synced from another device are not applied again', async () => {
+    const meeting = await meetingService.createMeeting({
+      title: 'Quarterly review',
+      startTime: '2026-10-22T18:00:00.000Z',
+      participants: ['li@example.com']
+    });
+    const uri = `file:///inbox/${Date.now()}-${Math.random()}.ics`;
+    await FileSystem.writeAsStringAsync(uri, reply(`${meeting.id}@ace-assistant`, 'ATTENDEE;PARTSTAT=ACCEPTED:mailto:li@example.com'));
+    
+    await emailService.applyRemoteChange('create', 'remote-email-1', {
+      subject: 'Re: Quarterly review',
+      status: 'received',
+      from: 'li@example.com',
+      attachments: []
+    });
+    await emailService.applyRemoteChange('update', 'remote-email-1', {
+      subject: 'Re: Quarterly review',
+      status: 'received',
+      from: 'li@example.com',
+      attachments: [{ id: 'a1', name: 'reply.ics', uri, type: 'text/calendar; method=REPLY', addedAt: new Date().toISOString() }]
+    });
+    
+    expect(meetingService.getMeetingById(meeting.id).participants[0].rsvp).toBe('needs-action');
+  });
+  
+  test('Invitations received by email are not imported without asking', async () => {
+    const count = meetingService.getMeetings().length;
+    
+    await receiveCalendarEmail(ics([
+      'BEGIN:VCALENDAR',
+      'METHOD:REQUEST',
+      'BEGIN:VEVENT',
+      'UID:external-1',
+      'SUMMARY:Vendor call',
+      'DTSTART:20261024T130000Z',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ]));
+    
+    expect(meetingService.getMeetings()).toHaveLength(count);
+  });
+});
@@ -0,0 +1,560 @@
+/**
+ * Location Reminder Test Suite for Ace Assistant
+ * 
+ * This file contains tests for location-based reminders: saved places,
+ * reminders fired on arriving at or leaving a place from simulated positions
+ * and geofence crossings, and the voice commands that set them and save places.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import * as Location from 'expo-location';
+import * as TaskManager from 'expo-task-manager';
+import voiceCommandProcessor from '../../src/components/voice/VoiceCommandProcessor';
+import reminderService, { LOCATION_EVENTS, MAX_GEOFENCED_PLACES } from '../../src/services/reminders/ReminderService';
+import locationProvider from '../../src/services/reminders/locationProvider';
+import {
+  normalizePlace,
+  normalizeLocationTrigger,
+  getDistance,
+  getPlaceTransitions
+} from '../../src/services/reminders/geofence';
+
+// Mock platform modules
+jest.mock('react-native', () => ({
+  Platform: { OS: 'ios' }
+}));
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('expo-sqlite', () => require('../mocks/expoSqlite'));
+
+jest.mock('expo-notifications', () => ({
+  setNotificationHandler: jest.fn(),
+  requestPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'granted' })),
+  addNotificationReceivedListener: jest.fn(() => ({ remove: jest.fn() })),
+  addNotificationResponseReceivedListener: jest.fn(() => ({ remove: jest.fn() })),
+  setNotificationCategoryAsync: jest.fn(() => Promise.resolve()),
+  scheduleNotificationAsync: jest.fn(() => Promise.resolve('notification-1')),
+  cancelScheduledNotificationAsync: jest.fn(() => Promise.resolve()),
+  AndroidNotificationPriority: { HIGH: 'high' }
+}));
+
+jest.mock('expo-calendar', () => ({
+  requestCalendarPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'denied' })),
+  getCalendarsAsync: jest.fn(() => Promise.resolve([])),
+  EntityTypes: { EVENT: 'event' }
+}));
+
+jest.mock('expo-task-manager', () => ({
+  defineTask: jest.fn(),
+  isTaskDefined: jest.fn(() => false)
+}));
+
+jest.mock('expo-location', () => ({
+  requestForegroundPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'granted' })),
+  requestBackgroundPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'granted' })),
+  startGeofencingAsync: jest.fn(() => Promise.resolve()),
+  hasStartedGeofencingAsync: jest.fn(() => Promise.resolve(true)),
+  stopGeofencingAsync: jest.fn(() => Promise.resolve()),
+  GeofencingEventType: { Enter: 1, Exit: 2 }
+}));
+
+jest.mock('../../src/constants/appConfig', () => ({
+  __esModule: true,
+  default: {
+    sync: {}
+  }
+}));
+
+// The processor imports the React hooks, which the reminder commands get passed in
+jest.mock('../../src/hooks/useTasks', () => jest.fn());
+jest.mock('../../src/hooks/useEmail', () => jest.fn());
+jest.mock('../../src/hooks/useMeetings', () => jest.fn());
+jest.mock('../../src/hooks/useReminders', () => jest.fn());
+jest.mock('../../src/hooks/useLocalization', () => jest.fn(), { virtual: true });
+jest.mock('../../src/services/search/SearchService', () => ({}));
+
+// Saturday 17 October 2026, 9:00 local time
+const NOW = new Date(2026, 9, 17, 9, 0);
+
+// The office, and positions around it
+const OFFICE = { latitude: 31.2304, longitude: 121.4737 };
+const NEAR_OFFICE = { latitude: 31.2314, longitude: 121.4737 };
+const EDGE_OF_OFFICE = { latitude: 31.2319, longitude: 121.4737 };
+const AWAY = { latitude: 31.2504, longitude: 121.4737 };
+const HOME = { latitude: 31.2004, longitude: 121.4337 };
+
+// Mock translation function, keeping the parameters
+const t = (key, params) => (params ? `${key} ${JSON.stringify(params)}` : key);
+
+// Reminder functions as passed in by useVoiceCommandIntegration
+const services = {
+  reminders: {
+    createReminder: reminderService.createReminder,
+    findPlace: reminderService.findPlace,
+    getPlaces: reminderService.getPlaces,
+    saveCurrentLocation: reminderService.saveCurrentLocation
+  }
+};
+
+/**
+ * Create a location provider reporting simulated positions and geofence crossings
+ * @param {Object} position - Current position
+ * @returns {Object} Location provider, with move() to report a new position and cross() to report a geofence crossing
+ */
+const createSimulatedProvider = (position = OFFICE) => {
+  const provider = {
+    position,
+    callback: null,
+    geofencedPlaces: null,
+    geofenceCallback: null,
+    subscription: { remove: jest.fn(() => { provider.callback = null; }) },
+    requestPermission: jest.fn(() => Promise.resolve(true)),
+    getCurrentPosition: jest.fn(() => Promise.resolve(provider.position)),
+    watchPosition: jest.fn(callback => {
+      provider.callback = callback;
+      return Promise.resolve(provider.subscription);
+    }),
+    startGeofencing: jest.fn((places, callback) => {
+      provider.geofencedPlaces = places;
+      provider.geofenceCallback = callback;
+      return Promise.resolve(true);
+    }),
+    stopGeofencing: jest.fn(() => {
+      provider.geofencedPlaces = null;
+      provider.geofenceCallback = null;
+      return Promise.resolve();
+    }),
+    move: async coords => {
+      provider.position = coords;
+      
+      if (provider.callback) {
+        await provider.callback(coords);
+      }
+    },
+    cross: async (placeId, event) => {
+      if (provider.geofenceCallback) {
+        await provider.geofenceCallback({ placeId, event });
+      }
+    }
+  };
+  
+  return provider;
+};
+
+describe('Geofence', () => {
+  test('Distances are measured along the earth\'s surface', () => {
+    // A thousandth of a degree of latitude is about 111 meters
+    expect(getDistance(OFFICE, NEAR_OFFICE)).toBeCloseTo(111.2, 0);
+    expect(getDistance(OFFICE, OFFICE)).toBe(0);
+  });
+  
+  test('Places get a default radius and are checked', () => {
+    expect(normalizePlace({ name: ' Office ', ...OFFICE })).toEqual(expect.objectContaining({
+      name: 'Office',
+      aliases: [],
+      radius: 150
+    }));
+    
+    expect(() => normalizePlace({ ...OFFICE })).toThrow('Place name is required');
+    expect(() => normalizePlace({ name: 'Office', latitude: 95, longitude: 0 })).toThrow('Invalid place coordinates');
+    expect(() => normalizePlace({ name: 'Office', ...OFFICE, radius: 0 })).toThrow('Invalid place radius');
+  });
+  
+  test('Location triggers keep a copy of their place', () => {
+    const trigger = normalizeLocationTrigger({
+      event: LOCATION_EVENTS.LEAVE,
+      place: { id: 'office', name: 'Office', aliases: ['公司'], ...OFFICE }
+    });
+    
+    expect(trigger).toEqual({
+      event: 'leave',
+      place: { id: 'office', name: 'Office', ...OFFICE, radius: 150 },
+      repeat: false,
+      triggeredAt: null
+    });
+    
+    expect(normalizeLocationTrigger(null)).toBeNull();
+    expect(() => normalizeLocationTrigger({ event: 'pass', place: trigger.place })).toThrow('Invalid location event');
+  });
+  
+  test('The first position only records which places it is in', () => {
+    const places = [{ id: 'office', ...OFFICE, radius: 150 }];
+    const first = getPlaceTransitions(OFFICE, places);
+    
+    expect(first).toEqual({ inside: { office: true }, transitions: [] });
+    
+    const second = getPlaceTransitions(AWAY, places, first.inside);
+    
+    expect(second).toEqual({ inside: { office: false }, transitions: [{ placeId: 'office', event: 'leave' }] });
+    expect(getPlaceTransitions(OFFICE, places, second.inside).transitions).toEqual([{ placeId: 'office', event: 'arrive' }]);
+  });
+  
+  test('A position just past the edge does not leave the place', () => {
+    const places = [{ id: 'office', ...OFFICE, radius: 150 }];
+    
+    // About 167 meters away: outside the radius, within the exit margin
+    expect(getPlaceTransitions(EDGE_OF_OFFICE, places, { office: true })).toEqual({ inside: { office: true }, transitions: [] });
+    expect(getPlaceTransitions(EDGE_OF_OFFICE, places, { office: false })).toEqual({ inside: { office: false }, transitions: [] });
+  });
+});
+
+describe('Location Provider', () => {
+  beforeAll(async () => {
+    await AsyncStorage.clear();
+  });
+  
+  test('Geofencing is not touched on start without location reminders', async () => {
+    await reminderService.initialize();
+    
+    expect(Location.hasStartedGeofencingAsync).not.toHaveBeenCalled();
+    expect(Location.startGeofencingAsync).not.toHaveBeenCalled();
+    
+    await reminderService.cleanup();
+  });
+  
+  test('Crossings reported before anyone listens are saved and passed on when geofencing starts', async () => {
+    const places = [{ id: 'office', ...OFFICE, radius: 150 }];
+    
+    expect(await locationProvider.startGeofencing(places, jest.fn())).toBe(true);
+    expect(TaskManager.defineTask).toHaveBeenCalledTimes(1);
+    expect(Location.startGeofencingAsync).toHaveBeenCalledWith('ace-reminder-geofencing', [
+      { identifier: 'office', ...OFFICE, radius: 150, notifyOnEnter: true, notifyOnExit: true }
+    ]);
+    
+    // The operating system reports a crossing while the app is not listening
+    await locationProvider.stopGeofencing();
+    const [[, task]] = TaskManager.defineTask.mock.calls;
+    await task({ data: { region: { identifier: 'office' }, eventType: Location.GeofencingEventType.Exit } });
+    
+    expect(JSON.parse(await AsyncStorage.getItem('@ace_pending_geofence_events'))).toEqual([
+      { placeId: 'office', event: 'leave' }
+    ]);
+    
+    const callback = jest.fn();
+    await locationProvider.startGeofencing(places, callback);
+    
+    expect(callback).toHaveBeenCalledWith({ placeId: 'office', event: 'leave' });
+    expect(await AsyncStorage.getItem('@ace_pending_geofence_events')).toBeNull();
+    
+    await locationProvider.stopGeofencing();
+  });
+});
+
+describe('Location Reminders', () => {
+  let provider;
+  let office;
+  
+  beforeAll(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'setInterval', 'queueMicrotask'] });
+    await AsyncStorage.clear();
+    await reminderService.initialize();
+    office = await reminderService.createPlace({ name: 'Office', aliases: ['公司'], ...OFFICE });
+  });
+  
+  afterAll(async () => {
+    await reminderService.cleanup();
+    jest.useRealTimers();
+  });
+  
+  beforeEach(async () => {
+    jest.setSystemTime(NOW);
+    
+    // Start each test with no reminder waiting at a place
+    for (const reminder of reminderService.getReminders()) {
+      await reminderService.deleteReminder(reminder.id);
+    }
+    
+    await reminderService.setDeliverySettings({ quietHours: {} });
+    
+    provider = createSimulatedProvider(OFFICE);
+    await reminderService.setLocationProvider(provider);
+    Notifications.scheduleNotificationAsync.mockClear();
+  });
+  
+  test('A reminder at a place needs no due date and schedules nothing until it fires', async () => {
+    const reminder = await reminderService.createReminder({
+      title: 'Buy milk',
+      locationTrigger: { placeId: office.id, event: LOCATION_EVENTS.LEAVE }
+    });
+    
+    expect(reminder.dueDate).toBeNull();
+    expect(reminder.locationTrigger).toEqual(expect.objectContaining({
+      event: 'leave',
+      place: expect.objectContaining({ id: office.id, name: 'Office' }),
+      triggeredAt: null
+    }));
+    expect(reminder.notificationIds).toEqual([]);
+    expect(Notifications.scheduleNotificationAsync).not.toHaveBeenCalled();
+    
+    // Positions are watched while the reminder waits
+    expect(provider.watchPosition).toHaveBeenCalledTimes(1);
+  });
+  
+  test('Leaving the place fires the reminder once', async () => {
+    const reminder = await reminderService.createReminder({
+      title: 'Buy milk',
+      locationTrigger: { placeId: office.id, event: LOCATION_EVENTS.LEAVE }
+    });
+    
+    // The first position is in the office, so nothing is left yet
+    await provider.move(OFFICE);
+    await provider.move(NEAR_OFFICE);
+    expect(Notifications.scheduleNotificationAsync).not.toHaveBeenCalled();
+    
+    await provider.move(AWAY);
+    
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledTimes(1);
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledWith(expect.objectContaining({
+      content: expect.objectContaining({
+        title: 'Reminder: Buy milk',
+        body: 'You left Office',
+        data: { reminderId: reminder.id, occurrenceDate: null, locationEvent: 'leave' }
+      }),
+      trigger: null
+    }));
+    
+    const fired = reminderService.getReminderById(reminder.id);
+    
+    expect(fired.locationTrigger.triggeredAt).toBe(NOW.toISOString());
+    expect(fired.deliveries).toEqual([expect.objectContaining({ locationEvent: 'leave', heldBy: null })]);
+    expect(reminderService.getLastTriggeredReminder().id).toBe(reminder.id);
+    
+    // Nothing else is waiting, so positions are no longer watched
+    expect(provider.subscription.remove).toHaveBeenCalled();
+    
+    await provider.move(OFFICE);
+    await reminderService.handleLocationUpdate(AWAY);
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledTimes(1);
+  });
+  
+  test('Places are geofenced so that reminders fire while the app is closed', async () => {
+    const reminder = await reminderService.createReminder({
+      title: 'Buy milk',
+      locationTrigger: { placeId: office.id, event: LOCATION_EVENTS.LEAVE }
+    });
+    
+    expect(provider.geofencedPlaces).toEqual([
+      expect.objectContaining({ id: office.id, ...OFFICE, radius: 150 })
+    ]);
+    
+    // The device leaves without a position being watched
+    await provider.cross(office.id, LOCATION_EVENTS.LEAVE);
+    
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledTimes(1);
+    expect(reminderService.getReminderById(reminder.id).locationTrigger.triggeredAt).toBe(NOW.toISOString());
+    
+    // Nothing else is waiting, so the place is no longer geofenced
+    expect(provider.stopGeofencing).toHaveBeenCalled();
+    expect(provider.geofencedPlaces).toBeNull();
+  });
+  
+  test('Only the places nearest the device are geofenced', async () => {
+    const places = [];
+    
+    // Places a little further north of the office each
+    for (let i = 0; i <= MAX_GEOFENCED_PLACES; i++) {
+      places.push(await reminderService.createPlace({
+        name: `Stop ${i}`,
+        latitude: OFFICE.latitude + 0.01 * (i + 1),
+        longitude: OFFICE.longitude
+      }));
+    }
+    
+    for (const place of places) {
+      await reminderService.createReminder({
+        title: `Get off at ${place.name}`,
+        locationTrigger: { placeId: place.id, event: LOCATION_EVENTS.ARRIVE }
+      });
+    }
+    
+    expect(provider.geofencedPlaces).toHaveLength(MAX_GEOFENCED_PLACES);
+    
+    // Moving past the last stop makes it one of the nearest
+    await provider.move({ latitude: OFFICE.latitude + 0.01 * (MAX_GEOFENCED_PLACES + 2), longitude: OFFICE.longitude });
+    
+    expect(provider.geofencedPlaces).toHaveLength(MAX_GEOFENCED_PLACES);
+    expect(provider.geofencedPlaces.map(place => place.id)).toContain(places[MAX_GEOFENCED_PLACES].id);
+    expect(provider.geofencedPlaces.map(place => place.id)).not.toContain(places[0].id);
+    
+    for (const place of places) {
+      await reminderService.deletePlace(place.id);
+    }
+  });
+  
+  test('A crossing noticed by the geofence and the watched positions fires once', async () => {
+    await reminderService.createReminder({
+      title: 'Check the mailbox',
+      locationTrigger: { placeId: office.id, event: LOCATION_EVENTS.ARRIVE, repeat: true }
+    });
+    
+    await provider.move(AWAY);
+    await provider.move(OFFICE);
+    await provider.cross(office.id, LOCATION_EVENTS.ARRIVE);
+    
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledTimes(1);
+    
+    await provider.cross(office.id, LOCATION_EVENTS.LEAVE);
+    await provider.move(AWAY);
+    await provider.cross(office.id, LOCATION_EVENTS.ARRIVE);
+    await provider.move(OFFICE);
+    
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledTimes(2);
+    
+    // Places already geofenced are not registered again
+    expect(provider.startGeofencing).toHaveBeenCalledTimes(1);
+  });
+  
+  test('A repeating reminder fires on every arrival', async () => {
+    const reminder = await reminderService.createReminder({
+      title: 'Check the mailbox',
+      locationTrigger: { placeId: office.id, event: LOCATION_EVENTS.ARRIVE, repeat: true }
+    });
+    
+    await provider.move(AWAY);
+    await provider.move(OFFICE);
+    await provider.move(AWAY);
+    await provider.move(OFFICE);
+    
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledTimes(2);
+    expect(Notifications.scheduleNotificationAsync.mock.calls[0][0].content.body).toBe('You arrived at Office');
+    expect(reminderService.getReminderById(reminder.id).deliveries).toHaveLength(2);
+    expect(provider.subscription.remove).not.toHaveBeenCalled();
+  });
+  
+  test('A reminder fired in quiet hours is delivered when they end', async () => {
+    await reminderService.setDeliverySettings({ quietHours: { personal: { start: '08:00', end: '10:00' } } });
+    Notifications.scheduleNotificationAsync.mockClear();
+    
+    const reminder = await reminderService.createReminder({
+      title: 'Water the plants',
+      context: 'personal',
+      locationTrigger: { placeId: office.id, event: LOCATION_EVENTS.LEAVE }
+    });
+    
+    await provider.move(OFFICE);
+    await provider.move(AWAY);
+    
+    expect(Notifications.scheduleNotificationAsync.mock.calls[0][0].trigger).toEqual({
+      date: new Date(2026, 9, 17, 10, 0)
+    });
+    expect(reminderService.getReminderById(reminder.id).deliveries[0].heldBy).toBe('quiet_hours');
+  });
+  
+  test('Moving a place moves the reminders waiting there', async () => {
+    const gym = await reminderService.createPlace({ name: 'Gym', ...HOME });
+    const reminder = await reminderService.createReminder({
+      title: 'Bring a towel',
+      locationTrigger: { placeId: gym.id, event: LOCATION_EVENTS.ARRIVE }
+    });
+    
+    await reminderService.updatePlace(gym.id, { ...NEAR_OFFICE, radius: 80 });
+    
+    expect(reminderService.getReminderById(reminder.id).locationTrigger.place).toEqual({
+      id: gym.id,
+      name: 'Gym',
+      ...NEAR_OFFICE,
+      radius: 80
+    });
+    
+    // Deleting the place leaves the reminder set at its copy
+    expect(await reminderService.deletePlace(gym.id)).toBe(true);
+    expect(reminderService.getReminderById(reminder.id).locationTrigger.place.id).toBe(gym.id);
+  });
+  
+  test('Places are found by name or alias', () => {
+    expect(reminderService.findPlace('office').id).toBe(office.id);
+    expect(reminderService.findPlace('公司').id).toBe(office.id);
+    expect(reminderService.findPlace('offi').id).toBe(office.id);
+    expect(reminderService.findPlace('post office')).toBeNull();
+    expect(reminderService.findPlace('airport')).toBeNull();
+  });
+  
+  test('Reminders at an unknown place are rejected', async () => {
+    await expect(reminderService.createReminder({
+      title: 'Buy milk',
+      locationTrigger: { placeId: 'nowhere', event: LOCATION_EVENTS.LEAVE }
+    })).rejects.toThrow('Place with ID nowhere not found');
+    
+    await expect(reminderService.createReminder({
+      title: 'Buy milk',
+      recurrence: 'daily',
+      locationTrigger: { placeId: office.id, event: LOCATION_EVENTS.LEAVE }
+    })).rejects.toThrow('Recurring reminders need a due date');
+  });
+});
+
+describe('Location Voice Commands', () => {
+  let provider;
+  
+  beforeAll(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'setInterval', 'queueMicrotask'] });
+    await AsyncStorage.clear();
+    await reminderService.initialize();
+    
+    for (const place of reminderService.getPlaces()) {
+      await reminderService.deletePlace(place.id);
+    }
+    
+    await reminderService.createPlace({ name: 'Office', aliases: ['公司'], ...OFFICE });
+    await reminderService.createPlace({ name: 'Home', aliases: ['家'], ...HOME });
+  });
+  
+  afterAll(async () => {
+    await reminderService.cleanup();
+    jest.useRealTimers();
+  });
+  
+  beforeEach(async () => {
+    jest.setSystemTime(NOW);
+    provider = createSimulatedProvider(AWAY);
+    await reminderService.setLocationProvider(provider);
+  });
+  
+  test.each([
+    ['Remind me to buy milk when I leave the office', 'en', 'buy milk', 'Office', 'leave'],
+    ['When I get home remind me to call mom', 'en', 'call mom', 'Home', 'arrive'],
+    ['Remind me to return the keys once I arrive at the office', 'en', 'return the keys', 'Office', 'arrive'],
+    ['到家时提醒我买牛奶', 'zh', '买牛奶', 'Home', 'arrive'],
+    ['提醒我离开公司时带伞', 'zh', '带伞', 'Office', 'leave']
+  ])('"%s" sets a reminder at a saved place', async (command, language, title, placeName, event) => {
+    const result = await voiceCommandProcessor.processCommand(command, language, services, t);
+    
+    expect(result).toEqual(expect.objectContaining({ success: true, commandType: 'reminder', action: 'create' }));
+    expect(result.data.title).toBe(title);
+    expect(result.data.dueDate).toBeNull();
+    expect(result.data.locationTrigger).toEqual(expect.objectContaining({
+      event,
+      place: expect.objectContaining({ name: placeName })
+    }));
+    expect(result.response).toContain(`voice.reminder.created_${event}`);
+  });
+  
+  test('A reminder at an unknown place is not set', async () => {
+    const result = await voiceCommandProcessor.processCommand('Remind me to buy stamps when I get to the post office', 'en', services, t);
+    
+    expect(result).toEqual(expect.objectContaining({ success: false, error: 'Place not found' }));
+    expect(result.response).toContain('post office');
+  });
+  
+  test.each([
+    ['Save this place as gym', 'en', 'gym'],
+    ['把这里保存为健身房', 'zh', '健身房']
+  ])('"%s" saves the current position', async (command, language, name) => {
+    const result = await voiceCommandProcessor.processCommand(command, language, services, t);
+    
+    expect(result).toEqual(expect.objectContaining({ success: true, action: 'save_place' }));
+    expect(result.data).toEqual(expect.objectContaining({ name, ...AWAY, radius: 150 }));
+    expect(reminderService.findPlace(name).id).toBe(result.data.id);
+  });
+  
+  test('"List my places" reads back the saved places', async () => {
+    const result = await voiceCommandProcessor.processCommand('List my places', 'en', services, t);
+    
+    expect(result.action).toBe('list_places');
+    expect(result.data.map(place => place.name)).toEqual(expect.arrayContaining(['Home', 'Office']));
+  });
+});
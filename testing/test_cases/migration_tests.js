@@ -0,0 +1,246 @@
+/**
+ * Migration Test Suite for Ace Assistant
+ * 
+ * This file contains tests for the schema migrations of saved tasks, emails,
+ * meetings and reminders, and for the repository's migration runner.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import createRepository, { STORAGE_BACKENDS } from '../../src/services/storage/Repository';
+import taskService, { TASK_MIGRATIONS } from '../../src/services/organization/TaskService';
+import { EMAIL_MIGRATIONS } from '../../src/services/organization/EmailService';
+import { MEETING_MIGRATIONS } from '../../src/services/organization/MeetingService';
+import { REMINDER_MIGRATIONS } from '../../src/services/reminders/ReminderService';
+
+// Mock platform modules
+jest.mock('react-native', () => ({
+  Platform: { OS: 'ios' }
+}));
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('expo-sqlite', () => require('../mocks/expoSqlite'));
+
+jest.mock('expo-task-manager', () => ({
+  defineTask: jest.fn(),
+  isTaskDefined: jest.fn(() => false)
+}));
+
+jest.mock('expo-location', () => ({
+  requestForegroundPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'denied' })),
+  requestBackgroundPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'denied' })),
+  hasStartedGeofencingAsync: jest.fn(() => Promise.resolve(false)),
+  stopGeofencingAsync: jest.fn(() => Promise.resolve())
+}));
+
+jest.mock('../../src/constants/appConfig', () => ({
+  __esModule: true,
+  default: {
+    sync: {}
+  }
+}));
+
+/**
+ * Get a migration step by version
+ * @param {Array} migrations - Migration steps
+ * @param {number} version - Schema version
+ * @returns {Function} Step's upgrade function
+ */
+const step = (migrations, version) => migrations.find(migration => migration.version === version).up;
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+});
+
+describe('Migration Steps', () => {
+  test.each([
+    ['task', TASK_MIGRATIONS],
+    ['email', EMAIL_MIGRATIONS],
+    ['meeting', MEETING_MIGRATIONS],
+    ['reminder', REMINDER_MIGRATIONS]
+  ])('%s migrations have increasing versions and can run twice', (entityType, migrations) => {
+    const versions = migrations.map(migration => migration.version);
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    expect(new Set(versions).size).toBe(versions.length);
+    
+    for (const migration of migrations) {
+      const once = migration.up({ id: `${entityType}-1`, title: 'Old record' });
+      expect(migration.up(once)).toEqual(once);
+    }
+  });
+  
+  test('Tasks v1 fills in notes and list fields', () => {
+    const task = step(TASK_MIGRATIONS, 1)({ id: 'task-1', title: 'Weekly report', priority: 'high' });
+    
+    expect(task).toEqual(expect.objectContaining({
+      title: 'Weekly report',
+      priority: 'high',
+      status: 'todo',
+      description: '',
+      notes: '',
+      subtasks: [],
+      tags: [],
+      attachments: [],
+      reminderId: null
+    }));
+  });
+  
+  test('Emails v1 fills in body, sender and recipients', () => {
+    const email = step(EMAIL_MIGRATIONS, 1)({ id: 'email-1', subject: 'Budget', status: 'sent' });
+    
+    expect(email).toEqual(expect.objectContaining({
+      subject: 'Budget',
+      status: 'sent',
+      body: '',
+      from: '',
+      to: [],
+      cc: [],
+      bcc: [],
+      tags: []
+    }));
+  });
+  
+  test('Meetings v1 fills in text and list fields', () => {
+    const meeting = step(MEETING_MIGRATIONS, 1)({ id: 'meeting-1', title: 'Standup', participants: ['li@example.com'] });
+    
+    expect(meeting).toEqual(expect.objectContaining({
+      participants: ['li@example.com'],
+      description: '',
+      location: '',
+      organizer: '',
+      agenda: [],
+      notes: '',
+      status: 'scheduled'
+    }));
+  });
+  
+  test('Meetings v2 adds isOnline and meetingLink from the Google Meet URL', () => {
+    const up = step(MEETING_MIGRATIONS, 2);
+    
+    expect(up({ id: 'meeting-1', meetUrl: 'https://meet.google.com/abc' })).toEqual(expect.objectContaining({
+      isOnline: true,
+      meetingLink: 'https://meet.google.com/abc'
+    }));
+    expect(up({ id: 'meeting-2', meetUrl: null })).toEqual(expect.objectContaining({
+      isOnline: false,
+      meetingLink: ''
+    }));
+    expect(up({ id: 'meeting-3', isOnline: false, meetingLink: '' })).toEqual(expect.objectContaining({
+      isOnline: false
+    }));
+  });
+  
+  test('Meetings v6 turns participant emails into participants with a role and RSVP status', () => {
+    const up = step(MEETING_MIGRATIONS, 6);
+    const meeting = up({ id: 'meeting-1', participants: ['Li@Example.com'] });
+    
+    expect(meeting.participants).toEqual([
+      { email: 'li@example.com', name: '', role: 'required', rsvp: 'needs-action' }
+    ]);
+    expect(up(meeting)).toEqual(meeting);
+  });
+  
+  test('Meetings v6 drops participants without an email instead of failing', () => {
+    const up = step(MEETING_MIGRATIONS, 6);
+    const meeting = up({
+      id: 'meeting-1',
+      participants: ['', null, { name: 'Sam' }, 'li@example.com', { email: 'LI@example.com ', role: 'chair', rsvp: 'maybe' }, { email: 'kim@example.com', role: 'optional', rsvp: 'accepted' }]
+    });
+    
+    expect(meeting.participants).toEqual([
+      { email: 'li@example.com', name: '', role: 'required', rsvp: 'needs-action' },
+      { email: 'kim@example.com', name: '', role: 'optional', rsvp: 'accepted' }
+    ]);
+    expect(up(meeting)).toEqual(meeting);
+  });
+  
+  test('Reminders v1 fills in state and the category\'s advance notice', () => {
+    const up = step(REMINDER_MIGRATIONS, 1);
+    
+    expect(up({ id: 'reminder-1', title: 'Call', category: 'meeting' })).toEqual(expect.objectContaining({
+      completed: false,
+      active: true,
+      advanceNotice: 15,
+      notificationId: null,
+      recurrence: null,
+      relatedItemId: null
+    }));
+    expect(up({ id: 'reminder-2', title: 'Call', active: false, completed: true, advanceNotice: 5 })).toEqual(expect.objectContaining({
+      completed: true,
+      active: false,
+      advanceNotice: 5,
+      category: 'custom'
+    }));
+  });
+});
+
+describe('Migration Runner', () => {
+  const MIGRATIONS = [
+    { version: 2, description: 'Add b', up: jest.fn(record => ({ ...record, b: record.b || record.a * 2 })) },
+    { version: 1, description: 'Add a', up: jest.fn(record => ({ ...record, a: record.a || 1 })) }
+  ];
+  
+  beforeEach(() => {
+    MIGRATIONS.forEach(migration => migration.up.mockClear());
+  });
+  
+  test('Pending steps run in version order once and the version is stored', async () => {
+    const records = createRepository('runner_records');
+    await records.put({ id: 'record-1' });
+    
+    expect(await records.migrate(MIGRATIONS)).toBe(2);
+    expect(await records.getAll()).toEqual([{ id: 'record-1', a: 1, b: 2 }]);
+    expect(await records.adapter.getSchemaVersion()).toBe(2);
+    
+    expect(await records.migrate(MIGRATIONS)).toBe(2);
+    expect(MIGRATIONS[0].up).toHaveBeenCalledTimes(1);
+    expect(MIGRATIONS[1].up).toHaveBeenCalledTimes(1);
+  });
+  
+  test('Migrating resumes from the stored version', async () => {
+    const records = createRepository('resumed_records');
+    await records.put({ id: 'record-1', a: 5 });
+    await records.adapter.setSchemaVersion(1);
+    
+    await records.migrate(MIGRATIONS);
+    
+    expect(MIGRATIONS[1].up).not.toHaveBeenCalled();
+    expect(await records.get('record-1')).toEqual({ id: 'record-1', a: 5, b: 10 });
+  });
+  
+  test('The AsyncStorage backend keeps the version next to the collection', async () => {
+    const records = createRepository('fallback_records', { backend: STORAGE_BACKENDS.ASYNC_STORAGE });
+    await records.put({ id: 'record-1' });
+    
+    await records.migrate(MIGRATIONS);
+    
+    expect(await AsyncStorage.getItem('@ace_fallback_records_schema_version')).toBe('2');
+    expect(JSON.parse(await AsyncStorage.getItem('@ace_fallback_records'))).toEqual([{ id: 'record-1', a: 1, b: 2 }]);
+  });
+  
+  test('Records moved into SQLite keep their schema version', async () => {
+    await AsyncStorage.setItem('@ace_moved_records', JSON.stringify([{ id: 'record-1', a: 3 }]));
+    await AsyncStorage.setItem('@ace_moved_records_schema_version', '1');
+    
+    const records = createRepository('moved_records');
+    await records.migrate(MIGRATIONS);
+    
+    expect(MIGRATIONS[1].up).not.toHaveBeenCalled();
+    expect(await records.getAll()).toEqual([{ id: 'record-1', a: 3, b: 6 }]);
+    expect(await AsyncStorage.getItem('@ace_moved_records_schema_version')).toBeNull();
+  });
+  
+  test('Tasks saved without notes are upgraded at initialize() and can be searched', async () => {
+    await AsyncStorage.setItem('@ace_tasks', JSON.stringify([
+      { id: 'task-1', title: 'Weekly report', description: 'For the team', status: 'todo', tags: [] }
+    ]));
+    
+    expect(await taskService.initialize()).toBe(true);
+    
+    expect(taskService.getTasks({ searchTerm: 'report' }).map(task => task.id)).toEqual(['task-1']);
+    expect(taskService.getTaskById('task-1').notes).toBe('');
+    expect(await taskService.repository.adapter.getSchemaVersion()).toBe(TASK_MIGRATIONS[TASK_MIGRATIONS.length - 1].version);
+  });
+});
@@ -0,0 +1,524 @@
+/**
+ * Notification Test Suite for Ace Assistant
+ * 
+ * This file contains tests for reminder notifications: several alerts per
+ * reminder, delivery held back by quiet hours, "do not disturb" windows and
+ * the work-hours profile, and the actions on notifications: snoozing for 10
+ * minutes, an hour or until tomorrow morning, and completing, from the
+ * notification and by voice.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import voiceCommandProcessor from '../../src/components/voice/VoiceCommandProcessor';
+import reminderService, { REMINDER_ACTIONS, REMINDER_MIGRATIONS } from '../../src/services/reminders/ReminderService';
+import {
+  DELIVERY_HOLDS,
+  DEFAULT_DELIVERY_SETTINGS,
+  normalizeDeliverySettings,
+  getDeliveryTime
+} from '../../src/services/reminders/deliveryWindows';
+
+// Mock platform modules
+jest.mock('react-native', () => ({
+  Platform: { OS: 'ios' }
+}));
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('expo-sqlite', () => require('../mocks/expoSqlite'));
+
+jest.mock('expo-notifications', () => ({
+  setNotificationHandler: jest.fn(),
+  requestPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'granted' })),
+  addNotificationReceivedListener: jest.fn(() => ({ remove: jest.fn() })),
+  addNotificationResponseReceivedListener: jest.fn(() => ({ remove: jest.fn() })),
+  setNotificationCategoryAsync: jest.fn(() => Promise.resolve()),
+  scheduleNotificationAsync: jest.fn(() => Promise.resolve('notification-1')),
+  cancelScheduledNotificationAsync: jest.fn(() => Promise.resolve()),
+  AndroidNotificationPriority: { HIGH: 'high' },
+  DEFAULT_ACTION_IDENTIFIER: 'expo.modules.notifications.actions.DEFAULT'
+}));
+
+jest.mock('expo-calendar', () => ({
+  requestCalendarPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'denied' })),
+  getCalendarsAsync: jest.fn(() => Promise.resolve([])),
+  EntityTypes: { EVENT: 'event' }
+}));
+
+jest.mock('expo-task-manager', () => ({
+  defineTask: jest.fn(),
+  isTaskDefined: jest.fn(() => false)
+}));
+
+jest.mock('expo-location', () => ({
+  requestForegroundPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'denied' })),
+  requestBackgroundPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'denied' })),
+  hasStartedGeofencingAsync: jest.fn(() => Promise.resolve(false)),
+  stopGeofencingAsync: jest.fn(() => Promise.resolve())
+}));
+
+jest.mock('../../src/constants/appConfig', () => ({
+  __esModule: true,
+  default: {
+    sync: {}
+  }
+}));
+
+// The processor imports the React hooks, which the reminder commands get passed in
+jest.mock('../../src/hooks/useTasks', () => jest.fn());
+jest.mock('../../src/hooks/useEmail', () => jest.fn());
+jest.mock('../../src/hooks/useMeetings', () => jest.fn());
+jest.mock('../../src/hooks/useReminders', () => jest.fn());
+jest.mock('../../src/hooks/useLocalization', () => jest.fn(), { virtual: true });
+jest.mock('../../src/services/search/SearchService', () => ({}));
+
+// Saturday 17 October 2026, 9:00 local time
+const NOW = new Date(2026, 9, 17, 9, 0);
+
+// Mock translation function, keeping the parameters
+const t = (key, params) => (params ? `${key} ${JSON.stringify(params)}` : key);
+
+// Reminder functions as passed in by useVoiceCommandIntegration
+const services = {
+  reminders: {
+    actions: REMINDER_ACTIONS,
+    getReminders: reminderService.getReminders,
+    getReminderById: reminderService.getReminderById,
+    getLastTriggeredReminder: reminderService.getLastTriggeredReminder,
+    performReminderAction: reminderService.performReminderAction
+  }
+};
+
+/**
+ * Get a local time on a day in October 2026 as an ISO string
+ * @param {number} day - Day of the month
+ * @param {number} hour - Hour
+ * @param {number} minute - Minute
+ * @returns {string} ISO date
+ */
+const at = (day, hour, minute = 0) => new Date(2026, 9, day, hour, minute).toISOString();
+
+/**
+ * Receive the notification of a reminder
+ * @param {Object} reminder - Reminder
+ * @returns {Promise} Resolves when the notification is handled
+ */
+const fire = reminder => reminderService.handleNotification({
+  request: { content: { data: { reminderId: reminder.id, occurrenceDate: reminder.occurrenceDate } } }
+});
+
+/**
+ * Tap an action on the notification of a reminder
+ * @param {Object} reminder - Reminder
+ * @param {string} actionIdentifier - Action
+ * @returns {Promise<Object|null>} Updated reminder
+ */
+const respond = (reminder, actionIdentifier) => reminderService.handleNotificationResponse({
+  actionIdentifier,
+  notification: { request: { content: { data: { reminderId: reminder.id } } } }
+});
+
+/**
+ * Get the trigger time of the last scheduled notification
+ * @returns {string} ISO date
+ */
+const lastTrigger = () => {
+  const { calls } = Notifications.scheduleNotificationAsync.mock;
+  return calls[calls.length - 1][0].trigger.date.toISOString();
+};
+
+/**
+ * Get the trigger times of the notifications scheduled since the mocks were cleared
+ * @returns {Array<string>} ISO dates
+ */
+const scheduledTimes = () => Notifications.scheduleNotificationAsync.mock.calls
+  .map(([request]) => request.trigger.date.toISOString());
+
+describe('Reminder Alerts', () => {
+  beforeAll(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'setInterval', 'queueMicrotask'] });
+    await AsyncStorage.clear();
+    await reminderService.initialize();
+  });
+  
+  afterAll(async () => {
+    await reminderService.cleanup();
+    jest.useRealTimers();
+  });
+  
+  beforeEach(() => {
+    jest.setSystemTime(NOW);
+    Notifications.scheduleNotificationAsync.mockClear();
+    Notifications.cancelScheduledNotificationAsync.mockClear();
+  });
+  
+  test('Each alert gets its own notification', async () => {
+    let nextId = 0;
+    Notifications.scheduleNotificationAsync.mockImplementation(() => Promise.resolve(`notification-${++nextId}`));
+    
+    const reminder = await reminderService.createReminder({
+      title: 'Flight to Shanghai',
+      dueDate: at(20, 14),
+      alerts: [0, { offset: 60 }, 24 * 60]
+    });
+    
+    expect(reminder.alerts).toEqual([{ offset: 24 * 60 }, { offset: 60 }, { offset: 0 }]);
+    expect(reminder.advanceNotice).toBe(24 * 60);
+    expect(scheduledTimes()).toEqual([at(19, 14), at(20, 13), at(20, 14)]);
+    expect(reminder.notificationIds).toEqual(['notification-1', 'notification-2', 'notification-3']);
+    
+    // Changing the due date reschedules every alert
+    const updated = await reminderService.updateReminder(reminder.id, { dueDate: at(21, 8) });
+    
+    expect(Notifications.cancelScheduledNotificationAsync.mock.calls.map(([id]) => id))
+      .toEqual(['notification-1', 'notification-2', 'notification-3']);
+    expect(scheduledTimes().slice(3)).toEqual([at(20, 8), at(21, 7), at(21, 8)]);
+    expect(updated.notificationIds).toEqual(['notification-4', 'notification-5', 'notification-6']);
+    
+    // Deleting the reminder cancels them all
+    Notifications.cancelScheduledNotificationAsync.mockClear();
+    await reminderService.deleteReminder(reminder.id);
+    
+    expect(Notifications.cancelScheduledNotificationAsync.mock.calls.map(([id]) => id))
+      .toEqual(['notification-4', 'notification-5', 'notification-6']);
+    
+    Notifications.scheduleNotificationAsync.mockImplementation(() => Promise.resolve('notification-1'));
+  });
+  
+  test('Alerts already past are not scheduled', async () => {
+    const reminder = await reminderService.createReminder({
+      title: 'Dentist',
+      dueDate: at(17, 9, 30),
+      alerts: [60, 15]
+    });
+    
+    expect(scheduledTimes()).toEqual([at(17, 9, 15)]);
+    expect(reminder.notificationIds).toHaveLength(1);
+  });
+  
+  test('A single advance notice replaces the alerts', async () => {
+    const reminder = await reminderService.createReminder({ title: 'Standup', dueDate: at(19, 9), alerts: [30, 5] });
+    const updated = await reminderService.updateReminder(reminder.id, { advanceNotice: 10 });
+    
+    expect(updated.alerts).toEqual([{ offset: 10 }]);
+    expect(scheduledTimes().slice(2)).toEqual([at(19, 8, 50)]);
+  });
+  
+  test('Recurring reminders schedule each alert for its next occurrence', async () => {
+    jest.setSystemTime(new Date(2026, 9, 17, 10, 0));
+    
+    // The day-before alert for the 18th has passed, the one for the 19th has not
+    await reminderService.createReminder({
+      title: 'Take medicine',
+      dueDate: at(18, 9),
+      recurrence: 'daily',
+      alerts: [24 * 60, 0]
+    });
+    
+    expect(scheduledTimes()).toEqual([at(18, 9), at(18, 9)]);
+  });
+  
+  test('Alert offsets must be whole minutes before the due date', async () => {
+    await expect(reminderService.createReminder({ title: 'Gym', dueDate: at(18, 9), alerts: [-5] }))
+      .rejects.toThrow('Invalid reminder alert offset');
+    await expect(reminderService.createReminder({ title: 'Gym', dueDate: at(18, 9), alerts: [{ offset: 1.5 }] }))
+      .rejects.toThrow('Invalid reminder alert offset');
+  });
+  
+  test('Reminders v4 turns the advance notice into an alert', () => {
+    const up = REMINDER_MIGRATIONS.find(migration => migration.version === 4).up;
+    const reminder = up({ id: 'reminder-1', title: 'Pay rent', advanceNotice: 15, notificationId: 'notification-9' });
+    
+    expect(reminder).toEqual(expect.objectContaining({
+      alerts: [{ offset: 15 }],
+      notificationIds: ['notification-9']
+    }));
+    expect(reminder).not.toHaveProperty('notificationId');
+    expect(up(reminder)).toEqual(reminder);
+  });
+});
+
+describe('Delivery Windows', () => {
+  const settings = normalizeDeliverySettings({
+    quietHours: { personal: { start: '22:00', end: '07:00' }, work: { start: '12:00', end: '13:00' } },
+    doNotDisturb: [{ start: at(17, 14), end: at(17, 16) }],
+    workHours: { enabled: true }
+  }, new Date(NOW));
+  
+  test.each([
+    ['late evening', at(17, 23), 'personal', at(18, 7), DELIVERY_HOLDS.QUIET_HOURS],
+    ['after midnight', at(18, 2), 'personal', at(18, 7), DELIVERY_HOLDS.QUIET_HOURS],
+    ['a daytime window', at(19, 12, 30), 'work', at(19, 13), DELIVERY_HOLDS.QUIET_HOURS],
+    ['do not disturb', at(17, 15), 'family', at(17, 16), DELIVERY_HOLDS.DO_NOT_DISTURB],
+    ['the weekend', at(18, 10), 'work', at(19, 9), DELIVERY_HOLDS.WORK_HOURS],
+    ['no window', at(17, 20), 'personal', at(17, 20), null]
+  ])('An alert in %s is delivered when it ends', (name, alertTime, context, deliverAt, heldBy) => {
+    const delivery = getDeliveryTime(new Date(alertTime), { context, priority: 'medium' }, settings);
+    
+    expect(delivery.date.toISOString()).toBe(deliverAt);
+    expect(delivery.heldBy).toBe(heldBy);
+  });
+  
+  test('High-priority alerts are never held back', () => {
+    expect(getDeliveryTime(new Date(at(18, 2)), { context: 'personal', priority: 'high' }, settings).heldBy).toBeNull();
+  });
+  
+  test('Leaving one window can land in another', () => {
+    const delivery = getDeliveryTime(new Date(at(24, 12, 30)), { context: 'work', priority: 'low' }, settings);
+    
+    // Saturday's lunch quiet hours end at 13:00, which is still the weekend
+    expect(delivery.date.toISOString()).toBe(at(26, 9));
+    expect(delivery.heldBy).toBe(DELIVERY_HOLDS.QUIET_HOURS);
+  });
+  
+  test('Settings are checked and ended windows dropped', () => {
+    expect(() => normalizeDeliverySettings({ quietHours: { work: { start: '25:00', end: '07:00' } } })).toThrow('Invalid time of day');
+    expect(() => normalizeDeliverySettings({ workHours: { days: [7] } })).toThrow('Invalid working days');
+    expect(normalizeDeliverySettings({
+      doNotDisturb: [{ start: at(16, 14), end: at(16, 16) }]
+    }, new Date(NOW)).doNotDisturb).toEqual([]);
+  });
+});
+
+describe('Reminder Delivery', () => {
+  beforeAll(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'setInterval', 'queueMicrotask'] });
+    await AsyncStorage.clear();
+    await reminderService.initialize();
+  });
+  
+  afterAll(async () => {
+    await reminderService.setDeliverySettings(DEFAULT_DELIVERY_SETTINGS);
+    await reminderService.cleanup();
+    jest.useRealTimers();
+  });
+  
+  beforeEach(async () => {
+    jest.setSystemTime(NOW);
+    await reminderService.setDeliverySettings(DEFAULT_DELIVERY_SETTINGS);
+    Notifications.scheduleNotificationAsync.mockClear();
+  });
+  
+  test('Reminders show when each notification is delivered', async () => {
+    await reminderService.setDeliverySettings({ quietHours: { personal: { start: '22:00', end: '07:00' } } });
+    Notifications.scheduleNotificationAsync.mockClear();
+    
+    const reminder = await reminderService.createReminder({
+      title: 'Call grandma',
+      dueDate: at(18, 23, 30),
+      context: 'personal',
+      alerts: [120, 0]
+    });
+    
+    expect(scheduledTimes()).toEqual([at(18, 21, 30), at(19, 7)]);
+    expect(reminder.deliveries).toEqual([
+      expect.objectContaining({ alertOffset: 120, alertTime: at(18, 21, 30), deliverAt: at(18, 21, 30), heldBy: null }),
+      expect.objectContaining({ alertOffset: 0, alertTime: at(18, 23, 30), deliverAt: at(19, 7), heldBy: DELIVERY_HOLDS.QUIET_HOURS })
+    ]);
+    expect(reminder.deliveries.map(delivery => delivery.notificationId)).toEqual(reminder.notificationIds);
+  });
+  
+  test('The work-hours profile holds work reminders over the weekend', async () => {
+    await reminderService.setDeliverySettings({ workHours: { enabled: true } });
+    
+    const work = await reminderService.createReminder({ title: 'Send report', dueDate: at(18, 10), context: 'work', alerts: [0] });
+    const urgent = await reminderService.createReminder({
+      title: 'Server alert',
+      dueDate: at(18, 10),
+      context: 'work',
+      priority: 'high',
+      alerts: [0]
+    });
+    
+    expect(work.deliveries[0]).toEqual(expect.objectContaining({ deliverAt: at(19, 9), heldBy: DELIVERY_HOLDS.WORK_HOURS }));
+    expect(urgent.deliveries[0]).toEqual(expect.objectContaining({ deliverAt: at(18, 10), heldBy: null }));
+  });
+  
+  test('Changing the settings reschedules active reminders', async () => {
+    const reminder = await reminderService.createReminder({ title: 'Focus block ends', dueDate: at(17, 15), context: 'family', alerts: [0] });
+    Notifications.cancelScheduledNotificationAsync.mockClear();
+    
+    await reminderService.setDeliverySettings({ doNotDisturb: [{ start: at(17, 14), end: at(17, 16) }] });
+    
+    const rescheduled = reminderService.getReminderById(reminder.id);
+    
+    expect(Notifications.cancelScheduledNotificationAsync).toHaveBeenCalledWith(reminder.notificationIds[0]);
+    expect(rescheduled.deliveries[0]).toEqual(expect.objectContaining({ deliverAt: at(17, 16), heldBy: DELIVERY_HOLDS.DO_NOT_DISTURB }));
+    
+    // The settings are kept on this device
+    expect(JSON.parse(await AsyncStorage.getItem('@ace_reminder_delivery_settings')).doNotDisturb).toHaveLength(1);
+  });
+  
+  test('Snoozes are delivered when the user asked', async () => {
+    await reminderService.setDeliverySettings({ quietHours: { work: { start: '09:00', end: '10:00' } } });
+    
+    const reminder = await reminderService.createReminder({ title: 'Stand-up', dueDate: at(17, 9, 5), alerts: [5] });
+    const snoozed = await reminderService.snoozeReminder(reminder.id, REMINDER_ACTIONS.SNOOZE_10_MINUTES);
+    
+    expect(snoozed.deliveries).toEqual([expect.objectContaining({ deliverAt: at(17, 9, 10), heldBy: null })]);
+  });
+  
+  test('Reminders v5 adds delivery times', () => {
+    const up = REMINDER_MIGRATIONS.find(migration => migration.version === 5).up;
+    
+    expect(up({ id: 'reminder-1', title: 'Pay rent' }).deliveries).toEqual([]);
+  });
+});
+
+describe('Reminder Notification Actions', () => {
+  beforeAll(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'setInterval', 'queueMicrotask'] });
+    await AsyncStorage.clear();
+    await reminderService.initialize();
+  });
+  
+  afterAll(async () => {
+    await reminderService.cleanup();
+    jest.useRealTimers();
+  });
+  
+  beforeEach(() => {
+    jest.setSystemTime(NOW);
+  });
+  
+  test('Reminder notifications carry the snooze and complete actions', async () => {
+    expect(Notifications.setNotificationCategoryAsync).toHaveBeenCalledWith('reminder', [
+      expect.objectContaining({ identifier: REMINDER_ACTIONS.SNOOZE_10_MINUTES }),
+      expect.objectContaining({ identifier: REMINDER_ACTIONS.SNOOZE_1_HOUR }),
+      expect.objectContaining({ identifier: REMINDER_ACTIONS.SNOOZE_TOMORROW }),
+      expect.objectContaining({ identifier: REMINDER_ACTIONS.COMPLETE })
+    ]);
+    
+    await reminderService.createReminder({ title: 'Water the plants', dueDate: at(17, 12), advanceNotice: 15 });
+    
+    const { calls } = Notifications.scheduleNotificationAsync.mock;
+    expect(calls[calls.length - 1][0].content.categoryIdentifier).toBe('reminder');
+  });
+  
+  test('Snoozing notifies again later and keeps a history', async () => {
+    const reminder = await reminderService.createReminder({ title: 'Call the bank', dueDate: at(17, 9, 10), advanceNotice: 10 });
+    await fire(reminder);
+    
+    const snoozed = await respond(reminder, REMINDER_ACTIONS.SNOOZE_10_MINUTES);
+    
+    expect(snoozed.snoozedUntil).toBe(at(17, 9, 10));
+    expect(lastTrigger()).toBe(at(17, 9, 10));
+    expect(snoozed.dueDate).toBe(reminder.dueDate);
+    
+    jest.setSystemTime(new Date(2026, 9, 17, 9, 10));
+    const again = await respond(reminder, REMINDER_ACTIONS.SNOOZE_1_HOUR);
+    
+    expect(lastTrigger()).toBe(at(17, 10, 10));
+    expect(again.snoozeHistory).toEqual([
+      { action: REMINDER_ACTIONS.SNOOZE_10_MINUTES, snoozedAt: at(17, 9), snoozedUntil: at(17, 9, 10), occurrenceDate: null },
+      { action: REMINDER_ACTIONS.SNOOZE_1_HOUR, snoozedAt: at(17, 9, 10), snoozedUntil: at(17, 10, 10), occurrenceDate: null }
+    ]);
+    
+    // A new due date ends the snooze
+    const moved = await reminderService.updateReminder(reminder.id, { dueDate: at(18, 12) });
+    expect(moved.snoozedUntil).toBeNull();
+  });
+  
+  test('Snoozing until tomorrow morning notifies at 9:00', async () => {
+    jest.setSystemTime(new Date(2026, 9, 17, 22, 30));
+    const reminder = await reminderService.createReminder({ title: 'Book flights', dueDate: at(17, 22, 40), advanceNotice: 10 });
+    
+    const snoozed = await reminderService.performReminderAction(reminder.id, REMINDER_ACTIONS.SNOOZE_TOMORROW);
+    
+    expect(snoozed.snoozedUntil).toBe(at(18, 9));
+    expect(lastTrigger()).toBe(at(18, 9));
+  });
+  
+  test('Snoozing a recurring reminder notifies again for the same occurrence', async () => {
+    const reminder = await reminderService.createReminder({
+      title: 'Stretch',
+      dueDate: at(17, 9, 5),
+      recurrence: 'daily',
+      advanceNotice: 5
+    });
+    await fire(reminder);
+    
+    const snoozed = await respond(reminder, REMINDER_ACTIONS.SNOOZE_10_MINUTES);
+    const { calls } = Notifications.scheduleNotificationAsync.mock;
+    
+    expect(calls[calls.length - 1][0].content.data.occurrenceDate).toBe(at(17, 9, 5));
+    expect(snoozed.snoozeHistory[0].occurrenceDate).toBe(at(17, 9, 5));
+    
+    // Completing it moves on to tomorrow's occurrence
+    const completed = await respond(reminder, REMINDER_ACTIONS.COMPLETE);
+    
+    expect(completed.dueDate).toBe(at(18, 9, 5));
+    expect(completed.snoozedUntil).toBeNull();
+  });
+  
+  test('Tapping the notification itself changes nothing', async () => {
+    const reminder = await reminderService.createReminder({ title: 'Pay rent', dueDate: at(18, 9) });
+    
+    expect(await respond(reminder, Notifications.DEFAULT_ACTION_IDENTIFIER)).toBeNull();
+    expect(reminderService.getReminderById(reminder.id).snoozeHistory).toEqual([]);
+  });
+  
+  test('Reminders v3 adds snoozing', () => {
+    const up = REMINDER_MIGRATIONS.find(migration => migration.version === 3).up;
+    
+    expect(up({ id: 'reminder-1', title: 'Pay rent' })).toEqual(expect.objectContaining({
+      snoozedUntil: null,
+      snoozeHistory: []
+    }));
+  });
+});
+
+describe('Reminder Voice Actions', () => {
+  let reminder;
+  
+  beforeAll(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'setInterval', 'queueMicrotask'] });
+    await AsyncStorage.clear();
+    await reminderService.initialize();
+  });
+  
+  afterAll(async () => {
+    await reminderService.cleanup();
+    jest.useRealTimers();
+  });
+  
+  beforeEach(async () => {
+    jest.setSystemTime(NOW);
+    reminder = await reminderService.createReminder({ title: 'Take medicine', dueDate: at(17, 9, 5), advanceNotice: 5 });
+    await fire(reminder);
+  });
+  
+  test.each([
+    ['Snooze', 'en', at(17, 9, 10)],
+    ['Remind me again in an hour', 'en', at(17, 10)],
+    ['Snooze until tomorrow morning', 'en', at(18, 9)],
+    ['稍后提醒', 'zh', at(17, 9, 10)],
+    ['一小时后再提醒我', 'zh', at(17, 10)],
+    ['明天早上再提醒我', 'zh', at(18, 9)]
+  ])('"%s" snoozes the last notification', async (command, language, snoozedUntil) => {
+    const result = await voiceCommandProcessor.processCommand(command, language, services, t);
+    
+    expect(result).toEqual(expect.objectContaining({ success: true, commandType: 'reminder', action: 'snooze' }));
+    expect(result.data.id).toBe(reminder.id);
+    expect(result.data.snoozedUntil).toBe(snoozedUntil);
+    expect(result.response).toContain('voice.reminder.snoozed');
+  });
+  
+  test('"Mark it done" completes the last notification', async () => {
+    const result = await voiceCommandProcessor.processCommand('Mark it as done', 'en', services, t);
+    
+    expect(result.action).toBe('complete');
+    expect(reminderService.getReminderById(reminder.id).completed).toBe(true);
+  });
+  
+  test('Snoozing without a notification asks which reminder', async () => {
+    reminderService.lastTriggeredReminderId = null;
+    
+    const result = await voiceCommandProcessor.processCommand('Snooze', 'en', services, t);
+    
+    expect(result).toEqual(expect.objectContaining({ success: false, response: 'voice.reminder.not_found' }));
+  });
+});
@@ -607,6 +607,8 @@ describe('Sync Integration', () => {
     });
     
     SyncService.trackChange.mockResolvedValue(true);
+    
+    SyncService.getConflicts.mockReturnValue([]);
   });
   
   test('SyncStatusBar renders sync status correctly', async () => {
@@ -0,0 +1,888 @@
+/**
+ * Recurrence Test Suite for Ace Assistant
+ * 
+ * This file contains tests for the RRULE-style recurrence rules, for
+ * recurring reminders: moving on to the next occurrence when one fires or is
+ * completed, and skipping or moving single occurrences, for recurring
+ * tasks created on a schedule or after completion, and for recurring
+ * meetings edited one occurrence, the following ones or the whole series.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import {
+  parseRRule,
+  formatRRule,
+  normalizeRecurrence,
+  getOccurrences,
+  getNextOccurrence,
+  setOccurrenceException
+} from '../../src/services/recurrence/recurrenceRules';
+import reminderService, { REMINDER_MIGRATIONS } from '../../src/services/reminders/ReminderService';
+import taskService, { TASK_MIGRATIONS } from '../../src/services/organization/TaskService';
+import meetingService, {
+  MEETING_EDIT_SCOPES,
+  MEETING_MIGRATIONS,
+  getOccurrenceId
+} from '../../src/services/organization/MeetingService';
+import changeBus, { DOMAIN_EVENTS, EVENT_ORIGINS } from '../../src/services/events/ChangeBus';
+import { mergeVersions } from '../../src/services/sync/merge';
+
+// Mock platform modules
+jest.mock('react-native', () => ({
+  Platform: { OS: 'ios' }
+}));
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('expo-sqlite', () => require('../mocks/expoSqlite'));
+
+jest.mock('expo-notifications', () => ({
+  setNotificationHandler: jest.fn(),
+  requestPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'granted' })),
+  addNotificationReceivedListener: jest.fn(() => ({ remove: jest.fn() })),
+  addNotificationResponseReceivedListener: jest.fn(() => ({ remove: jest.fn() })),
+  setNotificationCategoryAsync: jest.fn(() => Promise.resolve()),
+  scheduleNotificationAsync: jest.fn(() => Promise.resolve('notification-1')),
+  cancelScheduledNotificationAsync: jest.fn(() => Promise.resolve()),
+  AndroidNotificationPriority: { HIGH: 'high' }
+}));
+
+jest.mock('expo-calendar', () => ({
+  requestCalendarPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'denied' })),
+  getCalendarsAsync: jest.fn(() => Promise.resolve([])),
+  EntityTypes: { EVENT: 'event' }
+}));
+
+jest.mock('expo-task-manager', () => ({
+  defineTask: jest.fn(),
+  isTaskDefined: jest.fn(() => false)
+}));
+
+jest.mock('expo-location', () => ({
+  requestForegroundPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'denied' })),
+  requestBackgroundPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'denied' })),
+  hasStartedGeofencingAsync: jest.fn(() => Promise.resolve(false)),
+  stopGeofencingAsync: jest.fn(() => Promise.resolve())
+}));
+
+jest.mock('../../src/constants/appConfig', () => ({
+  __esModule: true,
+  default: {
+    sync: {}
+  }
+}));
+
+// Saturday 17 October 2026, 9:00 local time
+const NOW = new Date(2026, 9, 17, 9, 0);
+
+/**
+ * Get a local date at 9:00 as an ISO string
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @param {number} year - Year
+ * @returns {string} ISO date
+ */
+const at9 = (month, day, year = 2026) => new Date(year, month - 1, day, 9, 0).toISOString();
+
+/**
+ * Get the actual dates of occurrences
+ * @param {Array} occurrences - Occurrences
+ * @returns {Array<string>} ISO dates
+ */
+const datesOf = occurrences => occurrences.map(occurrence => occurrence.date);
+
+/**
+ * Receive the notification of a reminder occurrence
+ * @param {string} reminderId - Reminder ID
+ * @param {string} occurrenceDate - Original date of the occurrence
+ * @returns {Promise} Resolves when the notification is handled
+ */
+const fire = (reminderId, occurrenceDate) => reminderService.handleNotification({
+  request: { content: { data: { reminderId, occurrenceDate } } }
+});
+
+describe('Recurrence Rules', () => {
+  test('RRULE strings are parsed and formatted', () => {
+    const rule = parseRRule('RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=2TU,-1fr;COUNT=6');
+    
+    expect(rule).toEqual({
+      frequency: 'monthly',
+      interval: 2,
+      byDay: ['2TU', '-1FR'],
+      byMonthDay: null,
+      byMonth: null,
+      count: 6,
+      until: null
+    });
+    expect(formatRRule(rule)).toBe('FREQ=MONTHLY;INTERVAL=2;BYDAY=2TU,-1FR;COUNT=6');
+    expect(formatRRule(parseRRule('FREQ=DAILY;UNTIL=20261231T235959Z'))).toBe('FREQ=DAILY;UNTIL=20261231T235959Z');
+  });
+  
+  test('Frequency names saved by early versions become rules', () => {
+    expect(normalizeRecurrence('weekly')).toEqual(expect.objectContaining({ frequency: 'weekly', interval: 1 }));
+    expect(normalizeRecurrence(normalizeRecurrence('weekly'))).toEqual(normalizeRecurrence('weekly'));
+    expect(normalizeRecurrence(null)).toBeNull();
+  });
+  
+  test.each([
+    ['fortnightly'],
+    [{ frequency: 'daily', interval: 0 }],
+    [{ frequency: 'weekly', byDay: ['2MO'] }],
+    [{ frequency: 'monthly', byMonthDay: [32] }],
+    ['FREQ=DAILY;UNTIL=tomorrow']
+  ])('%j is not a valid recurrence', recurrence => {
+    expect(() => normalizeRecurrence(recurrence)).toThrow(/Invalid/);
+  });
+  
+  test('Daily rules end after a count or on the until date', () => {
+    expect(datesOf(getOccurrences({ frequency: 'daily', count: 3 }, at9(10, 19)))).toEqual([
+      at9(10, 19), at9(10, 20), at9(10, 21)
+    ]);
+    expect(datesOf(getOccurrences({ frequency: 'daily', interval: 2, until: at9(10, 23) }, at9(10, 19)))).toEqual([
+      at9(10, 19), at9(10, 21), at9(10, 23)
+    ]);
+  });
+  
+  test('Weekly rules occur on the chosen days from the start', () => {
+    const rule = { frequency: 'weekly', byDay: ['FR', 'MO', 'WE'] };
+    
+    expect(datesOf(getOccurrences(rule, NOW, { limit: 4 }))).toEqual([
+      at9(10, 19), at9(10, 21), at9(10, 23), at9(10, 26)
+    ]);
+    expect(datesOf(getOccurrences({ frequency: 'weekly', interval: 2 }, NOW, { limit: 3 }))).toEqual([
+      at9(10, 17), at9(10, 31), at9(11, 14)
+    ]);
+  });
+  
+  test('Monthly rules occur on the nth weekday or day of the month', () => {
+    const start = at9(10, 1);
+    
+    expect(datesOf(getOccurrences({ frequency: 'monthly', byDay: ['2TU'] }, start, { limit: 3 }))).toEqual([
+      at9(10, 13), at9(11, 10), at9(12, 8)
+    ]);
+    expect(datesOf(getOccurrences({ frequency: 'monthly', byDay: ['-1FR'] }, start, { limit: 3 }))).toEqual([
+      at9(10, 30), at9(11, 27), at9(12, 25)
+    ]);
+    expect(datesOf(getOccurrences({ frequency: 'monthly', byMonthDay: [-1] }, start, { limit: 3 }))).toEqual([
+      at9(10, 31), at9(11, 30), at9(12, 31)
+    ]);
+  });
+  
+  test('Months without the start day are left out', () => {
+    expect(datesOf(getOccurrences({ frequency: 'monthly' }, at9(10, 31), { limit: 4 }))).toEqual([
+      at9(10, 31), at9(12, 31), at9(1, 31, 2027), at9(3, 31, 2027)
+    ]);
+    expect(datesOf(getOccurrences({ frequency: 'yearly' }, at9(2, 29, 2028), { limit: 2 }))).toEqual([
+      at9(2, 29, 2028), at9(2, 29, 2032)
+    ]);
+  });
+  
+  test('Exceptions skip and move single occurrences', () => {
+    let exceptions = setOccurrenceException([], at9(10, 20), null);
+    exceptions = setOccurrenceException(exceptions, at9(10, 21), at9(10, 22));
+    
+    expect(getOccurrences({ frequency: 'daily', count: 3 }, at9(10, 19), { exceptions })).toEqual([
+      { occurrenceDate: at9(10, 19), date: at9(10, 19), moved: false },
+      { occurrenceDate: at9(10, 21), date: at9(10, 22), moved: true }
+    ]);
+    expect(getNextOccurrence({ frequency: 'daily' }, at9(10, 19), { exceptions, after: at9(10, 19) })).toEqual(
+      { occurrenceDate: at9(10, 21), date: at9(10, 22), moved: true }
+    );
+  });
+});
+
+describe('Recurring Reminders', () => {
+  beforeAll(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'setInterval', 'queueMicrotask'] });
+    await AsyncStorage.clear();
+    await reminderService.initialize();
+  });
+  
+  afterAll(async () => {
+    await reminderService.cleanup();
+    jest.useRealTimers();
+  });
+  
+  beforeEach(() => {
+    jest.setSystemTime(NOW);
+    Notifications.scheduleNotificationAsync.mockClear();
+  });
+  
+  /**
+   * Get the trigger date and occurrence of the last scheduled notification
+   * @returns {Object} Notification trigger date and occurrence date
+   */
+  const lastNotification = () => {
+    const [request] = Notifications.scheduleNotificationAsync.mock.calls.slice(-1)[0];
+    
+    return {
+      date: request.trigger.date.toISOString(),
+      occurrenceDate: request.content.data.occurrenceDate
+    };
+  };
+  
+  test('Recurring reminders start on the first occurrence of the rule', async () => {
+    const reminder = await reminderService.createReminder({
+      title: 'Team standup',
+      dueDate: NOW.toISOString(),
+      advanceNotice: 15,
+      recurrence: 'FREQ=WEEKLY;BYDAY=MO,WE'
+    });
+    
+    expect(reminder.recurrence).toEqual(expect.objectContaining({ frequency: 'weekly', byDay: ['MO', 'WE'] }));
+    expect(reminder.seriesStart).toBe(NOW.toISOString());
+    expect(reminder.dueDate).toBe(at9(10, 19));
+    expect(reminder.occurrenceDate).toBe(at9(10, 19));
+    expect(lastNotification()).toEqual({
+      date: new Date(2026, 9, 19, 8, 45).toISOString(),
+      occurrenceDate: at9(10, 19)
+    });
+  });
+  
+  test('Completing an occurrence moves on to the next one until the series ends', async () => {
+    const reminder = await reminderService.createReminder({
+      title: 'Water the plants',
+      dueDate: at9(10, 19),
+      recurrence: { frequency: 'daily', count: 2 }
+    });
+    
+    const second = await reminderService.updateReminder(reminder.id, { completed: true });
+    expect(second.completed).toBe(false);
+    expect(second.dueDate).toBe(at9(10, 20));
+    expect(lastNotification().occurrenceDate).toBe(at9(10, 20));
+    
+    const done = await reminderService.updateReminder(reminder.id, { completed: true });
+    expect(done.completed).toBe(true);
+    expect(done.dueDate).toBe(at9(10, 20));
+  });
+  
+  test('A fired occurrence schedules the notification for the next one', async () => {
+    jest.setSystemTime(new Date(2026, 9, 17, 8, 0));
+    const reminder = await reminderService.createReminder({
+      title: 'Take medicine',
+      dueDate: at9(10, 17),
+      advanceNotice: 5,
+      recurrence: 'daily'
+    });
+    
+    expect(lastNotification().occurrenceDate).toBe(at9(10, 17));
+    expect(reminder.dueDate).toBe(at9(10, 17));
+    
+    jest.setSystemTime(new Date(2026, 9, 17, 8, 55));
+    await fire(reminder.id, at9(10, 17));
+    
+    expect(reminderService.getReminderById(reminder.id).dueDate).toBe(at9(10, 17));
+    expect(lastNotification()).toEqual({
+      date: new Date(2026, 9, 18, 8, 55).toISOString(),
+      occurrenceDate: at9(10, 18)
+    });
+    
+    // An occurrence that fires before the last one was completed replaces it
+    jest.setSystemTime(new Date(2026, 9, 18, 8, 55));
+    await fire(reminder.id, at9(10, 18));
+    
+    expect(reminderService.getReminderById(reminder.id).dueDate).toBe(at9(10, 18));
+    expect(lastNotification().occurrenceDate).toBe(at9(10, 19));
+  });
+  
+  test('Recurring reminders whose notifications passed unseen are rescheduled', async () => {
+    jest.setSystemTime(new Date(2026, 9, 17, 8, 0));
+    const reminder = await reminderService.createReminder({
+      title: 'Water the plants',
+      dueDate: at9(10, 17),
+      recurrence: 'daily'
+    });
+    
+    // Nothing is due yet
+    expect(await reminderService.refreshRecurringNotifications()).toBe(0);
+    
+    // The notification was delivered while the app was not running
+    jest.setSystemTime(new Date(2026, 9, 17, 12, 0));
+    expect(await reminderService.refreshRecurringNotifications()).toBe(1);
+    
+    expect(reminderService.getReminderById(reminder.id).dueDate).toBe(at9(10, 17));
+    expect(lastNotification()).toEqual({
+      date: new Date(2026, 9, 18, 8, 30).toISOString(),
+      occurrenceDate: at9(10, 18)
+    });
+  });
+  
+  test('Refreshes made at the same time reschedule the notifications once', async () => {
+    jest.setSystemTime(new Date(2026, 9, 17, 8, 0));
+    await reminderService.createReminder({
+      title: 'Water the plants',
+      dueDate: at9(10, 17),
+      recurrence: 'daily'
+    });
+    
+    jest.setSystemTime(new Date(2026, 9, 17, 12, 0));
+    Notifications.scheduleNotificationAsync.mockClear();
+    const results = await Promise.all([
+      reminderService.refreshRecurringNotifications(),
+      reminderService.refreshRecurringNotifications()
+    ]);
+    
+    expect(results).toEqual([1, 1]);
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledTimes(1);
+    
+    // A later refresh finds nothing left to do
+    expect(await reminderService.refreshRecurringNotifications()).toBe(0);
+  });
+  
+  test('Stored reminders are found by due date range like listed reminders', async () => {
+    for (const day of [17, 19, 21]) {
+      await reminderService.createReminder({ title: `Call supplier ${day}`, dueDate: at9(10, day) });
+    }
+    const find = jest.spyOn(reminderService.repository, 'find');
+    
+    const filters = { completed: false, startDate: at9(10, 18), endDate: at9(10, 21) };
+    const found = await reminderService.findReminders(filters);
+    
+    expect(found).toEqual(reminderService.getReminders(filters));
+    expect(found.map(r => r.title).filter(title => title.startsWith('Call supplier'))).toEqual([
+      'Call supplier 19', 'Call supplier 21'
+    ]);
+    expect(find).toHaveBeenLastCalledWith({ completed: false }, {
+      dueDate: { from: at9(10, 18), to: at9(10, 21) }
+    });
+    
+    find.mockRestore();
+  });
+  
+  test('Occurrences can be skipped', async () => {
+    const reminder = await reminderService.createReminder({
+      title: 'Gym',
+      dueDate: at9(10, 19),
+      recurrence: { frequency: 'weekly', byDay: ['MO', 'TH'] }
+    });
+    
+    await reminderService.skipOccurrence(reminder.id, at9(10, 22));
+    const skipped = await reminderService.skipOccurrence(reminder.id, at9(10, 19));
+    
+    expect(skipped.dueDate).toBe(at9(10, 26));
+    expect(datesOf(reminderService.getOccurrences(reminder.id, { limit: 3 }))).toEqual([
+      at9(10, 26), at9(10, 29), at9(11, 2)
+    ]);
+    await expect(reminderService.skipOccurrence(reminder.id, at9(10, 20))).rejects.toThrow('does not occur');
+  });
+  
+  test('Skipping the last occurrence completes the reminder', async () => {
+    const reminder = await reminderService.createReminder({
+      title: 'Renew passport',
+      dueDate: at9(10, 19),
+      recurrence: { frequency: 'yearly', count: 1 }
+    });
+    
+    const skipped = await reminderService.skipOccurrence(reminder.id, at9(10, 19));
+    
+    expect(skipped.completed).toBe(true);
+  });
+  
+  test('Single occurrences can be moved', async () => {
+    const reminder = await reminderService.createReminder({
+      title: 'Pay rent',
+      dueDate: at9(10, 19),
+      recurrence: { frequency: 'monthly' }
+    });
+    
+    const moved = await reminderService.moveOccurrence(reminder.id, at9(10, 19), at9(10, 21));
+    expect(moved.dueDate).toBe(at9(10, 21));
+    expect(moved.occurrenceDate).toBe(at9(10, 19));
+    expect(lastNotification().date).toBe(new Date(2026, 9, 21, 8, 30).toISOString());
+    
+    await reminderService.moveOccurrence(reminder.id, at9(11, 19), at9(11, 18));
+    const next = await reminderService.updateReminder(reminder.id, { completed: true });
+    expect(next.dueDate).toBe(at9(11, 18));
+    expect(next.occurrenceDate).toBe(at9(11, 19));
+  });
+  
+  test('A new due date restarts the series', async () => {
+    const reminder = await reminderService.createReminder({
+      title: 'Weekly review',
+      dueDate: at9(10, 19),
+      recurrence: { frequency: 'weekly' }
+    });
+    await reminderService.skipOccurrence(reminder.id, at9(10, 26));
+    
+    const updated = await reminderService.updateReminder(reminder.id, { dueDate: at9(10, 23) });
+    
+    expect(updated.seriesStart).toBe(at9(10, 23));
+    expect(updated.occurrenceDate).toBe(at9(10, 23));
+    expect(updated.recurrenceExceptions).toEqual([]);
+    
+    const single = await reminderService.updateReminder(reminder.id, { recurrence: null });
+    expect(single.recurrence).toBeNull();
+    expect(single.occurrenceDate).toBeNull();
+  });
+  
+  test('Reminders v2 turns saved frequency names into rules', () => {
+    const up = REMINDER_MIGRATIONS.find(migration => migration.version === 2).up;
+    
+    expect(up({ id: 'reminder-1', dueDate: at9(10, 19), recurrence: 'weekly' })).toEqual(expect.objectContaining({
+      recurrence: expect.objectContaining({ frequency: 'weekly', interval: 1 }),
+      seriesStart: at9(10, 19),
+      occurrenceDate: at9(10, 19),
+      recurrenceExceptions: []
+    }));
+    expect(up({ id: 'reminder-2', dueDate: at9(10, 19), recurrence: 'sometimes' })).toEqual(expect.objectContaining({
+      recurrence: null,
+      seriesStart: null
+    }));
+  });
+});
+
+describe('Recurring Tasks', () => {
+  beforeAll(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'setInterval', 'queueMicrotask'] });
+    await AsyncStorage.clear();
+    await reminderService.initialize();
+    await taskService.initialize();
+  });
+  
+  afterAll(async () => {
+    await reminderService.cleanup();
+    jest.useRealTimers();
+  });
+  
+  beforeEach(() => {
+    jest.setSystemTime(NOW);
+  });
+  
+  test('Completing a scheduled task creates the next instance on the rule\'s date', async () => {
+    const task = await taskService.createTask({
+      title: 'Weekly report',
+      dueDate: new Date(2026, 9, 19, 17, 0).toISOString(),
+      recurrence: { frequency: 'weekly' },
+      tags: ['reports']
+    });
+    await taskService.addSubtask(task.id, { title: 'Collect numbers' });
+    await taskService.updateSubtask(task.id, taskService.getTaskById(task.id).subtasks[0].id, { completed: true });
+    
+    const completed = await taskService.changeTaskStatus(task.id, 'completed');
+    const next = taskService.getTaskById(completed.nextInstanceId);
+    
+    expect(next.id).toBe(`${task.id}-2`);
+    expect(next.dueDate).toBe(new Date(2026, 9, 26, 17, 0).toISOString());
+    expect(next.status).toBe('todo');
+    expect(next.tags).toEqual(['reports']);
+    expect(next.subtasks).toEqual([expect.objectContaining({ title: 'Collect numbers', completed: false })]);
+    expect(next.subtasks[0].id).not.toBe(completed.subtasks[0].id);
+    
+    // The reminder moves to the new instance
+    expect(next.reminderId).toBe(task.reminderId);
+    expect(completed.reminderId).toBeNull();
+    expect(reminderService.getReminderById(next.reminderId)).toEqual(expect.objectContaining({
+      dueDate: next.dueDate,
+      completed: false,
+      relatedItemId: next.id
+    }));
+    
+    expect(completed.completedAt).toBe(NOW.toISOString());
+    expect(taskService.getTaskHistory(next.id).map(t => t.id)).toEqual([task.id, next.id]);
+  });
+  
+  test('Scheduled tasks create missed instances whether or not they were completed', async () => {
+    const task = await taskService.createTask({
+      title: 'Check the mailbox',
+      dueDate: NOW.toISOString(),
+      recurrence: 'daily'
+    });
+    
+    const created = await taskService.generateScheduledInstances(new Date(2026, 9, 19, 12, 0));
+    
+    expect(created.map(t => t.dueDate)).toEqual([at9(10, 18), at9(10, 19), at9(10, 20)]);
+    expect(taskService.getTaskHistory(task.id)).toHaveLength(4);
+    
+    // Instances that already have a successor create no more
+    await taskService.changeTaskStatus(task.id, 'completed');
+    expect(taskService.getTaskHistory(task.id)).toHaveLength(4);
+  });
+  
+  test('Instances are created once when creation runs twice at the same time', async () => {
+    const task = await taskService.createTask({
+      title: 'Water the garden',
+      dueDate: NOW.toISOString(),
+      recurrence: 'daily'
+    });
+    const now = new Date(2026, 9, 17, 12, 0);
+    
+    const [first, second] = await Promise.all([
+      taskService.generateScheduledInstances(now),
+      taskService.generateScheduledInstances(now)
+    ]);
+    
+    expect(first.map(t => t.id)).toEqual([`${task.id}-2`]);
+    expect(second).toBe(first);
+    expect(taskService.getTaskHistory(task.id).map(t => t.id)).toEqual([task.id, `${task.id}-2`]);
+    
+    // Instances created side by side by other callers are not added twice
+    const latest = taskService.getTaskById(`${task.id}-2`);
+    const results = await Promise.all([
+      taskService.createNextInstance(latest),
+      taskService.createNextInstance(latest)
+    ]);
+    
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(taskService.getTasks().filter(t => t.id === `${task.id}-3`)).toHaveLength(1);
+    
+    // An instance of a task without a reminder gets a single reminder
+    const unreminded = await taskService.createTask({
+      title: 'Sweep the porch',
+      dueDate: NOW.toISOString(),
+      recurrence: 'daily',
+      createReminder: false
+    });
+    const instances = await Promise.all([
+      taskService.createNextInstance(unreminded),
+      taskService.createNextInstance(unreminded)
+    ]);
+    
+    expect(instances.filter(Boolean)).toHaveLength(1);
+    expect(reminderService.getReminders({ category: 'task' })
+      .filter(reminder => reminder.relatedItemId === `${unreminded.id}-2`)).toHaveLength(1);
+  });
+  
+  test('Devices creating the same scheduled instance create the same task', async () => {
+    const task = await taskService.createTask({
+      title: 'Back up the laptop',
+      dueDate: NOW.toISOString(),
+      recurrence: 'daily',
+      subtasks: [{ id: 'plug-in', title: 'Plug in the drive', completed: true, createdAt: NOW.toISOString() }],
+      createReminder: false
+    });
+    
+    const first = await taskService.createNextInstance(task);
+    const firstReminder = reminderService.getReminderById(first.reminderId);
+    
+    // Another device creates the instance from the same task later in the day
+    await taskService.deleteTask(first.id);
+    jest.setSystemTime(new Date(2026, 9, 17, 15, 0));
+    
+    const second = await taskService.createNextInstance(task);
+    const secondReminder = reminderService.getReminderById(second.reminderId);
+    
+    expect(second.id).toBe(first.id);
+    expect(second.createdAt).toBe(NOW.toISOString());
+    expect(second.subtasks).toEqual([
+      { id: `${task.id}-2-subtask-1`, title: 'Plug in the drive', completed: false, createdAt: NOW.toISOString() }
+    ]);
+    expect(mergeVersions(null, first, second).conflicts).toEqual([]);
+    expect(mergeVersions(null, firstReminder, secondReminder).conflicts).toEqual([]);
+  });
+  
+  test('Completion-based tasks are due one interval after completion', async () => {
+    const task = await taskService.createTask({
+      title: 'Water the plants',
+      dueDate: new Date(2026, 9, 17, 18, 0).toISOString(),
+      recurrence: { frequency: 'daily', interval: 3, count: 2 },
+      recurrenceMode: 'completion'
+    });
+    
+    await taskService.generateScheduledInstances(new Date(2026, 11, 31));
+    expect(taskService.getTaskHistory(task.id)).toHaveLength(1);
+    
+    jest.setSystemTime(new Date(2026, 9, 19, 10, 0));
+    const completed = await taskService.changeTaskStatus(task.id, 'completed');
+    const next = taskService.getTaskById(completed.nextInstanceId);
+    
+    expect(next.dueDate).toBe(new Date(2026, 9, 22, 18, 0).toISOString());
+    expect(next.instanceNumber).toBe(2);
+    
+    // The count ends the series
+    const last = await taskService.changeTaskStatus(next.id, 'completed');
+    expect(last.nextInstanceId).toBeNull();
+  });
+  
+  test('Tasks recurring on a schedule need a due date', async () => {
+    await expect(taskService.createTask({ title: 'Pay rent', recurrence: 'monthly' })).rejects.toThrow('need a due date');
+    await expect(taskService.createTask({
+      title: 'Pay rent',
+      recurrence: 'monthly',
+      recurrenceMode: 'sometimes'
+    })).rejects.toThrow('Invalid recurrence mode');
+  });
+  
+  test('Tasks v2 adds recurrence and the completion time', () => {
+    const up = TASK_MIGRATIONS.find(migration => migration.version === 2).up;
+    
+    expect(up({ id: 'task-1', status: 'completed', updatedAt: at9(10, 1) })).toEqual(expect.objectContaining({
+      recurrence: null,
+      seriesId: null,
+      nextInstanceId: null,
+      completedAt: at9(10, 1)
+    }));
+    expect(up({ id: 'task-2', status: 'todo', updatedAt: at9(10, 1) }).completedAt).toBeNull();
+  });
+});
+
+describe('Recurring Meetings', () => {
+  beforeAll(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'setInterval', 'queueMicrotask'] });
+    await AsyncStorage.clear();
+    await reminderService.initialize();
+    await meetingService.initialize();
+  });
+  
+  afterAll(async () => {
+    await reminderService.cleanup();
+    jest.useRealTimers();
+  });
+  
+  beforeEach(() => {
+    jest.setSystemTime(NOW);
+  });
+  
+  /**
+   * Create a weekly Monday stand-up from 9:00 to 9:30
+   * @param {Object} meetingData - Extra meeting data
+   * @returns {Promise<Object>} Recurring meeting
+   */
+  const createStandup = (meetingData = {}) => meetingService.createMeeting({
+    title: 'Stand-up',
+    startTime: at9(10, 19),
+    endTime: new Date(2026, 9, 19, 9, 30).toISOString(),
+    recurrence: 'FREQ=WEEKLY;BYDAY=MO',
+    ...meetingData
+  });
+  
+  /**
+   * Get the occurrences of a series in a date range
+   * @param {string} seriesId - Series ID
+   * @param {string} startDate - Range start
+   * @param {string} endDate - Range end
+   * @returns {Array} Occurrences
+   */
+  const occurrencesOf = (seriesId, startDate, endDate) => meetingService.getMeetings({ startDate, endDate })
+    .filter(meeting => meeting.seriesId === seriesId);
+  
+  /**
+   * Get the reminders of a series' occurrences
+   * @param {string} seriesId - Series ID
+   * @returns {Array} Reminders
+   */
+  const remindersOf = seriesId => reminderService.getReminders({ category: 'meeting' })
+    .filter(reminder => reminder.relatedItemId.startsWith(`${seriesId}_`));
+  
+  test('Date-range queries list each occurrence with its own ID and times', async () => {
+    const series = await createStandup({ startTime: at9(10, 18), endTime: new Date(2026, 9, 18, 9, 30).toISOString() });
+    
+    // The series starts on the rule's first Monday
+    expect(series.startTime).toBe(at9(10, 19));
+    expect(series.reminderId).toBeNull();
+    
+    const occurrences = occurrencesOf(series.id, at9(10, 17), at9(11, 3));
+    
+    expect(occurrences.map(o => o.startTime)).toEqual([at9(10, 19), at9(10, 26), at9(11, 2)]);
+    expect(occurrences[1]).toEqual(expect.objectContaining({
+      id: getOccurrenceId(series.id, at9(10, 26)),
+      seriesId: series.id,
+      occurrenceDate: at9(10, 26),
+      endTime: new Date(2026, 9, 26, 9, 30).toISOString(),
+      status: 'scheduled',
+      notes: ''
+    }));
+    expect(meetingService.getMeetingById(occurrences[1].id)).toEqual(occurrences[1]);
+    expect(meetingService.getMeetingById(getOccurrenceId(series.id, at9(10, 27)))).toBeNull();
+    
+    // Without a range the series itself is listed
+    expect(meetingService.getMeetings().filter(m => m.id === series.id || m.seriesId === series.id)).toHaveLength(1);
+  });
+  
+  test('Stored meetings are found by date range and status like listed meetings', async () => {
+    const series = await createStandup();
+    await meetingService.createMeeting({
+      title: 'Budget review',
+      startTime: at9(10, 21),
+      endTime: new Date(2026, 9, 21, 10, 0).toISOString()
+    });
+    await meetingService.createMeeting({
+      title: 'Offsite',
+      startTime: at9(11, 10),
+      endTime: new Date(2026, 9, 10, 17, 0).toISOString()
+    });
+    const find = jest.spyOn(meetingService.repository, 'find');
+    
+    const range = { startDate: at9(10, 17), endDate: at9(11, 3) };
+    const found = await meetingService.findMeetings(range);
+    
+    expect(found).toEqual(meetingService.getMeetings(range));
+    expect(found.filter(m => m.seriesId === series.id).map(m => m.startTime)).toEqual([
+      at9(10, 19), at9(10, 26), at9(11, 2)
+    ]);
+    expect(found.map(m => m.title)).toContain('Budget review');
+    expect(found.map(m => m.title)).not.toContain('Offsite');
+    expect(find).toHaveBeenLastCalledWith({}, { startTime: { to: new Date(at9(11, 3)).toISOString() } });
+    
+    expect(await meetingService.findMeetings({ status: 'scheduled' })).toEqual(meetingService.getMeetings({ status: 'scheduled' }));
+    expect(find).toHaveBeenLastCalledWith({ status: 'scheduled' }, {});
+    
+    find.mockRestore();
+  });
+  
+  test('Occurrences in the coming week get their own reminder', async () => {
+    const series = await createStandup({ recurrence: 'FREQ=DAILY;COUNT=10' });
+    const reminders = remindersOf(series.id);
+    
+    expect(reminders.map(r => r.dueDate)).toEqual([
+      at9(10, 19), at9(10, 20), at9(10, 21), at9(10, 22), at9(10, 23), at9(10, 24)
+    ]);
+    expect(meetingService.getMeetingById(getOccurrenceId(series.id, at9(10, 20))).reminderId).toBe(reminders[1].id);
+    
+    // Skipping an occurrence removes its reminder
+    await meetingService.deleteMeeting(getOccurrenceId(series.id, at9(10, 20)));
+    
+    expect(remindersOf(series.id).map(r => r.dueDate)).not.toContain(at9(10, 20));
+    expect(occurrencesOf(series.id, at9(10, 19), at9(10, 21)).map(o => o.startTime)).toEqual([at9(10, 19), at9(10, 21)]);
+    
+    // Deleting the series removes the rest
+    await meetingService.deleteMeeting(series.id);
+    
+    expect(remindersOf(series.id)).toEqual([]);
+  });
+  
+  test('Devices creating the reminder of the same occurrence create the same reminder', async () => {
+    const series = await createStandup({ recurrence: 'FREQ=DAILY;COUNT=3' });
+    const [first] = remindersOf(series.id);
+    
+    // Another device creates the reminder later in the day
+    await reminderService.deleteReminder(first.id);
+    jest.setSystemTime(new Date(2026, 9, 17, 15, 0));
+    await meetingService.syncOccurrenceReminders(meetingService.getMeetingById(series.id));
+    
+    const second = reminderService.getReminderById(first.id);
+    
+    expect(second.createdAt).toBe(series.createdAt);
+    expect(mergeVersions(null, first, second).conflicts).toEqual([]);
+    
+    await meetingService.deleteMeeting(series.id);
+  });
+  
+  test('Editing one occurrence changes only that occurrence', async () => {
+    const series = await createStandup();
+    const id = getOccurrenceId(series.id, at9(10, 26));
+    
+    const moved = await meetingService.updateMeeting(id, {
+      startTime: new Date(2026, 9, 27, 14, 0).toISOString(),
+      notes: 'Moved for the offsite'
+    });
+    
+    expect(moved).toEqual(expect.objectContaining({
+      id,
+      startTime: new Date(2026, 9, 27, 14, 0).toISOString(),
+      endTime: new Date(2026, 9, 27, 14, 30).toISOString(),
+      notes: 'Moved for the offsite'
+    }));
+    
+    const completed = await meetingService.changeMeetingStatus(getOccurrenceId(series.id, at9(10, 19)), 'completed');
+    
+    expect(completed.status).toBe('completed');
+    expect(reminderService.getReminderById(completed.reminderId).completed).toBe(true);
+    
+    const occurrences = occurrencesOf(series.id, at9(10, 19), at9(11, 2));
+    
+    expect(occurrences.map(o => [o.startTime, o.status, o.notes])).toEqual([
+      [at9(10, 19), 'completed', ''],
+      [new Date(2026, 9, 27, 14, 0).toISOString(), 'scheduled', 'Moved for the offsite'],
+      [at9(11, 2), 'scheduled', '']
+    ]);
+    expect(meetingService.getMeetingById(series.id).title).toBe('Stand-up');
+    
+    // Its reminder follows the move once the occurrence is in the coming week
+    expect(moved.reminderId).toBeNull();
+    jest.setSystemTime(new Date(2026, 9, 24, 9, 0));
+    await meetingService.syncOccurrenceReminders(meetingService.getMeetingById(series.id));
+    
+    const reminderId = meetingService.getMeetingById(id).reminderId;
+    expect(reminderService.getReminderById(reminderId).dueDate).toBe(moved.startTime);
+  });
+  
+  test('Editing an occurrence and the following ones splits the series', async () => {
+    const series = await createStandup({ recurrence: 'FREQ=WEEKLY;BYDAY=MO;COUNT=6' });
+    await meetingService.updateMeeting(getOccurrenceId(series.id, at9(11, 9)), { notes: 'Quarterly review' });
+    
+    const first = await meetingService.updateMeeting(getOccurrenceId(series.id, at9(11, 2)), {
+      title: 'Team sync',
+      startTime: new Date(2026, 10, 2, 10, 0).toISOString()
+    }, { scope: MEETING_EDIT_SCOPES.FOLLOWING });
+    
+    const newSeries = meetingService.getMeetingById(first.seriesId);
+    
+    expect(newSeries.id).not.toBe(series.id);
+    expect(newSeries.recurrence.count).toBe(4);
+    expect(occurrencesOf(series.id, at9(10, 1), at9(12, 31)).map(o => o.startTime)).toEqual([at9(10, 19), at9(10, 26)]);
+    expect(occurrencesOf(newSeries.id, at9(10, 1), at9(12, 31)).map(o => [o.title, o.startTime, o.notes])).toEqual([
+      ['Team sync', new Date(2026, 10, 2, 10, 0).toISOString(), ''],
+      ['Team sync', new Date(2026, 10, 9, 10, 0).toISOString(), 'Quarterly review'],
+      ['Team sync', new Date(2026, 10, 16, 10, 0).toISOString(), ''],
+      ['Team sync', new Date(2026, 10, 23, 10, 0).toISOString(), '']
+    ]);
+  });
+  
+  test('Editing the whole series from an occurrence moves every occurrence', async () => {
+    const series = await createStandup();
+    
+    await meetingService.updateMeeting(getOccurrenceId(series.id, at9(11, 2)), {
+      startTime: new Date(2026, 10, 2, 8, 0).toISOString(),
+      location: 'Room 4'
+    }, { scope: MEETING_EDIT_SCOPES.SERIES });
+    
+    const updated = meetingService.getMeetingById(series.id);
+    
+    expect(updated.startTime).toBe(new Date(2026, 9, 19, 8, 0).toISOString());
+    expect(updated.endTime).toBe(new Date(2026, 9, 19, 8, 30).toISOString());
+    expect(occurrencesOf(series.id, at9(10, 1), at9(10, 27)).map(o => [o.startTime, o.location])).toEqual([
+      [new Date(2026, 9, 19, 8, 0).toISOString(), 'Room 4'],
+      [new Date(2026, 9, 26, 8, 0).toISOString(), 'Room 4']
+    ]);
+    expect(remindersOf(series.id).map(r => r.dueDate)).toEqual([new Date(2026, 9, 19, 8, 0).toISOString()]);
+  });
+  
+  test('Deleting an occurrence and the following ones ends the series', async () => {
+    const series = await createStandup();
+    
+    await meetingService.deleteMeeting(getOccurrenceId(series.id, at9(11, 2)), { scope: MEETING_EDIT_SCOPES.FOLLOWING });
+    
+    expect(occurrencesOf(series.id, at9(10, 1), at9(12, 31)).map(o => o.startTime)).toEqual([at9(10, 19), at9(10, 26)]);
+    
+    await meetingService.deleteMeeting(getOccurrenceId(series.id, at9(10, 19)), { scope: MEETING_EDIT_SCOPES.FOLLOWING });
+    
+    expect(meetingService.getMeetingById(series.id)).toBeNull();
+  });
+  
+  test('Occurrence edits are published with the origin they came from', async () => {
+    const series = await createStandup();
+    const events = [];
+    const unsubscribe = changeBus.subscribe(event => events.push(event), [
+      DOMAIN_EVENTS.MEETING_CREATED,
+      DOMAIN_EVENTS.MEETING_UPDATED
+    ]);
+    const options = { origin: EVENT_ORIGINS.REMOTE };
+    
+    await meetingService.updateMeeting(getOccurrenceId(series.id, at9(10, 26)), { notes: 'Agenda attached' }, options);
+    await meetingService.deleteMeeting(getOccurrenceId(series.id, at9(10, 19)), options);
+    await meetingService.updateMeeting(getOccurrenceId(series.id, at9(11, 9)), {
+      title: 'Team sync'
+    }, { ...options, scope: MEETING_EDIT_SCOPES.FOLLOWING });
+    unsubscribe();
+    
+    expect(events.map(event => [event.type, event.origin])).toEqual([
+      [DOMAIN_EVENTS.MEETING_UPDATED, EVENT_ORIGINS.REMOTE],
+      [DOMAIN_EVENTS.MEETING_UPDATED, EVENT_ORIGINS.REMOTE],
+      [DOMAIN_EVENTS.MEETING_UPDATED, EVENT_ORIGINS.REMOTE],
+      [DOMAIN_EVENTS.MEETING_CREATED, EVENT_ORIGINS.REMOTE]
+    ]);
+  });
+  
+  test('Meetings v3 adds recurrence', () => {
+    const up = MEETING_MIGRATIONS.find(migration => migration.version === 3).up;
+    
+    expect(up({ id: 'meeting-1', title: 'Review' })).toEqual(expect.objectContaining({
+      recurrence: null,
+      recurrenceExceptions: [],
+      occurrences: {}
+    }));
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Search Test Suite for Ace Assistant
+ * 
+ * This file contains tests for the search tokenizer, the query parser and the
+ * full-text index over tasks, emails, meetings and reminders.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { tokenize, tokenizeQuery } from '../../src/services/search/tokenizer';
+import searchService, { parseSearchQuery } from '../../src/services/search/SearchService';
+import taskService from '../../src/services/organization/TaskService';
+import emailService from '../../src/services/organization/EmailService';
+import meetingService from '../../src/services/organization/MeetingService';
+import reminderService from '../../src/services/reminders/ReminderService';
+
+// Mock platform modules
+jest.mock('react-native', () => ({
+  Platform: { OS: 'ios' }
+}));
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('expo-sqlite', () => require('../mocks/expoSqlite'));
+
+jest.mock('expo-notifications', () => ({
+  setNotificationHandler: jest.fn(),
+  requestPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'granted' })),
+  addNotificationReceivedListener: jest.fn(() => ({ remove: jest.fn() })),
+  addNotificationResponseReceivedListener: jest.fn(() => ({ remove: jest.fn() })),
+  setNotificationCategoryAsync: jest.fn(() => Promise.resolve()),
+  scheduleNotificationAsync: jest.fn(() => Promise.resolve('notification-1')),
+  cancelScheduledNotificationAsync: jest.fn(() => Promise.resolve()),
+  AndroidNotificationPriority: { HIGH: 'high' }
+}));
+
+jest.mock('expo-calendar', () => ({
+  requestCalendarPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'denied' })),
+  getCalendarsAsync: jest.fn(() => Promise.resolve([])),
+  EntityTypes: { EVENT: 'event' }
+}));
+
+jest.mock('expo-task-manager', () => ({
+  defineTask: jest.fn(),
+  isTaskDefined: jest.fn(() => false)
+}));
+
+jest.mock('expo-location', () => ({
+  requestForegroundPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'denied' })),
+  requestBackgroundPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'denied' })),
+  hasStartedGeofencingAsync: jest.fn(() => Promise.resolve(false)),
+  stopGeofencingAsync: jest.fn(() => Promise.resolve())
+}));
+
+jest.mock('../../src/constants/appConfig', () => ({
+  __esModule: true,
+  default: {
+    sync: {}
+  }
+}));
+
+// Saturday 17 October 2026, 9:00 local time
+const NOW = new Date(2026, 9, 17, 9, 0);
+
+/**
+ * Get the entity types and IDs of search results
+ * @param {Array} results - Search results
+ * @returns {Array<string>} Result keys
+ */
+const keysOf = results => results.map(result => `${result.entityType}:${result.id}`);
+
+describe('Search Tokenizer', () => {
+  test('CJK text is indexed as characters and bigrams next to Latin words', () => {
+    expect(tokenize('Q3预算会议 with Lisa, café ＡＢＣ')).toEqual([
+      'q3', '预', '预算', '算', '算会', '会', '会议', '议', 'with', 'lisa', 'cafe', 'abc'
+    ]);
+  });
+  
+  test('Queries use bigrams for CJK words and keep single characters', () => {
+    expect(tokenizeQuery('预算 Budg 会 budg')).toEqual(['预算', 'budg', '会']);
+  });
+  
+  test('Field filters are taken out of the query text', () => {
+    const query = parseSearchQuery('budget from:lisa tag:"Q3 Plan" type:邮件 due:tomorrow', NOW);
+    
+    expect(query.text).toBe('budget');
+    expect(query.terms).toEqual(['budget']);
+    expect(query.filters.from).toEqual(['lisa']);
+    expect(query.filters.tag).toEqual(['q3 plan']);
+    expect(query.filters.type).toEqual(['email']);
+    expect(query.filters.due).toEqual({
+      start: new Date(2026, 9, 18),
+      end: new Date(2026, 9, 19)
+    });
+  });
+  
+  test.each([
+    ['due:today', new Date(2026, 9, 17), new Date(2026, 9, 18)],
+    ['due:本周', new Date(2026, 9, 12), new Date(2026, 9, 19)],
+    ['due:next-week', new Date(2026, 9, 19), new Date(2026, 9, 26)],
+    ['due:2026-10-01..2026-10-03', new Date(2026, 9, 1), new Date(2026, 9, 4)],
+    ['due:<2026-10-01', null, new Date(2026, 9, 1)],
+    ['due：>2026-10-01', new Date(2026, 9, 2), null]
+  ])('%s filters the matching dates', (query, start, end) => {
+    expect(parseSearchQuery(query, NOW).filters.due).toEqual({ start, end });
+  });
+  
+  test('Unknown filters stay in the query text', () => {
+    expect(parseSearchQuery('notes: https://example.com', NOW).terms).toEqual(['notes', 'https', 'example', 'com']);
+  });
+});
+
+describe('Search Service', () => {
+  let budgetTask;
+  let budgetEmail;
+  let planningMeeting;
+  let callReminder;
+  
+  beforeAll(async () => {
+    await AsyncStorage.clear();
+    
+    budgetTask = await taskService.createTask({
+      title: 'Review Q3 budget',
+      description: 'Check the travel line',
+      notes: '和财务确认预算',
+      tags: ['finance'],
+      dueDate: new Date(2026, 9, 18, 17, 0).toISOString()
+    });
+    
+    budgetEmail = await emailService.createEmail({
+      subject: 'Budget questions',
+      body: 'Can we move the offsite budget to November?',
+      from: 'lisa.wang@example.com',
+      to: ['david@example.com'],
+      tags: ['finance']
+    });
+    
+    planningMeeting = await meetingService.createMeeting({
+      title: '季度规划会议',
+      description: 'Planning for the next quarter',
+      startTime: new Date(2026, 9, 20, 10, 0).toISOString(),
+      organizer: 'david@example.com',
+      participants: ['lisa.wang@example.com'],
+      agenda: ['Budgeting process', { title: 'Hiring plan' }]
+    });
+    
+    callReminder = await reminderService.createReminder({
+      title: 'Call the travel agency',
+      description: '预订酒店',
+      dueDate: new Date(2026, 9, 17, 15, 0).toISOString()
+    });
+    
+    expect(await searchService.initialize()).toBe(true);
+  });
+  
+  afterAll(async () => {
+    await searchService.cleanup();
+  });
+  
+  test('One query returns a mixed list across services', () => {
+    const results = searchService.search('budget', { now: NOW });
+    
+    // The task's due date reminder has the task's title
+    expect(keysOf(results).sort()).toEqual([
+      `email:${budgetEmail.id}`,
+      `meeting:${planningMeeting.id}`,
+      `reminder:${budgetTask.reminderId}`,
+      `task:${budgetTask.id}`
+    ].sort());
+    expect(results[0].item).toEqual(expect.objectContaining({ id: results[0].id }));
+  });
+  
+  test('Title matches rank above prefix and agenda matches', () => {
+    const results = searchService.search('budget', { now: NOW });
+    
+    // "Budgeting process" only matches by prefix in the agenda
+    expect(results[results.length - 1].id).toBe(planningMeeting.id);
+    expect(results[results.length - 1].matchedFields).toEqual(['agenda']);
+    expect(results[0].matchedFields).toContain('title');
+  });
+  
+  test('English words match as prefixes', () => {
+    expect(keysOf(searchService.search('trav', { now: NOW }))).toEqual(expect.arrayContaining([
+      `task:${budgetTask.id}`,
+      `reminder:${callReminder.id}`
+    ]));
+    expect(searchService.search('b', { now: NOW })).toEqual([]);
+  });
+  
+  test('Chinese words are found inside longer text', () => {
+    expect(keysOf(searchService.search('规划', { now: NOW, types: ['meeting'] }))).toEqual([`meeting:${planningMeeting.id}`]);
+    expect(keysOf(searchService.search('预算', { now: NOW }))).toEqual([`task:${budgetTask.id}`]);
+    expect(keysOf(searchService.search('酒店', { now: NOW }))).toEqual([`reminder:${callReminder.id}`]);
+  });
+  
+  test('Every query word has to match', () => {
+    expect(keysOf(searchService.search('budget offsite', { now: NOW }))).toEqual([`email:${budgetEmail.id}`]);
+    expect(searchService.search('budget 酒店', { now: NOW })).toEqual([]);
+  });
+  
+  test('Field filters narrow the results', () => {
+    expect(keysOf(searchService.search('budget from:lisa', { now: NOW }))).toEqual([`email:${budgetEmail.id}`]);
+    expect(keysOf(searchService.search('tag:finance type:task', { now: NOW }))).toEqual([`task:${budgetTask.id}`]);
+    expect(keysOf(searchService.search('due:tomorrow type:task', { now: NOW }))).toEqual([`task:${budgetTask.id}`]);
+    expect(keysOf(searchService.search('due:today', { now: NOW }))).toEqual([`reminder:${callReminder.id}`]);
+    expect(keysOf(searchService.search('budget', { now: NOW, types: ['meeting'] }))).toEqual([`meeting:${planningMeeting.id}`]);
+  });
+  
+  test('Filter-only date searches list the earliest first', () => {
+    expect(keysOf(searchService.search('due:2026-10-17..2026-10-20 type:task type:meeting', { now: NOW }))).toEqual([
+      `task:${budgetTask.id}`,
+      `meeting:${planningMeeting.id}`
+    ]);
+    
+    const dates = searchService.search('due:2026-10-17..2026-10-20 type:task type:meeting type:reminder', { now: NOW }).map(result => result.date);
+    expect(dates).toHaveLength(5);
+    expect(dates).toEqual([...dates].sort());
+  });
+  
+  test('Changes are indexed as they happen', async () => {
+    const task = await taskService.createTask({ title: 'Prepare 董事会 slides' });
+    expect(keysOf(searchService.search('董事会', { now: NOW }))).toEqual([`task:${task.id}`]);
+    
+    await taskService.updateTask(task.id, { title: 'Prepare investor slides' });
+    expect(searchService.search('董事会', { now: NOW })).toEqual([]);
+    expect(keysOf(searchService.search('investor', { now: NOW }))).toEqual([`task:${task.id}`]);
+    
+    await taskService.deleteTask(task.id);
+    expect(searchService.search('investor', { now: NOW })).toEqual([]);
+    expect(searchService.postings.has('investor')).toBe(false);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Storage Test Suite for Ace Assistant
+ * 
+ * This file contains tests for the repository layer, running the SQLite
+ * adapter against an in-memory SQLite database and the AsyncStorage adapter
+ * against the AsyncStorage mock.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SQLite from 'expo-sqlite';
+import createRepository, { STORAGE_BACKENDS } from '../../src/services/storage/Repository';
+import { openDatabase } from '../../src/services/storage/SQLiteAdapter';
+import taskService from '../../src/services/organization/TaskService';
+
+// Mock platform modules
+jest.mock('react-native', () => ({
+  Platform: { OS: 'ios' }
+}));
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// expo-sqlite backed by sql.js, recording every write
+jest.mock('expo-sqlite', () => require('../mocks/expoSqlite'));
+
+jest.mock('expo-task-manager', () => ({
+  defineTask: jest.fn(),
+  isTaskDefined: jest.fn(() => false)
+}));
+
+jest.mock('expo-location', () => ({
+  requestForegroundPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'denied' })),
+  requestBackgroundPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'denied' })),
+  hasStartedGeofencingAsync: jest.fn(() => Promise.resolve(false)),
+  stopGeofencingAsync: jest.fn(() => Promise.resolve())
+}));
+
+jest.mock('../../src/constants/appConfig', () => ({
+  __esModule: true,
+  default: {
+    sync: {}
+  }
+}));
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  SQLite.writes.length = 0;
+});
+
+describe('SQLite Repository', () => {
+  let notes;
+  
+  beforeEach(async () => {
+    notes = createRepository('notes', { indexes: ['status', 'done'] });
+    await notes.clear();
+  });
+  
+  test('Records are stored one per row and keep their order', async () => {
+    await notes.putMany([
+      { id: 'a', title: 'First', status: 'todo' },
+      { id: 'b', title: 'Second', status: 'todo' },
+      { id: 'c', title: 'Third', status: 'done' }
+    ]);
+    await notes.put({ id: 'a', title: 'First, edited', status: 'todo' });
+    await notes.remove('b');
+    
+    expect(notes.backend).toBe(STORAGE_BACKENDS.SQLITE);
+    expect(await notes.getAll()).toEqual([
+      { id: 'a', title: 'First, edited', status: 'todo' },
+      { id: 'c', title: 'Third', status: 'done' }
+    ]);
+    expect(await notes.get('c')).toEqual({ id: 'c', title: 'Third', status: 'done' });
+    expect(await notes.get('b')).toBeNull();
+  });
+  
+  test('Indexed fields are queried through SQLite indexes', async () => {
+    await notes.putMany([
+      { id: 'a', status: 'todo', done: false, tag: 'work' },
+      { id: 'b', status: 'todo', done: true, tag: 'home' },
+      { id: 'c', status: 'todo', done: false, tag: 'home' }
+    ]);
+    
+    expect((await notes.find({ status: 'todo', done: false })).map(note => note.id)).toEqual(['a', 'c']);
+    expect((await notes.find({ status: 'todo', tag: 'home' })).map(note => note.id)).toEqual(['b', 'c']);
+    
+    const db = await openDatabase();
+    const plan = await db.getAllAsync('EXPLAIN QUERY PLAN SELECT data FROM "notes" WHERE "status" = ?', ['todo']);
+    expect(plan.map(step => step.detail).join(' ')).toContain('USING INDEX notes_status');
+  });
+  
+  test('Date ranges are queried through SQLite indexes', async () => {
+    const events = createRepository('events', { indexes: ['startTime'] });
+    await events.clear();
+    await events.putMany([
+      { id: 'a', startTime: '2026-10-17T09:00:00.000Z', room: 'Oak' },
+      { id: 'b', startTime: '2026-10-19T09:00:00.000Z', room: 'Elm' },
+      { id: 'c', startTime: null, room: 'Oak' },
+      { id: 'd', startTime: '2026-10-21T09:00:00.000Z', room: 'Oak' }
+    ]);
+    
+    const ids = async (where, range) => (await events.find(where, range)).map(event => event.id);
+    
+    expect(await ids({}, { startTime: { from: '2026-10-18T00:00:00.000Z' } })).toEqual(['b', 'd']);
+    expect(await ids({}, { startTime: { to: '2026-10-19T09:00:00.000Z' } })).toEqual(['a', 'b']);
+    expect(await ids({ room: 'Oak' }, {
+      startTime: { from: '2026-10-17T00:00:00.000Z', to: '2026-10-20T00:00:00.000Z' }
+    })).toEqual(['a']);
+    
+    const db = await openDatabase();
+    const plan = await db.getAllAsync(
+      'EXPLAIN QUERY PLAN SELECT data FROM "events" WHERE "startTime" >= ? AND "startTime" <= ?',
+      ['2026-10-17T00:00:00.000Z', '2026-10-20T00:00:00.000Z']
+    );
+    expect(plan.map(step => step.detail).join(' ')).toContain('USING INDEX events_startTime');
+  });
+  
+  test('Index columns added in a later version are filled from the stored records', async () => {
+    const db = await openDatabase();
+    await db.execAsync('CREATE TABLE "old_notes" (id TEXT PRIMARY KEY NOT NULL, data TEXT NOT NULL);');
+    await db.runAsync('INSERT INTO "old_notes" (id, data) VALUES (?, ?)', ['a', JSON.stringify({ id: 'a', status: 'todo' })]);
+    await db.runAsync('INSERT INTO "old_notes" (id, data) VALUES (?, ?)', ['b', JSON.stringify({ id: 'b', status: 'done' })]);
+    
+    const oldNotes = createRepository('old_notes', { indexes: ['status'] });
+    
+    expect(await oldNotes.find({ status: 'done' })).toEqual([{ id: 'b', status: 'done' }]);
+    
+    const columns = await db.getAllAsync('PRAGMA table_info("old_notes")');
+    expect(columns.map(column => column.name)).toContain('status');
+    
+    const plan = await db.getAllAsync('EXPLAIN QUERY PLAN SELECT data FROM "old_notes" WHERE "status" = ?', ['done']);
+    expect(plan.map(step => step.detail).join(' ')).toContain('USING INDEX old_notes_status');
+  });
+  
+  test('Saving one task writes only that task', async () => {
+    await taskService.initialize();
+    
+    const tasks = [];
+    for (const title of ['Draft agenda', 'Review budget', 'Book venue']) {
+      tasks.push(await taskService.createTask({ title }));
+    }
+    
+    SQLite.writes.length = 0;
+    await taskService.updateTask(tasks[1].id, { status: 'completed' });
+    
+    expect(SQLite.writes).toHaveLength(1);
+    expect(SQLite.writes[0].params[0]).toBe(tasks[1].id);
+    
+    // A reload reads the tasks back from their rows
+    await taskService.loadTasks();
+    expect(taskService.getTaskById(tasks[1].id).status).toBe('completed');
+    expect(taskService.tasks.map(task => task.title)).toEqual(
+      expect.arrayContaining(['Draft agenda', 'Review budget', 'Book venue'])
+    );
+  });
+  
+  test('Collections saved in the AsyncStorage format are moved into SQLite', async () => {
+    const legacyEmails = [
+      { id: 'email-1', subject: 'Budget', status: 'draft' },
+      { id: 'email-2', subject: 'Offsite', status: 'sent' }
+    ];
+    await AsyncStorage.setItem('@ace_legacy_emails', JSON.stringify(legacyEmails));
+    
+    const emails = createRepository('legacy_emails', {
+      storageKey: '@ace_legacy_emails',
+      indexes: ['status']
+    });
+    
+    expect(await emails.getAll()).toEqual(legacyEmails);
+    expect(await emails.find({ status: 'sent' })).toEqual([legacyEmails[1]]);
+    expect(await AsyncStorage.getItem('@ace_legacy_emails')).toBeNull();
+  });
+});
+
+describe('AsyncStorage Fallback', () => {
+  test('The AsyncStorage format is used when SQLite is unavailable', async () => {
+    let repository;
+    
+    jest.isolateModules(() => {
+      require('expo-sqlite').openDatabaseAsync.mockRejectedValueOnce(new Error('SQLite is not available'));
+      repository = require('../../src/services/storage/Repository').default('meetings', {
+        storageKey: '@ace_meetings',
+        indexes: ['status']
+      });
+    });
+    
+    await repository.put({ id: 'meeting-1', title: 'Standup', status: 'scheduled' });
+    await repository.put({ id: 'meeting-2', title: 'Retro', status: 'cancelled' });
+    await repository.put({ id: 'meeting-1', title: 'Standup', status: 'completed' });
+    
+    expect(repository.backend).toBe(STORAGE_BACKENDS.ASYNC_STORAGE);
+    expect(JSON.parse(await AsyncStorage.getItem('@ace_meetings'))).toEqual([
+      { id: 'meeting-1', title: 'Standup', status: 'completed' },
+      { id: 'meeting-2', title: 'Retro', status: 'cancelled' }
+    ]);
+    expect(await repository.find({ status: 'cancelled' })).toEqual([
+      { id: 'meeting-2', title: 'Retro', status: 'cancelled' }
+    ]);
+    expect(await repository.find({}, { title: { from: 'S' } })).toEqual([
+      { id: 'meeting-1', title: 'Standup', status: 'completed' }
+    ]);
+  });
+});
@@ -0,0 +1,1425 @@
+/**
+ * Sync Test Suite for Ace Assistant
+ * 
+ * This file contains tests for cross-device synchronization, running
+ * SyncService instances for two devices against the reference sync server.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import { SyncService, CONFLICT_RESOLUTIONS, compactChange, getRetryDelay } from '../../src/services/sync/SyncService';
+import { mergeVersions } from '../../src/services/sync/merge';
+import HybridLogicalClock, { compareHlc } from '../../src/services/sync/HybridLogicalClock';
+import { generatePairingCode, derivePairingKeys, parsePairingInput, createPairingQrPayload } from '../../src/services/sync/pairing';
+import { createSyncServer } from '../../server/syncServer';
+import syncService from '../../src/services/sync/SyncService';
+import syncIntegration from '../../src/services/sync/SyncIntegration';
+import changeBus, { DOMAIN_EVENTS, EVENT_ORIGINS } from '../../src/services/events/ChangeBus';
+import taskService from '../../src/services/organization/TaskService';
+import emailService from '../../src/services/organization/EmailService';
+
+// Mock platform modules
+jest.mock('react-native', () => ({
+  Platform: { OS: 'ios' }
+}));
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('@react-native-community/netinfo', () => ({
+  addEventListener: jest.fn(() => jest.fn()),
+  fetch: jest.fn(() => Promise.resolve({ isConnected: true, isInternetReachable: true }))
+}));
+
+jest.mock('expo-file-system', () => ({}));
+
+jest.mock('expo-secure-store', () => {
+  const items = {};
+  return {
+    getItemAsync: jest.fn(key => Promise.resolve(items[key] || null)),
+    setItemAsync: jest.fn((key, value) => Promise.resolve(void (items[key] = value))),
+    deleteItemAsync: jest.fn(key => Promise.resolve(void delete items[key]))
+  };
+});
+
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: jest.fn(length => new Uint8Array(require('crypto').randomBytes(length)))
+}));
+
+jest.mock('expo-task-manager', () => ({
+  defineTask: jest.fn(),
+  isTaskDefined: jest.fn(() => false)
+}));
+
+jest.mock('expo-location', () => ({
+  requestForegroundPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'denied' })),
+  requestBackgroundPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'denied' })),
+  hasStartedGeofencingAsync: jest.fn(() => Promise.resolve(false)),
+  stopGeofencingAsync: jest.fn(() => Promise.resolve())
+}));
+
+jest.mock('../../src/constants/appConfig', () => ({
+  __esModule: true,
+  default: {
+    sync: {
+      interval: 60000,
+      endpoint: 'http://127.0.0.1:4317/sync',
+      maxPendingChanges: 20,
+      batchSize: 3,
+      maxAttempts: 3,
+      retryBaseDelay: 1000,
+      retryMaxDelay: 4000,
+      keyDerivationIterations: 1000,
+      pairingKeyCost: 1024
+    }
+  }
+}));
+
+const SYNC_SERVER_PORT = 4317;
+
+let server;
+
+// Storage of each simulated device by device ID, kept across restarts
+let deviceStores = {};
+
+/**
+ * Create in-memory storage for a simulated device, with the methods of
+ * AsyncStorage and expo-secure-store
+ * @returns {Object} Storage and secure store
+ */
+const createDeviceStore = () => {
+  const items = {};
+  const secureItems = {};
+  
+  return {
+    storage: {
+      getItem: async key => (key in items ? items[key] : null),
+      setItem: async (key, value) => void (items[key] = value),
+      removeItem: async key => void delete items[key]
+    },
+    secureStore: {
+      getItemAsync: async key => (key in secureItems ? secureItems[key] : null),
+      setItemAsync: async (key, value) => void (secureItems[key] = value),
+      deleteItemAsync: async key => void delete secureItems[key]
+    }
+  };
+};
+
+/**
+ * Create and initialize a SyncService for a simulated device. Each device
+ * has its own storage, which a device created again with the same ID reuses.
+ * @param {string} deviceId - Device ID
+ * @param {number} clockSkew - Offset of the device's wall clock in milliseconds
+ * @returns {Promise<SyncService>} Initialized service
+ */
+const createDevice = async (deviceId, clockSkew = 0) => {
+  if (!deviceStores[deviceId]) {
+    deviceStores[deviceId] = createDeviceStore();
+  }
+  
+  const device = new SyncService({
+    deviceId,
+    now: () => Date.now() + clockSkew,
+    ...deviceStores[deviceId]
+  });
+  await device.initialize();
+  return device;
+};
+
+/**
+ * Pair devices through a pairing code so that they share an account
+ * @param {SyncService} offering - Device showing the code
+ * @param {...SyncService} joining - Devices confirming the code
+ * @returns {Promise<Object>} Pairing details from the offering device for the last joining device
+ */
+const pairDevices = async (offering, ...joining) => {
+  let pairing = null;
+  
+  for (const device of joining) {
+    pairing = await offering.startPairing('Work iPhone');
+    await device.confirmPairing(pairing.code, 'Office Mac');
+    await offering.checkPairing();
+  }
+  
+  return pairing;
+};
+
+/**
+ * Get the entity changes stored on the server, without device records
+ * @returns {Array} Stored changes
+ */
+const getStoredEntityChanges = () => server.store.getChanges().filter(change => change.entityType !== 'device');
+
+beforeAll(done => {
+  server = createSyncServer();
+  server.listen(SYNC_SERVER_PORT, '127.0.0.1', done);
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+beforeEach(async () => {
+  server.store.reset();
+  deviceStores = {};
+  await AsyncStorage.clear();
+});
+
+describe('Sync Transport', () => {
+  test('Changes pushed by one device are pulled by another', async () => {
+    const phone = await createDevice('phone');
+    const mac = await createDevice('mac');
+    await pairDevices(phone, mac);
+    
+    const received = [];
+    mac.addListener(event => {
+      if (event.type === 'change') {
+        received.push(event);
+      }
+    });
+    
+    await phone.trackChange('task', 'create', 'task-1', { id: 'task-1', title: 'Weekly report' });
+    
+    const pushResult = await phone.syncData();
+    expect(pushResult.success).toBe(true);
+    expect(phone.getSyncStatus().pendingChangesCount).toBe(0);
+    
+    const pullResult = await mac.syncData();
+    expect(pullResult.success).toBe(true);
+    expect(received).toEqual([
+      expect.objectContaining({
+        entityType: 'task',
+        action: 'create',
+        entityId: 'task-1',
+        data: { id: 'task-1', title: 'Weekly report' },
+        remote: true
+      })
+    ]);
+  });
+  
+  test('A device does not receive its own changes back', async () => {
+    const phone = await createDevice('phone');
+    
+    const received = [];
+    phone.addListener(event => {
+      if (event.type === 'change') {
+        received.push(event);
+      }
+    });
+    
+    await phone.trackChange('email', 'update', 'email-1', { id: 'email-1', subject: 'Budget' });
+    await phone.syncData();
+    await phone.syncData();
+    
+    expect(received).toHaveLength(0);
+    expect(server.store.getChanges()).toHaveLength(1);
+  });
+  
+  test('Sync waits for listeners to apply remote changes', async () => {
+    const phone = await createDevice('phone');
+    const mac = await createDevice('mac');
+    await pairDevices(phone, mac);
+    
+    const applied = [];
+    mac.addListener(event => {
+      if (event.type !== 'change') {
+        throw new Error('Listener failed');
+      }
+    });
+    mac.addListener(async event => {
+      if (event.type === 'change') {
+        await new Promise(resolve => setImmediate(resolve));
+        applied.push(event.entityId);
+      }
+    });
+    
+    await phone.trackChange('task', 'create', 'task-1', { id: 'task-1', title: 'Weekly report' });
+    await phone.syncData();
+    
+    expect((await mac.syncData()).success).toBe(true);
+    expect(applied).toEqual(['task-1']);
+  });
+  
+  test('Pending changes are kept when the request fails', async () => {
+    const phone = await createDevice('phone');
+    await phone.trackChange('meeting', 'delete', 'meeting-1');
+    
+    const fetchSpy = jest.spyOn(global, 'fetch').mockRejectedValueOnce(new Error('Network request failed'));
+    
+    const result = await phone.syncData();
+    
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Network request failed');
+    expect(phone.getSyncStatus().pendingChangesCount).toBe(1);
+    
+    fetchSpy.mockRestore();
+    
+    const retryResult = await phone.syncData();
+    expect(retryResult.success).toBe(true);
+    expect(phone.getSyncStatus().pendingChangesCount).toBe(0);
+  });
+  
+  test('Remote changes that could not be applied are pulled again', async () => {
+    const phone = await createDevice('phone');
+    const mac = await createDevice('mac');
+    await pairDevices(phone, mac);
+    
+    await phone.trackChange('task', 'create', 'task-1', { id: 'task-1', title: 'Weekly report' });
+    await phone.syncData();
+    
+    // A service on the mac fails to store the first change it is given
+    const taskStore = {
+      applyRemoteChange: jest.fn()
+        .mockResolvedValueOnce(false)
+        .mockResolvedValue(true)
+    };
+    mac.addListener(async event => {
+      if (event.type === 'change') {
+        if (!(await taskStore.applyRemoteChange(event.action, event.entityId, event.data))) {
+          throw new Error('Task could not be stored');
+        }
+      }
+    });
+    
+    const lastSyncTimestamp = mac.getSyncStatus().lastSyncTimestamp;
+    
+    const failed = await mac.syncData();
+    expect(failed).toEqual({ success: false, error: 'Remote changes could not be applied' });
+    expect(mac.getSyncStatus().lastSyncTimestamp).toBe(lastSyncTimestamp);
+    
+    expect((await mac.syncData()).success).toBe(true);
+    expect(taskStore.applyRemoteChange.mock.calls).toEqual([
+      ['create', 'task-1', { id: 'task-1', title: 'Weekly report' }],
+      ['create', 'task-1', { id: 'task-1', title: 'Weekly report' }]
+    ]);
+  });
+  
+  test('Server rejects malformed payloads', async () => {
+    const response = await fetch(`http://127.0.0.1:${SYNC_SERVER_PORT}/sync`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ changes: [] })
+    });
+    
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ success: false, error: 'deviceId is required' });
+  });
+});
+
+describe('Field-Level Merge', () => {
+  const baseTask = {
+    id: 'task-1',
+    title: 'Weekly report',
+    status: 'todo',
+    priority: 'medium',
+    updatedAt: '2024-01-01T09:00:00.000Z'
+  };
+  
+  /**
+   * Collect remote change events received by a device
+   * @param {SyncService} device - Device
+   * @returns {Array} Received events
+   */
+  const collectChanges = (device) => {
+    const received = [];
+    device.addListener(event => {
+      if (event.type === 'change') {
+        received.push(event);
+      }
+    });
+    return received;
+  };
+  
+  /**
+   * Create a task on the phone and sync it to the mac
+   * @returns {Promise<Object>} Both devices
+   */
+  const createSharedTask = async () => {
+    const phone = await createDevice('phone');
+    const mac = await createDevice('mac');
+    await pairDevices(phone, mac);
+    
+    await phone.trackChange('task', 'create', baseTask.id, baseTask);
+    await phone.syncData();
+    await mac.syncData();
+    
+    return { phone, mac };
+  };
+  
+  test('Fields changed on different devices merge automatically', () => {
+    const local = { ...baseTask, title: 'Weekly report (final)', updatedAt: '2024-01-01T10:00:00.000Z' };
+    const remote = { ...baseTask, status: 'completed', updatedAt: '2024-01-01T11:00:00.000Z' };
+    
+    const { merged, conflicts } = mergeVersions(baseTask, local, remote);
+    
+    expect(conflicts).toEqual([]);
+    expect(merged).toEqual({
+      ...baseTask,
+      title: 'Weekly report (final)',
+      status: 'completed',
+      updatedAt: '2024-01-01T11:00:00.000Z'
+    });
+  });
+  
+  test('Fields changed on both devices are reported as conflicts', () => {
+    const local = { ...baseTask, title: 'Weekly report v2', priority: 'high' };
+    const remote = { ...baseTask, title: 'Monthly report' };
+    
+    const { merged, conflicts } = mergeVersions(baseTask, local, remote);
+    
+    expect(conflicts).toEqual(['title']);
+    expect(merged.title).toBe('Weekly report v2');
+    expect(merged.priority).toBe('high');
+  });
+  
+  test('Device-local reminder fields are neither synced nor merged', async () => {
+    const phone = await createDevice('phone');
+    const mac = await createDevice('mac');
+    await pairDevices(phone, mac);
+    const reminder = { id: 'reminder-1', title: 'Call mom', notificationIds: [], deliveries: [] };
+    
+    await phone.trackChange('reminder', 'create', reminder.id, {
+      ...reminder,
+      notificationIds: ['phone-notification'],
+      deliveries: [{ notificationId: 'phone-notification', deliverAt: '2024-01-01T09:00:00.000Z' }],
+      calendarEventId: 'phone-event'
+    });
+    
+    const tracked = phone.pendingChanges.find(change => change.entityId === reminder.id);
+    
+    expect(tracked.data).toEqual({ id: 'reminder-1', title: 'Call mom' });
+    
+    const { merged, conflicts } = mergeVersions(
+      reminder,
+      { ...reminder, notificationIds: ['phone-notification'] },
+      { ...reminder, title: 'Call dad', notificationIds: ['mac-notification'] }
+    );
+    
+    expect(conflicts).toEqual([]);
+    expect(merged).toEqual({ id: 'reminder-1', title: 'Call dad' });
+  });
+  
+  test('Title edit on the Mac and completion on the phone are both kept', async () => {
+    const { phone, mac } = await createSharedTask();
+    const phoneReceived = collectChanges(phone);
+    const macReceived = collectChanges(mac);
+    
+    await mac.trackChange('task', 'update', baseTask.id, { ...baseTask, title: 'Weekly report (final)' });
+    await mac.syncData();
+    
+    await phone.trackChange('task', 'update', baseTask.id, { ...baseTask, status: 'completed' });
+    await phone.syncData();
+    await mac.syncData();
+    
+    const expected = expect.objectContaining({ title: 'Weekly report (final)', status: 'completed' });
+    expect(phoneReceived[phoneReceived.length - 1].data).toEqual(expected);
+    expect(macReceived[macReceived.length - 1].data).toEqual(expected);
+    expect(phone.getConflicts()).toHaveLength(0);
+    expect(mac.getConflicts()).toHaveLength(0);
+  });
+  
+  test('A remote edit that failed to apply is not taken as the base version', async () => {
+    const { phone, mac } = await createSharedTask();
+    
+    await phone.trackChange('task', 'update', baseTask.id, { ...baseTask, title: 'Weekly report (final)' });
+    await phone.syncData();
+    
+    const removeListener = mac.addListener(event => {
+      if (event.type === 'change') {
+        throw new Error('Listener failed');
+      }
+    });
+    expect((await mac.syncData()).success).toBe(false);
+    removeListener();
+    
+    // The mac still holds the old title when it edits the task
+    await mac.trackChange('task', 'update', baseTask.id, { ...baseTask, status: 'completed' });
+    expect(mac.pendingChanges[0].changedFields).toEqual(['status']);
+    
+    const macReceived = collectChanges(mac);
+    await mac.syncData();
+    
+    expect(macReceived[macReceived.length - 1].data).toEqual(
+      expect.objectContaining({ title: 'Weekly report (final)', status: 'completed' })
+    );
+    expect(mac.getConflicts()).toHaveLength(0);
+  });
+  
+  test('Conflicting edits are queued instead of being dropped', async () => {
+    const { phone, mac } = await createSharedTask();
+    
+    await mac.trackChange('task', 'update', baseTask.id, { ...baseTask, title: 'Monthly report' });
+    await mac.syncData();
+    
+    await phone.trackChange('task', 'update', baseTask.id, { ...baseTask, title: 'Weekly report v2' });
+    await phone.syncData();
+    
+    const conflicts = phone.getConflicts();
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toEqual(expect.objectContaining({
+      entityType: 'task',
+      entityId: baseTask.id,
+      fields: ['title'],
+      local: expect.objectContaining({ title: 'Weekly report v2' }),
+      remote: expect.objectContaining({ title: 'Monthly report' })
+    }));
+    expect(phone.getSyncStatus().conflictsCount).toBe(1);
+  });
+  
+  test('Conflicts are stamped with the device clock', async () => {
+    const { phone, mac } = await createSharedTask();
+    
+    await mac.trackChange('task', 'update', baseTask.id, { ...baseTask, title: 'Monthly report' });
+    await mac.syncData();
+    
+    phone.now = () => Date.now() + 60000;
+    await phone.trackChange('task', 'update', baseTask.id, { ...baseTask, title: 'Weekly report v2' });
+    await phone.syncData();
+    
+    const [conflict] = phone.getConflicts();
+    expect(conflict.detectedAt).toBeGreaterThanOrEqual(Date.now() + 50000);
+  });
+});
+
+describe('Conflict Review Queue', () => {
+  const baseTask = {
+    id: 'task-1',
+    title: 'Weekly report',
+    status: 'todo',
+    priority: 'medium'
+  };
+  
+  /**
+   * Create a conflicting title edit on both devices
+   * @returns {Promise<Object>} Both devices with the conflict queued on the phone
+   */
+  const createTitleConflict = async () => {
+    const phone = await createDevice('phone');
+    const mac = await createDevice('mac');
+    await pairDevices(phone, mac);
+    
+    await phone.trackChange('task', 'create', baseTask.id, baseTask);
+    await phone.syncData();
+    await mac.syncData();
+    
+    await mac.trackChange('task', 'update', baseTask.id, { ...baseTask, title: 'Monthly report', priority: 'high' });
+    await mac.syncData();
+    
+    await phone.trackChange('task', 'update', baseTask.id, { ...baseTask, title: 'Weekly report v2' });
+    await phone.syncData();
+    
+    return { phone, mac };
+  };
+  
+  test('Conflicts are persisted across restarts', async () => {
+    const { phone } = await createTitleConflict();
+    const [conflict] = phone.getConflicts();
+    
+    const restarted = await createDevice('phone');
+    
+    expect(restarted.getConflicts()).toEqual([conflict]);
+  });
+  
+  test('Accepting the remote version applies it and syncs it to other devices', async () => {
+    const { phone, mac } = await createTitleConflict();
+    const [conflict] = phone.getConflicts();
+    
+    const phoneChanges = [];
+    phone.addListener(event => {
+      if (event.type === 'change') {
+        phoneChanges.push(event);
+      }
+    });
+    
+    const resolved = await phone.resolveConflict(conflict.id, CONFLICT_RESOLUTIONS.REMOTE);
+    
+    expect(resolved).toEqual(expect.objectContaining({ title: 'Monthly report', priority: 'high' }));
+    expect(phoneChanges[0]).toEqual(expect.objectContaining({ action: 'update', data: resolved }));
+    expect(phone.getConflicts()).toHaveLength(0);
+    
+    const macChanges = [];
+    mac.addListener(event => {
+      if (event.type === 'change') {
+        macChanges.push(event);
+      }
+    });
+    
+    await phone.syncData();
+    await mac.syncData();
+    
+    expect(macChanges[macChanges.length - 1].data).toEqual(
+      expect.objectContaining({ title: 'Monthly report', priority: 'high' })
+    );
+  });
+  
+  test('Hand-merged values override both versions', async () => {
+    const { phone } = await createTitleConflict();
+    const [conflict] = phone.getConflicts();
+    
+    const resolved = await phone.resolveConflict(conflict.id, CONFLICT_RESOLUTIONS.MERGE, {
+      title: 'Weekly/monthly report'
+    });
+    
+    expect(resolved).toEqual(expect.objectContaining({ title: 'Weekly/monthly report', priority: 'high' }));
+    expect(phone.getSyncStatus().conflictsCount).toBe(0);
+  });
+  
+  test('Resolving an unknown conflict fails', async () => {
+    const phone = await createDevice('phone');
+    
+    await expect(phone.resolveConflict('missing', CONFLICT_RESOLUTIONS.LOCAL)).rejects.toThrow(
+      'Conflict with ID missing not found'
+    );
+  });
+});
+
+describe('Hybrid Logical Clock Ordering', () => {
+  const ONE_HOUR = 60 * 60 * 1000;
+  
+  test('Timestamps issued after receiving a change sort after it despite a slow clock', () => {
+    const fastClock = new HybridLogicalClock('mac', () => 5000 + ONE_HOUR);
+    const slowClock = new HybridLogicalClock('phone', () => 5000);
+    
+    const remote = fastClock.tick();
+    slowClock.receive(remote);
+    const local = slowClock.tick();
+    
+    expect(compareHlc(local, remote)).toBeGreaterThan(0);
+  });
+  
+  test('Timestamps keep increasing when the wall clock goes backwards', () => {
+    let wallTime = 10000;
+    const clock = new HybridLogicalClock('phone', () => wallTime);
+    
+    const first = clock.tick();
+    wallTime = 2000;
+    const second = clock.tick();
+    const resumed = new HybridLogicalClock('phone', () => wallTime, second).tick();
+    
+    expect(compareHlc(second, first)).toBeGreaterThan(0);
+    expect(compareHlc(resumed, second)).toBeGreaterThan(0);
+  });
+  
+  test('Causally later edit wins even when the earlier device clock runs ahead', async () => {
+    const task = { id: 'task-1', title: 'Pay rent', priority: 'medium' };
+    
+    // The Mac's clock is an hour ahead of the phone's
+    const mac = await createDevice('mac', ONE_HOUR);
+    const phone = await createDevice('phone');
+    const ipad = await createDevice('ipad');
+    await pairDevices(mac, phone, ipad);
+    
+    await mac.trackChange('task', 'create', task.id, task);
+    await mac.syncData();
+    await phone.syncData();
+    
+    // The Mac raises the priority, then the phone lowers it after seeing that edit
+    await mac.trackChange('task', 'update', task.id, { ...task, priority: 'high' });
+    await mac.syncData();
+    await phone.syncData();
+    await phone.trackChange('task', 'update', task.id, { ...task, priority: 'low' });
+    await phone.syncData();
+    
+    const [macChange, phoneChange] = getStoredEntityChanges().slice(1);
+    expect(phoneChange.timestamp).toBeLessThan(macChange.timestamp);
+    
+    // The iPad receives all changes in one batch
+    const ipadChanges = [];
+    ipad.addListener(event => {
+      if (event.type === 'change') {
+        ipadChanges.push(event);
+      }
+    });
+    
+    await ipad.syncData();
+    
+    expect(ipadChanges[ipadChanges.length - 1].data.priority).toBe('low');
+  });
+});
+
+describe('Pending Change Compaction', () => {
+  test('Create followed by updates is sent as a single create', async () => {
+    const phone = await createDevice('phone');
+    const mac = await createDevice('mac');
+    await pairDevices(phone, mac);
+    await phone.syncData();
+    
+    await phone.trackChange('task', 'create', 'task-1', { id: 'task-1', title: 'Draft', priority: 'low' });
+    await phone.trackChange('task', 'update', 'task-1', { id: 'task-1', title: 'Draft budget', priority: 'low' });
+    await phone.trackChange('task', 'update', 'task-1', { id: 'task-1', title: 'Draft budget', priority: 'high' });
+    
+    expect(phone.getSyncStatus().pendingChangesCount).toBe(1);
+    expect(phone.pendingChanges[0]).toEqual(expect.objectContaining({
+      action: 'create',
+      data: { id: 'task-1', title: 'Draft budget', priority: 'high' },
+      changedFields: null
+    }));
+    
+    await phone.syncData();
+    
+    const received = [];
+    mac.addListener(event => {
+      if (event.type === 'change') {
+        received.push(event);
+      }
+    });
+    await mac.syncData();
+    
+    expect(getStoredEntityChanges()).toHaveLength(1);
+    expect(received).toEqual([
+      expect.objectContaining({
+        action: 'create',
+        data: { id: 'task-1', title: 'Draft budget', priority: 'high' }
+      })
+    ]);
+  });
+  
+  test('Consecutive updates keep every field changed since the base version', async () => {
+    const task = { id: 'task-1', title: 'Pay rent', priority: 'medium', completed: false };
+    const phone = await createDevice('phone');
+    
+    await phone.trackChange('task', 'create', task.id, task);
+    await phone.syncData();
+    
+    await phone.trackChange('task', 'update', task.id, { ...task, title: 'Pay rent today' });
+    await phone.trackChange('task', 'update', task.id, { ...task, title: 'Pay rent today', priority: 'high' });
+    
+    expect(phone.getSyncStatus().pendingChangesCount).toBe(1);
+    expect(phone.pendingChanges[0].action).toBe('update');
+    expect(phone.pendingChanges[0].changedFields.sort()).toEqual(['priority', 'title']);
+  });
+  
+  test('Create followed by delete cancels out', async () => {
+    const phone = await createDevice('phone');
+    
+    await phone.trackChange('reminder', 'create', 'reminder-1', { id: 'reminder-1', title: 'Call mom' });
+    await phone.trackChange('reminder', 'delete', 'reminder-1');
+    
+    expect(phone.getSyncStatus().pendingChangesCount).toBe(0);
+    
+    await phone.syncData();
+    expect(server.store.getChanges()).toHaveLength(0);
+  });
+  
+  test('Update followed by delete is sent as a delete', async () => {
+    const phone = await createDevice('phone');
+    
+    await phone.trackChange('meeting', 'update', 'meeting-1', { id: 'meeting-1', title: 'Standup' });
+    await phone.trackChange('meeting', 'delete', 'meeting-1');
+    
+    expect(phone.pendingChanges).toEqual([
+      expect.objectContaining({ action: 'delete', entityId: 'meeting-1' })
+    ]);
+  });
+  
+  test('Changes in a sync request in flight are not compacted', async () => {
+    const phone = await createDevice('phone');
+    
+    await phone.trackChange('task', 'create', 'task-1', { id: 'task-1', title: 'Draft' });
+    
+    const syncing = phone.syncData();
+    await phone.trackChange('task', 'update', 'task-1', { id: 'task-1', title: 'Draft budget' });
+    await syncing;
+    
+    expect(server.store.getChanges()).toEqual([
+      expect.objectContaining({ action: 'create', data: { id: 'task-1', title: 'Draft' } })
+    ]);
+    expect(phone.pendingChanges).toEqual([
+      expect.objectContaining({ action: 'update', data: { id: 'task-1', title: 'Draft budget' } })
+    ]);
+  });
+  
+  test('Delete is kept when the create may already have reached the server', () => {
+    const create = { id: 'c1', action: 'create', data: { id: 'task-1' }, attempted: true };
+    const remove = { id: 'c2', action: 'delete', data: null };
+    
+    expect(compactChange(create, remove)).toBe(remove);
+    expect(compactChange({ ...create, attempted: false }, remove)).toBeNull();
+  });
+  
+  test('Changes past the queue limit are kept and reported', async () => {
+    const phone = await createDevice('phone');
+    
+    const overflows = [];
+    phone.addListener(event => {
+      if (event.type === 'overflow') {
+        overflows.push(event);
+      }
+    });
+    
+    for (let i = 0; i < 25; i++) {
+      await phone.trackChange('task', 'create', `task-${i}`, { id: `task-${i}` });
+    }
+    
+    const status = phone.getSyncStatus();
+    expect(status.pendingChangesCount).toBe(25);
+    expect(status.maxPendingChanges).toBe(20);
+    expect(phone.pendingChanges[0].entityId).toBe('task-0');
+    expect(overflows).toHaveLength(5);
+    expect(overflows[4]).toEqual(expect.objectContaining({ pendingChangesCount: 25, maxPendingChanges: 20 }));
+    
+    await phone.syncData();
+    expect(server.store.getChanges()).toHaveLength(25);
+  });
+});
+
+describe('Batched Upload', () => {
+  /**
+   * Track task creations on a device
+   * @param {SyncService} device - Device
+   * @param {number} count - Number of tasks
+   */
+  const createTasks = async (device, count) => {
+    for (let i = 0; i < count; i++) {
+      await device.trackChange('task', 'create', `task-${i}`, { id: `task-${i}`, title: `Task ${i}` });
+    }
+  };
+  
+  test('Pending changes are uploaded in batches of the configured size', async () => {
+    const phone = await createDevice('phone');
+    await createTasks(phone, 7);
+    
+    const fetchSpy = jest.spyOn(global, 'fetch');
+    const result = await phone.syncData();
+    
+    expect(result.success).toBe(true);
+    expect(fetchSpy.mock.calls.map(([, request]) => JSON.parse(request.body).changes.length)).toEqual([3, 3, 1]);
+    expect(server.store.getChanges()).toHaveLength(7);
+    expect(phone.getSyncStatus().pendingChangesCount).toBe(0);
+    
+    fetchSpy.mockRestore();
+  });
+  
+  test('Only acknowledged changes leave the queue', async () => {
+    const phone = await createDevice('phone');
+    await createTasks(phone, 3);
+    
+    // Simulate a server that stores and acknowledges one change per request
+    const storeSync = server.store.sync;
+    server.store.sync = payload => storeSync({ ...payload, changes: payload.changes.slice(0, 1) });
+    
+    await phone.syncData();
+    
+    server.store.sync = storeSync;
+    
+    expect(server.store.getChanges().map(change => change.entityId)).toEqual(['task-0']);
+    expect(phone.pendingChanges.map(change => change.entityId)).toEqual(['task-1', 'task-2']);
+    
+    await phone.syncData();
+    
+    expect(server.store.getChanges()).toHaveLength(3);
+    expect(phone.getSyncStatus().pendingChangesCount).toBe(0);
+  });
+  
+  test('Interrupted sync resumes after the last acknowledged batch', async () => {
+    const phone = await createDevice('phone');
+    await createTasks(phone, 5);
+    
+    const realFetch = global.fetch;
+    const fetchSpy = jest.spyOn(global, 'fetch')
+      .mockImplementationOnce(realFetch)
+      .mockRejectedValueOnce(new Error('Network request failed'));
+    
+    const result = await phone.syncData();
+    
+    expect(result.success).toBe(false);
+    expect(server.store.getChanges()).toHaveLength(3);
+    expect(phone.pendingChanges.map(change => change.entityId)).toEqual(['task-3', 'task-4']);
+    
+    fetchSpy.mockRestore();
+    
+    const resumed = await phone.syncData();
+    
+    expect(resumed.success).toBe(true);
+    expect(server.store.getChanges().map(change => change.entityId)).toEqual([
+      'task-0', 'task-1', 'task-2', 'task-3', 'task-4'
+    ]);
+    expect(phone.getSyncStatus().pendingChangesCount).toBe(0);
+  });
+  
+  test('Each batch pulls only changes newer than the previous batch', async () => {
+    const mac = await createDevice('mac');
+    const phone = await createDevice('phone');
+    await pairDevices(mac, phone);
+    
+    await mac.trackChange('task', 'create', 'mac-task', { id: 'mac-task', title: 'From the Mac' });
+    await mac.syncData();
+    
+    const received = [];
+    phone.addListener(event => {
+      if (event.type === 'change') {
+        received.push(event.entityId);
+      }
+    });
+    
+    await createTasks(phone, 5);
+    await phone.syncData();
+    
+    expect(received).toEqual(['mac-task']);
+  });
+});
+
+describe('Retry Policy', () => {
+  test('Retry delay grows exponentially with jitter up to the maximum', () => {
+    expect(getRetryDelay(1, () => 0)).toBe(500);
+    expect(getRetryDelay(1, () => 1)).toBe(1000);
+    expect(getRetryDelay(2, () => 1)).toBe(2000);
+    expect(getRetryDelay(3, () => 0.5)).toBe(3000);
+    expect(getRetryDelay(10, () => 1)).toBe(4000);
+  });
+  
+  test('Failed syncs back off until sync is reported as degraded', async () => {
+    const phone = new SyncService({ deviceId: 'phone', now: () => 100000, random: () => 1 });
+    await phone.initialize();
+    
+    const events = [];
+    phone.addListener(event => {
+      if (event.type === 'sync') {
+        events.push(event);
+      }
+    });
+    
+    const fetchSpy = jest.spyOn(global, 'fetch').mockRejectedValue(new Error('Network request failed'));
+    
+    await phone.syncData();
+    expect(phone.getSyncStatus()).toEqual(expect.objectContaining({
+      consecutiveFailures: 1,
+      nextRetryAt: 101000,
+      degraded: false
+    }));
+    
+    await phone.syncData();
+    expect(phone.getSyncStatus().nextRetryAt).toBe(102000);
+    
+    await phone.syncData();
+    expect(phone.getSyncStatus()).toEqual(expect.objectContaining({
+      consecutiveFailures: 3,
+      nextRetryAt: null,
+      degraded: true
+    }));
+    expect(events[2]).toEqual(expect.objectContaining({ success: false, consecutiveFailures: 3, degraded: true }));
+    
+    fetchSpy.mockRestore();
+    
+    await phone.syncData();
+    expect(phone.getSyncStatus()).toEqual(expect.objectContaining({
+      consecutiveFailures: 0,
+      nextRetryAt: null,
+      degraded: false
+    }));
+  });
+  
+  test('Sync is retried immediately when connectivity returns', async () => {
+    const phone = await createDevice('phone');
+    const onNetworkChange = NetInfo.addEventListener.mock.calls[NetInfo.addEventListener.mock.calls.length - 1][0];
+    
+    const fetchSpy = jest.spyOn(global, 'fetch').mockRejectedValueOnce(new Error('Network request failed'));
+    await phone.syncData();
+    fetchSpy.mockRestore();
+    
+    expect(phone.getSyncStatus().nextRetryAt).not.toBeNull();
+    
+    const syncSpy = jest.spyOn(phone, 'syncData').mockResolvedValue({ success: true });
+    
+    onNetworkChange({ isConnected: false, isInternetReachable: false });
+    expect(syncSpy).not.toHaveBeenCalled();
+    
+    onNetworkChange({ isConnected: true, isInternetReachable: true });
+    expect(syncSpy).toHaveBeenCalledTimes(1);
+    expect(phone.getSyncStatus().nextRetryAt).toBeNull();
+  });
+});
+
+describe('End-to-End Encryption', () => {
+  const task = { id: 'task-1', title: 'Renew passport', notes: 'Passport number X1234567' };
+  
+  /**
+   * Collect entity changes applied on a device
+   * @param {SyncService} device - Device
+   * @returns {Array} Received change events
+   */
+  const collectChanges = (device) => {
+    const received = [];
+    device.addListener(event => {
+      if (event.type === 'change') {
+        received.push(event);
+      }
+    });
+    return received;
+  };
+  
+  test('The server only stores ciphertext', async () => {
+    const phone = await createDevice('phone');
+    await phone.setEncryptionPassphrase('correct horse battery staple');
+    
+    await phone.trackChange('task', 'create', task.id, task);
+    await phone.syncData();
+    
+    const [stored] = server.store.getChanges();
+    expect(stored.data).toBeUndefined();
+    expect(stored.encrypted).toEqual(expect.objectContaining({ alg: 'xchacha20poly1305' }));
+    expect(JSON.stringify(stored)).not.toContain('X1234567');
+    expect(phone.getSyncStatus().encryptionEnabled).toBe(true);
+  });
+  
+  test('A device joins with the same passphrase and unlocks held back changes', async () => {
+    const phone = await createDevice('phone');
+    const mac = await createDevice('mac');
+    await pairDevices(phone, mac);
+    await phone.syncData();
+    const received = collectChanges(mac);
+    
+    const keyId = await phone.setEncryptionPassphrase('correct horse battery staple');
+    await phone.trackChange('task', 'create', task.id, task);
+    await phone.syncData();
+    
+    await mac.syncData();
+    expect(received).toHaveLength(0);
+    expect(mac.getSyncStatus().lockedChangesCount).toBe(1);
+    
+    // A wrong passphrase leaves the changes locked
+    await mac.setEncryptionPassphrase('wrong passphrase');
+    expect(received).toHaveLength(0);
+    expect(mac.getSyncStatus().lockedChangesCount).toBe(1);
+    
+    expect(await mac.setEncryptionPassphrase('correct horse battery staple')).toBe(keyId);
+    expect(mac.getSyncStatus().lockedChangesCount).toBe(0);
+    expect(received).toEqual([expect.objectContaining({ action: 'create', data: task })]);
+  });
+  
+  test('Held back changes that fail to apply stay locked until the next sync', async () => {
+    const phone = await createDevice('phone');
+    const mac = await createDevice('mac');
+    await pairDevices(phone, mac);
+    await phone.syncData();
+    
+    await phone.setEncryptionPassphrase('correct horse battery staple');
+    await phone.trackChange('task', 'create', task.id, task);
+    await phone.syncData();
+    await mac.syncData();
+    
+    const removeListener = mac.addListener(event => {
+      if (event.type === 'change') {
+        throw new Error('Listener failed');
+      }
+    });
+    await mac.setEncryptionPassphrase('correct horse battery staple');
+    removeListener();
+    
+    expect(mac.getSyncStatus().lockedChangesCount).toBe(1);
+    
+    const restarted = await createDevice('mac');
+    expect(restarted.getSyncStatus().lockedChangesCount).toBe(1);
+    
+    const received = collectChanges(mac);
+    expect((await mac.syncData()).success).toBe(true);
+    expect(mac.getSyncStatus().lockedChangesCount).toBe(0);
+    expect(received).toEqual([expect.objectContaining({ action: 'create', data: task })]);
+  });
+  
+  test('A new device is added with a pairing secret', async () => {
+    const phone = await createDevice('phone');
+    const mac = await createDevice('mac');
+    await pairDevices(phone, mac);
+    const received = collectChanges(mac);
+    
+    await phone.setEncryptionPassphrase('correct horse battery staple');
+    const sealedKeys = await phone.exportEncryptionKeys('482913');
+    
+    expect(sealedKeys).not.toContain(phone.keyring.keys[phone.keyring.activeKeyId].key);
+    await expect(mac.importEncryptionKeys(sealedKeys, '000000')).rejects.toThrow();
+    await mac.importEncryptionKeys(sealedKeys, '482913');
+    
+    await phone.trackChange('task', 'create', task.id, task);
+    await phone.syncData();
+    await mac.syncData();
+    
+    expect(received).toEqual([expect.objectContaining({ data: task })]);
+  });
+  
+  test('Rotated keys reach other devices wrapped with the previous key', async () => {
+    const phone = await createDevice('phone');
+    const mac = await createDevice('mac');
+    await pairDevices(phone, mac);
+    const received = collectChanges(mac);
+    
+    const oldKeyId = await phone.setEncryptionPassphrase('correct horse battery staple');
+    await mac.importEncryptionKeys(await phone.exportEncryptionKeys('482913'), '482913');
+    
+    const newKeyId = await phone.rotateEncryptionKey();
+    expect(newKeyId).not.toBe(oldKeyId);
+    
+    await phone.trackChange('task', 'create', task.id, task);
+    await phone.syncData();
+    
+    const stored = server.store.getChanges();
+    expect(stored.find(change => change.entityType === 'task').encrypted.keyId).toBe(newKeyId);
+    expect(JSON.stringify(stored)).not.toContain(phone.keyring.keys[newKeyId].key);
+    
+    await mac.syncData();
+    
+    expect(mac.keyring.activeKeyId).toBe(newKeyId);
+    expect(mac.keyring.keys[oldKeyId]).toBeDefined();
+    expect(received).toEqual([expect.objectContaining({ entityType: 'task', data: task })]);
+  });
+  
+  test('Tampered changes are dropped', async () => {
+    const phone = await createDevice('phone');
+    const mac = await createDevice('mac');
+    await pairDevices(phone, mac);
+    const received = collectChanges(mac);
+    
+    await phone.setEncryptionPassphrase('correct horse battery staple');
+    await mac.importEncryptionKeys(await phone.exportEncryptionKeys('482913'), '482913');
+    
+    await phone.trackChange('task', 'create', task.id, task);
+    await phone.syncData();
+    
+    // Move the ciphertext to another entity
+    getStoredEntityChanges()[0].entityId = 'task-2';
+    
+    await mac.syncData();
+    
+    expect(received).toHaveLength(0);
+    expect(mac.getSyncStatus().lockedChangesCount).toBe(0);
+  });
+});
+
+describe('Device Pairing', () => {
+  test('Pairing codes are long, unambiguous and accepted from QR payloads', () => {
+    const code = generatePairingCode();
+    
+    expect(code).toMatch(/^[A-HJKMNP-Z2-9]{4}(-[A-HJKMNP-Z2-9]{4}){3}$/);
+    expect(parsePairingInput(code.toLowerCase().replace(/-/g, ' '))).toBe(code.replace(/-/g, ''));
+    expect(parsePairingInput(createPairingQrPayload(code, { name: 'Work iPhone', platform: 'ios' })))
+      .toBe(code.replace(/-/g, ''));
+    expect(() => parsePairingInput('ABCD-EFGH')).toThrow('Invalid pairing code');
+  });
+  
+  test('The server receives neither the code nor a fast hash of it', async () => {
+    const code = generatePairingCode();
+    const keys = await derivePairingKeys(code.toLowerCase());
+    
+    expect(keys).toEqual(await derivePairingKeys(code));
+    expect(keys.codeHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(keys.secret).not.toBe(keys.codeHash);
+    
+    const phone = await createDevice('phone');
+    const fetchSpy = jest.spyOn(global, 'fetch');
+    const pairing = await phone.startPairing();
+    const body = fetchSpy.mock.calls[0][1].body;
+    fetchSpy.mockRestore();
+    
+    expect(body).toContain((await derivePairingKeys(pairing.code)).codeHash);
+    expect(body).not.toContain(pairing.code.replace(/-/g, ''));
+    expect(body).not.toContain((await derivePairingKeys(pairing.code)).secret);
+  });
+  
+  test('Paired devices share an account and a trusted device registry', async () => {
+    const phone = await createDevice('phone');
+    const mac = await createDevice('mac');
+    const unpaired = await createDevice('ipad');
+    
+    const pairing = await phone.startPairing('Work iPhone');
+    expect(await phone.checkPairing()).toBeNull();
+    
+    const devices = await mac.confirmPairing(pairing.code, 'Office Mac');
+    expect(devices.map(device => device.name).sort()).toEqual(['Office Mac', 'Work iPhone']);
+    expect(mac.getSyncStatus().accountId).toBe(phone.getSyncStatus().accountId);
+    
+    expect(await phone.checkPairing(pairing.code)).toEqual(expect.objectContaining({
+      deviceId: 'mac',
+      name: 'Office Mac',
+      platform: 'ios'
+    }));
+    
+    const received = [];
+    mac.addListener(event => {
+      if (event.type === 'change') {
+        received.push(event);
+      }
+    });
+    unpaired.addListener(event => {
+      if (event.type === 'change') {
+        received.push(event);
+      }
+    });
+    
+    await phone.trackChange('task', 'create', 'task-1', { id: 'task-1', title: 'Board meeting prep' });
+    await phone.syncData();
+    await mac.syncData();
+    await unpaired.syncData();
+    
+    // Only the paired device receives the change, and device records stay internal
+    expect(received).toEqual([expect.objectContaining({ entityType: 'task', entityId: 'task-1' })]);
+    
+    const macOnPhone = phone.getDevices().find(device => device.deviceId === 'mac');
+    expect(macOnPhone.lastSeenAt).toBeNull();
+    
+    await mac.syncData();
+    await phone.syncData();
+    expect(phone.getDevices().find(device => device.deviceId === 'mac').lastSeenAt).not.toBeNull();
+  });
+  
+  test('Pairing through a QR payload hands over the encryption keys', async () => {
+    const phone = await createDevice('phone');
+    const mac = await createDevice('mac');
+    
+    const keyId = await phone.setEncryptionPassphrase('correct horse battery staple');
+    const pairing = await phone.startPairing();
+    
+    await mac.confirmPairing(pairing.qrPayload);
+    
+    expect(mac.getSyncStatus().encryptionEnabled).toBe(true);
+    expect(mac.keyring.activeKeyId).toBe(keyId);
+  });
+  
+  test('Unknown and reused pairing codes are rejected', async () => {
+    const phone = await createDevice('phone');
+    const mac = await createDevice('mac');
+    const ipad = await createDevice('ipad');
+    
+    await expect(mac.confirmPairing('ABCD-EFGH-JKMN-PQRS')).rejects.toThrow('Pairing code not found or expired');
+    
+    const pairing = await phone.startPairing();
+    await mac.confirmPairing(pairing.code);
+    
+    await expect(ipad.confirmPairing(pairing.code)).rejects.toThrow('Pairing code already used');
+  });
+  
+  test('Changes from a revoked device are rejected', async () => {
+    const phone = await createDevice('phone');
+    const mac = await createDevice('mac');
+    await pairDevices(phone, mac);
+    await mac.syncData();
+    await phone.syncData();
+    
+    const received = [];
+    phone.addListener(event => {
+      if (event.type === 'change') {
+        received.push(event);
+      }
+    });
+    
+    expect(await phone.revokeDevice('mac')).toBe(true);
+    expect(await phone.revokeDevice('phone')).toBe(false);
+    
+    await mac.trackChange('task', 'delete', 'task-1');
+    await mac.syncData();
+    await phone.syncData();
+    
+    expect(received).toHaveLength(0);
+    expect(phone.getDevices().find(device => device.deviceId === 'mac').revokedAt).not.toBeNull();
+    
+    // The revoked device learns about the revocation on its next sync
+    await mac.syncData();
+    expect(mac.isDeviceRevoked('mac')).toBe(true);
+  });
+  
+  test('Devices that are not paired do not share an account', async () => {
+    const phone = await createDevice('phone');
+    const mac = await createDevice('mac');
+    
+    const received = [];
+    mac.addListener(event => {
+      if (event.type === 'change') {
+        received.push(event);
+      }
+    });
+    
+    await phone.trackChange('task', 'create', 'task-1', { id: 'task-1', title: 'Board meeting prep' });
+    await phone.syncData();
+    await mac.syncData();
+    
+    expect(received).toHaveLength(0);
+    expect(mac.getSyncStatus().accountId).not.toBe(phone.getSyncStatus().accountId);
+  });
+  
+  test('The server only accepts requests from devices registered with the account', async () => {
+    const phone = await createDevice('phone');
+    await phone.trackChange('task', 'create', 'task-1', { id: 'task-1', title: 'Board meeting prep' });
+    await phone.syncData();
+    
+    /**
+     * Send a sync request to the phone's account
+     * @param {string} deviceId - Device ID claimed by the request
+     * @param {string} token - Bearer token
+     * @returns {Promise<Response>} Server response
+     */
+    const syncAs = (deviceId, token) => fetch(`http://127.0.0.1:${SYNC_SERVER_PORT}/sync`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ deviceId, accountId: phone.getSyncStatus().accountId, lastSyncTimestamp: 0 })
+    });
+    
+    expect((await syncAs('phone', 'guessed-token')).status).toBe(401);
+    expect((await syncAs('intruder', phone.deviceToken)).status).toBe(401);
+    
+    const response = await syncAs('phone', phone.deviceToken);
+    expect(response.status).toBe(200);
+  });
+  
+  test('A paired device cannot use its token to sync as another device', async () => {
+    const phone = await createDevice('phone');
+    const mac = await createDevice('mac');
+    await pairDevices(phone, mac);
+    
+    expect(mac.deviceToken).not.toBe(phone.deviceToken);
+    
+    const response = await fetch(`http://127.0.0.1:${SYNC_SERVER_PORT}/sync`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${mac.deviceToken}` },
+      body: JSON.stringify({ deviceId: 'phone', accountId: phone.getSyncStatus().accountId, lastSyncTimestamp: 0 })
+    });
+    
+    expect(response.status).toBe(401);
+    expect((await phone.syncData()).success).toBe(true);
+    expect((await mac.syncData()).success).toBe(true);
+  });
+  
+  test('Changes from a device no trusted device has registered are held back', async () => {
+    const phone = await createDevice('phone');
+    const mac = await createDevice('mac');
+    const ipad = await createDevice('ipad');
+    await pairDevices(phone, mac);
+    await pairDevices(mac, ipad);
+    
+    const received = [];
+    phone.addListener(event => {
+      if (event.type === 'change') {
+        received.push(event);
+      }
+    });
+    
+    // The iPad syncs before the Mac has announced it to the phone
+    await ipad.trackChange('task', 'create', 'task-1', { id: 'task-1', title: 'Book flights' });
+    await ipad.syncData();
+    await phone.syncData();
+    
+    expect(received).toHaveLength(0);
+    expect(phone.getSyncStatus().heldChangesCount).toBe(2);
+    
+    await mac.syncData();
+    await phone.syncData();
+    
+    expect(received).toEqual([expect.objectContaining({ entityId: 'task-1', action: 'create' })]);
+    expect(phone.getSyncStatus().heldChangesCount).toBe(0);
+    expect(phone.isDeviceTrusted('ipad')).toBe(true);
+  });
+});
+
+describe('Change Bus', () => {
+  beforeEach(async () => {
+    await syncIntegration.initialize();
+    await syncService.resetSync();
+  });
+  
+  test('Services publish typed domain events', async () => {
+    const events = [];
+    const unsubscribe = changeBus.subscribe(event => events.push(event), [
+      DOMAIN_EVENTS.TASK_CREATED,
+      DOMAIN_EVENTS.TASK_DELETED
+    ]);
+    
+    const task = await taskService.createTask({ title: 'Quarterly plan' });
+    await taskService.updateTask(task.id, { notes: 'First draft' });
+    await taskService.deleteTask(task.id);
+    unsubscribe();
+    
+    expect(events).toEqual([
+      expect.objectContaining({
+        type: DOMAIN_EVENTS.TASK_CREATED,
+        entityType: 'task',
+        action: 'create',
+        entityId: task.id,
+        data: task,
+        origin: EVENT_ORIGINS.LOCAL
+      }),
+      expect.objectContaining({
+        type: DOMAIN_EVENTS.TASK_DELETED,
+        action: 'delete',
+        entityId: task.id,
+        data: null
+      })
+    ]);
+  });
+  
+  test('A failing listener does not fail the change', async () => {
+    const unsubscribe = changeBus.subscribe(() => {
+      throw new Error('Listener failed');
+    });
+    
+    const task = await taskService.createTask({ title: 'Book flights' });
+    unsubscribe();
+    
+    expect(taskService.getTaskById(task.id)).toEqual(task);
+  });
+  
+  test('Local changes are tracked for sync', async () => {
+    const email = await emailService.createEmail({ subject: 'Budget', to: ['finance@example.com'] });
+    await emailService.sendEmail(email.id);
+    
+    const changes = syncService.pendingChanges.filter(change => change.entityId === email.id);
+    
+    expect(changes).toEqual([
+      expect.objectContaining({
+        entityType: 'email',
+        action: 'create',
+        data: expect.objectContaining({ subject: 'Budget', status: 'sent' })
+      })
+    ]);
+  });
+  
+  test('Remote changes are applied without being echoed back', async () => {
+    const mac = await createDevice('mac');
+    await pairDevices(syncService, mac);
+    const events = [];
+    const unsubscribe = changeBus.subscribe(event => events.push(event));
+    
+    await mac.trackChange('task', 'create', 'task-remote', {
+      id: 'task-remote',
+      title: 'Call the bank',
+      status: 'todo',
+      subtasks: []
+    });
+    await mac.syncData();
+    await syncService.syncData();
+    unsubscribe();
+    
+    expect(taskService.getTaskById('task-remote')).toEqual(expect.objectContaining({ title: 'Call the bank' }));
+    expect(events).toEqual([
+      expect.objectContaining({
+        type: DOMAIN_EVENTS.TASK_CREATED,
+        entityId: 'task-remote',
+        origin: EVENT_ORIGINS.REMOTE
+      })
+    ]);
+    expect(syncService.getSyncStatus().pendingChangesCount).toBe(0);
+  });
+  
+  test('A remote change the service fails to apply fails the sync', async () => {
+    const mac = await createDevice('mac');
+    await pairDevices(syncService, mac);
+    
+    await mac.trackChange('task', 'create', 'task-unapplied', {
+      id: 'task-unapplied',
+      title: 'Renew passport',
+      status: 'todo',
+      subtasks: []
+    });
+    await mac.syncData();
+    
+    const applySpy = jest.spyOn(taskService, 'applyRemoteChange').mockResolvedValueOnce(false);
+    const lastSyncTimestamp = syncService.getSyncStatus().lastSyncTimestamp;
+    
+    expect((await syncService.syncData()).success).toBe(false);
+    expect(syncService.getSyncStatus().lastSyncTimestamp).toBe(lastSyncTimestamp);
+    expect(taskService.getTaskById('task-unapplied')).toBeUndefined();
+    
+    applySpy.mockRestore();
+    
+    expect((await syncService.syncData()).success).toBe(true);
+    expect(taskService.getTaskById('task-unapplied')).toEqual(expect.objectContaining({ title: 'Renew passport' }));
+  });
+});
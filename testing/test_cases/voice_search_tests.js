@@ -0,0 +1,225 @@
+/**
+ * Voice Search Test Suite for Ace Assistant
+ * 
+ * This file contains tests for the "Ask Ace" search command of the voice
+ * command processor, in English and Chinese, and for follow-up commands on
+ * its results.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import voiceCommandProcessor from '../../src/components/voice/VoiceCommandProcessor';
+import taskService from '../../src/services/organization/TaskService';
+import emailService from '../../src/services/organization/EmailService';
+import meetingService from '../../src/services/organization/MeetingService';
+import reminderService from '../../src/services/reminders/ReminderService';
+
+// Mock platform modules
+jest.mock('react-native', () => ({
+  Platform: { OS: 'ios' }
+}));
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('expo-sqlite', () => require('../mocks/expoSqlite'));
+
+jest.mock('expo-notifications', () => ({
+  setNotificationHandler: jest.fn(),
+  requestPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'granted' })),
+  addNotificationReceivedListener: jest.fn(() => ({ remove: jest.fn() })),
+  addNotificationResponseReceivedListener: jest.fn(() => ({ remove: jest.fn() })),
+  setNotificationCategoryAsync: jest.fn(() => Promise.resolve()),
+  scheduleNotificationAsync: jest.fn(() => Promise.resolve('notification-1')),
+  cancelScheduledNotificationAsync: jest.fn(() => Promise.resolve()),
+  AndroidNotificationPriority: { HIGH: 'high' }
+}));
+
+jest.mock('expo-calendar', () => ({
+  requestCalendarPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'denied' })),
+  getCalendarsAsync: jest.fn(() => Promise.resolve([])),
+  EntityTypes: { EVENT: 'event' }
+}));
+
+jest.mock('expo-task-manager', () => ({
+  defineTask: jest.fn(),
+  isTaskDefined: jest.fn(() => false)
+}));
+
+jest.mock('expo-location', () => ({
+  requestForegroundPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'denied' })),
+  requestBackgroundPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'denied' })),
+  hasStartedGeofencingAsync: jest.fn(() => Promise.resolve(false)),
+  stopGeofencingAsync: jest.fn(() => Promise.resolve())
+}));
+
+jest.mock('../../src/constants/appConfig', () => ({
+  __esModule: true,
+  default: {
+    sync: {}
+  }
+}));
+
+// The processor imports the React hooks, which the search command does not use
+jest.mock('../../src/hooks/useTasks', () => jest.fn());
+jest.mock('../../src/hooks/useEmail', () => jest.fn());
+jest.mock('../../src/hooks/useMeetings', () => jest.fn());
+jest.mock('../../src/hooks/useReminders', () => jest.fn());
+jest.mock('../../src/hooks/useLocalization', () => jest.fn(), { virtual: true });
+
+// Saturday 17 October 2026, 9:00 local time
+const NOW = new Date(2026, 9, 17, 9, 0);
+
+// Mock translation function, keeping the parameters
+const t = (key, params) => (params ? `${key} ${JSON.stringify(params)}` : key);
+
+// Services as passed in by useVoiceCommandIntegration
+const services = {
+  tasks: taskService,
+  email: emailService,
+  meetings: meetingService,
+  reminders: {
+    getReminderById: reminderService.getReminderById,
+    deleteReminder: reminderService.deleteReminder,
+    toggleReminderCompletion: id => reminderService.updateReminder(id, { completed: true })
+  }
+};
+
+describe('Search Command Parsing', () => {
+  const extract = (command, language) =>
+    voiceCommandProcessor.extractSearchDetails(command.toLowerCase(), language, NOW);
+  
+  test('English commands give keywords, sender and type', () => {
+    expect(extract('Find the email from Lisa about the budget', 'en')).toEqual({
+      keywords: ['budget'],
+      person: { name: 'lisa', role: 'from' },
+      types: ['email'],
+      dateRange: null
+    });
+  });
+  
+  test('English commands give participants and date ranges', () => {
+    expect(extract('Search for meetings with Wang Wei last week', 'en')).toEqual({
+      keywords: [],
+      person: { name: 'wang wei', role: 'participant' },
+      types: ['meeting'],
+      dateRange: { start: new Date(2026, 9, 5), end: new Date(2026, 9, 11) }
+    });
+  });
+  
+  test('Chinese commands give keywords and type', () => {
+    expect(extract('找一下关于预算的会议', 'zh')).toEqual({
+      keywords: ['预算'],
+      person: null,
+      types: ['meeting'],
+      dateRange: null
+    });
+  });
+  
+  test('Chinese commands give sender and date range', () => {
+    expect(extract('帮我找Lisa上个月发的关于预算的邮件', 'zh')).toEqual({
+      keywords: ['预算'],
+      person: { name: 'lisa', role: 'from' },
+      types: ['email'],
+      dateRange: { start: new Date(2026, 8, 1), end: new Date(2026, 8, 30) }
+    });
+    expect(extract('找一下跟王伟的会议', 'zh').person).toEqual({ name: '王伟', role: 'participant' });
+  });
+  
+  test('Search details become a query with field filters', () => {
+    expect(voiceCommandProcessor.buildSearchQuery({
+      keywords: ['budget'],
+      person: { name: 'lisa wang', role: 'from' },
+      types: ['email'],
+      dateRange: { start: new Date(2026, 9, 12), end: new Date(2026, 9, 18) }
+    })).toBe('budget from:"lisa wang" due:2026-10-12..2026-10-18 type:email');
+  });
+});
+
+describe('Search Command', () => {
+  let budgetTask;
+  let budgetEmail;
+  let budgetMeeting;
+  
+  beforeAll(async () => {
+    await AsyncStorage.clear();
+    
+    budgetTask = await taskService.createTask({ title: 'Review Q3 budget' });
+    budgetEmail = await emailService.createEmail({
+      subject: 'Budget questions',
+      body: 'Can we move the offsite budget to November?',
+      from: 'lisa@example.com',
+      to: ['me@example.com']
+    });
+    budgetMeeting = await meetingService.createMeeting({
+      title: '预算评审会议',
+      description: 'Budget review',
+      startTime: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString(),
+      participants: ['lisa@example.com']
+    });
+  });
+  
+  test('Searching reads back the top results across services', async () => {
+    const result = await voiceCommandProcessor.processCommand('Find budget', 'en', services, t);
+    
+    expect(result.success).toBe(true);
+    expect(result.commandType).toBe('search');
+    expect(result.data.map(item => item.id)).toEqual(expect.arrayContaining([
+      budgetTask.id,
+      budgetEmail.id,
+      budgetMeeting.id
+    ]));
+    expect(result.response).toContain('voice.search.found');
+    expect(result.response.match(/voice\.search\.result /g)).toHaveLength(3);
+    expect(result.response).toContain(budgetEmail.subject);
+  });
+  
+  test('The sender narrows the search to their emails', async () => {
+    const result = await voiceCommandProcessor.processCommand('Find the email from Lisa about the budget', 'en', services, t);
+    
+    expect(result.data.map(item => item.id)).toEqual([budgetEmail.id]);
+  });
+  
+  test('Chinese searches find Chinese titles', async () => {
+    const result = await voiceCommandProcessor.processCommand('找一下关于预算的会议', 'zh', services, t);
+    
+    expect(result.data.map(item => item.id)).toEqual([budgetMeeting.id]);
+  });
+  
+  test('Searches without results say so', async () => {
+    const result = await voiceCommandProcessor.processCommand('Search for the holiday party', 'en', services, t);
+    
+    expect(result.success).toBe(true);
+    expect(result.data).toEqual([]);
+    expect(result.response).toBe('voice.search.no_results');
+  });
+  
+  test('Follow-up commands act on the last results', async () => {
+    const search = await voiceCommandProcessor.processCommand('Find budget', 'en', services, t);
+    const second = search.data[1];
+    
+    const opened = await voiceCommandProcessor.processCommand('Open the second one', 'en', services, t);
+    expect(opened.success).toBe(true);
+    expect(opened.action).toBe('open');
+    expect(opened.commandType).toBe(second.entityType);
+    expect(opened.data.id).toBe(second.id);
+    
+    const taskPosition = search.data.findIndex(item => item.id === budgetTask.id) + 1;
+    const completed = await voiceCommandProcessor.processCommand(`完成第${taskPosition}个`, 'zh', services, t);
+    expect(completed.success).toBe(true);
+    expect(taskService.getTaskById(budgetTask.id).status).toBe('completed');
+    
+    const missing = await voiceCommandProcessor.processCommand('Open the tenth one', 'en', services, t);
+    expect(missing.success).toBe(false);
+    expect(missing.response).toBe('voice.search.no_such_result {"position":10}');
+  });
+  
+  test('Follow-up commands need a search first', async () => {
+    voiceCommandProcessor.lastSearch = null;
+    
+    const result = await voiceCommandProcessor.processCommand('Open the first one', 'en', services, t);
+    
+    expect(result.success).toBe(false);
+    expect(result.response).toBe('voice.command_not_recognized');
+  });
+});